@@ -1,17 +1,89 @@
 import { ByteOrder } from "./lib/ByteOrder";
 import { ByteReader } from "./lib/ByteReader";
 import { ByteWriter } from "./lib/ByteWriter";
+import { CoordinateTransform } from "./lib/CoordinateTransform";
+import { CoordinateTransforms } from "./lib/CoordinateTransforms";
+import { FlatGeometry } from "./lib/FlatGeometry";
+import { FlatGeometryReader } from "./lib/FlatGeometryReader";
+import { FlatGeometryWriter } from "./lib/FlatGeometryWriter";
+import { GeoArrowArray } from "./lib/GeoArrowArray";
+import { GeoArrowConverter } from "./lib/GeoArrowConverter";
+import { GeoArrowCoordinateLayout } from "./lib/GeoArrowCoordinateLayout";
+import { GeoArrowEncoding } from "./lib/GeoArrowEncoding";
 import { GeometryCodes } from "./lib/GeometryCodes";
+import { EWKBGeometry } from "./lib/EWKBGeometry";
+import { EnvelopeReadFilter } from "./lib/EnvelopeReadFilter";
+import { GeometryInspector } from "./lib/GeometryInspector";
+import { GeometryReadFilter } from "./lib/GeometryReadFilter";
 import { GeometryReader } from "./lib/GeometryReader";
+import { GeometryReaderLimits } from "./lib/GeometryReaderLimits";
+import { GeometryStreamReader } from "./lib/GeometryStreamReader";
+import { GeometryStreamRecord } from "./lib/GeometryStreamRecord";
+import { GeometrySummary } from "./lib/GeometrySummary";
 import { GeometryWriter } from "./lib/GeometryWriter";
 import { GeometryTypeInfo } from "./lib/GeometryTypeInfo";
+import { GeometryTypeReadFilter } from "./lib/GeometryTypeReadFilter";
+import { GeoJSONConverter } from "./lib/GeoJSONConverter";
+import { GeoJSONCurvePolicy } from "./lib/GeoJSONCurvePolicy";
+import { GeoJSONFeature } from "./lib/GeoJSONFeature";
+import { GeoPackageGeometryData } from "./lib/GeoPackageGeometryData";
+import { GeoPackageGeometryHeader } from "./lib/GeoPackageGeometryHeader";
+import { HexUtils } from "./lib/HexUtils";
+import { PointCountReadFilter } from "./lib/PointCountReadFilter";
+import { TWKBCodes } from "./lib/TWKBCodes";
+import { TWKBGeometry } from "./lib/TWKBGeometry";
+import { TWKBGeometryReader } from "./lib/TWKBGeometryReader";
+import { TWKBGeometryWriter } from "./lib/TWKBGeometryWriter";
+import { WKBDialect } from "./lib/WKBDialect";
+import { WKBDimensionPolicy } from "./lib/WKBDimensionPolicy";
+import { WKBFormatException } from "./lib/WKBFormatException";
+import { WKBLimitException } from "./lib/WKBLimitException";
+import { WKTGeometryReader } from "./lib/WKTGeometryReader";
+import { WKTGeometryWriter } from "./lib/WKTGeometryWriter";
+import { WKTParseException } from "./lib/WKTParseException";
 
 export {
     ByteOrder,
     ByteReader,
     ByteWriter,
+    CoordinateTransform,
+    CoordinateTransforms,
+    FlatGeometry,
+    FlatGeometryReader,
+    FlatGeometryWriter,
+    GeoArrowArray,
+    GeoArrowConverter,
+    GeoArrowCoordinateLayout,
+    GeoArrowEncoding,
     GeometryCodes,
+    EWKBGeometry,
+    EnvelopeReadFilter,
+    GeometryInspector,
+    GeometryReadFilter,
     GeometryReader,
+    GeometryReaderLimits,
+    GeometryStreamReader,
+    GeometryStreamRecord,
+    GeometrySummary,
     GeometryWriter,
-    GeometryTypeInfo
+    GeometryTypeInfo,
+    GeometryTypeReadFilter,
+    GeoJSONConverter,
+    GeoJSONCurvePolicy,
+    GeoJSONFeature,
+    GeoPackageGeometryData,
+    GeoPackageGeometryHeader,
+    HexUtils,
+    PointCountReadFilter,
+    TWKBCodes,
+    TWKBGeometry,
+    TWKBGeometryReader,
+    TWKBGeometryWriter,
+    WKBDialect,
+    WKBDimensionPolicy,
+    WKBFormatException,
+    WKBLimitException,
+    WKTGeometryReader,
+    WKTGeometryWriter,
+    WKTParseException
 }
\ No newline at end of file
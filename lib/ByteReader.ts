@@ -2,44 +2,85 @@ import {ByteOrder} from "./ByteOrder";
 
 /**
  * This class was heavily influenced by https://github.com/cschwarz/wkx/blob/master/lib/binaryreader.js
+ *
+ * Reads from a Uint8Array (including a Node Buffer) or ArrayBuffer through a DataView, so no Buffer polyfill is
+ * required outside of Node
  */
 export class ByteReader {
-    buffer: Buffer;
+    buffer: Uint8Array;
     position: number;
-    byteOrder: ByteOrder
-    public readUInt8: Function;
-    public readUInt16: Function;
-    public readUInt32: Function;
-    public readInt8: Function;
-    public readInt16: Function;
-    public readInt32: Function;
-    public readFloat: Function;
-    public readDouble: Function;
-    public readByte: Function;
-    public readInt: Function;
-
-    constructor(buffer: Buffer, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN) {
-        this.buffer = buffer;
+    byteOrder: ByteOrder;
+    private view: DataView;
+    private littleEndian: boolean;
+
+    constructor(buffer: Uint8Array | ArrayBuffer, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN) {
+        this.buffer = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.buffer.buffer, this.buffer.byteOffset, this.buffer.byteLength);
         this.position = 0;
         this.setByteOrder(byteOrder);
     }
-    
-    private _read(read, size) {
-        return function () {
-            let value = read.call(this.buffer, this.position);
-            this.position += size;
-            return value;
-        }.bind(this);
+
+    private advance(size: number): number {
+        const offset = this.position;
+        if (offset + size > this.buffer.length) {
+            throw new RangeError('index out of range');
+        }
+        this.position += size;
+        return offset;
+    }
+
+    public readUInt8(): number {
+        return this.view.getUint8(this.advance(1));
+    }
+
+    public readUInt16(): number {
+        return this.view.getUint16(this.advance(2), this.littleEndian);
+    }
+
+    public readUInt32(): number {
+        return this.view.getUint32(this.advance(4), this.littleEndian);
+    }
+
+    public readInt8(): number {
+        return this.view.getInt8(this.advance(1));
     }
 
-    readVarInt(): any {
+    public readInt16(): number {
+        return this.view.getInt16(this.advance(2), this.littleEndian);
+    }
+
+    public readInt32(): number {
+        return this.view.getInt32(this.advance(4), this.littleEndian);
+    }
+
+    public readFloat(): number {
+        return this.view.getFloat32(this.advance(4), this.littleEndian);
+    }
+
+    public readDouble(): number {
+        return this.view.getFloat64(this.advance(8), this.littleEndian);
+    }
+
+    public readByte(): number {
+        return this.readUInt8();
+    }
+
+    public readInt(): number {
+        return this.readUInt32();
+    }
+
+    readVarInt(): number {
         let nextByte,
             result = 0,
             bytesRead = 0;
 
         do {
+            if (this.position + bytesRead >= this.buffer.length) {
+                throw new RangeError('index out of range');
+            }
             nextByte = this.buffer[this.position + bytesRead];
-            result += (nextByte & 0x7F) << (7 * bytesRead);
+            // Multiply instead of shifting so values beyond 32 bits are preserved
+            result += (nextByte & 0x7F) * Math.pow(2, 7 * bytesRead);
             bytesRead++;
         } while (nextByte >= 0x80);
 
@@ -48,35 +89,20 @@ export class ByteReader {
         return result;
     };
 
+    /**
+     * Read a signed (zigzag encoded) variable length integer
+     */
+    readSVarInt(): number {
+        const value = this.readVarInt();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    };
+
     public getByteOrder(): ByteOrder {
         return this.byteOrder;
     }
 
     public setByteOrder(byteOrder: ByteOrder): void {
         this.byteOrder = byteOrder;
-
-        if (byteOrder === ByteOrder.BIG_ENDIAN) {
-            this.readUInt8 = this._read(Buffer.prototype.readUInt8, 1);
-            this.readUInt16 = this._read(Buffer.prototype.readUInt16BE, 2);
-            this.readUInt32 = this._read(Buffer.prototype.readUInt32BE, 4);
-            this.readInt8 = this._read(Buffer.prototype.readInt8, 1);
-            this.readInt16 = this._read(Buffer.prototype.readInt16BE, 2);
-            this.readInt32 = this._read(Buffer.prototype.readInt32BE, 4);
-            this.readFloat = this._read(Buffer.prototype.readFloatBE, 4);
-            this.readDouble = this._read(Buffer.prototype.readDoubleBE, 8);
-            this.readByte = this.readUInt8;
-            this.readInt = this.readUInt32;
-        } else {
-            this.readUInt8 = this._read(Buffer.prototype.readUInt8, 1);
-            this.readUInt16 = this._read(Buffer.prototype.readUInt16LE, 2);
-            this.readUInt32 = this._read(Buffer.prototype.readUInt32LE, 4);
-            this.readInt8 = this._read(Buffer.prototype.readInt8, 1);
-            this.readInt16 = this._read(Buffer.prototype.readInt16LE, 2);
-            this.readInt32 = this._read(Buffer.prototype.readInt32LE, 4);
-            this.readFloat = this._read(Buffer.prototype.readFloatLE, 4);
-            this.readDouble = this._read(Buffer.prototype.readDoubleLE, 8);
-            this.readByte = this.readUInt8;
-            this.readInt = this.readUInt32;
-        }
+        this.littleEndian = byteOrder === ByteOrder.LITTLE_ENDIAN;
     }
-}
\ No newline at end of file
+}
@@ -1,99 +1,180 @@
 /**
  * This class was heavily influenced by https://github.com/cschwarz/wkx/blob/master/lib/binarywriter.js
+ *
+ * Writes through a DataView into a Node Buffer when available, otherwise a Uint8Array, so no Buffer polyfill is
+ * required outside of Node
  */
 import { ByteOrder } from "./ByteOrder";
 
 export class ByteWriter {
-    buffer: Buffer;
+    buffer: Uint8Array;
     position: number;
     allowResize: boolean;
     byteOrder: ByteOrder;
-    public writeUInt8: Function;
-    public writeUInt16: Function;
-    public writeUInt32: Function;
-    public writeInt8: Function;
-    public writeInt16: Function;
-    public writeInt32: Function;
-    public writeFloat: Function;
-    public writeDouble: Function;
-    public writeInt: Function;
+    private view: DataView;
+    private littleEndian: boolean;
 
     constructor (size: number, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN, allowResize = false) {
-        this.buffer = Buffer.alloc(size);
+        this.setBytes(ByteWriter.allocate(size));
         this.position = 0;
         this.allowResize = allowResize;
         this.setByteOrder(byteOrder);
     }
 
-    private _write(write, size): any {
-        return function (value: any, noAssert: boolean) {
-            this.ensureSize(size);
-            write.call(this.buffer, value, this.position, noAssert);
-            this.position += size;
-        }.bind(this);
+    /**
+     * Allocate zero filled bytes, a Buffer when running in Node so existing Buffer callers keep working
+     * @param size number of bytes
+     * @return bytes
+     */
+    private static allocate(size: number): Uint8Array {
+        return typeof Buffer !== 'undefined' ? Buffer.alloc(size) : new Uint8Array(size);
+    }
+
+    /**
+     * Check an integer value is within the range of its byte size, as DataView silently wraps out of range values
+     * @param value integer value
+     * @param min minimum value
+     * @param max maximum value
+     */
+    private static checkRange(value: number, min: number, max: number): void {
+        if (value < min || value > max) {
+            throw new RangeError('The value of "value" is out of range. It must be >= ' + min + ' and <= ' + max
+                + '. Received ' + value);
+        }
+    }
+
+    private setBytes(buffer: Uint8Array): void {
+        this.buffer = buffer;
+        this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+
+    /**
+     * Ensure room for and advance past the next bytes, before accessing the possibly resized view
+     * @param size number of bytes
+     * @return offset of the bytes
+     */
+    private advance(size: number): number {
+        this.ensureSize(size);
+        const offset = this.position;
+        this.position += size;
+        return offset;
+    }
+
+    public writeUInt8(value: number): void {
+        ByteWriter.checkRange(value, 0, 0xFF);
+        const offset = this.advance(1);
+        this.view.setUint8(offset, value);
+    }
+
+    public writeUInt16(value: number): void {
+        ByteWriter.checkRange(value, 0, 0xFFFF);
+        const offset = this.advance(2);
+        this.view.setUint16(offset, value, this.littleEndian);
+    }
+
+    public writeUInt32(value: number): void {
+        ByteWriter.checkRange(value, 0, 0xFFFFFFFF);
+        const offset = this.advance(4);
+        this.view.setUint32(offset, value, this.littleEndian);
+    }
+
+    public writeInt8(value: number): void {
+        ByteWriter.checkRange(value, -0x80, 0x7F);
+        const offset = this.advance(1);
+        this.view.setInt8(offset, value);
+    }
+
+    public writeInt16(value: number): void {
+        ByteWriter.checkRange(value, -0x8000, 0x7FFF);
+        const offset = this.advance(2);
+        this.view.setInt16(offset, value, this.littleEndian);
+    }
+
+    public writeInt32(value: number): void {
+        ByteWriter.checkRange(value, -0x80000000, 0x7FFFFFFF);
+        const offset = this.advance(4);
+        this.view.setInt32(offset, value, this.littleEndian);
+    }
+
+    public writeFloat(value: number): void {
+        const offset = this.advance(4);
+        this.view.setFloat32(offset, value, this.littleEndian);
+    }
+
+    public writeDouble(value: number): void {
+        const offset = this.advance(8);
+        this.view.setFloat64(offset, value, this.littleEndian);
+    }
+
+    public writeInt(value: number): void {
+        this.writeUInt32(value);
     }
 
     public setByteOrder (byteOrder: ByteOrder) {
         this.byteOrder = byteOrder;
-        if (byteOrder === ByteOrder.BIG_ENDIAN) {
-            this.writeUInt8 = this._write(Buffer.prototype.writeUInt8, 1);
-            this.writeUInt16 = this._write(Buffer.prototype.writeUInt16BE, 2);
-            this.writeUInt32 = this._write(Buffer.prototype.writeUInt32BE, 4);
-            this.writeInt8 = this._write(Buffer.prototype.writeInt8, 1);
-            this.writeInt16 = this._write(Buffer.prototype.writeInt16BE, 2);
-            this.writeInt32 = this._write(Buffer.prototype.writeInt32BE, 4);
-            this.writeFloat = this._write(Buffer.prototype.writeFloatBE, 4);
-            this.writeDouble = this._write(Buffer.prototype.writeDoubleBE, 8);
-            this.writeInt = this.writeUInt32;
-        } else {
-            this.writeUInt8 = this._write(Buffer.prototype.writeUInt8, 1);
-            this.writeUInt16 = this._write(Buffer.prototype.writeUInt16LE, 2);
-            this.writeUInt32 = this._write(Buffer.prototype.writeUInt32LE, 4);
-            this.writeInt8 = this._write(Buffer.prototype.writeInt8, 1);
-            this.writeInt16 = this._write(Buffer.prototype.writeInt16LE, 2);
-            this.writeInt32 = this._write(Buffer.prototype.writeInt32LE, 4);
-            this.writeFloat = this._write(Buffer.prototype.writeFloatLE, 4);
-            this.writeDouble = this._write(Buffer.prototype.writeDoubleLE, 8);
-            this.writeInt = this.writeUInt32;
-        }
+        this.littleEndian = byteOrder === ByteOrder.LITTLE_ENDIAN;
     }
 
     public getByteOrder (): ByteOrder {
         return this.byteOrder;
     }
 
-    public writeBuffer(buffer: Buffer) {
-        this.ensureSize(buffer.length);
-        buffer.copy(this.buffer, this.position, 0, buffer.length);
-        this.position += buffer.length;
+    public writeBuffer(buffer: Uint8Array | ArrayBuffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.ensureSize(bytes.length);
+        this.buffer.set(bytes, this.position);
+        this.position += bytes.length;
     };
 
-    public writeVarInt(value) {
+    public writeVarInt(value: number): number {
         let length = 1;
-        while ((value & 0xFFFFFF80) !== 0) {
-            this.writeUInt8((value & 0x7F) | 0x80);
-            value >>>= 7;
+        // Divide instead of shifting so values beyond 32 bits are preserved
+        while (value >= 0x80) {
+            this.writeUInt8((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
             length++;
         }
 
-        this.writeUInt8(value & 0x7F);
+        this.writeUInt8(value);
         return length;
     };
 
+    /**
+     * Write a signed (zigzag encoded) variable length integer
+     */
+    public writeSVarInt(value: number): number {
+        return this.writeVarInt(value < 0 ? -2 * value - 1 : 2 * value);
+    };
+
     public ensureSize(size): void {
         if (this.buffer.length < this.position + size) {
             if (this.allowResize) {
-                const tempBuffer = Buffer.alloc(this.position + size);
-                this.buffer.copy(tempBuffer, 0, 0, this.buffer.length);
-                this.buffer = tempBuffer;
+                // Grow geometrically so byte at a time writes stay linear
+                const tempBuffer = ByteWriter.allocate(Math.max(this.position + size, this.buffer.length * 2));
+                tempBuffer.set(this.buffer);
+                this.setBytes(tempBuffer);
             } else {
-                throw new Error('index out of range');
+                throw new RangeError('index out of range');
             }
         }
     };
 
-    public getBuffer (): Buffer {
-        return this.buffer;
+    /**
+     * Get the written bytes, a Buffer when running in Node
+     * @return bytes
+     */
+    public getBuffer (): Uint8Array {
+        // Resizable buffers may have unused capacity beyond the written bytes
+        return this.allowResize ? this.buffer.subarray(0, this.position) : this.buffer;
+    }
+
+    /**
+     * Get a copy of the written bytes as an ArrayBuffer
+     * @return array buffer
+     */
+    public getArrayBuffer (): ArrayBuffer {
+        const bytes = this.getBuffer();
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
     }
 
 }
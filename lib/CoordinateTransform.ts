@@ -0,0 +1,12 @@
+/**
+ * Coordinate transform applied to each point as it is read or written,
+ * returning the transformed [x, y] or [x, y, z, m] coordinates. Undefined z
+ * and m results keep the original values.
+ * 
+ * @param x x coordinate
+ * @param y y coordinate
+ * @param z z coordinate, undefined when the point has no z
+ * @param m m value, undefined when the point has no m
+ * @return transformed coordinates
+ */
+export type CoordinateTransform = (x: number, y: number, z?: number, m?: number) => number[];
@@ -0,0 +1,106 @@
+import { GeometryUtils, Point } from "./sf/internal";
+import { CoordinateTransform } from "./CoordinateTransform";
+
+/**
+ * Built-in coordinate transforms for reading and writing
+ */
+export class CoordinateTransforms {
+
+	/**
+	 * WGS84 degrees to Web Mercator meters
+	 */
+	public static readonly DEGREES_TO_METERS: CoordinateTransform = (x: number, y: number): number[] => {
+		const meters = GeometryUtils.degreesToMetersCoord(x, y);
+		return [meters.x, meters.y];
+	};
+
+	/**
+	 * Web Mercator meters to WGS84 degrees
+	 */
+	public static readonly METERS_TO_DEGREES: CoordinateTransform = (x: number, y: number): number[] => {
+		const degrees = GeometryUtils.metersToDegreesCoord(x, y);
+		return [degrees.x, degrees.y];
+	};
+
+	/**
+	 * Swap the x and y axes, such as for latitude, longitude ordered sources
+	 */
+	public static readonly SWAP_AXES: CoordinateTransform = (x: number, y: number): number[] => {
+		return [y, x];
+	};
+
+	/**
+	 * Create an affine transform of the x and y coordinates:
+	 * x' = a * x + b * y + xOffset, y' = d * x + e * y + yOffset
+	 * 
+	 * @param a x scale
+	 * @param b x shear
+	 * @param d y shear
+	 * @param e y scale
+	 * @param xOffset x offset
+	 * @param yOffset y offset
+	 * @return affine transform
+	 */
+	public static affine(a: number, b: number, d: number, e: number, xOffset: number = 0.0,
+		yOffset: number = 0.0): CoordinateTransform {
+		return (x: number, y: number): number[] => {
+			return [a * x + b * y + xOffset, d * x + e * y + yOffset];
+		};
+	}
+
+	/**
+	 * Create a transform applying the transforms in order
+	 * 
+	 * @param transforms coordinate transforms
+	 * @return composed transform
+	 */
+	public static compose(...transforms: CoordinateTransform[]): CoordinateTransform {
+		return (x: number, y: number, z?: number, m?: number): number[] => {
+			let coordinates = [x, y, z, m];
+			for (const transform of transforms) {
+				coordinates = CoordinateTransforms.apply(transform, coordinates[0], coordinates[1], coordinates[2], coordinates[3]);
+			}
+			return coordinates;
+		};
+	}
+
+	/**
+	 * Apply the transform to the coordinates, keeping the original z and m
+	 * values when not transformed
+	 * 
+	 * @param transform coordinate transform
+	 * @param x x coordinate
+	 * @param y y coordinate
+	 * @param z z coordinate, undefined when not present
+	 * @param m m value, undefined when not present
+	 * @return transformed [x, y, z, m] coordinates
+	 */
+	public static apply(transform: CoordinateTransform, x: number, y: number, z: number = undefined,
+		m: number = undefined): number[] {
+		const coordinates = transform(x, y, z, m);
+		return [coordinates[0], coordinates[1], coordinates[2] !== undefined ? coordinates[2] : z,
+			coordinates[3] !== undefined ? coordinates[3] : m];
+	}
+
+	/**
+	 * Transform the coordinates of the point in place, leaving empty points
+	 * unchanged
+	 * 
+	 * @param transform coordinate transform
+	 * @param point point to transform
+	 */
+	public static transformPoint(transform: CoordinateTransform, point: Point): void {
+		if (!point.isEmpty()) {
+			const coordinates = CoordinateTransforms.apply(transform, point.x, point.y, point.z, point.m);
+			point.x = coordinates[0];
+			point.y = coordinates[1];
+			if (point.hasZ && coordinates[2] != null) {
+				point.z = coordinates[2];
+			}
+			if (point.hasM && coordinates[3] != null) {
+				point.m = coordinates[3];
+			}
+		}
+	}
+
+}
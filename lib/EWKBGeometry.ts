@@ -0,0 +1,57 @@
+import { Geometry } from "./sf/internal";
+
+/**
+ * Geometry read from or written as EWKB (PostGIS Extended Well Known Binary)
+ * along with the SRID of the top level geometry
+ */
+export class EWKBGeometry {
+
+	/**
+	 * Geometry
+	 */
+	private readonly _geometry: Geometry;
+
+	/**
+	 * SRID
+	 */
+	private readonly _srid: number;
+
+	/**
+	 * Constructor
+	 * 
+	 * @param geometry geometry
+	 * @param srid SRID, undefined when not present
+	 */
+	public constructor(geometry: Geometry, srid: number = undefined) {
+		this._geometry = geometry;
+		this._srid = srid;
+	}
+
+	/**
+	 * Get the geometry
+	 * 
+	 * @return geometry
+	 */
+	public get geometry(): Geometry {
+		return this._geometry;
+	}
+
+	/**
+	 * Get the SRID
+	 * 
+	 * @return SRID or undefined when not present
+	 */
+	public get srid(): number {
+		return this._srid;
+	}
+
+	/**
+	 * Has an SRID
+	 * 
+	 * @return true if has an SRID
+	 */
+	public get hasSRID(): boolean {
+		return this._srid != null;
+	}
+
+}
@@ -0,0 +1,47 @@
+import { GeometryEnvelope, GeometryType } from "./sf/internal";
+import { GeometryReadFilter } from "./GeometryReadFilter";
+import { GeometrySummary } from "./GeometrySummary";
+
+/**
+ * Read filter skipping geometries outside of a query envelope, including
+ * empty geometries
+ */
+export class EnvelopeReadFilter implements GeometryReadFilter {
+
+	/**
+	 * Query envelope
+	 */
+	private envelope: GeometryEnvelope;
+
+	/**
+	 * Constructor
+	 * @param envelope query envelope
+	 */
+	public constructor(envelope: GeometryEnvelope) {
+		this.envelope = envelope;
+	}
+
+	/**
+	 * Get the query envelope
+	 * @return envelope
+	 */
+	public getEnvelope(): GeometryEnvelope {
+		return this.envelope;
+	}
+
+	/**
+	 * Set the query envelope
+	 * @param envelope envelope
+	 */
+	public setEnvelope(envelope: GeometryEnvelope): void {
+		this.envelope = envelope;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public filterSummary(containingType: GeometryType, summary: GeometrySummary): boolean {
+		return summary.envelope != null && summary.envelope.intersects(this.envelope, true);
+	}
+
+}
@@ -0,0 +1,208 @@
+import { GeometryType, SFException } from "./sf/internal";
+
+/**
+ * Geometry coordinates in flat typed arrays, without point objects. Points
+ * are interleaved in the coordinates array as x, y, then z and m when
+ * present, so the stride is 2, 3 or 4. Polygon rings and multi geometry parts
+ * are delimited by offset arrays holding one more entry than the number of
+ * rings or parts:
+ * <ul>
+ * <li>Point, LineString and MultiPoint: coordinates only</li>
+ * <li>Polygon: ring offsets into the points</li>
+ * <li>MultiLineString: part offsets into the points</li>
+ * <li>MultiPolygon: part offsets into the rings and ring offsets into the
+ * points</li>
+ * </ul>
+ */
+export class FlatGeometry {
+
+	/**
+	 * Determine if the geometry type has a flat layout
+	 * @param geometryType geometry type
+	 * @return true if supported
+	 */
+	public static isSupported(geometryType: GeometryType): boolean {
+		switch (geometryType) {
+			case GeometryType.POINT:
+			case GeometryType.LINESTRING:
+			case GeometryType.POLYGON:
+			case GeometryType.MULTIPOINT:
+			case GeometryType.MULTILINESTRING:
+			case GeometryType.MULTIPOLYGON:
+				return true;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Get the number of coordinate values per point
+	 * @param hasZ has z
+	 * @param hasM has m
+	 * @return stride
+	 */
+	public static getStride(hasZ: boolean, hasM: boolean): number {
+		return 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+	}
+
+	/**
+	 * Geometry type
+	 */
+	private readonly _geometryType: GeometryType;
+
+	/**
+	 * Has z values
+	 */
+	private readonly _hasZ: boolean;
+
+	/**
+	 * Has m values
+	 */
+	private readonly _hasM: boolean;
+
+	/**
+	 * Interleaved point coordinates
+	 */
+	private readonly _coordinates: Float64Array;
+
+	/**
+	 * Point offset of each ring, followed by the number of points
+	 */
+	private readonly _ringOffsets: Uint32Array;
+
+	/**
+	 * Point or ring offset of each part, followed by the number of points or
+	 * rings
+	 */
+	private readonly _partOffsets: Uint32Array;
+
+	/**
+	 * Constructor
+	 *
+	 * @param geometryType geometry type
+	 * @param hasZ has z values
+	 * @param hasM has m values
+	 * @param coordinates interleaved point coordinates
+	 * @param ringOffsets ring offsets into the points, for polygons and multi polygons
+	 * @param partOffsets part offsets into the points of multi line strings or rings of multi polygons
+	 */
+	public constructor(geometryType: GeometryType, hasZ: boolean, hasM: boolean, coordinates: Float64Array,
+		ringOffsets: Uint32Array = null, partOffsets: Uint32Array = null) {
+		if (!FlatGeometry.isSupported(geometryType)) {
+			throw new SFException("Flat geometries do not support Geometry Type: " + GeometryType.nameFromType(geometryType));
+		}
+		if (coordinates.length % FlatGeometry.getStride(hasZ, hasM) !== 0) {
+			throw new SFException("Coordinates length " + coordinates.length + " is not a multiple of the stride "
+				+ FlatGeometry.getStride(hasZ, hasM));
+		}
+		const hasRings = geometryType === GeometryType.POLYGON || geometryType === GeometryType.MULTIPOLYGON;
+		const hasParts = geometryType === GeometryType.MULTILINESTRING || geometryType === GeometryType.MULTIPOLYGON;
+		if (hasRings !== (ringOffsets != null) || hasParts !== (partOffsets != null)) {
+			throw new SFException("Unexpected offsets for Geometry Type: " + GeometryType.nameFromType(geometryType));
+		}
+		this._geometryType = geometryType;
+		this._hasZ = hasZ;
+		this._hasM = hasM;
+		this._coordinates = coordinates;
+		this._ringOffsets = ringOffsets;
+		this._partOffsets = partOffsets;
+	}
+
+	/**
+	 * Get the geometry type
+	 *
+	 * @return geometry type
+	 */
+	public get geometryType(): GeometryType {
+		return this._geometryType;
+	}
+
+	/**
+	 * Has z values
+	 *
+	 * @return true if has z
+	 */
+	public get hasZ(): boolean {
+		return this._hasZ;
+	}
+
+	/**
+	 * Has m values
+	 *
+	 * @return true if has m
+	 */
+	public get hasM(): boolean {
+		return this._hasM;
+	}
+
+	/**
+	 * Get the number of coordinate values per point
+	 *
+	 * @return stride
+	 */
+	public get stride(): number {
+		return FlatGeometry.getStride(this._hasZ, this._hasM);
+	}
+
+	/**
+	 * Get the interleaved point coordinates
+	 *
+	 * @return coordinates
+	 */
+	public get coordinates(): Float64Array {
+		return this._coordinates;
+	}
+
+	/**
+	 * Get the ring offsets into the points, for polygons and multi polygons
+	 *
+	 * @return ring offsets or null
+	 */
+	public get ringOffsets(): Uint32Array {
+		return this._ringOffsets;
+	}
+
+	/**
+	 * Get the part offsets into the points of multi line strings or rings of
+	 * multi polygons
+	 *
+	 * @return part offsets or null
+	 */
+	public get partOffsets(): Uint32Array {
+		return this._partOffsets;
+	}
+
+	/**
+	 * Get the number of points
+	 *
+	 * @return number of points
+	 */
+	public numPoints(): number {
+		return this._coordinates.length / this.stride;
+	}
+
+	/**
+	 * Get the number of rings
+	 *
+	 * @return number of rings
+	 */
+	public numRings(): number {
+		return this._ringOffsets != null ? this._ringOffsets.length - 1 : 0;
+	}
+
+	/**
+	 * Get the number of parts of a multi geometry
+	 *
+	 * @return number of parts
+	 */
+	public numParts(): number {
+		let numParts = 0;
+		if (this._partOffsets != null) {
+			numParts = this._partOffsets.length - 1;
+		} else if (this._geometryType === GeometryType.MULTIPOINT) {
+			numParts = this.numPoints();
+		}
+		return numParts;
+	}
+
+}
@@ -0,0 +1,266 @@
+import { GeometryType, SFException } from "./sf/internal";
+import { ByteReader } from "./ByteReader";
+import { FlatGeometry } from "./FlatGeometry";
+import { GeometryReader } from "./GeometryReader";
+import { GeometryTypeInfo } from "./GeometryTypeInfo";
+
+/**
+ * Well Known Binary reader decoding coordinates straight into flat typed
+ * arrays, without creating point objects. The bytes are walked twice, first
+ * to count the points, rings and parts so the arrays are allocated once at
+ * their exact size, then to fill them.
+ */
+export class FlatGeometryReader {
+
+	/**
+	 * Read a flat geometry from the well-known bytes
+	 * @param buffer well-known bytes
+	 * @return flat geometry
+	 */
+	public static readGeometry(buffer: Uint8Array | ArrayBuffer): FlatGeometry {
+		return FlatGeometryReader.readGeometryWithByteReader(new ByteReader(buffer));
+	}
+
+	/**
+	 * Read a flat geometry from the byte reader
+	 * @param reader byte reader
+	 * @return flat geometry
+	 */
+	public static readGeometryWithByteReader(reader: ByteReader): FlatGeometry {
+		const flatReader = new FlatGeometryReader(reader);
+		return flatReader.read();
+	}
+
+	/**
+	 * Byte Reader
+	 */
+	private readonly reader: ByteReader;
+
+	/**
+	 * Geometry reader, for geometry types
+	 */
+	private readonly geometryReader: GeometryReader;
+
+	/**
+	 * Coordinate values per point of the geometry being read
+	 */
+	private stride: number;
+
+	/**
+	 * Arrays being filled, undefined while counting
+	 */
+	private coordinates: Float64Array;
+	private ringOffsets: Uint32Array;
+	private partOffsets: Uint32Array;
+
+	/**
+	 * Points, rings and parts read so far
+	 */
+	private pointCount: number;
+	private ringCount: number;
+	private partCount: number;
+
+	/**
+	 * Constructor
+	 * @param reader byte reader
+	 */
+	public constructor(reader: ByteReader) {
+		this.reader = reader;
+		this.geometryReader = new GeometryReader(reader);
+	}
+
+	/**
+	 * Read a flat geometry from the byte reader
+	 * @return flat geometry
+	 */
+	public read(): FlatGeometry {
+		const start = this.reader.position;
+		const originalByteOrder = this.reader.getByteOrder();
+
+		// Count the points, rings and parts
+		const geometryTypeInfo = this.geometryReader.readGeometryType();
+		const geometryType = geometryTypeInfo.geometryType;
+		if (!FlatGeometry.isSupported(geometryType)) {
+			throw new SFException("Flat geometries do not support Geometry Type: " + GeometryType.nameFromType(geometryType));
+		}
+		this.stride = FlatGeometry.getStride(geometryTypeInfo.hasZ, geometryTypeInfo.hasM);
+		this.coordinates = undefined;
+		this.ringOffsets = undefined;
+		this.partOffsets = undefined;
+		this.resetCounts();
+		this.readContents(geometryTypeInfo);
+
+		// Allocate the arrays and fill them
+		this.coordinates = new Float64Array(this.pointCount * this.stride);
+		if (geometryType === GeometryType.POLYGON || geometryType === GeometryType.MULTIPOLYGON) {
+			this.ringOffsets = new Uint32Array(this.ringCount + 1);
+		}
+		if (geometryType === GeometryType.MULTILINESTRING || geometryType === GeometryType.MULTIPOLYGON) {
+			this.partOffsets = new Uint32Array(this.partCount + 1);
+		}
+		this.reader.position = start;
+		this.reader.setByteOrder(originalByteOrder);
+		this.resetCounts();
+		this.readContents(this.geometryReader.readGeometryType());
+		if (this.ringOffsets !== undefined) {
+			this.ringOffsets[this.ringCount] = this.pointCount;
+		}
+		if (this.partOffsets !== undefined) {
+			this.partOffsets[this.partCount] = geometryType === GeometryType.MULTIPOLYGON ? this.ringCount : this.pointCount;
+		}
+
+		// Restore the byte order
+		this.reader.setByteOrder(originalByteOrder);
+
+		return new FlatGeometry(geometryType, geometryTypeInfo.hasZ, geometryTypeInfo.hasM, this.coordinates,
+			this.ringOffsets || null, this.partOffsets || null);
+	}
+
+	/**
+	 * Reset the points, rings and parts read
+	 */
+	private resetCounts(): void {
+		this.pointCount = 0;
+		this.ringCount = 0;
+		this.partCount = 0;
+	}
+
+	/**
+	 * Read the geometry contents following the geometry type
+	 * @param geometryTypeInfo geometry type info
+	 */
+	private readContents(geometryTypeInfo: GeometryTypeInfo): void {
+		switch (geometryTypeInfo.geometryType) {
+			case GeometryType.POINT:
+				this.readPoints(1);
+				break;
+			case GeometryType.LINESTRING:
+				this.readPoints(this.readCount("points", this.stride * 8));
+				break;
+			case GeometryType.POLYGON:
+				this.readRings();
+				break;
+			case GeometryType.MULTIPOINT:
+			case GeometryType.MULTILINESTRING:
+			case GeometryType.MULTIPOLYGON: {
+				const memberType = geometryTypeInfo.geometryType === GeometryType.MULTIPOINT ? GeometryType.POINT
+					: geometryTypeInfo.geometryType === GeometryType.MULTILINESTRING ? GeometryType.LINESTRING : GeometryType.POLYGON;
+				const numGeometries = this.readCount("geometries", 9);
+				for (let i = 0; i < numGeometries; i++) {
+					if (memberType === GeometryType.LINESTRING) {
+						this.addPart(this.pointCount);
+					} else if (memberType === GeometryType.POLYGON) {
+						this.addPart(this.ringCount);
+					}
+					this.readMember(geometryTypeInfo, memberType);
+				}
+				break;
+			}
+			default:
+				throw new SFException("Flat geometries do not support Geometry Type: "
+					+ GeometryType.nameFromType(geometryTypeInfo.geometryType));
+		}
+	}
+
+	/**
+	 * Read a multi geometry member, which must match the expected type and
+	 * the dimensions of the multi geometry
+	 * @param parentTypeInfo multi geometry type info
+	 * @param memberType expected member geometry type
+	 */
+	private readMember(parentTypeInfo: GeometryTypeInfo, memberType: GeometryType): void {
+		const geometryTypeInfo = this.geometryReader.readGeometryType();
+		if (geometryTypeInfo.geometryType !== memberType || geometryTypeInfo.hasZ !== parentTypeInfo.hasZ
+			|| geometryTypeInfo.hasM !== parentTypeInfo.hasM) {
+			throw new SFException("Unexpected " + GeometryType.nameFromType(parentTypeInfo.geometryType) + " member. Expected: "
+				+ FlatGeometryReader.describe(memberType, parentTypeInfo.hasZ, parentTypeInfo.hasM) + ", Actual: "
+				+ FlatGeometryReader.describe(geometryTypeInfo.geometryType, geometryTypeInfo.hasZ, geometryTypeInfo.hasM));
+		}
+		this.readContents(geometryTypeInfo);
+	}
+
+	/**
+	 * Read the count prefixed rings
+	 */
+	private readRings(): void {
+		const numRings = this.readCount("rings", 4);
+		for (let i = 0; i < numRings; i++) {
+			if (this.ringOffsets !== undefined) {
+				this.ringOffsets[this.ringCount] = this.pointCount;
+			}
+			this.ringCount++;
+			this.readPoints(this.readCount("points", this.stride * 8));
+		}
+	}
+
+	/**
+	 * Read a count of elements, which must fit within the remaining bytes
+	 * @param elements element description
+	 * @param minByteLength minimum byte length of each element
+	 * @return count
+	 */
+	private readCount(elements: string, minByteLength: number): number {
+		if (this.remaining() < 4) {
+			throw new SFException("Missing count of " + elements + ". Remaining bytes: " + this.remaining());
+		}
+		const count = this.reader.readInt();
+		if (count < 0 || count * minByteLength > this.remaining()) {
+			throw new SFException("Invalid count of " + elements + ": " + count + ", Remaining bytes: " + this.remaining());
+		}
+		return count;
+	}
+
+	/**
+	 * Get the number of unread bytes
+	 * @return remaining bytes
+	 */
+	private remaining(): number {
+		return this.reader.buffer.length - this.reader.position;
+	}
+
+	/**
+	 * Add a part starting at the offset
+	 * @param offset point or ring offset
+	 */
+	private addPart(offset: number): void {
+		if (this.partOffsets !== undefined) {
+			this.partOffsets[this.partCount] = offset;
+		}
+		this.partCount++;
+	}
+
+	/**
+	 * Read the points into the coordinates, or skip them while counting
+	 * @param numPoints number of points
+	 */
+	private readPoints(numPoints: number): void {
+		const numValues = numPoints * this.stride;
+		if (this.coordinates === undefined) {
+			if (numValues * 8 > this.remaining()) {
+				throw new SFException("Coordinates exceed the remaining bytes. Points: " + numPoints + ", Remaining bytes: "
+					+ this.remaining());
+			}
+			this.reader.position += numValues * 8;
+		} else {
+			const coordinates = this.coordinates;
+			let index = this.pointCount * this.stride;
+			const end = index + numValues;
+			while (index < end) {
+				coordinates[index++] = this.reader.readDouble();
+			}
+		}
+		this.pointCount += numPoints;
+	}
+
+	/**
+	 * Describe a geometry type and dimensions
+	 * @param geometryType geometry type
+	 * @param hasZ has z
+	 * @param hasM has m
+	 * @return description
+	 */
+	private static describe(geometryType: GeometryType, hasZ: boolean, hasM: boolean): string {
+		return GeometryType.nameFromType(geometryType) + (hasZ ? " Z" : "") + (hasM ? " M" : "");
+	}
+
+}
@@ -0,0 +1,192 @@
+import { GeometryType, SFException } from "./sf/internal";
+import { ByteOrder } from "./ByteOrder";
+import { ByteWriter } from "./ByteWriter";
+import { FlatGeometry } from "./FlatGeometry";
+import { GeometryCodes } from "./GeometryCodes";
+
+/**
+ * Well Known Binary writer encoding flat typed array geometries, without
+ * creating point objects
+ */
+export class FlatGeometryWriter {
+	private static readonly HEADER_BYTE_LENGTH = 5;
+	private static readonly INT_BYTE_LENGTH = 4;
+	private static readonly DOUBLE_BYTE_LENGTH = 8;
+
+	/**
+	 * Write a flat geometry to well-known bytes
+	 * @param geometry flat geometry
+	 * @param byteOrder byte order
+	 * @return well-known bytes
+	 */
+	public static writeGeometry(geometry: FlatGeometry, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): Uint8Array {
+		const writer = new FlatGeometryWriter(new ByteWriter(FlatGeometryWriter.getGeometryByteLength(geometry), byteOrder));
+		writer.write(geometry);
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Get the well-known byte length of a flat geometry
+	 * @param geometry flat geometry
+	 * @return byte length
+	 */
+	public static getGeometryByteLength(geometry: FlatGeometry): number {
+		const header = FlatGeometryWriter.HEADER_BYTE_LENGTH;
+		const count = FlatGeometryWriter.INT_BYTE_LENGTH;
+		const coordinates = geometry.coordinates.length * FlatGeometryWriter.DOUBLE_BYTE_LENGTH;
+		let byteLength: number;
+		switch (geometry.geometryType) {
+			case GeometryType.POINT:
+				byteLength = header + coordinates;
+				break;
+			case GeometryType.LINESTRING:
+				byteLength = header + count + coordinates;
+				break;
+			case GeometryType.POLYGON:
+				byteLength = header + count + geometry.numRings() * count + coordinates;
+				break;
+			case GeometryType.MULTIPOINT:
+				byteLength = header + count + geometry.numPoints() * header + coordinates;
+				break;
+			case GeometryType.MULTILINESTRING:
+				byteLength = header + count + geometry.numParts() * (header + count) + coordinates;
+				break;
+			case GeometryType.MULTIPOLYGON:
+				byteLength = header + count + geometry.numParts() * (header + count) + geometry.numRings() * count + coordinates;
+				break;
+			default:
+				throw new SFException("Flat geometries do not support Geometry Type: " + GeometryType.nameFromType(geometry.geometryType));
+		}
+		return byteLength;
+	}
+
+	/**
+	 * Byte Writer
+	 */
+	private readonly writer: ByteWriter;
+
+	/**
+	 * Constructor
+	 * @param writer byte writer
+	 */
+	public constructor(writer: ByteWriter) {
+		this.writer = writer;
+	}
+
+	/**
+	 * Get the byte writer
+	 * @return byte writer
+	 */
+	public getByteWriter(): ByteWriter {
+		return this.writer;
+	}
+
+	/**
+	 * Get the written bytes
+	 * @return written bytes
+	 */
+	public getBuffer(): Uint8Array {
+		return this.writer.getBuffer();
+	}
+
+	/**
+	 * Write a flat geometry
+	 * @param geometry flat geometry
+	 */
+	public write(geometry: FlatGeometry): void {
+		const hasZ = geometry.hasZ;
+		const hasM = geometry.hasM;
+		const stride = geometry.stride;
+		const ringOffsets = geometry.ringOffsets;
+		const partOffsets = geometry.partOffsets;
+
+		this.writeHeader(geometry.geometryType, hasZ, hasM);
+
+		switch (geometry.geometryType) {
+			case GeometryType.POINT:
+				this.writePoints(geometry, 0, 1);
+				break;
+			case GeometryType.LINESTRING:
+				this.writer.writeInt(geometry.numPoints());
+				this.writePoints(geometry, 0, geometry.numPoints());
+				break;
+			case GeometryType.POLYGON:
+				this.writeRings(geometry, 0, geometry.numRings());
+				break;
+			case GeometryType.MULTIPOINT:
+				this.writer.writeInt(geometry.numPoints());
+				for (let i = 0; i < geometry.numPoints(); i++) {
+					this.writeHeader(GeometryType.POINT, hasZ, hasM);
+					this.writePoints(geometry, i, 1);
+				}
+				break;
+			case GeometryType.MULTILINESTRING:
+				this.writer.writeInt(geometry.numParts());
+				for (let i = 0; i < geometry.numParts(); i++) {
+					this.writeHeader(GeometryType.LINESTRING, hasZ, hasM);
+					this.writer.writeInt(partOffsets[i + 1] - partOffsets[i]);
+					this.writePoints(geometry, partOffsets[i], partOffsets[i + 1] - partOffsets[i]);
+				}
+				break;
+			case GeometryType.MULTIPOLYGON:
+				this.writer.writeInt(geometry.numParts());
+				for (let i = 0; i < geometry.numParts(); i++) {
+					this.writeHeader(GeometryType.POLYGON, hasZ, hasM);
+					this.writeRings(geometry, partOffsets[i], partOffsets[i + 1] - partOffsets[i]);
+				}
+				break;
+			default:
+				throw new SFException("Flat geometries do not support Geometry Type: " + GeometryType.nameFromType(geometry.geometryType));
+		}
+
+		if (ringOffsets != null && ringOffsets[ringOffsets.length - 1] * stride !== geometry.coordinates.length) {
+			throw new SFException("Ring offsets end at point " + ringOffsets[ringOffsets.length - 1] + " of "
+				+ geometry.numPoints() + " points");
+		}
+	}
+
+	/**
+	 * Write the byte order and geometry type
+	 * @param geometryType geometry type
+	 * @param hasZ has z
+	 * @param hasM has m
+	 */
+	private writeHeader(geometryType: GeometryType, hasZ: boolean, hasM: boolean): void {
+		this.writer.writeUInt8(this.writer.getByteOrder());
+		this.writer.writeInt(GeometryCodes._getCode(geometryType, hasZ, hasM));
+	}
+
+	/**
+	 * Write count prefixed rings, each a count of points followed by the points
+	 * @param geometry flat geometry
+	 * @param ring first ring
+	 * @param numRings number of rings
+	 */
+	private writeRings(geometry: FlatGeometry, ring: number, numRings: number): void {
+		const ringOffsets = geometry.ringOffsets;
+		this.writer.writeInt(numRings);
+		for (let i = ring; i < ring + numRings; i++) {
+			this.writer.writeInt(ringOffsets[i + 1] - ringOffsets[i]);
+			this.writePoints(geometry, ringOffsets[i], ringOffsets[i + 1] - ringOffsets[i]);
+		}
+	}
+
+	/**
+	 * Write the point coordinates
+	 * @param geometry flat geometry
+	 * @param point first point
+	 * @param numPoints number of points
+	 */
+	private writePoints(geometry: FlatGeometry, point: number, numPoints: number): void {
+		const coordinates = geometry.coordinates;
+		const stride = geometry.stride;
+		const end = (point + numPoints) * stride;
+		if (end > coordinates.length) {
+			throw new SFException("Point " + (point + numPoints - 1) + " is beyond the " + geometry.numPoints() + " points");
+		}
+		for (let index = point * stride; index < end; index++) {
+			this.writer.writeDouble(coordinates[index]);
+		}
+	}
+
+}
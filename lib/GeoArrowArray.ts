@@ -0,0 +1,245 @@
+import { SFException } from "./sf/internal";
+import { GeoArrowCoordinateLayout } from "./GeoArrowCoordinateLayout";
+import { GeoArrowEncoding } from "./GeoArrowEncoding";
+
+/**
+ * Buffers of a GeoArrow geometry column. Native encodings hold the
+ * coordinates and the nested offset arrays, ordered from the geometry
+ * offsets inward:
+ * <ul>
+ * <li>Point: no offsets</li>
+ * <li>LineString and MultiPoint: geometry offsets into the points</li>
+ * <li>Polygon: geometry offsets into the rings, ring offsets into the
+ * points</li>
+ * <li>MultiLineString: geometry offsets into the line strings, line string
+ * offsets into the points</li>
+ * <li>MultiPolygon: geometry offsets into the polygons, polygon offsets into
+ * the rings, ring offsets into the points</li>
+ * </ul>
+ * The WKB encoding holds the concatenated well-known bytes and the geometry
+ * offsets into them.
+ */
+export class GeoArrowArray {
+
+	/**
+	 * Encoding
+	 */
+	private readonly _encoding: GeoArrowEncoding;
+
+	/**
+	 * Number of geometries
+	 */
+	private readonly _length: number;
+
+	/**
+	 * Has z values
+	 */
+	private readonly _hasZ: boolean;
+
+	/**
+	 * Has m values
+	 */
+	private readonly _hasM: boolean;
+
+	/**
+	 * Coordinate layout
+	 */
+	private readonly _coordinateLayout: GeoArrowCoordinateLayout;
+
+	/**
+	 * Coordinate arrays, one interleaved array or one array per dimension
+	 */
+	private readonly _coordinates: Float64Array[];
+
+	/**
+	 * Nested offset arrays, from the geometry offsets inward
+	 */
+	private readonly _offsets: Int32Array[];
+
+	/**
+	 * Concatenated well-known bytes of the WKB encoding
+	 */
+	private readonly _data: Uint8Array;
+
+	/**
+	 * Validity bitmap, least significant bit first, null when all valid
+	 */
+	private readonly _validity: Uint8Array;
+
+	/**
+	 * Create a native encoding array
+	 *
+	 * @param encoding native encoding
+	 * @param length number of geometries
+	 * @param hasZ has z values
+	 * @param hasM has m values
+	 * @param coordinateLayout coordinate layout
+	 * @param coordinates one interleaved array or one array per dimension
+	 * @param offsets nested offset arrays, from the geometry offsets inward
+	 * @param validity validity bitmap, null when all valid
+	 * @return array
+	 */
+	public static createNative(encoding: GeoArrowEncoding, length: number, hasZ: boolean, hasM: boolean,
+		coordinateLayout: GeoArrowCoordinateLayout, coordinates: Float64Array[], offsets: Int32Array[],
+		validity: Uint8Array = null): GeoArrowArray {
+		if (encoding === GeoArrowEncoding.WKB) {
+			throw new SFException("Unexpected WKB encoding of a native array");
+		}
+		const dimensions = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+		const expectedCoordinates = coordinateLayout === GeoArrowCoordinateLayout.SEPARATED ? dimensions : 1;
+		if (coordinates.length !== expectedCoordinates) {
+			throw new SFException("Unexpected number of coordinate arrays. Expected: " + expectedCoordinates
+				+ ", Actual: " + coordinates.length);
+		}
+		return new GeoArrowArray(encoding, length, hasZ, hasM, coordinateLayout, coordinates, offsets, null, validity);
+	}
+
+	/**
+	 * Create a WKB encoding array
+	 *
+	 * @param data concatenated well-known bytes
+	 * @param offsets geometry offsets into the bytes, one more than the number of geometries
+	 * @param validity validity bitmap, null when all valid
+	 * @return array
+	 */
+	public static createWKB(data: Uint8Array, offsets: Int32Array, validity: Uint8Array = null): GeoArrowArray {
+		return new GeoArrowArray(GeoArrowEncoding.WKB, offsets.length - 1, false, false, null, [], [offsets], data, validity);
+	}
+
+	/**
+	 * Constructor
+	 */
+	private constructor(encoding: GeoArrowEncoding, length: number, hasZ: boolean, hasM: boolean,
+		coordinateLayout: GeoArrowCoordinateLayout, coordinates: Float64Array[], offsets: Int32Array[],
+		data: Uint8Array, validity: Uint8Array) {
+		const depth = GeoArrowEncoding.getOffsetsDepth(encoding);
+		if (offsets.length !== depth) {
+			throw new SFException("Unexpected number of offset arrays for " + GeoArrowEncoding.getExtensionName(encoding)
+				+ ". Expected: " + depth + ", Actual: " + offsets.length);
+		}
+		if (depth > 0 && offsets[0].length !== length + 1) {
+			throw new SFException("Unexpected geometry offsets length. Expected: " + (length + 1)
+				+ ", Actual: " + offsets[0].length);
+		}
+		this._encoding = encoding;
+		this._length = length;
+		this._hasZ = hasZ;
+		this._hasM = hasM;
+		this._coordinateLayout = coordinateLayout;
+		this._coordinates = coordinates;
+		this._offsets = offsets;
+		this._data = data;
+		this._validity = validity;
+	}
+
+	/**
+	 * Get the encoding
+	 *
+	 * @return encoding
+	 */
+	public get encoding(): GeoArrowEncoding {
+		return this._encoding;
+	}
+
+	/**
+	 * Get the Arrow extension type name
+	 *
+	 * @return extension name
+	 */
+	public get extensionName(): string {
+		return GeoArrowEncoding.getExtensionName(this._encoding);
+	}
+
+	/**
+	 * Get the number of geometries
+	 *
+	 * @return length
+	 */
+	public get length(): number {
+		return this._length;
+	}
+
+	/**
+	 * Has z values
+	 *
+	 * @return true if has z
+	 */
+	public get hasZ(): boolean {
+		return this._hasZ;
+	}
+
+	/**
+	 * Has m values
+	 *
+	 * @return true if has m
+	 */
+	public get hasM(): boolean {
+		return this._hasM;
+	}
+
+	/**
+	 * Get the coordinate layout of a native encoding
+	 *
+	 * @return coordinate layout, null for WKB
+	 */
+	public get coordinateLayout(): GeoArrowCoordinateLayout {
+		return this._coordinateLayout;
+	}
+
+	/**
+	 * Get the coordinate arrays of a native encoding, one interleaved array
+	 * or one array per dimension
+	 *
+	 * @return coordinate arrays
+	 */
+	public get coordinates(): Float64Array[] {
+		return this._coordinates;
+	}
+
+	/**
+	 * Get the nested offset arrays, from the geometry offsets inward
+	 *
+	 * @return offset arrays
+	 */
+	public get offsets(): Int32Array[] {
+		return this._offsets;
+	}
+
+	/**
+	 * Get the concatenated well-known bytes of the WKB encoding
+	 *
+	 * @return bytes, null for native encodings
+	 */
+	public get data(): Uint8Array {
+		return this._data;
+	}
+
+	/**
+	 * Get the validity bitmap, least significant bit first
+	 *
+	 * @return validity bitmap, null when all valid
+	 */
+	public get validity(): Uint8Array {
+		return this._validity;
+	}
+
+	/**
+	 * Get the number of coordinate values per point
+	 *
+	 * @return dimensions
+	 */
+	public get dimensions(): number {
+		return 2 + (this._hasZ ? 1 : 0) + (this._hasM ? 1 : 0);
+	}
+
+	/**
+	 * Determine if the geometry at the index is valid (not null)
+	 *
+	 * @param index geometry index
+	 * @return true if valid
+	 */
+	public isValid(index: number): boolean {
+		return this._validity == null || (this._validity[index >> 3] & (1 << (index & 7))) !== 0;
+	}
+
+}
@@ -0,0 +1,602 @@
+import {
+	Geometry,
+	GeometryType,
+	LineString,
+	MultiLineString,
+	MultiPoint,
+	MultiPolygon,
+	Point,
+	Polygon,
+	SFException
+} from "./sf/internal";
+import { ByteOrder } from "./ByteOrder";
+import { GeoArrowArray } from "./GeoArrowArray";
+import { GeoArrowCoordinateLayout } from "./GeoArrowCoordinateLayout";
+import { GeoArrowEncoding } from "./GeoArrowEncoding";
+import { GeometryReader } from "./GeometryReader";
+import { GeometryWriter } from "./GeometryWriter";
+
+/**
+ * Point values and nested offsets of a native encoding being built
+ */
+class NativeColumns {
+
+	/**
+	 * Values of each dimension: x, y, then z and m when present
+	 */
+	public readonly values: number[][] = [];
+
+	/**
+	 * Nested offsets, from the geometry offsets inward
+	 */
+	public readonly offsets: number[][] = [];
+
+	/**
+	 * Constructor
+	 * @param depth number of offset arrays
+	 * @param hasZ has z values
+	 * @param hasM has m values
+	 */
+	public constructor(depth: number, private readonly hasZ: boolean, private readonly hasM: boolean) {
+		const dimensions = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+		for (let i = 0; i < dimensions; i++) {
+			this.values.push([]);
+		}
+		for (let i = 0; i < depth; i++) {
+			this.offsets.push([0]);
+		}
+	}
+
+	/**
+	 * Add a point, missing z and m values are NaN
+	 * @param point point, null for a NaN point
+	 */
+	public addPoint(point: Point): void {
+		let dimension = 0;
+		this.values[dimension++].push(point != null ? point.x : NaN);
+		this.values[dimension++].push(point != null ? point.y : NaN);
+		if (this.hasZ) {
+			this.values[dimension++].push(point != null && point.hasZ ? point.z : NaN);
+		}
+		if (this.hasM) {
+			this.values[dimension++].push(point != null && point.hasM ? point.m : NaN);
+		}
+	}
+
+	/**
+	 * Add points
+	 * @param points points
+	 */
+	public addPoints(points: Point[]): void {
+		for (const point of points) {
+			this.addPoint(point);
+		}
+	}
+
+	/**
+	 * End the current element of an offset level, after the points or inner
+	 * elements it contains were added
+	 * @param level offset level, 0 for the geometry offsets
+	 */
+	public end(level: number): void {
+		const count = level === this.offsets.length - 1 ? this.values[0].length : this.offsets[level + 1].length - 1;
+		this.offsets[level].push(count);
+	}
+
+}
+
+/**
+ * GeoArrow converter between batches of geometries or well-known bytes and
+ * GeoArrow geometry columns. Native encodings store one geometry type with
+ * separated or interleaved coordinates and nested offsets, and the WKB
+ * encoding stores the concatenated well-known bytes with offsets.
+ */
+export class GeoArrowConverter {
+
+	/**
+	 * Convert geometries or well-known bytes to a GeoArrow column
+	 * @param values geometries or well-known bytes, null entries are null in the column
+	 * @param encoding encoding, determined from the geometry types when not provided
+	 * @param coordinateLayout native coordinate layout
+	 * @return GeoArrow array
+	 */
+	public static writeGeometries(values: Array<Geometry | Uint8Array | ArrayBuffer>, encoding: GeoArrowEncoding = undefined,
+		coordinateLayout: GeoArrowCoordinateLayout = GeoArrowCoordinateLayout.SEPARATED): GeoArrowArray {
+		const converter = new GeoArrowConverter();
+		converter.setCoordinateLayout(coordinateLayout);
+		return converter.write(values, encoding);
+	}
+
+	/**
+	 * Convert a GeoArrow column to geometries
+	 * @param array GeoArrow array
+	 * @return geometries, null for null entries
+	 */
+	public static readGeometries(array: GeoArrowArray): Geometry[] {
+		const converter = new GeoArrowConverter();
+		return converter.read(array);
+	}
+
+	/**
+	 * Convert a GeoArrow column to well-known bytes
+	 * @param array GeoArrow array
+	 * @param byteOrder byte order of geometries written from a native encoding
+	 * @return well-known bytes, null for null entries
+	 */
+	public static readWKB(array: GeoArrowArray, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): Uint8Array[] {
+		const converter = new GeoArrowConverter();
+		converter.setByteOrder(byteOrder);
+		return converter.readWKB(array);
+	}
+
+	/**
+	 * Determine the native encoding of geometries. A single geometry type
+	 * uses its encoding, a mix of a type and its multi type uses the multi
+	 * type encoding, and anything else uses the WKB encoding.
+	 * @param geometries geometries, null entries are ignored
+	 * @return encoding
+	 */
+	public static getEncoding(geometries: Geometry[]): GeoArrowEncoding {
+		let encoding: GeoArrowEncoding = undefined;
+		for (const geometry of geometries) {
+			if (geometry == null) {
+				continue;
+			}
+			const geometryEncoding = GeoArrowConverter.getNativeEncoding(geometry.geometryType);
+			if (geometryEncoding === undefined) {
+				encoding = GeoArrowEncoding.WKB;
+			} else if (encoding === undefined || encoding === geometryEncoding) {
+				encoding = geometryEncoding;
+			} else if (GeoArrowConverter.getMultiEncoding(encoding) === geometryEncoding) {
+				encoding = geometryEncoding;
+			} else if (GeoArrowConverter.getMultiEncoding(geometryEncoding) !== encoding) {
+				encoding = GeoArrowEncoding.WKB;
+			}
+			if (encoding === GeoArrowEncoding.WKB) {
+				break;
+			}
+		}
+		return encoding !== undefined ? encoding : GeoArrowEncoding.WKB;
+	}
+
+	/**
+	 * Get the native encoding of a geometry type
+	 * @param geometryType geometry type
+	 * @return encoding, undefined when without a native encoding
+	 */
+	private static getNativeEncoding(geometryType: GeometryType): GeoArrowEncoding {
+		let encoding: GeoArrowEncoding = undefined;
+		switch (geometryType) {
+			case GeometryType.POINT:
+				encoding = GeoArrowEncoding.POINT;
+				break;
+			case GeometryType.LINESTRING:
+				encoding = GeoArrowEncoding.LINESTRING;
+				break;
+			case GeometryType.POLYGON:
+				encoding = GeoArrowEncoding.POLYGON;
+				break;
+			case GeometryType.MULTIPOINT:
+				encoding = GeoArrowEncoding.MULTIPOINT;
+				break;
+			case GeometryType.MULTILINESTRING:
+				encoding = GeoArrowEncoding.MULTILINESTRING;
+				break;
+			case GeometryType.MULTIPOLYGON:
+				encoding = GeoArrowEncoding.MULTIPOLYGON;
+				break;
+		}
+		return encoding;
+	}
+
+	/**
+	 * Get the multi encoding of a single encoding
+	 * @param encoding single encoding
+	 * @return multi encoding, undefined when not a single encoding
+	 */
+	private static getMultiEncoding(encoding: GeoArrowEncoding): GeoArrowEncoding {
+		let multiEncoding: GeoArrowEncoding = undefined;
+		switch (encoding) {
+			case GeoArrowEncoding.POINT:
+				multiEncoding = GeoArrowEncoding.MULTIPOINT;
+				break;
+			case GeoArrowEncoding.LINESTRING:
+				multiEncoding = GeoArrowEncoding.MULTILINESTRING;
+				break;
+			case GeoArrowEncoding.POLYGON:
+				multiEncoding = GeoArrowEncoding.MULTIPOLYGON;
+				break;
+		}
+		return multiEncoding;
+	}
+
+	/**
+	 * Native coordinate layout
+	 */
+	private coordinateLayout: GeoArrowCoordinateLayout = GeoArrowCoordinateLayout.SEPARATED;
+
+	/**
+	 * Byte order of written well-known bytes
+	 */
+	private byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN;
+
+	/**
+	 * Get the native coordinate layout
+	 * @return coordinate layout
+	 */
+	public getCoordinateLayout(): GeoArrowCoordinateLayout {
+		return this.coordinateLayout;
+	}
+
+	/**
+	 * Set the native coordinate layout
+	 * @param coordinateLayout coordinate layout
+	 */
+	public setCoordinateLayout(coordinateLayout: GeoArrowCoordinateLayout): void {
+		this.coordinateLayout = coordinateLayout;
+	}
+
+	/**
+	 * Get the byte order of written well-known bytes
+	 * @return byte order
+	 */
+	public getByteOrder(): ByteOrder {
+		return this.byteOrder;
+	}
+
+	/**
+	 * Set the byte order of written well-known bytes
+	 * @param byteOrder byte order
+	 */
+	public setByteOrder(byteOrder: ByteOrder): void {
+		this.byteOrder = byteOrder;
+	}
+
+	/**
+	 * Convert geometries or well-known bytes to a GeoArrow column. Z and M
+	 * values are included when any geometry has them, NaN filling the
+	 * geometries without them. Well-known bytes are copied as is to the WKB
+	 * encoding.
+	 * @param values geometries or well-known bytes, null entries are null in the column
+	 * @param encoding encoding, determined from the geometry types when not provided
+	 * @return GeoArrow array
+	 */
+	public write(values: Array<Geometry | Uint8Array | ArrayBuffer>, encoding: GeoArrowEncoding = undefined): GeoArrowArray {
+		let geometries: Geometry[] = undefined;
+		if (encoding === undefined) {
+			geometries = values.map(value => GeoArrowConverter.toGeometry(value));
+			encoding = GeoArrowConverter.getEncoding(geometries);
+		}
+
+		let validity: Uint8Array = null;
+		if (values.some(value => value == null)) {
+			validity = new Uint8Array(Math.ceil(values.length / 8));
+			values.forEach((value, index) => {
+				if (value != null) {
+					validity[index >> 3] |= 1 << (index & 7);
+				}
+			});
+		}
+
+		let array: GeoArrowArray;
+		if (encoding === GeoArrowEncoding.WKB) {
+			array = this.writeWKB(values, validity);
+		} else {
+			if (geometries === undefined) {
+				geometries = values.map(value => GeoArrowConverter.toGeometry(value));
+			}
+			array = this.writeNative(geometries, encoding, validity);
+		}
+		return array;
+	}
+
+	/**
+	 * Convert a GeoArrow column to geometries
+	 * @param array GeoArrow array
+	 * @return geometries, null for null entries
+	 */
+	public read(array: GeoArrowArray): Geometry[] {
+		const geometries: Geometry[] = [];
+		for (let i = 0; i < array.length; i++) {
+			let geometry: Geometry = null;
+			if (array.isValid(i)) {
+				if (array.encoding === GeoArrowEncoding.WKB) {
+					geometry = GeometryReader.readGeometry(GeoArrowConverter.getBytes(array, i));
+				} else {
+					geometry = this.readNative(array, i);
+				}
+			}
+			geometries.push(geometry);
+		}
+		return geometries;
+	}
+
+	/**
+	 * Convert a GeoArrow column to well-known bytes. The bytes of a WKB
+	 * encoding are returned as stored, native geometries are written in the
+	 * byte order.
+	 * @param array GeoArrow array
+	 * @return well-known bytes, null for null entries
+	 */
+	public readWKB(array: GeoArrowArray): Uint8Array[] {
+		const bytes: Uint8Array[] = [];
+		for (let i = 0; i < array.length; i++) {
+			let geometryBytes: Uint8Array = null;
+			if (array.isValid(i)) {
+				if (array.encoding === GeoArrowEncoding.WKB) {
+					geometryBytes = GeoArrowConverter.getBytes(array, i).slice();
+				} else {
+					geometryBytes = GeometryWriter.writeGeometry(this.readNative(array, i), this.byteOrder);
+				}
+			}
+			bytes.push(geometryBytes);
+		}
+		return bytes;
+	}
+
+	/**
+	 * Get a geometry from a value
+	 * @param value geometry or well-known bytes
+	 * @return geometry
+	 */
+	private static toGeometry(value: Geometry | Uint8Array | ArrayBuffer): Geometry {
+		let geometry: Geometry = null;
+		if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+			geometry = GeometryReader.readGeometry(value);
+		} else if (value != null) {
+			geometry = value;
+		}
+		return geometry;
+	}
+
+	/**
+	 * Get the well-known bytes of a WKB encoding entry
+	 * @param array WKB encoding array
+	 * @param index entry index
+	 * @return well-known bytes view
+	 */
+	private static getBytes(array: GeoArrowArray, index: number): Uint8Array {
+		const offsets = array.offsets[0];
+		return array.data.subarray(offsets[index], offsets[index + 1]);
+	}
+
+	/**
+	 * Write the values to a WKB encoding
+	 * @param values geometries or well-known bytes
+	 * @param validity validity bitmap
+	 * @return GeoArrow array
+	 */
+	private writeWKB(values: Array<Geometry | Uint8Array | ArrayBuffer>, validity: Uint8Array): GeoArrowArray {
+		const bytes: Uint8Array[] = values.map(value => {
+			let geometryBytes: Uint8Array;
+			if (value == null) {
+				geometryBytes = new Uint8Array(0);
+			} else if (value instanceof Uint8Array) {
+				geometryBytes = value;
+			} else if (value instanceof ArrayBuffer) {
+				geometryBytes = new Uint8Array(value);
+			} else {
+				geometryBytes = GeometryWriter.writeGeometry(value, this.byteOrder);
+			}
+			return geometryBytes;
+		});
+
+		const offsets = new Int32Array(bytes.length + 1);
+		bytes.forEach((geometryBytes, index) => {
+			offsets[index + 1] = offsets[index] + geometryBytes.length;
+		});
+		const data = new Uint8Array(offsets[bytes.length]);
+		bytes.forEach((geometryBytes, index) => {
+			data.set(geometryBytes, offsets[index]);
+		});
+
+		return GeoArrowArray.createWKB(data, offsets, validity);
+	}
+
+	/**
+	 * Write the geometries to a native encoding
+	 * @param geometries geometries
+	 * @param encoding native encoding
+	 * @param validity validity bitmap
+	 * @return GeoArrow array
+	 */
+	private writeNative(geometries: Geometry[], encoding: GeoArrowEncoding, validity: Uint8Array): GeoArrowArray {
+		const hasZ = geometries.some(geometry => geometry != null && geometry.hasZ);
+		const hasM = geometries.some(geometry => geometry != null && geometry.hasM);
+		const columns = new NativeColumns(GeoArrowEncoding.getOffsetsDepth(encoding), hasZ, hasM);
+
+		for (const geometry of geometries) {
+			if (geometry != null) {
+				const geometryEncoding = GeoArrowConverter.getNativeEncoding(geometry.geometryType);
+				if (geometryEncoding !== encoding && GeoArrowConverter.getMultiEncoding(geometryEncoding) !== encoding) {
+					throw new SFException("Geometry Type: " + GeometryType.nameFromType(geometry.geometryType)
+						+ " is not supported by the " + GeoArrowEncoding.getExtensionName(encoding) + " encoding");
+				}
+			}
+			switch (encoding) {
+				case GeoArrowEncoding.POINT:
+					columns.addPoint(geometry as Point);
+					break;
+				case GeoArrowEncoding.LINESTRING:
+					if (geometry != null) {
+						columns.addPoints((geometry as LineString).points);
+					}
+					columns.end(0);
+					break;
+				case GeoArrowEncoding.POLYGON:
+					if (geometry != null) {
+						GeoArrowConverter.addPolygon(columns, geometry as Polygon, 1);
+					}
+					columns.end(0);
+					break;
+				case GeoArrowEncoding.MULTIPOINT:
+					if (geometry instanceof MultiPoint) {
+						columns.addPoints(geometry.points);
+					} else if (geometry != null) {
+						columns.addPoint(geometry as Point);
+					}
+					columns.end(0);
+					break;
+				case GeoArrowEncoding.MULTILINESTRING: {
+					const lineStrings = geometry instanceof MultiLineString ? geometry.lineStrings
+						: geometry != null ? [geometry as LineString] : [];
+					for (const lineString of lineStrings) {
+						columns.addPoints(lineString.points);
+						columns.end(1);
+					}
+					columns.end(0);
+					break;
+				}
+				case GeoArrowEncoding.MULTIPOLYGON: {
+					const polygons = geometry instanceof MultiPolygon ? geometry.polygons
+						: geometry != null ? [geometry as Polygon] : [];
+					for (const polygon of polygons) {
+						GeoArrowConverter.addPolygon(columns, polygon, 2);
+						columns.end(1);
+					}
+					columns.end(0);
+					break;
+				}
+			}
+		}
+
+		let coordinates: Float64Array[];
+		if (this.coordinateLayout === GeoArrowCoordinateLayout.INTERLEAVED) {
+			const dimensions = columns.values.length;
+			const numPoints = columns.values[0].length;
+			const interleaved = new Float64Array(numPoints * dimensions);
+			for (let dimension = 0; dimension < dimensions; dimension++) {
+				const values = columns.values[dimension];
+				for (let i = 0; i < numPoints; i++) {
+					interleaved[i * dimensions + dimension] = values[i];
+				}
+			}
+			coordinates = [interleaved];
+		} else {
+			coordinates = columns.values.map(values => Float64Array.from(values));
+		}
+		const offsets = columns.offsets.map(levelOffsets => Int32Array.from(levelOffsets));
+
+		return GeoArrowArray.createNative(encoding, geometries.length, hasZ, hasM, this.coordinateLayout,
+			coordinates, offsets, validity);
+	}
+
+	/**
+	 * Add the polygon rings to the columns
+	 * @param columns native columns
+	 * @param polygon polygon
+	 * @param ringLevel offset level of the rings
+	 */
+	private static addPolygon(columns: NativeColumns, polygon: Polygon, ringLevel: number): void {
+		for (const ring of polygon.rings) {
+			columns.addPoints(ring.points);
+			columns.end(ringLevel);
+		}
+	}
+
+	/**
+	 * Read a geometry from a native encoding
+	 * @param array native encoding array
+	 * @param index geometry index
+	 * @return geometry
+	 */
+	private readNative(array: GeoArrowArray, index: number): Geometry {
+		const offsets = array.offsets;
+		let geometry: Geometry;
+		switch (array.encoding) {
+			case GeoArrowEncoding.POINT:
+				geometry = GeoArrowConverter.readPoint(array, index);
+				break;
+			case GeoArrowEncoding.LINESTRING:
+				geometry = GeoArrowConverter.readLineString(array, offsets[0][index], offsets[0][index + 1]);
+				break;
+			case GeoArrowEncoding.POLYGON:
+				geometry = GeoArrowConverter.readPolygon(array, 1, offsets[0][index], offsets[0][index + 1]);
+				break;
+			case GeoArrowEncoding.MULTIPOINT: {
+				const multiPoint = new MultiPoint(array.hasZ, array.hasM);
+				for (let point = offsets[0][index]; point < offsets[0][index + 1]; point++) {
+					multiPoint.addPoint(GeoArrowConverter.readPoint(array, point));
+				}
+				geometry = multiPoint;
+				break;
+			}
+			case GeoArrowEncoding.MULTILINESTRING: {
+				const multiLineString = new MultiLineString(array.hasZ, array.hasM);
+				for (let lineString = offsets[0][index]; lineString < offsets[0][index + 1]; lineString++) {
+					multiLineString.addLineString(GeoArrowConverter.readLineString(array,
+						offsets[1][lineString], offsets[1][lineString + 1]));
+				}
+				geometry = multiLineString;
+				break;
+			}
+			case GeoArrowEncoding.MULTIPOLYGON: {
+				const multiPolygon = new MultiPolygon(array.hasZ, array.hasM);
+				for (let polygon = offsets[0][index]; polygon < offsets[0][index + 1]; polygon++) {
+					multiPolygon.addPolygon(GeoArrowConverter.readPolygon(array, 2,
+						offsets[1][polygon], offsets[1][polygon + 1]));
+				}
+				geometry = multiPolygon;
+				break;
+			}
+			default:
+				throw new SFException("Unexpected native encoding: " + GeoArrowEncoding.getExtensionName(array.encoding));
+		}
+		return geometry;
+	}
+
+	/**
+	 * Read a point from the coordinates
+	 * @param array native encoding array
+	 * @param index point index
+	 * @return point
+	 */
+	private static readPoint(array: GeoArrowArray, index: number): Point {
+		const coordinates = array.coordinates;
+		const value = array.coordinateLayout === GeoArrowCoordinateLayout.INTERLEAVED
+			? (dimension: number) => coordinates[0][index * array.dimensions + dimension]
+			: (dimension: number) => coordinates[dimension][index];
+		let dimension = 0;
+		const point = new Point(array.hasZ, array.hasM, value(dimension++), value(dimension++));
+		if (array.hasZ) {
+			point.z = value(dimension++);
+		}
+		if (array.hasM) {
+			point.m = value(dimension++);
+		}
+		return point;
+	}
+
+	/**
+	 * Read a line string from a range of points
+	 * @param array native encoding array
+	 * @param start first point
+	 * @param end point after the last point
+	 * @return line string
+	 */
+	private static readLineString(array: GeoArrowArray, start: number, end: number): LineString {
+		const lineString = new LineString(array.hasZ, array.hasM);
+		for (let point = start; point < end; point++) {
+			lineString.addPoint(GeoArrowConverter.readPoint(array, point));
+		}
+		return lineString;
+	}
+
+	/**
+	 * Read a polygon from a range of rings
+	 * @param array native encoding array
+	 * @param ringLevel offset level of the rings
+	 * @param start first ring
+	 * @param end ring after the last ring
+	 * @return polygon
+	 */
+	private static readPolygon(array: GeoArrowArray, ringLevel: number, start: number, end: number): Polygon {
+		const ringOffsets = array.offsets[ringLevel];
+		const polygon = new Polygon(array.hasZ, array.hasM);
+		for (let ring = start; ring < end; ring++) {
+			polygon.addRing(GeoArrowConverter.readLineString(array, ringOffsets[ring], ringOffsets[ring + 1]));
+		}
+		return polygon;
+	}
+
+}
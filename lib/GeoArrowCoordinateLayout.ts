@@ -0,0 +1,17 @@
+/**
+ * GeoArrow coordinate layout
+ */
+export enum GeoArrowCoordinateLayout {
+
+	/**
+	 * Struct of one coordinate array per dimension: x, y, then z and m when
+	 * present
+	 */
+	SEPARATED,
+
+	/**
+	 * Fixed size list of a single array of x, y, z and m values per point
+	 */
+	INTERLEAVED
+
+}
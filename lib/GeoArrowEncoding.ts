@@ -0,0 +1,53 @@
+/**
+ * GeoArrow geometry column encoding, a native nested layout or WKB
+ */
+export enum GeoArrowEncoding {
+	POINT,
+	LINESTRING,
+	POLYGON,
+	MULTIPOINT,
+	MULTILINESTRING,
+	MULTIPOLYGON,
+	WKB
+}
+
+export namespace GeoArrowEncoding {
+
+	/**
+	 * Get the Arrow extension type name of the encoding
+	 * @param encoding encoding
+	 * @return extension name, such as "geoarrow.multipolygon"
+	 */
+	export function getExtensionName(encoding: GeoArrowEncoding): string {
+		return "geoarrow." + GeoArrowEncoding[encoding].toLowerCase();
+	}
+
+	/**
+	 * Get the number of nested offset arrays of the encoding, from the
+	 * geometry offsets inward
+	 * @param encoding encoding
+	 * @return number of offset arrays
+	 */
+	export function getOffsetsDepth(encoding: GeoArrowEncoding): number {
+		let depth: number;
+		switch (encoding) {
+			case GeoArrowEncoding.POINT:
+				depth = 0;
+				break;
+			case GeoArrowEncoding.LINESTRING:
+			case GeoArrowEncoding.MULTIPOINT:
+			case GeoArrowEncoding.WKB:
+				depth = 1;
+				break;
+			case GeoArrowEncoding.POLYGON:
+			case GeoArrowEncoding.MULTILINESTRING:
+				depth = 2;
+				break;
+			case GeoArrowEncoding.MULTIPOLYGON:
+				depth = 3;
+				break;
+		}
+		return depth;
+	}
+
+}
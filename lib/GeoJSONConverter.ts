@@ -0,0 +1,469 @@
+import {
+	CurveLinearizer,
+	Geometry,
+	GeometryCollection,
+	GeometryType,
+	LineString,
+	MultiLineString,
+	MultiPoint,
+	MultiPolygon,
+	Point,
+	Polygon,
+	PolyhedralSurface,
+	SFException
+} from "./sf/internal";
+import { GeoJSONCurvePolicy } from "./GeoJSONCurvePolicy";
+import { GeoJSONFeature } from "./GeoJSONFeature";
+
+/**
+ * GeoJSON (RFC 7946) converter between geometries and GeoJSON geometry,
+ * Feature and FeatureCollection objects
+ */
+export class GeoJSONConverter {
+
+	/**
+	 * Convert a geometry to a GeoJSON geometry object
+	 * @param geometry geometry
+	 * @return GeoJSON geometry object
+	 */
+	public static writeGeometry(geometry: Geometry): any {
+		const converter = new GeoJSONConverter();
+		return converter.write(geometry);
+	}
+
+	/**
+	 * Convert a GeoJSON geometry object or JSON string to a geometry
+	 * @param geoJSON GeoJSON geometry object or JSON string
+	 * @return geometry
+	 */
+	public static readGeometry(geoJSON: any): Geometry {
+		const converter = new GeoJSONConverter();
+		return converter.read(geoJSON);
+	}
+
+	/**
+	 * Curve policy
+	 */
+	private curvePolicy: GeoJSONCurvePolicy = GeoJSONCurvePolicy.LINEARIZE;
+
+	/**
+	 * Carry M values as the fourth position value
+	 */
+	private includeM: boolean = false;
+
+	/**
+	 * Curve linearizer
+	 */
+	private readonly linearizer: CurveLinearizer = new CurveLinearizer();
+
+	/**
+	 * Get the curve policy
+	 * @return curve policy
+	 */
+	public getCurvePolicy(): GeoJSONCurvePolicy {
+		return this.curvePolicy;
+	}
+
+	/**
+	 * Set the curve policy for circular strings, compound curves, curve
+	 * polygons, multi curves and multi surfaces
+	 * @param curvePolicy curve policy
+	 */
+	public setCurvePolicy(curvePolicy: GeoJSONCurvePolicy): void {
+		this.curvePolicy = curvePolicy;
+	}
+
+	/**
+	 * Are M values carried
+	 * @return true if carried
+	 */
+	public isIncludeM(): boolean {
+		return this.includeM;
+	}
+
+	/**
+	 * Set if M values are carried as the fourth position value. Positions
+	 * with M and without Z are written as [x, y, null, m].
+	 * @param includeM true to carry M values
+	 */
+	public setIncludeM(includeM: boolean): void {
+		this.includeM = includeM;
+	}
+
+	/**
+	 * Get the curve linearizer used by the linearize curve policy
+	 * @return curve linearizer
+	 */
+	public getLinearizer(): CurveLinearizer {
+		return this.linearizer;
+	}
+
+	/**
+	 * Convert a geometry to a GeoJSON geometry object
+	 * @param geometry geometry
+	 * @return GeoJSON geometry object
+	 */
+	public write(geometry: Geometry): any {
+
+		let geoJSON: any;
+
+		const geometryType = geometry.geometryType;
+
+		switch (geometryType) {
+			case GeometryType.POINT:
+				geoJSON = { type: "Point", coordinates: this.writePoint(geometry as Point) };
+				break;
+			case GeometryType.LINESTRING:
+				geoJSON = { type: "LineString", coordinates: this.writeLineString(geometry as LineString) };
+				break;
+			case GeometryType.POLYGON:
+			case GeometryType.TRIANGLE:
+				geoJSON = { type: "Polygon", coordinates: this.writePolygon(geometry as Polygon) };
+				break;
+			case GeometryType.MULTIPOINT:
+				geoJSON = {
+					type: "MultiPoint",
+					coordinates: (geometry as MultiPoint).points.map(point => this.writePoint(point))
+				};
+				break;
+			case GeometryType.MULTILINESTRING:
+				geoJSON = {
+					type: "MultiLineString",
+					coordinates: (geometry as MultiLineString).lineStrings.map(lineString => this.writeLineString(lineString))
+				};
+				break;
+			case GeometryType.MULTIPOLYGON:
+				geoJSON = {
+					type: "MultiPolygon",
+					coordinates: (geometry as MultiPolygon).polygons.map(polygon => this.writePolygon(polygon))
+				};
+				break;
+			case GeometryType.POLYHEDRALSURFACE:
+			case GeometryType.TIN:
+				geoJSON = {
+					type: "MultiPolygon",
+					coordinates: (geometry as PolyhedralSurface).polygons.map(polygon => this.writePolygon(polygon))
+				};
+				break;
+			case GeometryType.GEOMETRYCOLLECTION:
+				geoJSON = {
+					type: "GeometryCollection",
+					geometries: (geometry as GeometryCollection<Geometry>).geometries.map(subGeometry => this.write(subGeometry))
+				};
+				break;
+			case GeometryType.CIRCULARSTRING:
+			case GeometryType.COMPOUNDCURVE:
+			case GeometryType.CURVEPOLYGON:
+			case GeometryType.MULTICURVE:
+			case GeometryType.MULTISURFACE:
+				if (this.curvePolicy === GeoJSONCurvePolicy.REJECT) {
+					throw new SFException("GeoJSON does not support curve Geometry Type: " + GeometryType.nameFromType(geometryType));
+				}
+				geoJSON = this.write(this.linearizer.linearize(geometry));
+				break;
+			default:
+				throw new SFException("GeoJSON does not support Geometry Type: " + GeometryType.nameFromType(geometryType));
+		}
+
+		return geoJSON;
+	}
+
+	/**
+	 * Convert a feature to a GeoJSON Feature object
+	 * @param feature feature
+	 * @return GeoJSON Feature object
+	 */
+	public writeFeature(feature: GeoJSONFeature): any {
+		const geoJSON: any = { type: "Feature" };
+		if (feature.id !== undefined) {
+			geoJSON.id = feature.id;
+		}
+		geoJSON.geometry = feature.geometry != null ? this.write(feature.geometry) : null;
+		geoJSON.properties = feature.properties != null ? feature.properties : null;
+		return geoJSON;
+	}
+
+	/**
+	 * Convert features to a GeoJSON FeatureCollection object
+	 * @param features features
+	 * @return GeoJSON FeatureCollection object
+	 */
+	public writeFeatureCollection(features: GeoJSONFeature[]): any {
+		return {
+			type: "FeatureCollection",
+			features: features.map(feature => this.writeFeature(feature))
+		};
+	}
+
+	/**
+	 * Get the point position, an empty array for an empty point
+	 * @param point point
+	 * @return position
+	 */
+	private writePoint(point: Point): number[] {
+		let position: number[];
+		if (point.isEmpty()) {
+			position = [];
+		} else {
+			position = [point.x, point.y];
+			const hasM = this.includeM && point.hasM;
+			if (point.hasZ) {
+				position.push(point.z);
+			} else if (hasM) {
+				position.push(null);
+			}
+			if (hasM) {
+				position.push(point.m);
+			}
+		}
+		return position;
+	}
+
+	/**
+	 * Get the line string positions
+	 * @param lineString line string
+	 * @return positions
+	 */
+	private writeLineString(lineString: LineString): number[][] {
+		return lineString.points.map(point => this.writePoint(point));
+	}
+
+	/**
+	 * Get the polygon ring positions
+	 * @param polygon polygon
+	 * @return ring positions
+	 */
+	private writePolygon(polygon: Polygon): number[][][] {
+		return polygon.rings.map(ring => this.writeLineString(ring));
+	}
+
+	/**
+	 * Convert a GeoJSON geometry object or JSON string to a geometry
+	 * @param geoJSON GeoJSON geometry object or JSON string
+	 * @return geometry
+	 */
+	public read(geoJSON: any): Geometry {
+
+		geoJSON = GeoJSONConverter.parse(geoJSON);
+
+		let geometry: Geometry;
+
+		const type = geoJSON.type;
+
+		switch (type) {
+			case "Point":
+				geometry = this.readPoint(GeoJSONConverter.getCoordinates(geoJSON, 1));
+				break;
+			case "LineString":
+				geometry = this.readLineString(GeoJSONConverter.getCoordinates(geoJSON, 2));
+				break;
+			case "Polygon":
+				geometry = this.readPolygon(GeoJSONConverter.getCoordinates(geoJSON, 3));
+				break;
+			case "MultiPoint": {
+				const points = GeoJSONConverter.getCoordinates(geoJSON, 2).map(position => this.readPoint(position));
+				const multiPoint = new MultiPoint(GeoJSONConverter.hasZ(points), GeoJSONConverter.hasM(points));
+				multiPoint.addPoints(points);
+				geometry = multiPoint;
+				break;
+			}
+			case "MultiLineString": {
+				const lineStrings = GeoJSONConverter.getCoordinates(geoJSON, 3).map(positions => this.readLineString(positions));
+				const multiLineString = new MultiLineString(GeoJSONConverter.hasZ(lineStrings), GeoJSONConverter.hasM(lineStrings));
+				multiLineString.addLineStrings(lineStrings);
+				geometry = multiLineString;
+				break;
+			}
+			case "MultiPolygon": {
+				const polygons = GeoJSONConverter.getCoordinates(geoJSON, 4).map(rings => this.readPolygon(rings));
+				const multiPolygon = new MultiPolygon(GeoJSONConverter.hasZ(polygons), GeoJSONConverter.hasM(polygons));
+				multiPolygon.addPolygons(polygons);
+				geometry = multiPolygon;
+				break;
+			}
+			case "GeometryCollection": {
+				if (!Array.isArray(geoJSON.geometries)) {
+					throw new SFException("GeoJSON GeometryCollection geometries is not an array");
+				}
+				const geometries = geoJSON.geometries.map(subGeometry => this.read(subGeometry));
+				const geometryCollection = new GeometryCollection<Geometry>(GeoJSONConverter.hasZ(geometries), GeoJSONConverter.hasM(geometries));
+				geometryCollection.addGeometries(geometries);
+				geometry = geometryCollection;
+				break;
+			}
+			default:
+				throw new SFException("Unsupported GeoJSON geometry type: " + type);
+		}
+
+		return geometry;
+	}
+
+	/**
+	 * Convert a GeoJSON Feature object or JSON string to a feature
+	 * @param geoJSON GeoJSON Feature object or JSON string
+	 * @return feature
+	 */
+	public readFeature(geoJSON: any): GeoJSONFeature {
+		geoJSON = GeoJSONConverter.parse(geoJSON);
+		if (geoJSON.type !== "Feature") {
+			throw new SFException("Unexpected GeoJSON type: " + geoJSON.type + ", Expected: Feature");
+		}
+		const geometry = geoJSON.geometry != null ? this.read(geoJSON.geometry) : null;
+		const properties = geoJSON.properties != null ? geoJSON.properties : null;
+		return new GeoJSONFeature(geometry, properties, geoJSON.id);
+	}
+
+	/**
+	 * Convert a GeoJSON FeatureCollection object or JSON string to features
+	 * @param geoJSON GeoJSON FeatureCollection object or JSON string
+	 * @return features
+	 */
+	public readFeatureCollection(geoJSON: any): GeoJSONFeature[] {
+		geoJSON = GeoJSONConverter.parse(geoJSON);
+		if (geoJSON.type !== "FeatureCollection") {
+			throw new SFException("Unexpected GeoJSON type: " + geoJSON.type + ", Expected: FeatureCollection");
+		}
+		if (!Array.isArray(geoJSON.features)) {
+			throw new SFException("GeoJSON FeatureCollection features is not an array");
+		}
+		return geoJSON.features.map(feature => this.readFeature(feature));
+	}
+
+	/**
+	 * Read a point from a position, an empty position is an empty point
+	 * @param position position
+	 * @return point
+	 */
+	private readPoint(position: number[]): Point {
+		GeoJSONConverter.validatePosition(position);
+		let point: Point;
+		if (position.length === 0) {
+			point = Point.createEmpty();
+		} else {
+			const z = position.length > 2 ? position[2] : null;
+			const m = this.includeM && position.length > 3 ? position[3] : null;
+			const hasZ = z != null;
+			const hasM = m != null;
+			point = new Point(hasZ, hasM, position[0], position[1]);
+			if (hasZ) {
+				point.z = z;
+			}
+			if (hasM) {
+				point.m = m;
+			}
+		}
+		return point;
+	}
+
+	/**
+	 * Read a line string from positions
+	 * @param positions positions
+	 * @return line string
+	 */
+	private readLineString(positions: number[][]): LineString {
+		const points = positions.map(position => this.readPoint(position));
+		const lineString = new LineString(GeoJSONConverter.hasZ(points), GeoJSONConverter.hasM(points));
+		lineString.addPoints(points);
+		return lineString;
+	}
+
+	/**
+	 * Read a polygon from ring positions
+	 * @param rings ring positions
+	 * @return polygon
+	 */
+	private readPolygon(rings: number[][][]): Polygon {
+		const lineStrings = rings.map(positions => this.readLineString(positions));
+		const polygon = new Polygon(GeoJSONConverter.hasZ(lineStrings), GeoJSONConverter.hasM(lineStrings));
+		polygon.addRings(lineStrings);
+		return polygon;
+	}
+
+	/**
+	 * Parse a JSON string, or return the object as is
+	 * @param geoJSON GeoJSON object or JSON string
+	 * @return GeoJSON object
+	 */
+	private static parse(geoJSON: any): any {
+		if (typeof geoJSON === "string") {
+			geoJSON = JSON.parse(geoJSON);
+		}
+		if (geoJSON == null || typeof geoJSON !== "object") {
+			throw new SFException("GeoJSON is not an object: " + geoJSON);
+		}
+		return geoJSON;
+	}
+
+	/**
+	 * Get the coordinates, validating the array nesting depth
+	 * @param geoJSON GeoJSON geometry object
+	 * @param depth expected array depth
+	 * @return coordinates
+	 */
+	private static getCoordinates(geoJSON: any, depth: number): any[] {
+		const coordinates = geoJSON.coordinates;
+		let value = coordinates;
+		for (let i = 0; i < depth - 1 && Array.isArray(value) && value.length > 0; i++) {
+			value = value[0];
+		}
+		if (!Array.isArray(value)) {
+			throw new SFException("Invalid GeoJSON " + geoJSON.type + " coordinates: " + JSON.stringify(coordinates));
+		}
+		return coordinates;
+	}
+
+	/**
+	 * Validate a position of two or more numbers, or empty
+	 * @param position position
+	 */
+	private static validatePosition(position: any): void {
+		if (!Array.isArray(position) || position.length === 1 || (position.length > 0
+			&& (typeof position[0] !== "number" || typeof position[1] !== "number"))) {
+			throw new SFException("Invalid GeoJSON position: " + JSON.stringify(position));
+		}
+	}
+
+	/**
+	 * Determine if the geometries have z values, which must be consistent
+	 * @param geometries geometries
+	 * @return true if has z
+	 */
+	private static hasZ(geometries: Geometry[]): boolean {
+		GeoJSONConverter.validateDimensions(geometries);
+		return geometries.length > 0 && geometries[0].hasZ;
+	}
+
+	/**
+	 * Determine if the geometries have m values, which must be consistent
+	 * @param geometries geometries
+	 * @return true if has m
+	 */
+	private static hasM(geometries: Geometry[]): boolean {
+		GeoJSONConverter.validateDimensions(geometries);
+		return geometries.length > 0 && geometries[0].hasM;
+	}
+
+	/**
+	 * Validate the geometries have the same dimensions, as positions of mixed
+	 * dimensions can not be written as well-known binary
+	 * @param geometries geometries
+	 */
+	private static validateDimensions(geometries: Geometry[]): void {
+		for (const geometry of geometries) {
+			if (geometry.hasZ !== geometries[0].hasZ || geometry.hasM !== geometries[0].hasM) {
+				throw new SFException("Mixed GeoJSON position dimensions. Expected: " + GeoJSONConverter.describeDimensions(geometries[0])
+					+ ", Actual: " + GeoJSONConverter.describeDimensions(geometry));
+			}
+		}
+	}
+
+	/**
+	 * Describe the dimensions of a geometry
+	 * @param geometry geometry
+	 * @return dimensions, such as "XYZ"
+	 */
+	private static describeDimensions(geometry: Geometry): string {
+		return "XY" + (geometry.hasZ ? "Z" : "") + (geometry.hasM ? "M" : "");
+	}
+
+}
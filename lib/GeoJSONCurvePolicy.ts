@@ -0,0 +1,16 @@
+/**
+ * GeoJSON policy for curve geometries, which GeoJSON can not represent
+ */
+export enum GeoJSONCurvePolicy {
+
+	/**
+	 * Linearize curves into line strings and polygons
+	 */
+	LINEARIZE,
+
+	/**
+	 * Reject curves by throwing an exception
+	 */
+	REJECT
+
+}
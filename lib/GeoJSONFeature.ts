@@ -0,0 +1,63 @@
+import { Geometry } from "./sf/internal";
+
+/**
+ * GeoJSON Feature of a geometry, properties and optional id
+ */
+export class GeoJSONFeature {
+
+	/**
+	 * Geometry
+	 */
+	private readonly _geometry: Geometry;
+
+	/**
+	 * Properties
+	 */
+	private readonly _properties: { [key: string]: any };
+
+	/**
+	 * Id
+	 */
+	private readonly _id: string | number;
+
+	/**
+	 * Constructor
+	 *
+	 * @param geometry geometry, null for an unlocated feature
+	 * @param properties properties
+	 * @param id id, undefined when not present
+	 */
+	public constructor(geometry: Geometry, properties: { [key: string]: any } = null, id: string | number = undefined) {
+		this._geometry = geometry;
+		this._properties = properties;
+		this._id = id;
+	}
+
+	/**
+	 * Get the geometry
+	 *
+	 * @return geometry or null
+	 */
+	public get geometry(): Geometry {
+		return this._geometry;
+	}
+
+	/**
+	 * Get the properties
+	 *
+	 * @return properties or null
+	 */
+	public get properties(): { [key: string]: any } {
+		return this._properties;
+	}
+
+	/**
+	 * Get the id
+	 *
+	 * @return id or undefined when not present
+	 */
+	public get id(): string | number {
+		return this._id;
+	}
+
+}
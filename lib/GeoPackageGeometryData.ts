@@ -0,0 +1,296 @@
+import {
+	Geometry,
+	GeometryEnvelope,
+	GeometryEnvelopeBuilder,
+	GeometryFilter,
+	SFException
+} from "./sf/internal";
+import { ByteReader } from "./ByteReader";
+import { ByteWriter } from "./ByteWriter";
+import { ByteOrder } from "./ByteOrder";
+import { GeometryReader } from "./GeometryReader";
+import { GeometryWriter } from "./GeometryWriter";
+import { GeoPackageGeometryHeader } from "./GeoPackageGeometryHeader";
+
+/**
+ * GeoPackage geometry blob reader and writer, a "GP" header followed by the
+ * Well Known Binary geometry
+ */
+export class GeoPackageGeometryData {
+
+	/**
+	 * Header magic number, "GP"
+	 */
+	public static readonly MAGIC = "GP";
+
+	/**
+	 * Version 1 of the GeoPackage binary
+	 */
+	public static readonly VERSION = 0;
+
+	/**
+	 * Header
+	 */
+	private readonly _header: GeoPackageGeometryHeader;
+
+	/**
+	 * Geometry
+	 */
+	private readonly _geometry: Geometry;
+
+	/**
+	 * Constructor
+	 *
+	 * @param header header
+	 * @param geometry geometry
+	 */
+	public constructor(header: GeoPackageGeometryHeader, geometry: Geometry) {
+		this._header = header;
+		this._geometry = geometry;
+	}
+
+	/**
+	 * Get the header
+	 *
+	 * @return header
+	 */
+	public get header(): GeoPackageGeometryHeader {
+		return this._header;
+	}
+
+	/**
+	 * Get the geometry
+	 *
+	 * @return geometry
+	 */
+	public get geometry(): Geometry {
+		return this._geometry;
+	}
+
+	/**
+	 * Get the spatial reference system id
+	 *
+	 * @return srs id
+	 */
+	public get srsId(): number {
+		return this._header.srsId;
+	}
+
+	/**
+	 * Get the header envelope
+	 *
+	 * @return envelope or null when not present
+	 */
+	public get envelope(): GeometryEnvelope {
+		return this._header.envelope;
+	}
+
+	/**
+	 * Read the GeoPackage geometry header without reading the geometry
+	 *
+	 * @param buffer GeoPackage geometry bytes
+	 * @return header
+	 */
+	public static readHeader(buffer: Uint8Array | ArrayBuffer): GeoPackageGeometryHeader {
+		return GeoPackageGeometryData.readHeaderWithByteReader(new ByteReader(buffer));
+	}
+
+	/**
+	 * Read the GeoPackage geometry header from the byte reader, leaving the
+	 * reader positioned at the start of the WKB
+	 *
+	 * @param reader byte reader
+	 * @return header
+	 */
+	public static readHeaderWithByteReader(reader: ByteReader): GeoPackageGeometryHeader {
+		const magic = String.fromCharCode(reader.readByte(), reader.readByte());
+		if (magic !== GeoPackageGeometryData.MAGIC) {
+			throw new SFException("Unexpected GeoPackage Geometry magic number: " + magic + ", Expected: " + GeoPackageGeometryData.MAGIC);
+		}
+
+		const version = reader.readByte();
+		if (version !== GeoPackageGeometryData.VERSION) {
+			throw new SFException("Unexpected GeoPackage Geometry version: " + version + ", Expected: " + GeoPackageGeometryData.VERSION);
+		}
+
+		// Flags: reserved (bits 7-6), extended (bit 5), empty (bit 4),
+		// envelope contents indicator (bits 3-1), byte order (bit 0)
+		const flags = reader.readByte();
+		const extended = (flags & 0x20) !== 0;
+		const empty = (flags & 0x10) !== 0;
+		const envelopeIndicator = (flags & 0x0E) >> 1;
+		const byteOrder = (flags & 0x01) === 0 ? ByteOrder.BIG_ENDIAN : ByteOrder.LITTLE_ENDIAN;
+
+		const envelopeLength = GeoPackageGeometryHeader.getEnvelopeLength(envelopeIndicator);
+		if (envelopeLength < 0) {
+			throw new SFException("Unexpected GeoPackage Geometry envelope contents indicator code: " + envelopeIndicator);
+		}
+
+		reader.setByteOrder(byteOrder);
+
+		const srsId = reader.readInt32();
+
+		let envelope: GeometryEnvelope = null;
+		if (envelopeIndicator > 0) {
+			envelope = new GeometryEnvelope(envelopeIndicator === 2 || envelopeIndicator === 4,
+				envelopeIndicator === 3 || envelopeIndicator === 4);
+			envelope.minX = reader.readDouble();
+			envelope.maxX = reader.readDouble();
+			envelope.minY = reader.readDouble();
+			envelope.maxY = reader.readDouble();
+			if (envelope.hasZ) {
+				envelope.minZ = reader.readDouble();
+				envelope.maxZ = reader.readDouble();
+			}
+			if (envelope.hasM) {
+				envelope.minM = reader.readDouble();
+				envelope.maxM = reader.readDouble();
+			}
+		}
+
+		// Extended GeoPackage binaries identify the extension after the envelope
+		let extensionCode: string = null;
+		if (extended) {
+			extensionCode = "";
+			for (let i = 0; i < GeoPackageGeometryHeader.EXTENSION_CODE_LENGTH; i++) {
+				extensionCode += String.fromCharCode(reader.readByte());
+			}
+		}
+
+		return new GeoPackageGeometryHeader(version, byteOrder, extended, empty, envelopeIndicator, srsId, envelope,
+			extensionCode);
+	}
+
+	/**
+	 * Read the GeoPackage geometry header and geometry
+	 *
+	 * @param buffer GeoPackage geometry bytes
+	 * @param filter geometry filter
+	 * @return GeoPackage geometry data
+	 */
+	public static readGeometryData(buffer: Uint8Array | ArrayBuffer, filter: GeometryFilter = undefined): GeoPackageGeometryData {
+		const reader = new ByteReader(buffer);
+		const header = GeoPackageGeometryData.readHeaderWithByteReader(reader);
+		const geometry = GeometryReader.readGeometryWithByteReader(reader, filter);
+		return new GeoPackageGeometryData(header, geometry);
+	}
+
+	/**
+	 * Read the geometry from GeoPackage geometry bytes, skipping the header
+	 *
+	 * @param buffer GeoPackage geometry bytes
+	 * @param filter geometry filter
+	 * @return geometry
+	 */
+	public static readGeometry(buffer: Uint8Array | ArrayBuffer, filter: GeometryFilter = undefined): Geometry {
+		return GeoPackageGeometryData.readGeometryData(buffer, filter).geometry;
+	}
+
+	/**
+	 * Write a geometry to GeoPackage geometry bytes. The envelope is built
+	 * from the geometry and written with the z and m values the geometry
+	 * has, unless an envelope contents indicator code is provided. The
+	 * extended GeoPackage binary flag is only set when an extension code is
+	 * provided, as all simple feature geometry types are standard GeoPackage
+	 * geometry types.
+	 *
+	 * @param geometry geometry
+	 * @param srsId spatial reference system id
+	 * @param byteOrder byte order of the header and WKB
+	 * @param envelopeIndicator envelope contents indicator code, 0 for no
+	 *            envelope, 1 for xy, 2 for xyz, 3 for xym, 4 for xyzm
+	 * @param extensionCode four character extension code of an extended
+	 *            GeoPackage binary
+	 * @return GeoPackage geometry bytes
+	 */
+	public static writeGeometry(geometry: Geometry, srsId: number, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN,
+		envelopeIndicator: number = undefined, extensionCode: string = undefined): Uint8Array {
+
+		const empty = geometry.isEmpty();
+		const envelope = empty ? null : GeometryEnvelopeBuilder.buildEnvelope(geometry);
+
+		if (envelopeIndicator == null) {
+			envelopeIndicator = GeoPackageGeometryData.getEnvelopeIndicator(envelope);
+		} else if (GeoPackageGeometryHeader.getEnvelopeLength(envelopeIndicator) < 0) {
+			throw new SFException("Unexpected GeoPackage Geometry envelope contents indicator code: " + envelopeIndicator);
+		} else if (envelopeIndicator > 0 && envelope == null) {
+			throw new SFException("Envelope contents indicator code " + envelopeIndicator + " requires a non empty geometry");
+		}
+
+		const extended = extensionCode != null;
+		if (extended && (extensionCode.length !== GeoPackageGeometryHeader.EXTENSION_CODE_LENGTH
+			|| [...extensionCode].some(character => character.charCodeAt(0) > 0xFF))) {
+			throw new SFException("GeoPackage Geometry extension code must be " + GeoPackageGeometryHeader.EXTENSION_CODE_LENGTH
+				+ " single byte characters: " + extensionCode);
+		}
+
+		const writer = new ByteWriter(GeoPackageGeometryHeader.getByteLength(envelopeIndicator, extended)
+			+ GeometryWriter.getGeometryByteLength(geometry), byteOrder);
+
+		writer.writeUInt8(GeoPackageGeometryData.MAGIC.charCodeAt(0));
+		writer.writeUInt8(GeoPackageGeometryData.MAGIC.charCodeAt(1));
+		writer.writeUInt8(GeoPackageGeometryData.VERSION);
+
+		let flags = envelopeIndicator << 1;
+		if (extended) {
+			flags |= 0x20;
+		}
+		if (empty) {
+			flags |= 0x10;
+		}
+		if (byteOrder === ByteOrder.LITTLE_ENDIAN) {
+			flags |= 0x01;
+		}
+		writer.writeUInt8(flags);
+
+		writer.writeInt32(srsId);
+
+		if (envelopeIndicator > 0) {
+			writer.writeDouble(envelope.minX);
+			writer.writeDouble(envelope.maxX);
+			writer.writeDouble(envelope.minY);
+			writer.writeDouble(envelope.maxY);
+			if (envelopeIndicator === 2 || envelopeIndicator === 4) {
+				writer.writeDouble(envelope.minZ != null ? envelope.minZ : NaN);
+				writer.writeDouble(envelope.maxZ != null ? envelope.maxZ : NaN);
+			}
+			if (envelopeIndicator === 3 || envelopeIndicator === 4) {
+				writer.writeDouble(envelope.minM != null ? envelope.minM : NaN);
+				writer.writeDouble(envelope.maxM != null ? envelope.maxM : NaN);
+			}
+		}
+
+		if (extended) {
+			for (let i = 0; i < extensionCode.length; i++) {
+				writer.writeUInt8(extensionCode.charCodeAt(i));
+			}
+		}
+
+		GeometryWriter.writeGeometryWithByteWriter(writer, geometry);
+
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Get the envelope contents indicator code for the envelope
+	 *
+	 * @param envelope envelope
+	 * @return envelope contents indicator code
+	 */
+	public static getEnvelopeIndicator(envelope: GeometryEnvelope): number {
+		let envelopeIndicator = 0;
+		if (envelope != null) {
+			if (envelope.hasZ && envelope.hasM) {
+				envelopeIndicator = 4;
+			} else if (envelope.hasZ) {
+				envelopeIndicator = 2;
+			} else if (envelope.hasM) {
+				envelopeIndicator = 3;
+			} else {
+				envelopeIndicator = 1;
+			}
+		}
+		return envelopeIndicator;
+	}
+
+}
@@ -0,0 +1,194 @@
+import { GeometryEnvelope } from "./sf/internal";
+import { ByteOrder } from "./ByteOrder";
+
+/**
+ * GeoPackage geometry blob header (the "GP" header preceding the WKB)
+ */
+export class GeoPackageGeometryHeader {
+
+	/**
+	 * Byte length of the extension code of an extended GeoPackage binary
+	 */
+	public static readonly EXTENSION_CODE_LENGTH = 4;
+
+	/**
+	 * Version
+	 */
+	private readonly _version: number;
+
+	/**
+	 * Byte order of the header values
+	 */
+	private readonly _byteOrder: ByteOrder;
+
+	/**
+	 * Extended GeoPackage binary type flag
+	 */
+	private readonly _extended: boolean;
+
+	/**
+	 * Empty geometry flag
+	 */
+	private readonly _empty: boolean;
+
+	/**
+	 * Envelope contents indicator code
+	 */
+	private readonly _envelopeIndicator: number;
+
+	/**
+	 * Spatial reference system id
+	 */
+	private readonly _srsId: number;
+
+	/**
+	 * Envelope, null when not present
+	 */
+	private readonly _envelope: GeometryEnvelope;
+
+	/**
+	 * Extension code of an extended GeoPackage binary, null when not extended
+	 */
+	private readonly _extensionCode: string;
+
+	/**
+	 * Constructor
+	 *
+	 * @param version version
+	 * @param byteOrder byte order of the header values
+	 * @param extended extended GeoPackage binary type
+	 * @param empty empty geometry
+	 * @param envelopeIndicator envelope contents indicator code
+	 * @param srsId spatial reference system id
+	 * @param envelope envelope
+	 * @param extensionCode extension code of an extended GeoPackage binary
+	 */
+	public constructor(version: number, byteOrder: ByteOrder, extended: boolean, empty: boolean,
+		envelopeIndicator: number, srsId: number, envelope: GeometryEnvelope = null, extensionCode: string = null) {
+		this._version = version;
+		this._byteOrder = byteOrder;
+		this._extended = extended;
+		this._empty = empty;
+		this._envelopeIndicator = envelopeIndicator;
+		this._srsId = srsId;
+		this._envelope = envelope;
+		this._extensionCode = extensionCode;
+	}
+
+	/**
+	 * Get the version
+	 *
+	 * @return version
+	 */
+	public get version(): number {
+		return this._version;
+	}
+
+	/**
+	 * Get the byte order of the header values
+	 *
+	 * @return byte order
+	 */
+	public get byteOrder(): ByteOrder {
+		return this._byteOrder;
+	}
+
+	/**
+	 * Is an extended GeoPackage binary type
+	 *
+	 * @return true if extended
+	 */
+	public get extended(): boolean {
+		return this._extended;
+	}
+
+	/**
+	 * Is the geometry empty
+	 *
+	 * @return true if empty
+	 */
+	public get empty(): boolean {
+		return this._empty;
+	}
+
+	/**
+	 * Get the envelope contents indicator code
+	 *
+	 * @return 0 for no envelope, 1 for xy, 2 for xyz, 3 for xym, 4 for xyzm
+	 */
+	public get envelopeIndicator(): number {
+		return this._envelopeIndicator;
+	}
+
+	/**
+	 * Get the spatial reference system id
+	 *
+	 * @return srs id
+	 */
+	public get srsId(): number {
+		return this._srsId;
+	}
+
+	/**
+	 * Get the envelope
+	 *
+	 * @return envelope or null when not present
+	 */
+	public get envelope(): GeometryEnvelope {
+		return this._envelope;
+	}
+
+	/**
+	 * Get the extension code of an extended GeoPackage binary
+	 *
+	 * @return four character extension code, or null when not extended
+	 */
+	public get extensionCode(): string {
+		return this._extensionCode;
+	}
+
+	/**
+	 * Get the byte length of the header, including the extension code of an
+	 * extended GeoPackage binary, which is the offset of the WKB
+	 *
+	 * @return byte length
+	 */
+	public get byteLength(): number {
+		return GeoPackageGeometryHeader.getByteLength(this._envelopeIndicator, this._extended);
+	}
+
+	/**
+	 * Get the header byte length for the envelope contents indicator code
+	 *
+	 * @param envelopeIndicator envelope contents indicator code
+	 * @param extended extended GeoPackage binary with an extension code
+	 * @return byte length
+	 */
+	public static getByteLength(envelopeIndicator: number, extended = false): number {
+		return 8 + GeoPackageGeometryHeader.getEnvelopeLength(envelopeIndicator) * 8
+			+ (extended ? GeoPackageGeometryHeader.EXTENSION_CODE_LENGTH : 0);
+	}
+
+	/**
+	 * Get the number of envelope doubles for the envelope contents indicator code
+	 *
+	 * @param envelopeIndicator envelope contents indicator code
+	 * @return number of doubles
+	 */
+	public static getEnvelopeLength(envelopeIndicator: number): number {
+		switch (envelopeIndicator) {
+			case 0:
+				return 0;
+			case 1:
+				return 4;
+			case 2:
+			case 3:
+				return 6;
+			case 4:
+				return 8;
+			default:
+				return -1;
+		}
+	}
+
+}
@@ -5,6 +5,31 @@ import {Geometry, GeometryType, SFException} from "./sf/internal";
  */
 export class GeometryCodes {
 
+	/**
+	 * 2.5D bit, also the EWKB Z bit
+	 */
+	public static readonly WKB25D: number = 0x80000000;
+
+	/**
+	 * EWKB Z bit
+	 */
+	public static readonly EWKB_Z: number = 0x80000000;
+
+	/**
+	 * EWKB M bit
+	 */
+	public static readonly EWKB_M: number = 0x40000000;
+
+	/**
+	 * EWKB SRID bit
+	 */
+	public static readonly EWKB_SRID: number = 0x20000000;
+
+	/**
+	 * Mask of the EWKB flag bits
+	 */
+	public static readonly EWKB_FLAGS: number = 0xE0000000;
+
 	/**
 	 * Get the geometry code from the geometry
 	 * @param geometry geometry
@@ -33,6 +58,52 @@ export class GeometryCodes {
 		return code;
 	}
 
+	/**
+	 * Get the extended 2.5D geometry code from the geometry type
+	 * @param geometryType geometry type
+	 * @param hasZ has z
+	 * @return extended geometry code
+	 */
+	public static _getExtendedCode(geometryType: GeometryType, hasZ: boolean): number {
+		let code = GeometryCodes.getCodeForGeometryType(geometryType);
+		if (hasZ) {
+			code += GeometryCodes.WKB25D;
+		}
+		return code;
+	}
+
+	/**
+	 * Get the EWKB (PostGIS extended) geometry code from the geometry
+	 * @param geometry geometry
+	 * @param hasSRID true if an SRID follows the geometry code
+	 * @return EWKB geometry code
+	 */
+	public static getEWKBCode(geometry: Geometry, hasSRID: boolean = false): number {
+		return GeometryCodes._getEWKBCode(geometry.geometryType, geometry.hasZ, geometry.hasM, hasSRID);
+	}
+
+	/**
+	 * Get the EWKB (PostGIS extended) geometry code from the geometry type
+	 * @param geometryType geometry type
+	 * @param hasZ has z
+	 * @param hasM has m
+	 * @param hasSRID true if an SRID follows the geometry code
+	 * @return EWKB geometry code
+	 */
+	public static _getEWKBCode(geometryType: GeometryType, hasZ: boolean, hasM: boolean, hasSRID: boolean = false): number {
+		let code = GeometryCodes.getCodeForGeometryType(geometryType);
+		if (hasZ) {
+			code += GeometryCodes.EWKB_Z;
+		}
+		if (hasM) {
+			code += GeometryCodes.EWKB_M;
+		}
+		if (hasSRID) {
+			code += GeometryCodes.EWKB_SRID;
+		}
+		return code;
+	}
+
 	/**
 	 * Get the geometry code from the geometry type
 	 * 
@@ -0,0 +1,364 @@
+import { GeometryEnvelope, GeometryType, SFException } from "./sf/internal";
+import { ByteReader } from "./ByteReader";
+import { GeometryReader } from "./GeometryReader";
+import { GeometryReaderLimits } from "./GeometryReaderLimits";
+import { GeometrySummary } from "./GeometrySummary";
+import { GeometryTypeInfo } from "./GeometryTypeInfo";
+import { WKBLimitException } from "./WKBLimitException";
+
+/**
+ * Coordinate bounds accumulated while inspecting
+ */
+class Bounds {
+
+	minX = Infinity;
+	minY = Infinity;
+	maxX = -Infinity;
+	maxY = -Infinity;
+	minZ: number = undefined;
+	maxZ: number = undefined;
+	minM: number = undefined;
+	maxM: number = undefined;
+	hasZ: boolean;
+	hasM: boolean;
+
+	constructor(hasZ: boolean, hasM: boolean) {
+		this.hasZ = hasZ;
+		this.hasM = hasM;
+	}
+
+	/**
+	 * Expand to include the bounds of a member geometry
+	 * @param bounds member bounds
+	 */
+	public expand(bounds: Bounds): void {
+		this.hasZ = this.hasZ || bounds.hasZ;
+		this.hasM = this.hasM || bounds.hasM;
+		this.minX = Math.min(this.minX, bounds.minX);
+		this.minY = Math.min(this.minY, bounds.minY);
+		this.maxX = Math.max(this.maxX, bounds.maxX);
+		this.maxY = Math.max(this.maxY, bounds.maxY);
+		if (bounds.minZ !== undefined) {
+			this.minZ = this.minZ === undefined ? bounds.minZ : Math.min(this.minZ, bounds.minZ);
+			this.maxZ = this.maxZ === undefined ? bounds.maxZ : Math.max(this.maxZ, bounds.maxZ);
+		}
+		if (bounds.minM !== undefined) {
+			this.minM = this.minM === undefined ? bounds.minM : Math.min(this.minM, bounds.minM);
+			this.maxM = this.maxM === undefined ? bounds.maxM : Math.max(this.maxM, bounds.maxM);
+		}
+	}
+
+	/**
+	 * Build the envelope
+	 * @return envelope, null when empty
+	 */
+	public toEnvelope(): GeometryEnvelope {
+		let envelope: GeometryEnvelope = null;
+		if (this.minX <= this.maxX && this.minY <= this.maxY) {
+			envelope = new GeometryEnvelope(this.hasZ, this.hasM);
+			envelope.minX = this.minX;
+			envelope.minY = this.minY;
+			envelope.maxX = this.maxX;
+			envelope.maxY = this.maxY;
+			envelope.minZ = this.minZ;
+			envelope.maxZ = this.maxZ;
+			envelope.minM = this.minM;
+			envelope.maxM = this.maxM;
+		}
+		return envelope;
+	}
+
+}
+
+/**
+ * Well Known Binary inspector, summarizing the geometry type, counts, byte
+ * length and envelope of each geometry by walking the bytes without reading
+ * geometry objects
+ */
+export class GeometryInspector {
+
+	/**
+	 * Inspect the well-known bytes
+	 * @param buffer well-known bytes
+	 * @return geometry summary
+	 */
+	public static inspectGeometry(buffer: Uint8Array | ArrayBuffer): GeometrySummary {
+		return GeometryInspector.inspectGeometryWithByteReader(new ByteReader(buffer));
+	}
+
+	/**
+	 * Inspect the next geometry of the byte reader
+	 * @param reader byte reader
+	 * @return geometry summary
+	 */
+	public static inspectGeometryWithByteReader(reader: ByteReader): GeometrySummary {
+		const inspector = new GeometryInspector(reader);
+		return inspector.inspect();
+	}
+
+	/**
+	 * Byte Reader
+	 */
+	private readonly reader: ByteReader;
+
+	/**
+	 * Geometry reader, for geometry types
+	 */
+	private readonly geometryReader: GeometryReader;
+
+	/**
+	 * Bounds of the geometry being inspected
+	 */
+	private bounds: Bounds;
+
+	/**
+	 * Resource limits, null when unlimited
+	 */
+	private limits: GeometryReaderLimits = null;
+
+	/**
+	 * Nesting depth of the geometry being inspected, the top level geometry
+	 * being depth 1
+	 */
+	private depth: number = 0;
+
+	/**
+	 * Points counted towards the points limit
+	 */
+	private numPoints: number = 0;
+
+	/**
+	 * Nesting path segments of the geometry being inspected
+	 */
+	private readonly path: string[] = [];
+
+	/**
+	 * Constructor
+	 * @param reader byte reader
+	 */
+	public constructor(reader: ByteReader) {
+		this.reader = reader;
+		this.geometryReader = new GeometryReader(reader);
+	}
+
+	/**
+	 * Set the depth, points and parts resource limits, throwing a
+	 * {@link WKBLimitException} when inspecting past a limit
+	 * @param limits limits, null when unlimited
+	 * @param depth nesting depth containing the inspected geometry, 0 when
+	 *            top level
+	 * @param numPoints points already counted towards the points limit
+	 * @param path nesting path containing the inspected geometry
+	 */
+	public setLimits(limits: GeometryReaderLimits, depth: number = 0, numPoints: number = 0, path: string = ""): void {
+		this.limits = limits;
+		this.depth = depth;
+		this.numPoints = numPoints;
+		this.path.length = 0;
+		this.path.push(path);
+	}
+
+	/**
+	 * Inspect the next geometry of the byte reader
+	 * @return geometry summary
+	 */
+	public inspect(): GeometrySummary {
+		const byteOffset = this.reader.position;
+		const originalByteOrder = this.reader.getByteOrder();
+		const parentBounds = this.bounds;
+
+		// Read the byte order and geometry type
+		const geometryTypeInfo: GeometryTypeInfo = this.geometryReader.readGeometryType();
+		const geometryType = geometryTypeInfo.geometryType;
+		const hasZ = geometryTypeInfo.hasZ;
+		const hasM = geometryTypeInfo.hasM;
+
+		this.depth++;
+		if (this.limits != null) {
+			this.checkLimit("maxDepth", this.limits.getMaxDepth(), this.depth, byteOffset);
+		}
+
+		this.bounds = new Bounds(hasZ, hasM);
+
+		let numPoints = 0;
+		let numRings = 0;
+		let children: GeometrySummary[] = [];
+
+		switch (geometryType) {
+			case GeometryType.GEOMETRY:
+				throw new SFException("Unexpected Geometry Type of Geometry which is abstract");
+			case GeometryType.POINT:
+				if (this.limits != null) {
+					this.addPoints(1);
+				}
+				numPoints = this.readPoint(hasZ, hasM) ? 1 : 0;
+				break;
+			case GeometryType.LINESTRING:
+			case GeometryType.CIRCULARSTRING:
+				numPoints = this.readPoints(hasZ, hasM);
+				break;
+			case GeometryType.POLYGON:
+			case GeometryType.TRIANGLE:
+				numRings = this.readCount();
+				for (let i = 0; i < numRings; i++) {
+					this.path.push(".ring[" + i + "]");
+					numPoints += this.readPoints(hasZ, hasM);
+					this.path.pop();
+				}
+				break;
+			case GeometryType.MULTIPOINT:
+			case GeometryType.MULTILINESTRING:
+			case GeometryType.MULTIPOLYGON:
+			case GeometryType.GEOMETRYCOLLECTION:
+			case GeometryType.MULTICURVE:
+			case GeometryType.MULTISURFACE:
+			case GeometryType.COMPOUNDCURVE:
+			case GeometryType.CURVEPOLYGON:
+			case GeometryType.POLYHEDRALSURFACE:
+			case GeometryType.TIN:
+				children = this.readChildren();
+				for (const child of children) {
+					numPoints += child.numPoints;
+					numRings += child.numRings;
+				}
+				if (geometryType === GeometryType.CURVEPOLYGON) {
+					numRings += children.length;
+				}
+				break;
+			case GeometryType.CURVE:
+				throw new SFException("Unexpected Geometry Type of Curve which is abstract");
+			case GeometryType.SURFACE:
+				throw new SFException("Unexpected Geometry Type of Surface which is abstract");
+			default:
+				throw new SFException("Geometry Type not supported: " + geometryType);
+		}
+
+		const bounds = this.bounds;
+		if (parentBounds !== undefined) {
+			parentBounds.expand(bounds);
+		}
+		this.bounds = parentBounds;
+		this.depth--;
+
+		// Restore the byte order
+		this.reader.setByteOrder(originalByteOrder);
+
+		return new GeometrySummary(geometryTypeInfo, byteOffset, this.reader.position - byteOffset, numPoints, numRings,
+			bounds.toEnvelope(), children);
+	}
+
+	/**
+	 * Read the member geometries
+	 * @return member summaries
+	 */
+	private readChildren(): GeometrySummary[] {
+		const numGeometries = this.readCount();
+		const children: GeometrySummary[] = new Array(numGeometries);
+		for (let i = 0; i < numGeometries; i++) {
+			this.path.push("[" + i + "]");
+			children[i] = this.inspect();
+			this.path.pop();
+		}
+		return children;
+	}
+
+	/**
+	 * Read a count of rings or geometries, checking the parts limit
+	 * @return count
+	 */
+	private readCount(): number {
+		const count = this.reader.readInt();
+		if (this.limits != null) {
+			this.checkLimit("maxParts", this.limits.getMaxParts(), count, this.reader.position - 4);
+		}
+		return count;
+	}
+
+	/**
+	 * Read the count prefixed points into the bounds
+	 * @param hasZ has z
+	 * @param hasM has m
+	 * @return number of points
+	 */
+	private readPoints(hasZ: boolean, hasM: boolean): number {
+		const numPoints = this.reader.readInt();
+		if (this.limits != null) {
+			this.addPoints(numPoints);
+		}
+		for (let i = 0; i < numPoints; i++) {
+			this.readPoint(hasZ, hasM);
+		}
+		return numPoints;
+	}
+
+	/**
+	 * Read the point coordinates into the bounds
+	 * @param hasZ has z
+	 * @param hasM has m
+	 * @return false if an empty point of NaN coordinates
+	 */
+	private readPoint(hasZ: boolean, hasM: boolean): boolean {
+		const x = this.reader.readDouble();
+		const y = this.reader.readDouble();
+		const z = hasZ ? this.reader.readDouble() : undefined;
+		const m = hasM ? this.reader.readDouble() : undefined;
+
+		// Empty points of NaN coordinates are outside the bounds
+		const empty = isNaN(x) && isNaN(y);
+		if (!empty) {
+			const bounds = this.bounds;
+			if (x < bounds.minX) {
+				bounds.minX = x;
+			}
+			if (x > bounds.maxX) {
+				bounds.maxX = x;
+			}
+			if (y < bounds.minY) {
+				bounds.minY = y;
+			}
+			if (y > bounds.maxY) {
+				bounds.maxY = y;
+			}
+			if (hasZ) {
+				if (bounds.minZ === undefined || z < bounds.minZ) {
+					bounds.minZ = z;
+				}
+				if (bounds.maxZ === undefined || z > bounds.maxZ) {
+					bounds.maxZ = z;
+				}
+			}
+			if (hasM) {
+				if (bounds.minM === undefined || m < bounds.minM) {
+					bounds.minM = m;
+				}
+				if (bounds.maxM === undefined || m > bounds.maxM) {
+					bounds.maxM = m;
+				}
+			}
+		}
+		return !empty;
+	}
+
+	/**
+	 * Add points to the counted points, checking the points limit
+	 * @param numPoints number of points
+	 */
+	private addPoints(numPoints: number): void {
+		this.numPoints += numPoints;
+		this.checkLimit("maxPoints", this.limits.getMaxPoints(), this.numPoints, this.reader.position);
+	}
+
+	/**
+	 * Check that a value is within a limit
+	 * @param limit limit name
+	 * @param maximum limit maximum
+	 * @param actual actual value
+	 * @param offset byte offset
+	 */
+	private checkLimit(limit: string, maximum: number, actual: number, offset: number): void {
+		if (actual > maximum) {
+			throw new WKBLimitException(limit, maximum, actual, offset, this.path.join(""));
+		}
+	}
+
+}
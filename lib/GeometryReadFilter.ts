@@ -0,0 +1,41 @@
+import { GeometryType } from "./sf/internal";
+import { GeometrySummary } from "./GeometrySummary";
+import { GeometryTypeInfo } from "./GeometryTypeInfo";
+
+/**
+ * Well Known Binary read filter, deciding before a geometry is read whether
+ * to read it or skip past its bytes. Applied to the top level geometry and
+ * each member of a multi geometry or geometry collection, a skipped top level
+ * geometry reading as null and a skipped member being left out of its
+ * containing geometry. Curve polygon rings, compound curve segments and
+ * polyhedral surface patches are not filtered.
+ */
+export interface GeometryReadFilter {
+
+	/**
+	 * Filter the geometry by the geometry type, read from the header without
+	 * reading the geometry
+	 * 
+	 * @param containingType
+	 *            geometry type of the geometry containing this geometry
+	 *            element, undefined if geometry is top level
+	 * @param geometryTypeInfo
+	 *            geometry type info
+	 * @return true to read the geometry, false to skip it
+	 */
+	filterType?(containingType: GeometryType, geometryTypeInfo: GeometryTypeInfo): boolean;
+
+	/**
+	 * Filter the geometry by a summary of its counts and envelope, inspected
+	 * from the bytes without reading the geometry
+	 * 
+	 * @param containingType
+	 *            geometry type of the geometry containing this geometry
+	 *            element, undefined if geometry is top level
+	 * @param summary
+	 *            geometry summary
+	 * @return true to read the geometry, false to skip it
+	 */
+	filterSummary?(containingType: GeometryType, summary: GeometrySummary): boolean;
+
+}
@@ -21,7 +21,16 @@ import {
 import { ByteReader } from "./ByteReader";
 import { GeometryTypeInfo } from "./GeometryTypeInfo";
 import { ByteOrder } from "./ByteOrder";
+import { CoordinateTransform } from "./CoordinateTransform";
+import { CoordinateTransforms } from "./CoordinateTransforms";
 import { GeometryCodes } from "./GeometryCodes";
+import { GeometryInspector } from "./GeometryInspector";
+import { GeometryReadFilter } from "./GeometryReadFilter";
+import { GeometryReaderLimits } from "./GeometryReaderLimits";
+import { EWKBGeometry } from "./EWKBGeometry";
+import { HexUtils } from "./HexUtils";
+import { WKBFormatException } from "./WKBFormatException";
+import { WKBLimitException } from "./WKBLimitException";
 
 /**
  * Well Known Binary reader
@@ -29,17 +38,76 @@ import { GeometryCodes } from "./GeometryCodes";
 export class GeometryReader {
 
 	/**
-	 * 2.5D bit
+	 * Geometry type names of nesting paths
 	 */
-	private static readonly WKB25D: number = 0x80000000;
+	private static readonly PATH_NAMES: { [geometryType: number]: string } = {
+		[GeometryType.POINT]: "Point",
+		[GeometryType.LINESTRING]: "LineString",
+		[GeometryType.POLYGON]: "Polygon",
+		[GeometryType.MULTIPOINT]: "MultiPoint",
+		[GeometryType.MULTILINESTRING]: "MultiLineString",
+		[GeometryType.MULTIPOLYGON]: "MultiPolygon",
+		[GeometryType.GEOMETRYCOLLECTION]: "GeometryCollection",
+		[GeometryType.CIRCULARSTRING]: "CircularString",
+		[GeometryType.COMPOUNDCURVE]: "CompoundCurve",
+		[GeometryType.CURVEPOLYGON]: "CurvePolygon",
+		[GeometryType.MULTICURVE]: "MultiCurve",
+		[GeometryType.MULTISURFACE]: "MultiSurface",
+		[GeometryType.POLYHEDRALSURFACE]: "PolyhedralSurface",
+		[GeometryType.TIN]: "TIN",
+		[GeometryType.TRIANGLE]: "Triangle"
+	};
 
 	/**
 	 * Byte Reader
 	 */
 	private reader: ByteReader;
 
+	/**
+	 * Strict validation of the well-known bytes
+	 */
+	private strict: boolean = false;
+
+	/**
+	 * Resource limits, null when unlimited
+	 */
+	private limits: GeometryReaderLimits = null;
+
+	/**
+	 * Read filter of geometries to skip, null when reading all geometries
+	 */
+	private readFilter: GeometryReadFilter = null;
+
+	/**
+	 * Coordinate transform of read points, null when not transforming
+	 */
+	private transform: CoordinateTransform = null;
+
+	/**
+	 * Geometry type info of each read geometry, null when not preserving the
+	 * encoding
+	 */
+	private encodings: WeakMap<Geometry, GeometryTypeInfo> = null;
+
+	/**
+	 * Geometry type info of the geometries being read in strict mode or with
+	 * limits, from the top level geometry inward
+	 */
+	private readonly parents: GeometryTypeInfo[] = [];
+
+	/**
+	 * Nesting path segments of the geometry being read in strict mode or
+	 * with limits
+	 */
+	private readonly path: string[] = [];
+
+	/**
+	 * Points of the top level geometry being read with limits
+	 */
+	private numPoints: number = 0;
+
 	public constructor(reader: ByteReader);
-	public constructor(buffer: Buffer);
+	public constructor(buffer: Uint8Array | ArrayBuffer);
 
 	/**
 	 * Constructor
@@ -48,7 +116,7 @@ export class GeometryReader {
 	public constructor(...args) {
 		if (args.length === 1 && args[0] instanceof ByteReader) {
 			this.reader = args[0];
-		} else if (args.length === 1 && args[0] instanceof Buffer) {
+		} else if (args.length === 1 && (args[0] instanceof Uint8Array || args[0] instanceof ArrayBuffer)) {
 			this.reader = new ByteReader(args[0]);
 		}
 	}
@@ -61,6 +129,108 @@ export class GeometryReader {
 		return this.reader;
 	}
 
+	/**
+	 * Is strict validation enabled
+	 * @return true if strict
+	 */
+	public isStrict(): boolean {
+		return this.strict;
+	}
+
+	/**
+	 * Set strict validation. A strict read checks the remaining length before
+	 * each read and rejects invalid byte order bytes, unknown geometry type
+	 * codes, child geometries with dimensions other than the parent and
+	 * trailing bytes after the top level geometry, throwing a
+	 * {@link WKBFormatException}.
+	 * @param strict true for strict validation
+	 */
+	public setStrict(strict: boolean): void {
+		this.strict = strict;
+	}
+
+	/**
+	 * Get the resource limits
+	 * @return limits, null when unlimited
+	 */
+	public getLimits(): GeometryReaderLimits {
+		return this.limits;
+	}
+
+	/**
+	 * Set the resource limits for untrusted input. Counts are checked against
+	 * the remaining bytes and the limits before reading, throwing a
+	 * {@link WKBFormatException} or {@link WKBLimitException}.
+	 * @param limits limits, null when unlimited
+	 */
+	public setLimits(limits: GeometryReaderLimits): void {
+		this.limits = limits;
+	}
+
+	/**
+	 * Get the read filter
+	 * @return read filter, null when reading all geometries
+	 */
+	public getReadFilter(): GeometryReadFilter {
+		return this.readFilter;
+	}
+
+	/**
+	 * Set the read filter, deciding before the top level geometry and each
+	 * collection member is read whether to read it or skip past its bytes.
+	 * Summary filters inspect the bytes of each geometry, and of each member
+	 * geometry again when read.
+	 * @param readFilter read filter, null to read all geometries
+	 */
+	public setReadFilter(readFilter: GeometryReadFilter): void {
+		this.readFilter = readFilter;
+	}
+
+	/**
+	 * Get the coordinate transform
+	 * @return coordinate transform, null when not transforming
+	 */
+	public getTransform(): CoordinateTransform {
+		return this.transform;
+	}
+
+	/**
+	 * Set the coordinate transform applied to each point as it is read.
+	 * Read filters are applied to the untransformed coordinates.
+	 * @param transform coordinate transform, null to not transform
+	 */
+	public setTransform(transform: CoordinateTransform): void {
+		this.transform = transform;
+	}
+
+	/**
+	 * Is the encoding of read geometries preserved
+	 * @return true if preserving the encoding
+	 */
+	public isPreserveEncoding(): boolean {
+		return this.encodings != null;
+	}
+
+	/**
+	 * Set to preserve the encoding of read geometries. When preserving, the
+	 * geometry type info of each geometry, including nested geometries, is
+	 * recorded with its byte order and geometry type unsigned integer as read.
+	 * Set the encodings on a {@link GeometryWriter} to reproduce the original
+	 * bytes.
+	 * @param preserve true to preserve the encoding
+	 */
+	public setPreserveEncoding(preserve: boolean): void {
+		this.encodings = preserve ? new WeakMap<Geometry, GeometryTypeInfo>() : null;
+	}
+
+	/**
+	 * Get the geometry type info of the read geometries
+	 * @return encodings by geometry, null when not preserving the encoding
+	 */
+	public getEncodings(): WeakMap<Geometry, GeometryTypeInfo> {
+		return this.encodings;
+	}
+
 	/**
 	 * Read a geometry from the byte reader
 	 * 
@@ -70,10 +240,72 @@ export class GeometryReader {
 	 */
 	public read(filter: GeometryFilter, containingType: GeometryType = undefined): Geometry {
 		const originalByteOrder = this.reader.getByteOrder();
+		const tracked = this.isTracked();
+		const topLevel = tracked && this.parents.length === 0;
+		if (topLevel) {
+			this.path.length = 0;
+			this.numPoints = 0;
+			if (this.limits != null) {
+				this.checkLimit("maxByteLength", this.limits.getMaxByteLength(), this.reader.buffer.length, 0);
+			}
+		}
+
+		if (this.readFilter != null && GeometryReader.isReadFiltered(containingType) && !this.filterRead(containingType)) {
+			return null;
+		}
 
 		// Read the byte order and geometry type
+		const offset = this.reader.position;
 		const geometryTypeInfo: GeometryTypeInfo = this.readGeometryType();
 
+		let geometry: Geometry;
+		if (tracked) {
+			if (this.strict) {
+				this.validateGeometryType(geometryTypeInfo, offset);
+			}
+			if (this.limits != null) {
+				this.checkLimit("maxDepth", this.limits.getMaxDepth(), this.parents.length + 1, offset);
+			}
+			if (topLevel) {
+				this.path.push(GeometryReader.PATH_NAMES[geometryTypeInfo.geometryType]);
+			}
+			this.parents.push(geometryTypeInfo);
+			try {
+				geometry = this.readContents(filter, geometryTypeInfo);
+			} finally {
+				this.parents.pop();
+			}
+		} else {
+			geometry = this.readContents(filter, geometryTypeInfo);
+		}
+
+		if (this.encodings != null && geometry != null) {
+			this.encodings.set(geometry, geometryTypeInfo);
+		}
+
+		if (!GeometryReader.filter(filter, containingType, geometry)) {
+			geometry = null;
+		}
+
+		// Restore the byte order
+		this.reader.setByteOrder(originalByteOrder);
+
+		if (topLevel && this.strict && this.reader.position < this.reader.buffer.length) {
+			throw this.formatException("Trailing bytes after the geometry", this.reader.position, "0 bytes",
+				this.remaining() + " bytes");
+		}
+
+		return geometry;
+	}
+
+	/**
+	 * Read the geometry following the geometry type
+	 * 
+	 * @param filter geometry filter
+	 * @param geometryTypeInfo geometry type info
+	 * @return geometry
+	 */
+	private readContents(filter: GeometryFilter, geometryTypeInfo: GeometryTypeInfo): Geometry {
 		const geometryType = geometryTypeInfo.geometryType;
 		const hasZ = geometryTypeInfo.hasZ;
 		const hasM = geometryTypeInfo.hasM;
@@ -85,6 +317,12 @@ export class GeometryReader {
 			case GeometryType.GEOMETRY:
 				throw new SFException("Unexpected Geometry Type of Geometry which is abstract");
 			case GeometryType.POINT:
+				if (this.strict) {
+					this.require(GeometryReader.getPointByteLength(hasZ, hasM), "point");
+				}
+				if (this.limits != null) {
+					this.addPoints(1);
+				}
 				geometry = this.readPoint(hasZ, hasM);
 				break;
 			case GeometryType.LINESTRING:
@@ -133,14 +371,198 @@ export class GeometryReader {
 				throw new SFException("Geometry Type not supported: " + geometryType);
 		}
 
-		if (!GeometryReader.filter(filter, containingType, geometry)) {
-			geometry = null;
+		return geometry;
+	}
+
+	/**
+	 * Determine if geometries within the containing type are filtered by the
+	 * read filter. The top level geometry and collection members are filtered,
+	 * while the rings of a curve polygon, segments of a compound curve and
+	 * patches of a polyhedral surface are parts of their geometry and are
+	 * always read.
+	 * 
+	 * @param containingType containing geometry type, undefined when top level
+	 * @return true if filtered
+	 */
+	private static isReadFiltered(containingType: GeometryType): boolean {
+		let filtered = false;
+		switch (containingType) {
+			case undefined:
+			case GeometryType.MULTIPOINT:
+			case GeometryType.MULTILINESTRING:
+			case GeometryType.MULTIPOLYGON:
+			case GeometryType.GEOMETRYCOLLECTION:
+			case GeometryType.MULTICURVE:
+			case GeometryType.MULTISURFACE:
+				filtered = true;
+				break;
+			default:
+		}
+		return filtered;
+	}
+
+	/**
+	 * Filter the next geometry with the read filter, skipping past the bytes
+	 * of a filtered geometry
+	 * 
+	 * @param containingType containing geometry type
+	 * @return true if the geometry passes the filter and should be read
+	 */
+	private filterRead(containingType: GeometryType): boolean {
+		const position = this.reader.position;
+		const originalByteOrder = this.reader.getByteOrder();
+		const geometryTypeInfo: GeometryTypeInfo = this.readGeometryType();
+		this.reader.position = position;
+		this.reader.setByteOrder(originalByteOrder);
+
+		let passes = this.readFilter.filterType == null || this.readFilter.filterType(containingType, geometryTypeInfo);
+		if (!passes) {
+			this.skip();
+		} else if (this.readFilter.filterSummary != null) {
+			const inspector = new GeometryInspector(this.reader);
+			if (this.limits != null) {
+				inspector.setLimits(this.limits, this.parents.length, this.numPoints, this.path.join(""));
+			}
+			const summary = inspector.inspect();
+			passes = this.readFilter.filterSummary(containingType, summary);
+			if (passes) {
+				this.reader.position = position;
+			} else if (this.limits != null) {
+				this.addPoints(summary.numPoints);
+			}
+		}
+
+		return passes;
+	}
+
+	/**
+	 * Skip past the bytes of the next geometry, seeking past the points.
+	 * Skipped geometries count towards the limits as when read.
+	 */
+	private skip(): void {
+		const offset = this.reader.position;
+		const originalByteOrder = this.reader.getByteOrder();
+		const geometryTypeInfo: GeometryTypeInfo = this.readGeometryType();
+
+		if (this.isTracked()) {
+			if (this.limits != null) {
+				this.checkLimit("maxDepth", this.limits.getMaxDepth(), this.parents.length + 1, offset);
+			}
+			if (this.parents.length === 0) {
+				this.path.push(GeometryReader.PATH_NAMES[geometryTypeInfo.geometryType]);
+			}
+			this.parents.push(geometryTypeInfo);
+			try {
+				this.skipContents(geometryTypeInfo);
+			} finally {
+				this.parents.pop();
+			}
+		} else {
+			this.skipContents(geometryTypeInfo);
 		}
 
 		// Restore the byte order
 		this.reader.setByteOrder(originalByteOrder);
+	}
 
-		return geometry;
+	/**
+	 * Skip past the bytes of the geometry following the geometry type
+	 * @param geometryTypeInfo geometry type info
+	 */
+	private skipContents(geometryTypeInfo: GeometryTypeInfo): void {
+		const hasZ = geometryTypeInfo.hasZ;
+		const hasM = geometryTypeInfo.hasM;
+
+		switch (geometryTypeInfo.geometryType) {
+			case GeometryType.GEOMETRY:
+				throw new SFException("Unexpected Geometry Type of Geometry which is abstract");
+			case GeometryType.POINT:
+				if (this.limits != null) {
+					this.addPoints(1);
+				}
+				this.seek(GeometryReader.getPointByteLength(hasZ, hasM), "point");
+				break;
+			case GeometryType.LINESTRING:
+			case GeometryType.CIRCULARSTRING:
+				this.skipPoints(hasZ, hasM);
+				break;
+			case GeometryType.POLYGON:
+			case GeometryType.TRIANGLE: {
+				const numRings = this.readCount("rings", 4);
+				for (let i = 0; i < numRings; i++) {
+					this.enter(".ring", i);
+					this.skipPoints(hasZ, hasM);
+					this.exit();
+				}
+				break;
+			}
+			case GeometryType.MULTIPOINT:
+			case GeometryType.MULTILINESTRING:
+			case GeometryType.MULTIPOLYGON:
+			case GeometryType.GEOMETRYCOLLECTION:
+			case GeometryType.MULTICURVE:
+			case GeometryType.MULTISURFACE:
+			case GeometryType.COMPOUNDCURVE:
+			case GeometryType.CURVEPOLYGON:
+			case GeometryType.POLYHEDRALSURFACE:
+			case GeometryType.TIN: {
+				const numGeometries = this.readCount("geometries", 9);
+				for (let i = 0; i < numGeometries; i++) {
+					this.enter("", i);
+					this.skip();
+					this.exit();
+				}
+				break;
+			}
+			case GeometryType.CURVE:
+				throw new SFException("Unexpected Geometry Type of Curve which is abstract");
+			case GeometryType.SURFACE:
+				throw new SFException("Unexpected Geometry Type of Surface which is abstract");
+			default:
+				throw new SFException("Geometry Type not supported: " + geometryTypeInfo.geometryType);
+		}
+	}
+
+	/**
+	 * Skip past the count prefixed points
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 */
+	private skipPoints(hasZ: boolean, hasM: boolean): void {
+		const numPoints = this.readPointCount(hasZ, hasM);
+		this.seek(numPoints * GeometryReader.getPointByteLength(hasZ, hasM), "points");
+	}
+
+	/**
+	 * Seek past the bytes
+	 * @param byteLength byte length
+	 * @param description description of the bytes
+	 */
+	private seek(byteLength: number, description: string): void {
+		if (this.strict) {
+			this.require(byteLength, description);
+		}
+		this.reader.position += byteLength;
+	}
+
+	/**
+	 * Read an EWKB geometry and the SRID of the top level geometry from the
+	 * byte reader
+	 * 
+	 * @param filter geometry filter
+	 * @return EWKB geometry
+	 */
+	public readEWKB(filter: GeometryFilter = undefined): EWKBGeometry {
+		// Peek at the top level geometry type for the SRID
+		const position = this.reader.position;
+		const originalByteOrder = this.reader.getByteOrder();
+		const geometryTypeInfo: GeometryTypeInfo = this.readGeometryType();
+		this.reader.position = position;
+		this.reader.setByteOrder(originalByteOrder);
+
+		const geometry = this.read(filter);
+
+		return new EWKBGeometry(geometry, geometryTypeInfo.srid);
 	}
 
 	/**
@@ -149,31 +571,54 @@ export class GeometryReader {
 	 */
 	public readGeometryType(): GeometryTypeInfo {
 		// Read the single byte order byte
+		if (this.strict) {
+			this.require(5, "geometry header");
+		}
 		const byteOrderValue = this.reader.readByte();
+		if (this.strict && byteOrderValue !== 0 && byteOrderValue !== 1) {
+			throw this.formatException("Invalid byte order", this.reader.position - 1, "0 or 1", String(byteOrderValue));
+		}
 		const byteOrder = byteOrderValue === 0 ? ByteOrder.BIG_ENDIAN : ByteOrder.LITTLE_ENDIAN;
 		this.reader.setByteOrder(byteOrder);
 
 		// Read the geometry type unsigned integer
-		let unsignedGeometryTypeCode = this.reader.readUInt32();
-		// Check for 2.5D geometry types
-		let hasZ = false;
-		if (unsignedGeometryTypeCode > GeometryReader.WKB25D) {
-			hasZ = true;
-			unsignedGeometryTypeCode -= GeometryReader.WKB25D;
-		}
+		const unsignedGeometryTypeCode = this.reader.readUInt32();
 
-		const geometryTypeCode = unsignedGeometryTypeCode
+		// Check for 2.5D and EWKB (PostGIS extended) geometry type flags
+		const hasZFlag = (unsignedGeometryTypeCode & GeometryCodes.EWKB_Z) !== 0;
+		const hasMFlag = (unsignedGeometryTypeCode & GeometryCodes.EWKB_M) !== 0;
+		const hasSRIDFlag = (unsignedGeometryTypeCode & GeometryCodes.EWKB_SRID) !== 0;
 
-		// Determine the geometry type
-		const geometryType = GeometryCodes.getGeometryType(geometryTypeCode);
+		const geometryTypeCode = unsignedGeometryTypeCode & ~GeometryCodes.EWKB_FLAGS;
+
+		// Read the EWKB SRID
+		let srid: number = undefined;
+		if (hasSRIDFlag) {
+			if (this.strict) {
+				this.require(4, "SRID");
+			}
+			srid = this.reader.readInt32();
+		}
 
-		// Determine if the geometry has a z (3d) or m (linear referencing system) value
-		if (!hasZ) {
-			hasZ = GeometryCodes.hasZ(geometryTypeCode);
+		let geometryType: GeometryType;
+		let hasZ: boolean;
+		let hasM: boolean;
+		try {
+			// Determine the geometry type
+			geometryType = GeometryCodes.getGeometryType(geometryTypeCode);
+
+			// Determine if the geometry has a z (3d) or m (linear referencing system) value
+			hasZ = hasZFlag || GeometryCodes.hasZ(geometryTypeCode);
+			hasM = hasMFlag || GeometryCodes.hasM(geometryTypeCode);
+		} catch (e) {
+			if (this.strict && e instanceof SFException) {
+				throw this.formatException("Unknown geometry type code", this.reader.position - (hasSRIDFlag ? 8 : 4),
+					"a well-known geometry type code", String(unsignedGeometryTypeCode));
+			}
+			throw e;
 		}
-		const hasM = GeometryCodes.hasM(geometryTypeCode);
 
-		return new GeometryTypeInfo(geometryTypeCode, geometryType, hasZ, hasM);
+		return new GeometryTypeInfo(geometryTypeCode, geometryType, hasZ, hasM, srid, byteOrder, unsignedGeometryTypeCode);
 	}
 
 	/**
@@ -196,6 +641,10 @@ export class GeometryReader {
 			point.m = this.reader.readDouble();
 		}
 
+		if (this.transform != null) {
+			CoordinateTransforms.transformPoint(this.transform, point);
+		}
+
 		return point;
 	}
 
@@ -208,7 +657,7 @@ export class GeometryReader {
 	 */
 	public readLineString(filter: GeometryFilter, hasZ: boolean, hasM: boolean): LineString {
 		const lineString = new LineString(hasZ, hasM);
-		const numPoints = this.reader.readInt();
+		const numPoints = this.readPointCount(hasZ, hasM);
 		for (let i = 0; i < numPoints; i++) {
 			const point = this.readPoint(hasZ, hasM);
 			if (GeometryReader.filter(filter, GeometryType.LINESTRING, point)) {
@@ -228,9 +677,11 @@ export class GeometryReader {
 	 */
 	public readPolygon(filter: GeometryFilter, hasZ: boolean, hasM: boolean): Polygon {
 		const polygon = new Polygon(hasZ, hasM);
-		const numRings = this.reader.readInt();
+		const numRings = this.readCount("rings", 4);
 		for (let i = 0; i < numRings; i++) {
+			this.enter(".ring", i);
 			const ring = this.readLineString(filter, hasZ, hasM);
+			this.exit();
 			if (GeometryReader.filter(filter, GeometryType.POLYGON, ring)) {
 				polygon.addRing(ring);
 			}
@@ -248,9 +699,11 @@ export class GeometryReader {
 	 */
 	public readMultiPoint(filter: GeometryFilter, hasZ: boolean, hasM: boolean): MultiPoint {
 		const multiPoint = new MultiPoint(hasZ, hasM);
-		const numPoints = this.reader.readInt();
+		const numPoints = this.readCount("geometries", 9);
 		for (let i = 0; i < numPoints; i++) {
+			this.enter("", i);
 			const point = this.read(filter, GeometryType.MULTIPOINT);
+			this.exit();
 			if (point != null) {
 				multiPoint.addPoint(point as Point);
 			}
@@ -269,9 +722,11 @@ export class GeometryReader {
 	 */
 	public readMultiLineString(filter: GeometryFilter, hasZ: boolean, hasM: boolean): MultiLineString {
 		const multiLineString = new MultiLineString(hasZ, hasM);
-		const numLineStrings = this.reader.readInt();
+		const numLineStrings = this.readCount("geometries", 9);
 		for (let i = 0; i < numLineStrings; i++) {
+			this.enter("", i);
 			const lineString = this.read(filter, GeometryType.MULTILINESTRING);
+			this.exit();
 			if (lineString != null) {
 				multiLineString.addLineString(lineString as LineString);
 			}
@@ -290,9 +745,11 @@ export class GeometryReader {
 	 */
 	public readMultiPolygon(filter: GeometryFilter, hasZ: boolean, hasM: boolean): MultiPolygon {
 		const multiPolygon = new MultiPolygon(hasZ, hasM);
-		let numPolygons = this.reader.readInt();
+		let numPolygons = this.readCount("geometries", 9);
 		for (let i = 0; i < numPolygons; i++) {
+			this.enter("", i);
 			const polygon = this.read(filter, GeometryType.MULTIPOLYGON);
+			this.exit();
 			if (polygon != null) {
 				multiPolygon.addPolygon(polygon as Polygon);
 			}
@@ -309,9 +766,11 @@ export class GeometryReader {
 	 */
 	public readGeometryCollection(filter: GeometryFilter, hasZ: boolean, hasM: boolean): GeometryCollection<Geometry> {
 		const geometryCollection = new GeometryCollection<Geometry>(hasZ, hasM);
-		let numGeometries = this.reader.readInt();
+		let numGeometries = this.readCount("geometries", 9);
 		for (let i = 0; i < numGeometries; i++) {
+			this.enter("", i);
 			const geometry = this.read(filter, GeometryType.GEOMETRYCOLLECTION);
+			this.exit();
 			if (geometry != null) {
 				geometryCollection.addGeometry(geometry);
 			}
@@ -328,7 +787,7 @@ export class GeometryReader {
 	 */
 	public readCircularString(filter: GeometryFilter, hasZ: boolean, hasM: boolean): CircularString {
 		const circularString = new CircularString(hasZ, hasM);
-		let numPoints = this.reader.readInt();
+		let numPoints = this.readPointCount(hasZ, hasM);
 		for (let i = 0; i < numPoints; i++) {
 			const point = this.readPoint(hasZ, hasM);
 			if (GeometryReader.filter(filter, GeometryType.CIRCULARSTRING, point)) {
@@ -349,9 +808,11 @@ export class GeometryReader {
 	 */
 	public readCompoundCurve(filter: GeometryFilter, hasZ: boolean, hasM: boolean): CompoundCurve {
 		const compoundCurve = new CompoundCurve(hasZ, hasM);
-		let numLineStrings = this.reader.readInt();
+		let numLineStrings = this.readCount("geometries", 9);
 		for (let i = 0; i < numLineStrings; i++) {
+			this.enter("", i);
 			const lineString = this.read(filter, GeometryType.COMPOUNDCURVE);
+			this.exit();
 			if (lineString != null) {
 				compoundCurve.addLineString(lineString as LineString);
 			}
@@ -369,9 +830,11 @@ export class GeometryReader {
 	 */
 	public readCurvePolygon(filter: GeometryFilter, hasZ: boolean, hasM: boolean) : CurvePolygon<Curve> {
 		const curvePolygon = new CurvePolygon<Curve>(hasZ, hasM);
-		let numRings = this.reader.readInt();
+		let numRings = this.readCount("rings", 4);
 		for (let i = 0; i < numRings; i++) {
+			this.enter(".ring", i);
 			let ring = this.read(filter, GeometryType.CURVEPOLYGON);
+			this.exit();
 			if (ring != null) {
 				curvePolygon.addRing(ring as Curve);
 			}
@@ -388,9 +851,11 @@ export class GeometryReader {
 	 */
 	public readPolyhedralSurface(filter: GeometryFilter, hasZ: boolean, hasM: boolean): PolyhedralSurface {
 		const polyhedralSurface = new PolyhedralSurface(hasZ, hasM);
-		let numPolygons = this.reader.readInt();
+		let numPolygons = this.readCount("geometries", 9);
 		for (let i = 0; i < numPolygons; i++) {
+			this.enter("", i);
 			const polygon = this.read(filter, GeometryType.POLYHEDRALSURFACE);
+			this.exit();
 			if (polygon != null) {
 				polyhedralSurface.addPolygon(polygon as Polygon);
 			}
@@ -407,9 +872,11 @@ export class GeometryReader {
 	 */
 	public readTIN(filter: GeometryFilter, hasZ: boolean, hasM: boolean): TIN {
 		const tin = new TIN(hasZ, hasM);
-		let numPolygons = this.reader.readInt();
+		let numPolygons = this.readCount("geometries", 9);
 		for (let i = 0; i < numPolygons; i++) {
+			this.enter("", i);
 			const polygon = this.read(filter, GeometryType.TIN);
+			this.exit();
 			if (polygon != null) {
 				tin.addPolygon(polygon as Polygon);
 			}
@@ -427,9 +894,11 @@ export class GeometryReader {
 	 */
 	public readTriangle(filter: GeometryFilter, hasZ: boolean, hasM: boolean): Triangle {
 		const triangle = new Triangle(hasZ, hasM);
-		let numRings = this.reader.readInt();
+		let numRings = this.readCount("rings", 4);
 		for (let i = 0; i < numRings; i++) {
+			this.enter(".ring", i);
 			const ring = this.readLineString(filter, hasZ, hasM);
+			this.exit();
 			if (GeometryReader.filter(filter, GeometryType.TRIANGLE, ring)) {
 				triangle.addRing(ring as LineString);
 			}
@@ -437,18 +906,288 @@ export class GeometryReader {
 		return triangle;
 	}
 
+	/**
+	 * Read a count of points, checking in strict mode or with limits that
+	 * the remaining bytes hold the points and the total is within the limit
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return number of points
+	 */
+	private readPointCount(hasZ: boolean, hasM: boolean): number {
+		if (this.strict) {
+			this.require(4, "count of points");
+		}
+		const numPoints = this.reader.readInt();
+		if (this.isTracked()) {
+			const pointByteLength = GeometryReader.getPointByteLength(hasZ, hasM);
+			const remaining = this.remaining();
+			if (numPoints * pointByteLength > remaining) {
+				const point = Math.floor(remaining / pointByteLength);
+				this.enter(".point", point);
+				throw this.formatException("Truncated point", this.reader.position + point * pointByteLength,
+					pointByteLength + " bytes", (remaining - point * pointByteLength) + " bytes");
+			}
+			if (this.limits != null) {
+				this.addPoints(numPoints);
+			}
+		}
+		return numPoints;
+	}
+
+	/**
+	 * Read a count of rings or geometries, checking in strict mode or with
+	 * limits that the remaining bytes can hold them and the count is within
+	 * the parts limit
+	 * @param elements counted elements name
+	 * @param minByteLength minimum byte length of an element
+	 * @return count
+	 */
+	private readCount(elements: string, minByteLength: number): number {
+		if (this.strict) {
+			this.require(4, "count of " + elements);
+		}
+		const count = this.reader.readInt();
+		if (this.isTracked()) {
+			if (count * minByteLength > this.remaining()) {
+				throw this.formatException("Count of " + elements + " exceeds the remaining bytes", this.reader.position - 4,
+					"at most " + Math.floor(this.remaining() / minByteLength), String(count));
+			}
+			if (this.limits != null) {
+				this.checkLimit("maxParts", this.limits.getMaxParts(), count, this.reader.position - 4);
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Validate in strict mode that the geometry type is instantiable and has
+	 * the dimensions of the parent geometry
+	 * @param geometryTypeInfo geometry type info
+	 * @param offset byte offset of the geometry
+	 */
+	private validateGeometryType(geometryTypeInfo: GeometryTypeInfo, offset: number): void {
+		switch (geometryTypeInfo.geometryType) {
+			case GeometryType.GEOMETRY:
+			case GeometryType.CURVE:
+			case GeometryType.SURFACE:
+				throw this.formatException("Unexpected abstract geometry type", offset + 1, "an instantiable geometry type",
+					GeometryType.nameFromType(geometryTypeInfo.geometryType));
+		}
+		if (this.parents.length > 0) {
+			const parent = this.parents[this.parents.length - 1];
+			if (parent.hasZ !== geometryTypeInfo.hasZ || parent.hasM !== geometryTypeInfo.hasM) {
+				throw this.formatException("Child geometry dimensions disagree with the parent", offset + 1,
+					GeometryReader.describeDimensions(parent), GeometryReader.describeDimensions(geometryTypeInfo));
+			}
+		}
+	}
+
+	/**
+	 * Add points to the total points of the top level geometry, checking the
+	 * points limit
+	 * @param numPoints number of points
+	 */
+	private addPoints(numPoints: number): void {
+		this.numPoints += numPoints;
+		this.checkLimit("maxPoints", this.limits.getMaxPoints(), this.numPoints, this.reader.position);
+	}
+
+	/**
+	 * Check that a value is within a limit
+	 * @param limit limit name
+	 * @param maximum limit maximum
+	 * @param actual actual value
+	 * @param offset byte offset
+	 */
+	private checkLimit(limit: string, maximum: number, actual: number, offset: number): void {
+		if (actual > maximum) {
+			throw new WKBLimitException(limit, maximum, actual, offset, this.path.join(""));
+		}
+	}
+
+	/**
+	 * Determine if the geometry nesting is tracked, in strict mode or with
+	 * limits
+	 * @return true if tracked
+	 */
+	private isTracked(): boolean {
+		return this.strict || this.limits != null;
+	}
+
+	/**
+	 * Check in strict mode that the remaining bytes hold the byte length
+	 * @param byteLength byte length
+	 * @param description description of the bytes
+	 */
+	private require(byteLength: number, description: string): void {
+		if (this.remaining() < byteLength) {
+			throw this.formatException("Truncated " + description, this.reader.position, byteLength + " bytes",
+				this.remaining() + " bytes");
+		}
+	}
+
+	/**
+	 * Get the number of unread bytes
+	 * @return remaining bytes
+	 */
+	private remaining(): number {
+		return this.reader.buffer.length - this.reader.position;
+	}
+
+	/**
+	 * Enter a nested element of the path in strict mode or with limits
+	 * @param segment path segment name, empty for a child geometry
+	 * @param index element index
+	 */
+	private enter(segment: string, index: number): void {
+		if (this.isTracked()) {
+			this.path.push(segment + "[" + index + "]");
+		}
+	}
+
+	/**
+	 * Exit a nested element of the path in strict mode or with limits
+	 */
+	private exit(): void {
+		if (this.isTracked()) {
+			this.path.pop();
+		}
+	}
+
+	/**
+	 * Create a format exception at the current path
+	 * @param message message
+	 * @param offset byte offset
+	 * @param expected expected value
+	 * @param actual actual value
+	 * @return format exception
+	 */
+	private formatException(message: string, offset: number, expected: string, actual: string): WKBFormatException {
+		return new WKBFormatException(message, offset, this.path.join(""), expected, actual);
+	}
+
+	/**
+	 * Get the byte length of a point
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return byte length
+	 */
+	private static getPointByteLength(hasZ: boolean, hasM: boolean): number {
+		return 8 * (2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0));
+	}
+
+	/**
+	 * Describe the dimensions of a geometry type
+	 * @param geometryTypeInfo geometry type info
+	 * @return dimensions, such as "XYZ"
+	 */
+	private static describeDimensions(geometryTypeInfo: GeometryTypeInfo): string {
+		return "XY" + (geometryTypeInfo.hasZ ? "Z" : "") + (geometryTypeInfo.hasM ? "M" : "");
+	}
+
+	/**
+	 * Read a geometry from well-known bytes with strict validation, throwing
+	 * a {@link WKBFormatException} for truncated or corrupt bytes
+	 * @param buffer well-known bytes, a Uint8Array (including a Buffer) or ArrayBuffer
+	 * @param filter geometry filter
+	 * @return geometry
+	 */
+	public static readGeometryStrict(buffer: Uint8Array | ArrayBuffer, filter: GeometryFilter = undefined): Geometry {
+		const geometryReader = new GeometryReader(buffer);
+		geometryReader.setStrict(true);
+		return geometryReader.read(filter);
+	}
+
+	/**
+	 * Read a geometry from untrusted well-known bytes within resource limits,
+	 * throwing a {@link WKBLimitException} when a limit is exceeded
+	 * @param buffer well-known bytes, a Uint8Array (including a Buffer) or ArrayBuffer
+	 * @param limits resource limits
+	 * @param filter geometry filter
+	 * @return geometry
+	 */
+	public static readGeometryWithLimits(buffer: Uint8Array | ArrayBuffer, limits: GeometryReaderLimits,
+		filter: GeometryFilter = undefined): Geometry {
+		const geometryReader = new GeometryReader(buffer);
+		geometryReader.setLimits(limits);
+		return geometryReader.read(filter);
+	}
+
+	/**
+	 * Read a geometry from well-known bytes, skipping past the bytes of
+	 * geometries and member geometries not passing the read filter
+	 * @param buffer well-known bytes, a Uint8Array (including a Buffer) or ArrayBuffer
+	 * @param readFilter read filter
+	 * @param filter geometry filter
+	 * @return geometry, null when the top level geometry is skipped
+	 */
+	public static readGeometryWithReadFilter(buffer: Uint8Array | ArrayBuffer, readFilter: GeometryReadFilter,
+		filter: GeometryFilter = undefined): Geometry {
+		const geometryReader = new GeometryReader(buffer);
+		geometryReader.setReadFilter(readFilter);
+		return geometryReader.read(filter);
+	}
+
+	/**
+	 * Read a geometry from well-known bytes, transforming each point as it
+	 * is read
+	 * @param buffer well-known bytes, a Uint8Array (including a Buffer) or ArrayBuffer
+	 * @param transform coordinate transform
+	 * @param filter geometry filter
+	 * @return geometry
+	 */
+	public static readGeometryWithTransform(buffer: Uint8Array | ArrayBuffer, transform: CoordinateTransform,
+		filter: GeometryFilter = undefined): Geometry {
+		const geometryReader = new GeometryReader(buffer);
+		geometryReader.setTransform(transform);
+		return geometryReader.read(filter);
+	}
+
 	/**
 	 * Read a geometry from the byte reader
-	 * @param buffer buffer
+	 * @param buffer well-known bytes, a Uint8Array (including a Buffer) or ArrayBuffer
 	 * @param filter geometry filter
 	 * @param containingType containing geometry type
 	 * @return geometry
 	 */
-	public static readGeometry(buffer: Buffer, filter: GeometryFilter = undefined, containingType: GeometryType = undefined): Geometry {
+	public static readGeometry(buffer: Uint8Array | ArrayBuffer, filter: GeometryFilter = undefined, containingType: GeometryType = undefined): Geometry {
 		const geometryReader = new GeometryReader(buffer);
 		return geometryReader.read(filter, containingType);
 	}
 
+	/**
+	 * Read an EWKB geometry and the SRID of the top level geometry
+	 * @param buffer EWKB bytes, a Uint8Array (including a Buffer) or ArrayBuffer
+	 * @param filter geometry filter
+	 * @return EWKB geometry
+	 */
+	public static readEWKBGeometry(buffer: Uint8Array | ArrayBuffer, filter: GeometryFilter = undefined): EWKBGeometry {
+		const geometryReader = new GeometryReader(buffer);
+		return geometryReader.readEWKB(filter);
+	}
+
+	/**
+	 * Read a geometry from a hex string, optionally prefixed with "\x"
+	 * @param hex well-known bytes hex string
+	 * @param filter geometry filter
+	 * @param containingType containing geometry type
+	 * @return geometry
+	 */
+	public static readGeometryFromHex(hex: string, filter: GeometryFilter = undefined, containingType: GeometryType = undefined): Geometry {
+		return GeometryReader.readGeometry(HexUtils.toBytes(hex), filter, containingType);
+	}
+
+	/**
+	 * Read an EWKB geometry and the SRID of the top level geometry from a hex
+	 * string, optionally prefixed with "\x"
+	 * @param hex EWKB hex string
+	 * @param filter geometry filter
+	 * @return EWKB geometry
+	 */
+	public static readEWKBGeometryFromHex(hex: string, filter: GeometryFilter = undefined): EWKBGeometry {
+		return GeometryReader.readEWKBGeometry(HexUtils.toBytes(hex), filter);
+	}
+
 	/**
 	 * Read a geometry from the byte reader
 	 * @param reader byte reader
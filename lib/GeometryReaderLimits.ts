@@ -0,0 +1,107 @@
+/**
+ * Resource limits of a Well Known Binary reader for untrusted input. Each
+ * limit is unbounded (Infinity) unless set.
+ */
+export class GeometryReaderLimits {
+
+	/**
+	 * Maximum geometry nesting depth, the top level geometry being depth 1
+	 */
+	private maxDepth: number;
+
+	/**
+	 * Maximum total points of a top level geometry
+	 */
+	private maxPoints: number;
+
+	/**
+	 * Maximum parts, rings or child geometries, of a single geometry
+	 */
+	private maxParts: number;
+
+	/**
+	 * Maximum input byte length
+	 */
+	private maxByteLength: number;
+
+	/**
+	 * Constructor
+	 * @param maxDepth maximum geometry nesting depth
+	 * @param maxPoints maximum total points
+	 * @param maxParts maximum parts of a single geometry
+	 * @param maxByteLength maximum input byte length
+	 */
+	public constructor(maxDepth: number = Infinity, maxPoints: number = Infinity, maxParts: number = Infinity,
+		maxByteLength: number = Infinity) {
+		this.maxDepth = maxDepth;
+		this.maxPoints = maxPoints;
+		this.maxParts = maxParts;
+		this.maxByteLength = maxByteLength;
+	}
+
+	/**
+	 * Get the maximum geometry nesting depth
+	 * @return maximum depth
+	 */
+	public getMaxDepth(): number {
+		return this.maxDepth;
+	}
+
+	/**
+	 * Set the maximum geometry nesting depth, the top level geometry being
+	 * depth 1
+	 * @param maxDepth maximum depth
+	 */
+	public setMaxDepth(maxDepth: number): void {
+		this.maxDepth = maxDepth;
+	}
+
+	/**
+	 * Get the maximum total points of a top level geometry
+	 * @return maximum points
+	 */
+	public getMaxPoints(): number {
+		return this.maxPoints;
+	}
+
+	/**
+	 * Set the maximum total points of a top level geometry
+	 * @param maxPoints maximum points
+	 */
+	public setMaxPoints(maxPoints: number): void {
+		this.maxPoints = maxPoints;
+	}
+
+	/**
+	 * Get the maximum parts, rings or child geometries, of a single geometry
+	 * @return maximum parts
+	 */
+	public getMaxParts(): number {
+		return this.maxParts;
+	}
+
+	/**
+	 * Set the maximum parts, rings or child geometries, of a single geometry
+	 * @param maxParts maximum parts
+	 */
+	public setMaxParts(maxParts: number): void {
+		this.maxParts = maxParts;
+	}
+
+	/**
+	 * Get the maximum input byte length
+	 * @return maximum byte length
+	 */
+	public getMaxByteLength(): number {
+		return this.maxByteLength;
+	}
+
+	/**
+	 * Set the maximum input byte length
+	 * @param maxByteLength maximum byte length
+	 */
+	public setMaxByteLength(maxByteLength: number): void {
+		this.maxByteLength = maxByteLength;
+	}
+
+}
@@ -0,0 +1,285 @@
+import { GeometryFilter, SFException } from "./sf/internal";
+import { ByteOrder } from "./ByteOrder";
+import { ByteReader } from "./ByteReader";
+import { GeometryReader } from "./GeometryReader";
+import { GeometryStreamRecord } from "./GeometryStreamRecord";
+
+/**
+ * Result of attempting to read the next record from the pending bytes
+ */
+interface RecordResult {
+
+	/**
+	 * Bytes consumed, 0 when more bytes are required
+	 */
+	consumed: number;
+
+	/**
+	 * Pending bytes required before the next attempt
+	 */
+	required?: number;
+
+	/**
+	 * Record, undefined when more bytes are required or the filter rejected
+	 * the geometry
+	 */
+	record?: GeometryStreamRecord;
+
+}
+
+/**
+ * Streaming reader of a sequence of well-known bytes (WKB or EWKB) records,
+ * either concatenated or each prefixed with a 4 byte unsigned length. Chunks
+ * from a Node readable stream or any async iterable are consumed as they
+ * arrive and geometries are yielded one at a time. Only the unread bytes of
+ * the current record are retained, so memory does not grow with the input.
+ */
+export class GeometryStreamReader {
+
+	/**
+	 * Byte length of a record length prefix
+	 */
+	public static readonly LENGTH_PREFIX_BYTE_LENGTH = 4;
+
+	/**
+	 * Read concatenated geometries from the chunks
+	 * @param source readable stream or iterable of chunks
+	 * @param filter geometry filter
+	 * @return async iterable of geometry records
+	 */
+	public static readGeometries(source: AsyncIterable<Uint8Array | ArrayBuffer> | Iterable<Uint8Array | ArrayBuffer>,
+		filter: GeometryFilter = undefined): AsyncGenerator<GeometryStreamRecord, void, undefined> {
+		const reader = new GeometryStreamReader();
+		reader.setFilter(filter);
+		return reader.read(source);
+	}
+
+	/**
+	 * Records are prefixed with their byte length
+	 */
+	private lengthPrefixed: boolean = false;
+
+	/**
+	 * Byte order of the record length prefixes
+	 */
+	private lengthByteOrder: ByteOrder = ByteOrder.BIG_ENDIAN;
+
+	/**
+	 * Geometry filter
+	 */
+	private filter: GeometryFilter;
+
+	/**
+	 * Are records prefixed with their byte length
+	 * @return true if length prefixed
+	 */
+	public isLengthPrefixed(): boolean {
+		return this.lengthPrefixed;
+	}
+
+	/**
+	 * Set if records are prefixed with their byte length as a 4 byte unsigned
+	 * integer, otherwise records are concatenated
+	 * @param lengthPrefixed true if length prefixed
+	 */
+	public setLengthPrefixed(lengthPrefixed: boolean): void {
+		this.lengthPrefixed = lengthPrefixed;
+	}
+
+	/**
+	 * Get the byte order of the record length prefixes
+	 * @return byte order
+	 */
+	public getLengthByteOrder(): ByteOrder {
+		return this.lengthByteOrder;
+	}
+
+	/**
+	 * Set the byte order of the record length prefixes
+	 * @param lengthByteOrder byte order
+	 */
+	public setLengthByteOrder(lengthByteOrder: ByteOrder): void {
+		this.lengthByteOrder = lengthByteOrder;
+	}
+
+	/**
+	 * Get the geometry filter
+	 * @return geometry filter
+	 */
+	public getFilter(): GeometryFilter {
+		return this.filter;
+	}
+
+	/**
+	 * Set the geometry filter, records of rejected geometries are skipped
+	 * @param filter geometry filter
+	 */
+	public setFilter(filter: GeometryFilter): void {
+		this.filter = filter;
+	}
+
+	/**
+	 * Read geometries from the chunks, a record may be split across any
+	 * number of chunks
+	 * @param source readable stream or iterable of chunks
+	 * @return async iterable of geometry records
+	 */
+	public async *read(source: AsyncIterable<Uint8Array | ArrayBuffer> | Iterable<Uint8Array | ArrayBuffer>): AsyncGenerator<GeometryStreamRecord, void, undefined> {
+
+		// Unread bytes are buffer[start, end), starting at the stream offset
+		let buffer = new Uint8Array(0);
+		let start = 0;
+		let end = 0;
+		let offset = 0;
+
+		// Pending bytes required before attempting to read a record
+		let required = 1;
+
+		for await (const chunk of source) {
+			const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+			if (start === end) {
+				// Use the chunk directly, it is replaced before any bytes are appended
+				buffer = bytes;
+				start = 0;
+				end = bytes.length;
+			} else {
+				if (end + bytes.length > buffer.length) {
+					// Grow geometrically so a record split across many chunks is copied a linear number of times
+					const pendingLength = end - start;
+					const grown = new Uint8Array(Math.max(pendingLength + bytes.length, pendingLength * 2));
+					grown.set(buffer.subarray(start, end));
+					buffer = grown;
+					start = 0;
+					end = pendingLength;
+				}
+				buffer.set(bytes, end);
+				end += bytes.length;
+			}
+
+			while (start < end && end - start >= required) {
+				const result = this.readRecord(buffer.subarray(start, end), offset, false);
+				if (result.consumed === 0) {
+					required = result.required;
+					break;
+				}
+				start += result.consumed;
+				offset += result.consumed;
+				required = 1;
+				if (result.record !== undefined) {
+					yield result.record;
+				}
+			}
+		}
+
+		while (start < end) {
+			const result = this.readRecord(buffer.subarray(start, end), offset, true);
+			start += result.consumed;
+			offset += result.consumed;
+			if (result.record !== undefined) {
+				yield result.record;
+			}
+		}
+
+	}
+
+	/**
+	 * Attempt to read the next record from the pending bytes
+	 * @param bytes pending bytes
+	 * @param offset stream offset of the pending bytes
+	 * @param final true when no more bytes will arrive
+	 * @return record result
+	 */
+	private readRecord(bytes: Uint8Array, offset: number, final: boolean): RecordResult {
+		let result: RecordResult;
+		if (this.lengthPrefixed) {
+			result = this.readLengthPrefixedRecord(bytes, offset, final);
+		} else {
+			result = this.readConcatenatedRecord(bytes, offset, final);
+		}
+		return result;
+	}
+
+	/**
+	 * Attempt to read the next length prefixed record
+	 * @param bytes pending bytes
+	 * @param offset stream offset of the pending bytes
+	 * @param final true when no more bytes will arrive
+	 * @return record result
+	 */
+	private readLengthPrefixedRecord(bytes: Uint8Array, offset: number, final: boolean): RecordResult {
+		const prefixLength = GeometryStreamReader.LENGTH_PREFIX_BYTE_LENGTH;
+		let length: number = undefined;
+		if (bytes.length >= prefixLength) {
+			length = new ByteReader(bytes, this.lengthByteOrder).readUInt32();
+		}
+
+		const required = length !== undefined ? prefixLength + length : prefixLength;
+		if (bytes.length < required) {
+			if (final) {
+				throw new SFException("Truncated well-known bytes record at offset " + offset + ". Expected: "
+					+ required + " bytes, Actual: " + bytes.length);
+			}
+			return { consumed: 0, required: required };
+		}
+
+		const recordOffset = offset + prefixLength;
+		const reader = new GeometryReader(bytes.subarray(prefixLength, required));
+		let ewkbGeometry;
+		try {
+			ewkbGeometry = reader.readEWKB(this.filter);
+		} catch (e) {
+			if (e instanceof RangeError) {
+				throw new SFException("Well-known bytes record at offset " + recordOffset
+					+ " is longer than its length prefix of " + length + " bytes");
+			}
+			throw e;
+		}
+
+		const consumed = reader.getByteReader().position;
+		if (consumed !== length) {
+			throw new SFException("Well-known bytes record at offset " + recordOffset + " does not match its length prefix. Expected: "
+				+ length + " bytes, Actual: " + consumed);
+		}
+
+		return {
+			consumed: required,
+			record: ewkbGeometry.geometry != null
+				? new GeometryStreamRecord(ewkbGeometry.geometry, recordOffset, length, ewkbGeometry.srid) : undefined
+		};
+	}
+
+	/**
+	 * Attempt to read the next concatenated record. The record length is only
+	 * known once fully read, so a record split across chunks is attempted
+	 * again once the pending bytes double, keeping the total work linear.
+	 * @param bytes pending bytes
+	 * @param offset stream offset of the pending bytes
+	 * @param final true when no more bytes will arrive
+	 * @return record result
+	 */
+	private readConcatenatedRecord(bytes: Uint8Array, offset: number, final: boolean): RecordResult {
+		const reader = new GeometryReader(bytes);
+		let ewkbGeometry;
+		try {
+			ewkbGeometry = reader.readEWKB(this.filter);
+		} catch (e) {
+			if (e instanceof RangeError) {
+				if (final) {
+					throw new SFException("Truncated well-known bytes record at offset " + offset
+						+ " with " + bytes.length + " remaining bytes");
+				}
+				return { consumed: 0, required: bytes.length * 2 };
+			}
+			throw e;
+		}
+
+		const consumed = reader.getByteReader().position;
+
+		return {
+			consumed: consumed,
+			record: ewkbGeometry.geometry != null
+				? new GeometryStreamRecord(ewkbGeometry.geometry, offset, consumed, ewkbGeometry.srid) : undefined
+		};
+	}
+
+}
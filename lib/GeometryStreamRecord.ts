@@ -0,0 +1,81 @@
+import { Geometry } from "./sf/internal";
+
+/**
+ * Geometry read from a stream of well-known bytes records, along with where
+ * in the stream its bytes came from
+ */
+export class GeometryStreamRecord {
+
+	/**
+	 * Geometry
+	 */
+	private readonly _geometry: Geometry;
+
+	/**
+	 * Byte offset of the well-known bytes in the stream
+	 */
+	private readonly _offset: number;
+
+	/**
+	 * Byte length of the well-known bytes
+	 */
+	private readonly _byteLength: number;
+
+	/**
+	 * SRID
+	 */
+	private readonly _srid: number;
+
+	/**
+	 * Constructor
+	 *
+	 * @param geometry geometry
+	 * @param offset byte offset of the well-known bytes in the stream
+	 * @param byteLength byte length of the well-known bytes
+	 * @param srid EWKB SRID, undefined when not present
+	 */
+	public constructor(geometry: Geometry, offset: number, byteLength: number, srid: number = undefined) {
+		this._geometry = geometry;
+		this._offset = offset;
+		this._byteLength = byteLength;
+		this._srid = srid;
+	}
+
+	/**
+	 * Get the geometry
+	 *
+	 * @return geometry
+	 */
+	public get geometry(): Geometry {
+		return this._geometry;
+	}
+
+	/**
+	 * Get the byte offset of the well-known bytes in the stream, after any
+	 * length prefix
+	 *
+	 * @return byte offset
+	 */
+	public get offset(): number {
+		return this._offset;
+	}
+
+	/**
+	 * Get the byte length of the well-known bytes, excluding any length prefix
+	 *
+	 * @return byte length
+	 */
+	public get byteLength(): number {
+		return this._byteLength;
+	}
+
+	/**
+	 * Get the EWKB SRID
+	 *
+	 * @return SRID or undefined when not present
+	 */
+	public get srid(): number {
+		return this._srid;
+	}
+
+}
@@ -0,0 +1,166 @@
+import { GeometryEnvelope, GeometryType } from "./sf/internal";
+import { GeometryTypeInfo } from "./GeometryTypeInfo";
+
+/**
+ * Summary of a well-known bytes geometry, inspected without reading the
+ * geometry. Collections, multi geometries, compound curves, curve polygons
+ * and polyhedral surfaces have a child summary for each member geometry.
+ */
+export class GeometrySummary {
+
+	/**
+	 * Geometry type info
+	 */
+	private readonly _geometryTypeInfo: GeometryTypeInfo;
+
+	/**
+	 * Byte offset of the geometry in the well-known bytes
+	 */
+	private readonly _byteOffset: number;
+
+	/**
+	 * Byte length of the geometry
+	 */
+	private readonly _byteLength: number;
+
+	/**
+	 * Number of points, including all member geometries
+	 */
+	private readonly _numPoints: number;
+
+	/**
+	 * Number of rings, including all member geometries
+	 */
+	private readonly _numRings: number;
+
+	/**
+	 * Number of member geometries
+	 */
+	private readonly _numParts: number;
+
+	/**
+	 * Envelope, null when empty
+	 */
+	private readonly _envelope: GeometryEnvelope;
+
+	/**
+	 * Member geometry summaries
+	 */
+	private readonly _children: GeometrySummary[];
+
+	/**
+	 * Constructor
+	 *
+	 * @param geometryTypeInfo geometry type info
+	 * @param byteOffset byte offset of the geometry in the well-known bytes
+	 * @param byteLength byte length of the geometry
+	 * @param numPoints number of points, including all member geometries
+	 * @param numRings number of rings, including all member geometries
+	 * @param envelope envelope, null when empty
+	 * @param children member geometry summaries
+	 */
+	public constructor(geometryTypeInfo: GeometryTypeInfo, byteOffset: number, byteLength: number, numPoints: number,
+		numRings: number, envelope: GeometryEnvelope, children: GeometrySummary[] = []) {
+		this._geometryTypeInfo = geometryTypeInfo;
+		this._byteOffset = byteOffset;
+		this._byteLength = byteLength;
+		this._numPoints = numPoints;
+		this._numRings = numRings;
+		this._numParts = children.length;
+		this._envelope = envelope;
+		this._children = children;
+	}
+
+	/**
+	 * Get the geometry type info
+	 *
+	 * @return geometry type info
+	 */
+	public get geometryTypeInfo(): GeometryTypeInfo {
+		return this._geometryTypeInfo;
+	}
+
+	/**
+	 * Get the geometry type
+	 *
+	 * @return geometry type
+	 */
+	public get geometryType(): GeometryType {
+		return this._geometryTypeInfo.geometryType;
+	}
+
+	/**
+	 * Get the byte offset of the geometry in the well-known bytes
+	 *
+	 * @return byte offset
+	 */
+	public get byteOffset(): number {
+		return this._byteOffset;
+	}
+
+	/**
+	 * Get the byte length of the geometry
+	 *
+	 * @return byte length
+	 */
+	public get byteLength(): number {
+		return this._byteLength;
+	}
+
+	/**
+	 * Get the number of points, including all member geometries. An empty
+	 * point has no points.
+	 *
+	 * @return number of points
+	 */
+	public get numPoints(): number {
+		return this._numPoints;
+	}
+
+	/**
+	 * Get the number of rings of polygons, triangles and curve polygons,
+	 * including all member geometries
+	 *
+	 * @return number of rings
+	 */
+	public get numRings(): number {
+		return this._numRings;
+	}
+
+	/**
+	 * Get the number of member geometries
+	 *
+	 * @return number of parts
+	 */
+	public get numParts(): number {
+		return this._numParts;
+	}
+
+	/**
+	 * Get the envelope, matching the envelope of the read geometry
+	 *
+	 * @return envelope, null when empty
+	 */
+	public get envelope(): GeometryEnvelope {
+		return this._envelope;
+	}
+
+	/**
+	 * Get the member geometry summaries
+	 *
+	 * @return child summaries
+	 */
+	public get children(): GeometrySummary[] {
+		return this._children;
+	}
+
+	/**
+	 * Is the geometry empty, without any points
+	 *
+	 * @return true if empty
+	 */
+	public isEmpty(): boolean {
+		return this._numPoints === 0;
+	}
+
+}
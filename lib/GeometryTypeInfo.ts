@@ -1,4 +1,5 @@
 import { GeometryType } from "./sf/internal";
+import { ByteOrder } from "./ByteOrder";
 
 /**
  * Geometry type info
@@ -25,6 +26,22 @@ export class GeometryTypeInfo {
 	 */
 	private readonly _hasM: boolean;
 
+	/**
+	 * EWKB SRID, undefined when not present
+	 */
+	private readonly _srid: number;
+
+	/**
+	 * Byte order, undefined when not read
+	 */
+	private readonly _byteOrder: ByteOrder;
+
+	/**
+	 * Geometry type unsigned integer as read, including any 2.5D or EWKB
+	 * flags, undefined when not read
+	 */
+	private readonly _unsignedGeometryTypeCode: number;
+
 	/**
 	 * Constructor
 	 * 
@@ -32,12 +49,19 @@ export class GeometryTypeInfo {
 	 * @param geometryType geometry type
 	 * @param hasZ has z
 	 * @param hasM has m
+	 * @param srid EWKB SRID
+	 * @param byteOrder byte order
+	 * @param unsignedGeometryTypeCode geometry type unsigned integer as read
 	 */
-	public constructor(geometryTypeCode: number, geometryType: GeometryType, hasZ: boolean, hasM: boolean) {
+	public constructor(geometryTypeCode: number, geometryType: GeometryType, hasZ: boolean, hasM: boolean, srid: number = undefined,
+		byteOrder: ByteOrder = undefined, unsignedGeometryTypeCode: number = undefined) {
 		this._geometryTypeCode = geometryTypeCode;
 		this._geometryType = geometryType;
 		this._hasZ = hasZ;
 		this._hasM = hasM;
+		this._srid = srid;
+		this._byteOrder = byteOrder;
+		this._unsignedGeometryTypeCode = unsignedGeometryTypeCode;
 	}
 
 	/**
@@ -76,4 +100,41 @@ export class GeometryTypeInfo {
 		return this._hasM;
 	}
 
+	/**
+	 * Get the EWKB SRID
+	 * 
+	 * @return SRID or undefined when not present
+	 */
+	public get srid(): number {
+		return this._srid;
+	}
+
+	/**
+	 * Has an EWKB SRID
+	 * 
+	 * @return true if has an SRID
+	 */
+	public get hasSRID(): boolean {
+		return this._srid != null;
+	}
+
+	/**
+	 * Get the byte order
+	 * 
+	 * @return byte order or undefined when not read
+	 */
+	public get byteOrder(): ByteOrder {
+		return this._byteOrder;
+	}
+
+	/**
+	 * Get the geometry type unsigned integer as read, including any 2.5D or
+	 * EWKB flags
+	 * 
+	 * @return unsigned geometry type code or undefined when not read
+	 */
+	public get unsignedGeometryTypeCode(): number {
+		return this._unsignedGeometryTypeCode;
+	}
+
 }
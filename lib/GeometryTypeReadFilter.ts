@@ -0,0 +1,55 @@
+import { GeometryType } from "./sf/internal";
+import { GeometryReadFilter } from "./GeometryReadFilter";
+import { GeometryTypeInfo } from "./GeometryTypeInfo";
+
+/**
+ * Read filter skipping geometries of excluded geometry types
+ */
+export class GeometryTypeReadFilter implements GeometryReadFilter {
+
+	/**
+	 * Excluded geometry types
+	 */
+	private readonly excludedTypes: Set<GeometryType>;
+
+	/**
+	 * Constructor
+	 * @param excludedTypes excluded geometry types
+	 */
+	public constructor(excludedTypes: GeometryType[] = []) {
+		this.excludedTypes = new Set<GeometryType>(excludedTypes);
+	}
+
+	/**
+	 * Get the excluded geometry types
+	 * @return excluded geometry types
+	 */
+	public getExcludedTypes(): GeometryType[] {
+		return Array.from(this.excludedTypes);
+	}
+
+	/**
+	 * Exclude a geometry type
+	 * @param geometryType geometry type
+	 */
+	public exclude(geometryType: GeometryType): void {
+		this.excludedTypes.add(geometryType);
+	}
+
+	/**
+	 * Determine if a geometry type is excluded
+	 * @param geometryType geometry type
+	 * @return true if excluded
+	 */
+	public isExcluded(geometryType: GeometryType): boolean {
+		return this.excludedTypes.has(geometryType);
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public filterType(containingType: GeometryType, geometryTypeInfo: GeometryTypeInfo): boolean {
+		return !this.excludedTypes.has(geometryTypeInfo.geometryType);
+	}
+
+}
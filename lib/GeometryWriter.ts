@@ -2,6 +2,7 @@ import {
 	CircularString,
 	CompoundCurve,
 	Curve,
+	CurveLinearizer,
 	CurvePolygon,
 	Geometry,
 	GeometryCollection,
@@ -19,7 +20,13 @@ import {
 } from "./sf/internal";
 import {ByteWriter} from "./ByteWriter";
 import {ByteOrder} from "./ByteOrder";
+import {CoordinateTransform} from "./CoordinateTransform";
+import {CoordinateTransforms} from "./CoordinateTransforms";
 import {GeometryCodes} from "./GeometryCodes";
+import {GeometryTypeInfo} from "./GeometryTypeInfo";
+import {HexUtils} from "./HexUtils";
+import {WKBDialect} from "./WKBDialect";
+import {WKBDimensionPolicy} from "./WKBDimensionPolicy";
 
 /**
  * Well Known Binary writer
@@ -29,25 +36,166 @@ export class GeometryWriter {
 	private static readonly GEOMETRY_TYPE_BYTE_LENGTH = 4;
 	private static readonly INT_BYTE_LENGTH = 4;
 	private static readonly DOUBLE_BYTE_LENGTH = 8;
+	private static readonly SRID_BYTE_LENGTH = 4;
 
 	/**
 	 * Write a geometry to a well-known bytes
 	 *
 	 * @param geometry geometry
 	 * @param byteOrder byteOrder
+	 * @param dialect dimension encoding dialect
+	 * @param dimensionPolicy policy for dimensions the dialect can not represent
 	 * @return well-known bytes
 	 */
-	public static writeGeometry(geometry: Geometry, byteOrder): Buffer {
+	public static writeGeometry(geometry: Geometry, byteOrder, dialect: WKBDialect = WKBDialect.ISO,
+		dimensionPolicy: WKBDimensionPolicy = WKBDimensionPolicy.FAIL): Uint8Array {
+		const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(geometry, dialect), byteOrder));
+		writer.setDialect(dialect);
+		writer.setDimensionPolicy(dimensionPolicy);
+		writer.write(geometry);
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Write a geometry to well-known bytes reproducing the byte order and
+	 * geometry type codes of the encodings preserved by a
+	 * {@link GeometryReader}
+	 *
+	 * @param geometry geometry
+	 * @param encodings geometry type info by geometry
+	 * @param byteOrder byte order of geometries without an encoding
+	 * @return well-known bytes
+	 */
+	public static writeGeometryWithEncodings(geometry: Geometry, encodings: WeakMap<Geometry, GeometryTypeInfo>,
+		byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): Uint8Array {
+		// EWKB SRIDs of the encodings may exceed the ISO byte length
+		const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(geometry), byteOrder, true));
+		writer.setEncodings(encodings);
+		writer.write(geometry);
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Write a geometry to well-known bytes, transforming each point as it is
+	 * written
+	 *
+	 * @param geometry geometry
+	 * @param transform coordinate transform
+	 * @param byteOrder byte order
+	 * @return well-known bytes
+	 */
+	public static writeGeometryWithTransform(geometry: Geometry, transform: CoordinateTransform,
+		byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): Uint8Array {
+		const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(geometry), byteOrder));
+		writer.setTransform(transform);
+		writer.write(geometry);
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Write a geometry to well-known bytes, linearizing circular strings and
+	 * the curve geometries made of them into line strings, polygons and multi
+	 * polygons
+	 *
+	 * @param geometry geometry
+	 * @param linearizer curve linearizer
+	 * @param byteOrder byte order
+	 * @return well-known bytes
+	 */
+	public static writeGeometryLinearized(geometry: Geometry, linearizer: CurveLinearizer = new CurveLinearizer(),
+		byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): Uint8Array {
+		const linearized = linearizer.linearize(geometry);
+		const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(linearized), byteOrder));
+		writer.setLinearizer(linearizer);
+		writer.write(linearized);
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Write a geometry to well-known bytes in an ArrayBuffer
+	 *
+	 * @param geometry geometry
+	 * @param byteOrder byteOrder
+	 * @return well-known bytes
+	 */
+	public static writeGeometryToArrayBuffer(geometry: Geometry, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): ArrayBuffer {
 		const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(geometry), byteOrder));
 		writer.write(geometry);
+		return writer.getArrayBuffer();
+	}
+
+	/**
+	 * Write a geometry to EWKB (PostGIS extended well-known bytes)
+	 *
+	 * @param geometry geometry
+	 * @param srid SRID of the geometry, undefined to write without an SRID
+	 * @param byteOrder byteOrder
+	 * @return EWKB bytes
+	 */
+	public static writeEWKBGeometry(geometry: Geometry, srid: number = undefined, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN): Uint8Array {
+		const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getEWKBGeometryByteLength(geometry, srid), byteOrder));
+		writer.setDialect(WKBDialect.EWKB);
+		writer.write(geometry, srid);
 		return writer.getBuffer();
 	}
 
+	/**
+	 * Write a geometry to a well-known bytes hex string
+	 *
+	 * @param geometry geometry
+	 * @param byteOrder byteOrder
+	 * @param upperCase true for upper case hex digits, false for lower case
+	 * @return well-known bytes hex string
+	 */
+	public static writeGeometryToHex(geometry: Geometry, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN, upperCase: boolean = true): string {
+		return HexUtils.fromBytes(GeometryWriter.writeGeometry(geometry, byteOrder), upperCase);
+	}
+
+	/**
+	 * Write a geometry to an EWKB (PostGIS extended well-known bytes) hex string
+	 *
+	 * @param geometry geometry
+	 * @param srid SRID of the geometry, undefined to write without an SRID
+	 * @param byteOrder byteOrder
+	 * @param upperCase true for upper case hex digits, false for lower case
+	 * @return EWKB hex string
+	 */
+	public static writeEWKBGeometryToHex(geometry: Geometry, srid: number = undefined, byteOrder: ByteOrder = ByteOrder.BIG_ENDIAN,
+		upperCase: boolean = true): string {
+		return HexUtils.fromBytes(GeometryWriter.writeEWKBGeometry(geometry, srid, byteOrder), upperCase);
+	}
+
 	/**
 	 * Byte Writer
 	 */
 	private readonly writer: ByteWriter;
 
+	/**
+	 * Dimension encoding dialect of the geometry type codes
+	 */
+	private dialect: WKBDialect = WKBDialect.ISO;
+
+	/**
+	 * Policy for dimensions the dialect can not represent
+	 */
+	private dimensionPolicy: WKBDimensionPolicy = WKBDimensionPolicy.FAIL;
+
+	/**
+	 * Coordinate transform of written points, null when not transforming
+	 */
+	private transform: CoordinateTransform = null;
+
+	/**
+	 * Curve linearizer of written geometries, null when writing curves
+	 */
+	private linearizer: CurveLinearizer = null;
+
+	/**
+	 * Preserved geometry type info by geometry, null when not reproducing
+	 * read encodings
+	 */
+	private encodings: WeakMap<Geometry, GeometryTypeInfo> = null;
+
 	/**
 	 * Constructor
 	 * @param writer byte writer
@@ -70,20 +218,155 @@ export class GeometryWriter {
 	 *
 	 * @return written bytes
 	 */
-	public getBuffer(): Buffer {
+	public getBuffer(): Uint8Array {
 		return this.writer.getBuffer();
 	}
 
+	/**
+	 * Get a copy of the written bytes as an ArrayBuffer
+	 *
+	 * @return written bytes
+	 */
+	public getArrayBuffer(): ArrayBuffer {
+		return this.writer.getArrayBuffer();
+	}
+
+	/**
+	 * Is the writer writing EWKB (PostGIS extended) geometry type codes
+	 * @return true if writing EWKB
+	 */
+	public isEWKB(): boolean {
+		return this.dialect === WKBDialect.EWKB;
+	}
+
+	/**
+	 * Set the EWKB (PostGIS extended) mode, writing Z, M and SRID flags in
+	 * the geometry type codes instead of ISO codes
+	 * @param ewkb true to write EWKB, false to write ISO
+	 */
+	public setEWKB(ewkb: boolean): void {
+		this.dialect = ewkb ? WKBDialect.EWKB : WKBDialect.ISO;
+	}
+
+	/**
+	 * Get the dimension encoding dialect
+	 * @return dialect
+	 */
+	public getDialect(): WKBDialect {
+		return this.dialect;
+	}
+
+	/**
+	 * Set the dimension encoding dialect of the geometry type codes
+	 * @param dialect dialect
+	 */
+	public setDialect(dialect: WKBDialect): void {
+		this.dialect = dialect;
+	}
+
+	/**
+	 * Get the policy for dimensions the dialect can not represent
+	 * @return dimension policy
+	 */
+	public getDimensionPolicy(): WKBDimensionPolicy {
+		return this.dimensionPolicy;
+	}
+
+	/**
+	 * Set the policy for Z or M values the dialect can not represent, failing
+	 * or dropping the values
+	 * @param dimensionPolicy dimension policy
+	 */
+	public setDimensionPolicy(dimensionPolicy: WKBDimensionPolicy): void {
+		this.dimensionPolicy = dimensionPolicy;
+	}
+
+	/**
+	 * Get the coordinate transform
+	 * @return coordinate transform, null when not transforming
+	 */
+	public getTransform(): CoordinateTransform {
+		return this.transform;
+	}
+
+	/**
+	 * Set the coordinate transform applied to each point as it is written,
+	 * leaving the geometry unmodified
+	 * @param transform coordinate transform, null to not transform
+	 */
+	public setTransform(transform: CoordinateTransform): void {
+		this.transform = transform;
+	}
+
+	/**
+	 * Get the curve linearizer
+	 * @return curve linearizer, null when writing curves
+	 */
+	public getLinearizer(): CurveLinearizer {
+		return this.linearizer;
+	}
+
+	/**
+	 * Set the curve linearizer used to write circular strings and the curve
+	 * geometries made of them as line strings, polygons and multi polygons.
+	 * The written byte length is that of the linearized geometry.
+	 * @param linearizer curve linearizer, null to write curves
+	 */
+	public setLinearizer(linearizer: CurveLinearizer): void {
+		this.linearizer = linearizer;
+	}
+
+	/**
+	 * Get the preserved encodings
+	 * @return geometry type info by geometry, null when not reproducing read
+	 *         encodings
+	 */
+	public getEncodings(): WeakMap<Geometry, GeometryTypeInfo> {
+		return this.encodings;
+	}
+
+	/**
+	 * Set the encodings preserved by a {@link GeometryReader}. Geometries with
+	 * an encoding are written in their original byte order, and with their
+	 * original geometry type code and EWKB SRID when the code dimensions
+	 * match the written dimensions. Other geometries are written in the
+	 * byte order and dialect of the writer.
+	 * @param encodings geometry type info by geometry, null to not reproduce
+	 *                  read encodings
+	 */
+	public setEncodings(encodings: WeakMap<Geometry, GeometryTypeInfo>): void {
+		this.encodings = encodings;
+	}
+
 	/**
 	 * Write a geometry to the byte writer
 	 * @param geometry geometry
+	 * @param srid EWKB SRID of the geometry, only written in EWKB mode.
+	 *             Nested geometries are written without an SRID.
 	 */
-	public write(geometry: Geometry): void {
+	public write(geometry: Geometry, srid: number = undefined): void {
+
+		if (this.linearizer != null && CurveLinearizer.hasCurve(geometry)) {
+			geometry = this.linearizer.linearize(geometry);
+		}
+
+		const encoding = this.encodings != null ? this.encodings.get(geometry) : undefined;
+		const originalByteOrder = this.writer.getByteOrder();
+		if (encoding != null && encoding.byteOrder != null) {
+			this.writer.setByteOrder(encoding.byteOrder);
+		}
 
 		this.writer.writeUInt8(this.writer.getByteOrder());
 
 		// Write the geometry type integer
-		this.writer.writeInt(GeometryCodes.getCode(geometry));
+		if (encoding != null && this.isEncodingWritable(geometry, encoding)) {
+			this.writer.writeInt(encoding.unsignedGeometryTypeCode);
+			if ((encoding.unsignedGeometryTypeCode & GeometryCodes.EWKB_SRID) !== 0) {
+				this.writer.writeInt32(srid != null ? srid : encoding.srid);
+			}
+		} else {
+			this.writeGeometryType(geometry, srid);
+		}
 
 		const geometryType = geometry.geometryType;
 
@@ -139,9 +422,17 @@ export class GeometryWriter {
 				throw new SFException("Geometry Type not supported: " + geometryType);
 		}
 
+		// Restore the byte order
+		this.writer.setByteOrder(originalByteOrder);
 	}
 
-	public static getGeometryByteLength(geometry: Geometry): number {
+	/**
+	 * Get the well-known byte length of the geometry
+	 * @param geometry geometry
+	 * @param dialect dimension encoding dialect, dimensions it can not represent are not counted
+	 * @return byte length
+	 */
+	public static getGeometryByteLength(geometry: Geometry, dialect: WKBDialect = WKBDialect.ISO): number {
 		let byteLength = GeometryWriter.BYTE_ORDER_BYTE_LENGTH + GeometryWriter.GEOMETRY_TYPE_BYTE_LENGTH;
 
 		const geometryType = geometry.geometryType;
@@ -150,49 +441,49 @@ export class GeometryWriter {
 			case GeometryType.GEOMETRY:
 				throw new SFException("Unexpected Geometry Type of Geometry which is abstract");
 			case GeometryType.POINT:
-				byteLength += GeometryWriter.getPointByteLength(geometry as Point);
+				byteLength += GeometryWriter.getPointByteLength(geometry as Point, dialect);
 				break;
 			case GeometryType.LINESTRING:
-				byteLength += GeometryWriter.getLineStringByteLength(geometry as LineString);
+				byteLength += GeometryWriter.getLineStringByteLength(geometry as LineString, dialect);
 				break;
 			case GeometryType.POLYGON:
-				byteLength += GeometryWriter.getPolygonByteLength(geometry as Polygon);
+				byteLength += GeometryWriter.getPolygonByteLength(geometry as Polygon, dialect);
 				break;
 			case GeometryType.MULTIPOINT:
-				byteLength += GeometryWriter.getMultiPointByteLength(geometry as MultiPoint);
+				byteLength += GeometryWriter.getMultiPointByteLength(geometry as MultiPoint, dialect);
 				break;
 			case GeometryType.MULTILINESTRING:
-				byteLength += GeometryWriter.getMultiLineStringByteLength(geometry as MultiLineString);
+				byteLength += GeometryWriter.getMultiLineStringByteLength(geometry as MultiLineString, dialect);
 				break;
 			case GeometryType.MULTIPOLYGON:
-				byteLength += GeometryWriter.getMultiPolygonByteLength(geometry as MultiPolygon);
+				byteLength += GeometryWriter.getMultiPolygonByteLength(geometry as MultiPolygon, dialect);
 				break;
 			case GeometryType.GEOMETRYCOLLECTION:
 			case GeometryType.MULTICURVE:
 			case GeometryType.MULTISURFACE:
-				byteLength += GeometryWriter.getGeometryCollectionByteLength(geometry as GeometryCollection<Geometry>);
+				byteLength += GeometryWriter.getGeometryCollectionByteLength(geometry as GeometryCollection<Geometry>, dialect);
 				break;
 			case GeometryType.CIRCULARSTRING:
-				byteLength += GeometryWriter.getCircularStringByteLength(geometry as CircularString);
+				byteLength += GeometryWriter.getCircularStringByteLength(geometry as CircularString, dialect);
 				break;
 			case GeometryType.COMPOUNDCURVE:
-				byteLength += GeometryWriter.getCompoundCurveByteLength(geometry as CompoundCurve);
+				byteLength += GeometryWriter.getCompoundCurveByteLength(geometry as CompoundCurve, dialect);
 				break;
 			case GeometryType.CURVEPOLYGON:
-				byteLength += GeometryWriter.getCurvePolygonByteLength(geometry as CurvePolygon<Curve>);
+				byteLength += GeometryWriter.getCurvePolygonByteLength(geometry as CurvePolygon<Curve>, dialect);
 				break;
 			case GeometryType.CURVE:
 				throw new SFException("Unexpected Geometry Type of Curve which is abstract");
 			case GeometryType.SURFACE:
 				throw new SFException("Unexpected Geometry Type of Surface which is abstract");
 			case GeometryType.POLYHEDRALSURFACE:
-				byteLength += GeometryWriter.getPolyhedralSurfaceByteLength(geometry as PolyhedralSurface);
+				byteLength += GeometryWriter.getPolyhedralSurfaceByteLength(geometry as PolyhedralSurface, dialect);
 				break;
 			case GeometryType.TIN:
-				byteLength += GeometryWriter.getTINByteLength(geometry as TIN);
+				byteLength += GeometryWriter.getTINByteLength(geometry as TIN, dialect);
 				break;
 			case GeometryType.TRIANGLE:
-				byteLength += GeometryWriter.getTriangleByteLength(geometry as Triangle);
+				byteLength += GeometryWriter.getTriangleByteLength(geometry as Triangle, dialect);
 				break;
 			default:
 				throw new SFException("Geometry Type not supported: " + geometryType);
@@ -202,13 +493,86 @@ export class GeometryWriter {
 	}
 
 	/**
-	 * Write a Point
+	 * Get the EWKB byte length of the geometry
+	 * @param geometry geometry
+	 * @param srid SRID of the geometry, undefined when written without an SRID
+	 * @return byte length
+	 */
+	public static getEWKBGeometryByteLength(geometry: Geometry, srid: number = undefined): number {
+		let byteLength = GeometryWriter.getGeometryByteLength(geometry);
+		if (srid != null) {
+			byteLength += GeometryWriter.SRID_BYTE_LENGTH;
+		}
+		return byteLength;
+	}
+
+	/**
+	 * Determine if the preserved geometry type code can be written, having
+	 * the dimensions written for the geometry by the dialect
+	 * @param geometry geometry
+	 * @param encoding preserved geometry type info
+	 * @return true if the preserved code can be written
+	 */
+	private isEncodingWritable(geometry: Geometry, encoding: GeometryTypeInfo): boolean {
+		return encoding.unsignedGeometryTypeCode != null
+			&& encoding.hasZ === (geometry.hasZ && WKBDialect.hasZ(this.dialect))
+			&& encoding.hasM === (geometry.hasM && WKBDialect.hasM(this.dialect));
+	}
+
+	/**
+	 * Write the geometry type code of the dialect, followed by the SRID in
+	 * EWKB mode
+	 * @param geometry geometry
+	 * @param srid EWKB SRID of the geometry
+	 */
+	private writeGeometryType(geometry: Geometry, srid: number): void {
+		const hasZ = geometry.hasZ && WKBDialect.hasZ(this.dialect);
+		const hasM = geometry.hasM && WKBDialect.hasM(this.dialect);
+		if (this.dimensionPolicy === WKBDimensionPolicy.FAIL && (hasZ !== geometry.hasZ || hasM !== geometry.hasM)) {
+			throw new SFException("The " + WKBDialect.nameFromType(this.dialect) + " WKB dialect can not represent "
+				+ (hasZ !== geometry.hasZ ? "Z" : "M") + " values. Geometry Type: " + GeometryType.nameFromType(geometry.geometryType));
+		}
+
+		switch (this.dialect) {
+			case WKBDialect.EXTENDED:
+				this.writer.writeInt(GeometryCodes._getExtendedCode(geometry.geometryType, hasZ));
+				break;
+			case WKBDialect.EWKB: {
+				const hasSRID = srid != null;
+				this.writer.writeInt(GeometryCodes._getEWKBCode(geometry.geometryType, hasZ, hasM, hasSRID));
+				if (hasSRID) {
+					this.writer.writeInt32(srid);
+				}
+				break;
+			}
+			default:
+				this.writer.writeInt(GeometryCodes._getCode(geometry.geometryType, hasZ, hasM));
+		}
+	}
+
+	/**
+	 * Write a Point, an empty point as NaN coordinates
 	 * @param point point
 	 */
 	public writePoint(point: Point): void {
-		this.writeXY(point);
-		this.writeZ(point);
-		this.writeM(point);
+		if (this.transform != null && !point.isEmpty()) {
+			// Write the transformed values without copying the point
+			const coordinates = CoordinateTransforms.apply(this.transform, point.x, point.y, point.z, point.m);
+			this.writer.writeDouble(coordinates[0]);
+			this.writer.writeDouble(coordinates[1]);
+			if (point.hasZ && WKBDialect.hasZ(this.dialect)) {
+				const z = coordinates[2] != null ? coordinates[2] : point.z;
+				this.writer.writeDouble(z != null ? z : NaN);
+			}
+			if (point.hasM && WKBDialect.hasM(this.dialect)) {
+				const m = coordinates[3] != null ? coordinates[3] : point.m;
+				this.writer.writeDouble(m != null ? m : NaN);
+			}
+		} else {
+			this.writeXY(point);
+			this.writeZ(point);
+			this.writeM(point);
+		}
 	}
 
 	/**
@@ -225,8 +589,8 @@ export class GeometryWriter {
 	 * @param point point
 	 */
 	public writeZ(point: Point): void {
-		if (point.hasZ) {
-			this.writer.writeDouble(point.z);
+		if (point.hasZ && WKBDialect.hasZ(this.dialect)) {
+			this.writer.writeDouble(point.z != null ? point.z : NaN);
 		}
 	}
 
@@ -235,8 +599,8 @@ export class GeometryWriter {
 	 * @param point point
 	 */
 	public writeM(point: Point): void {
-		if (point.hasM) {
-			this.writer.writeDouble(point.m);
+		if (point.hasM && WKBDialect.hasM(this.dialect)) {
+			this.writer.writeDouble(point.m != null ? point.m : NaN);
 		}
 	}
 
@@ -580,13 +944,13 @@ export class GeometryWriter {
 		geometryWriter.writeTriangle(triangle);
 	}
 
-	private static getPointByteLength (point: Point): number {
+	private static getPointByteLength(point: Point, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.DOUBLE_BYTE_LENGTH  // x
 			+ GeometryWriter.DOUBLE_BYTE_LENGTH; // y
-		if (point.hasZ) {
+		if (point.hasZ && WKBDialect.hasZ(dialect)) {
 			byteLength += GeometryWriter.DOUBLE_BYTE_LENGTH;
 		}
-		if (point.hasM) {
+		if (point.hasM && WKBDialect.hasM(dialect)) {
 			byteLength += GeometryWriter.DOUBLE_BYTE_LENGTH;
 		}
 		return byteLength
@@ -596,10 +960,10 @@ export class GeometryWriter {
 	 * Write a Line String
 	 * @param lineString Line String
 	 */
-	private static getLineStringByteLength(lineString: LineString): number {
+	private static getLineStringByteLength(lineString: LineString, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const point of lineString.points) {
-			byteLength += GeometryWriter.getPointByteLength(point);
+			byteLength += GeometryWriter.getPointByteLength(point, dialect);
 		}
 		return byteLength;
 	}
@@ -608,10 +972,10 @@ export class GeometryWriter {
 	 * Write a Polygon
 	 * @param polygon Polygon
 	 */
-	private static getPolygonByteLength(polygon: Polygon): number {
+	private static getPolygonByteLength(polygon: Polygon, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const ring of polygon.rings) {
-			byteLength += GeometryWriter.getLineStringByteLength(ring);
+			byteLength += GeometryWriter.getLineStringByteLength(ring, dialect);
 		}
 		return byteLength;
 	}
@@ -620,10 +984,10 @@ export class GeometryWriter {
 	 * Write a Multi Point
 	 * @param multiPoint Multi Point
 	 */
-	private static getMultiPointByteLength(multiPoint: MultiPoint): number {
+	private static getMultiPointByteLength(multiPoint: MultiPoint, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const point of multiPoint.points) {
-			byteLength += GeometryWriter.getGeometryByteLength(point);
+			byteLength += GeometryWriter.getGeometryByteLength(point, dialect);
 		}
 		return byteLength;
 	}
@@ -632,10 +996,10 @@ export class GeometryWriter {
 	 * Write a Multi Line String
 	 * @param multiLineString Multi Line String
 	 */
-	private static getMultiLineStringByteLength(multiLineString: MultiLineString): number {
+	private static getMultiLineStringByteLength(multiLineString: MultiLineString, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const lineString of multiLineString.lineStrings) {
-			byteLength += GeometryWriter.getGeometryByteLength(lineString);
+			byteLength += GeometryWriter.getGeometryByteLength(lineString, dialect);
 		}
 		return byteLength;
 	}
@@ -644,10 +1008,10 @@ export class GeometryWriter {
 	 * Write a Multi Polygon
 	 * @param multiPolygon Multi Polygon
 	 */
-	private static getMultiPolygonByteLength(multiPolygon: MultiPolygon): number {
+	private static getMultiPolygonByteLength(multiPolygon: MultiPolygon, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const polygon of multiPolygon.polygons) {
-			byteLength += GeometryWriter.getGeometryByteLength(polygon);
+			byteLength += GeometryWriter.getGeometryByteLength(polygon, dialect);
 		}
 		return byteLength;
 	}
@@ -656,10 +1020,10 @@ export class GeometryWriter {
 	 * Write a Geometry Collection
 	 * @param geometryCollection Geometry Collection
 	 */
-	private static getGeometryCollectionByteLength(geometryCollection: GeometryCollection<Geometry>): number {
+	private static getGeometryCollectionByteLength(geometryCollection: GeometryCollection<Geometry>, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const geometry of geometryCollection.geometries) {
-			byteLength += GeometryWriter.getGeometryByteLength(geometry);
+			byteLength += GeometryWriter.getGeometryByteLength(geometry, dialect);
 		}
 		return byteLength;
 	}
@@ -668,10 +1032,10 @@ export class GeometryWriter {
 	 * Write a Circular String
 	 * @param circularString Circular String
 	 */
-	private static getCircularStringByteLength(circularString: CircularString): number {
+	private static getCircularStringByteLength(circularString: CircularString, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const point of circularString.points) {
-			byteLength += GeometryWriter.getPointByteLength(point);
+			byteLength += GeometryWriter.getPointByteLength(point, dialect);
 		}
 		return byteLength;
 	}
@@ -680,10 +1044,10 @@ export class GeometryWriter {
 	 * Write a Compound Curve
 	 * @param compoundCurve Compound Curve
 	 */
-	private static getCompoundCurveByteLength(compoundCurve: CompoundCurve): number {
+	private static getCompoundCurveByteLength(compoundCurve: CompoundCurve, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const lineString of compoundCurve.lineStrings) {
-			byteLength += GeometryWriter.getGeometryByteLength(lineString);
+			byteLength += GeometryWriter.getGeometryByteLength(lineString, dialect);
 		}
 		return byteLength;
 	}
@@ -692,10 +1056,10 @@ export class GeometryWriter {
 	 * Write a Curve Polygon
 	 * @param curvePolygon Curve Polygon
 	 */
-	private static getCurvePolygonByteLength(curvePolygon: CurvePolygon<Curve>): number {
+	private static getCurvePolygonByteLength(curvePolygon: CurvePolygon<Curve>, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const ring of curvePolygon.rings) {
-			byteLength += GeometryWriter.getGeometryByteLength(ring);
+			byteLength += GeometryWriter.getGeometryByteLength(ring, dialect);
 		}
 		return byteLength;
 	}
@@ -704,10 +1068,10 @@ export class GeometryWriter {
 	 * Write a Polyhedral Surface
 	 * @param polyhedralSurface Polyhedral Surface
 	 */
-	private static getPolyhedralSurfaceByteLength(polyhedralSurface: PolyhedralSurface): number {
+	private static getPolyhedralSurfaceByteLength(polyhedralSurface: PolyhedralSurface, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const polygon of polyhedralSurface.polygons) {
-			byteLength += GeometryWriter.getGeometryByteLength(polygon);
+			byteLength += GeometryWriter.getGeometryByteLength(polygon, dialect);
 		}
 		return byteLength;
 	}
@@ -716,10 +1080,10 @@ export class GeometryWriter {
 	 * Write a TIN
 	 * @param tin TIN
 	 */
-	private static getTINByteLength(tin: TIN): number {
+	private static getTINByteLength(tin: TIN, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const polygon of tin.polygons) {
-			byteLength += GeometryWriter.getGeometryByteLength(polygon);
+			byteLength += GeometryWriter.getGeometryByteLength(polygon, dialect);
 		}
 		return byteLength;
 	}
@@ -728,10 +1092,10 @@ export class GeometryWriter {
 	 * Write a Triangle
 	 * @param triangle Triangle
 	 */
-	private static getTriangleByteLength(triangle: Triangle): number {
+	private static getTriangleByteLength(triangle: Triangle, dialect: WKBDialect): number {
 		let byteLength = GeometryWriter.INT_BYTE_LENGTH
 		for (const ring of triangle.rings) {
-			byteLength += GeometryWriter.getLineStringByteLength(ring);
+			byteLength += GeometryWriter.getLineStringByteLength(ring, dialect);
 		}
 		return byteLength;
 	}
@@ -0,0 +1,86 @@
+import { SFException } from "./sf/internal";
+
+/**
+ * Hex string conversion for well-known bytes, as returned by PostGIS,
+ * SpatiaLite and most SQL tools
+ */
+export class HexUtils {
+
+	/**
+	 * Hex digits
+	 */
+	private static readonly DIGITS = "0123456789abcdef";
+
+	/**
+	 * Convert a hex string to bytes. A leading "\x" (PostgreSQL bytea) or "0x"
+	 * prefix is ignored and digits may be upper or lower case.
+	 * @param hex hex string
+	 * @return bytes
+	 */
+	public static toBytes(hex: string): Uint8Array {
+		if (hex == null) {
+			throw new SFException("Hex string is required");
+		}
+
+		let start = 0;
+		if (hex.startsWith("\\x") || hex.startsWith("0x") || hex.startsWith("0X")) {
+			start = 2;
+		}
+
+		const bytes = new Uint8Array(Math.floor((hex.length - start) / 2));
+		for (let i = start; i < hex.length; i++) {
+			const value = HexUtils.digit(hex, i);
+			const index = (i - start) >> 1;
+			if ((i - start) % 2 === 0) {
+				if (i + 1 === hex.length) {
+					throw new SFException("Hex string has an odd number of digits: " + (hex.length - start));
+				}
+				bytes[index] = value << 4;
+			} else {
+				bytes[index] |= value;
+			}
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Convert bytes to a hex string
+	 * @param bytes bytes
+	 * @param upperCase true for upper case digits, false for lower case
+	 * @return hex string
+	 */
+	public static fromBytes(bytes: Uint8Array | ArrayBuffer, upperCase: boolean = true): string {
+		const values = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+		const digits: string[] = new Array(values.length * 2);
+		for (let i = 0; i < values.length; i++) {
+			digits[i * 2] = HexUtils.DIGITS[values[i] >> 4];
+			digits[i * 2 + 1] = HexUtils.DIGITS[values[i] & 0x0F];
+		}
+		const hex = digits.join("");
+		return upperCase ? hex.toUpperCase() : hex;
+	}
+
+	/**
+	 * Get the value of the hex digit at the index
+	 * @param hex hex string
+	 * @param index character index
+	 * @return digit value
+	 */
+	private static digit(hex: string, index: number): number {
+		const code = hex.charCodeAt(index);
+		let value = -1;
+		if (code >= 48 && code <= 57) { // 0-9
+			value = code - 48;
+		} else if (code >= 65 && code <= 70) { // A-F
+			value = code - 55;
+		} else if (code >= 97 && code <= 102) { // a-f
+			value = code - 87;
+		}
+		if (value < 0) {
+			throw new SFException("Invalid hex character '" + hex.charAt(index) + "' at index " + index);
+		}
+		return value;
+	}
+
+}
@@ -0,0 +1,46 @@
+import { GeometryType } from "./sf/internal";
+import { GeometryReadFilter } from "./GeometryReadFilter";
+import { GeometrySummary } from "./GeometrySummary";
+
+/**
+ * Read filter skipping geometries with fewer than a minimum number of points
+ */
+export class PointCountReadFilter implements GeometryReadFilter {
+
+	/**
+	 * Minimum number of points
+	 */
+	private minPoints: number;
+
+	/**
+	 * Constructor
+	 * @param minPoints minimum number of points
+	 */
+	public constructor(minPoints: number) {
+		this.minPoints = minPoints;
+	}
+
+	/**
+	 * Get the minimum number of points
+	 * @return minimum points
+	 */
+	public getMinPoints(): number {
+		return this.minPoints;
+	}
+
+	/**
+	 * Set the minimum number of points
+	 * @param minPoints minimum points
+	 */
+	public setMinPoints(minPoints: number): void {
+		this.minPoints = minPoints;
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public filterSummary(containingType: GeometryType, summary: GeometrySummary): boolean {
+		return summary.numPoints >= this.minPoints;
+	}
+
+}
@@ -0,0 +1,180 @@
+import { Geometry, GeometryType, SFException } from "./sf/internal";
+
+/**
+ * TWKB (Tiny Well Known Binary) code utilities to convert between geometry
+ * attributes and TWKB header codes
+ */
+export class TWKBCodes {
+
+	/**
+	 * Bounding box metadata flag
+	 */
+	public static readonly BBOX: number = 0x01;
+
+	/**
+	 * Size metadata flag
+	 */
+	public static readonly SIZE: number = 0x02;
+
+	/**
+	 * ID list metadata flag
+	 */
+	public static readonly ID_LIST: number = 0x04;
+
+	/**
+	 * Extended precision metadata flag
+	 */
+	public static readonly EXTENDED_PRECISION: number = 0x08;
+
+	/**
+	 * Empty geometry metadata flag
+	 */
+	public static readonly EMPTY: number = 0x10;
+
+	/**
+	 * Minimum XY precision
+	 */
+	public static readonly MIN_PRECISION: number = -8;
+
+	/**
+	 * Maximum XY precision
+	 */
+	public static readonly MAX_PRECISION: number = 7;
+
+	/**
+	 * Maximum Z and M precision
+	 */
+	public static readonly MAX_EXTENDED_PRECISION: number = 7;
+
+	/**
+	 * Get the TWKB type code from the geometry
+	 * @param geometry geometry
+	 * @return TWKB type code
+	 */
+	public static getCode(geometry: Geometry): number {
+		return TWKBCodes.getCodeForGeometryType(geometry.geometryType);
+	}
+
+	/**
+	 * Get the TWKB type code from the geometry type
+	 * @param geometryType geometry type
+	 * @return TWKB type code
+	 */
+	public static getCodeForGeometryType(geometryType: GeometryType): number {
+		let code: number;
+		switch (geometryType) {
+			case GeometryType.POINT:
+				code = 1;
+				break;
+			case GeometryType.LINESTRING:
+				code = 2;
+				break;
+			case GeometryType.POLYGON:
+				code = 3;
+				break;
+			case GeometryType.MULTIPOINT:
+				code = 4;
+				break;
+			case GeometryType.MULTILINESTRING:
+				code = 5;
+				break;
+			case GeometryType.MULTIPOLYGON:
+				code = 6;
+				break;
+			case GeometryType.GEOMETRYCOLLECTION:
+			case GeometryType.MULTICURVE:
+			case GeometryType.MULTISURFACE:
+				code = 7;
+				break;
+			default:
+				throw new SFException("Unsupported TWKB Geometry Type: " + geometryType);
+		}
+		return code;
+	}
+
+	/**
+	 * Get the geometry type from the TWKB type code
+	 * @param code TWKB type code
+	 * @return geometry type
+	 */
+	public static getGeometryType(code: number): GeometryType {
+		let geometryType: GeometryType;
+		switch (code) {
+			case 1:
+				geometryType = GeometryType.POINT;
+				break;
+			case 2:
+				geometryType = GeometryType.LINESTRING;
+				break;
+			case 3:
+				geometryType = GeometryType.POLYGON;
+				break;
+			case 4:
+				geometryType = GeometryType.MULTIPOINT;
+				break;
+			case 5:
+				geometryType = GeometryType.MULTILINESTRING;
+				break;
+			case 6:
+				geometryType = GeometryType.MULTIPOLYGON;
+				break;
+			case 7:
+				geometryType = GeometryType.GEOMETRYCOLLECTION;
+				break;
+			default:
+				throw new SFException("Unsupported TWKB Geometry Type code: " + code);
+		}
+		return geometryType;
+	}
+
+	/**
+	 * Zigzag encode a signed integer
+	 * @param value signed value
+	 * @return unsigned value
+	 */
+	public static zigzagEncode(value: number): number {
+		return value < 0 ? -2 * value - 1 : 2 * value;
+	}
+
+	/**
+	 * Zigzag decode an unsigned integer
+	 * @param value unsigned value
+	 * @return signed value
+	 */
+	public static zigzagDecode(value: number): number {
+		return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+	}
+
+	/**
+	 * Get the scale factor for a precision, the number of decimal digits
+	 * @param precision precision
+	 * @return scale factor
+	 */
+	public static getScale(precision: number): number {
+		return Math.pow(10, precision);
+	}
+
+	/**
+	 * Scale a value by the precision. Negative precisions divide by the
+	 * exact power of ten rather than multiplying by its inexact reciprocal.
+	 * @param value value
+	 * @param precision precision
+	 * @return scaled value
+	 */
+	public static scale(value: number, precision: number): number {
+		return precision >= 0 ? value * Math.pow(10, precision) : value / Math.pow(10, -precision);
+	}
+
+	/**
+	 * Unscale a scaled value by the precision. Negative precisions multiply
+	 * by the exact power of ten rather than dividing by its inexact
+	 * reciprocal.
+	 * @param scaled scaled value
+	 * @param precision precision
+	 * @return value
+	 */
+	public static unscale(scaled: number, precision: number): number {
+		return precision >= 0 ? scaled / Math.pow(10, precision) : scaled * Math.pow(10, -precision);
+	}
+
+}
@@ -0,0 +1,64 @@
+import { Geometry, GeometryEnvelope } from "./sf/internal";
+
+/**
+ * Geometry read from TWKB (Tiny Well Known Binary) along with the optional
+ * header ID list and bounding box
+ */
+export class TWKBGeometry {
+
+	/**
+	 * Geometry
+	 */
+	private readonly _geometry: Geometry;
+
+	/**
+	 * Member ids
+	 */
+	private readonly _ids: number[];
+
+	/**
+	 * Bounding box envelope
+	 */
+	private readonly _envelope: GeometryEnvelope;
+
+	/**
+	 * Constructor
+	 *
+	 * @param geometry geometry
+	 * @param ids member ids, undefined when not present
+	 * @param envelope bounding box envelope, undefined when not present
+	 */
+	public constructor(geometry: Geometry, ids: number[] = undefined, envelope: GeometryEnvelope = undefined) {
+		this._geometry = geometry;
+		this._ids = ids;
+		this._envelope = envelope;
+	}
+
+	/**
+	 * Get the geometry
+	 *
+	 * @return geometry
+	 */
+	public get geometry(): Geometry {
+		return this._geometry;
+	}
+
+	/**
+	 * Get the multi geometry or geometry collection member ids
+	 *
+	 * @return ids or undefined when not present
+	 */
+	public get ids(): number[] {
+		return this._ids;
+	}
+
+	/**
+	 * Get the bounding box envelope
+	 *
+	 * @return envelope or undefined when not present
+	 */
+	public get envelope(): GeometryEnvelope {
+		return this._envelope;
+	}
+
+}
@@ -0,0 +1,365 @@
+import {
+	Geometry,
+	GeometryCollection,
+	GeometryEnvelope,
+	GeometryType,
+	LineString,
+	MultiLineString,
+	MultiPoint,
+	MultiPolygon,
+	Point,
+	Polygon,
+	SFException
+} from "./sf/internal";
+import { ByteReader } from "./ByteReader";
+import { TWKBCodes } from "./TWKBCodes";
+import { TWKBGeometry } from "./TWKBGeometry";
+
+/**
+ * TWKB (Tiny Well Known Binary) reader
+ */
+export class TWKBGeometryReader {
+
+	/**
+	 * Read a geometry from TWKB bytes
+	 * @param buffer TWKB bytes
+	 * @return geometry
+	 */
+	public static readGeometry(buffer: Uint8Array | ArrayBuffer): Geometry {
+		return TWKBGeometryReader.readTWKBGeometry(buffer).geometry;
+	}
+
+	/**
+	 * Read a geometry and the header id list and bounding box from TWKB bytes
+	 * @param buffer TWKB bytes
+	 * @return TWKB geometry
+	 */
+	public static readTWKBGeometry(buffer: Uint8Array | ArrayBuffer): TWKBGeometry {
+		const reader = new TWKBGeometryReader(buffer);
+		return reader.read();
+	}
+
+	/**
+	 * Byte Reader
+	 */
+	private reader: ByteReader;
+
+	/**
+	 * XY precision of the geometry being read
+	 */
+	private precision: number = 0;
+
+	/**
+	 * Z precision of the geometry being read
+	 */
+	private zPrecision: number = 0;
+
+	/**
+	 * M precision of the geometry being read
+	 */
+	private mPrecision: number = 0;
+
+	/**
+	 * Previous scaled coordinate values, coordinates are read as deltas
+	 */
+	private previous: number[] = [0, 0, 0, 0];
+
+	public constructor(reader: ByteReader);
+	public constructor(buffer: Uint8Array | ArrayBuffer);
+
+	/**
+	 * Constructor
+	 * @param args
+	 */
+	public constructor(...args) {
+		if (args.length === 1 && args[0] instanceof ByteReader) {
+			this.reader = args[0];
+		} else if (args.length === 1 && (args[0] instanceof Uint8Array || args[0] instanceof ArrayBuffer)) {
+			this.reader = new ByteReader(args[0]);
+		}
+	}
+
+	/**
+	 * Get the byte reader
+	 * @return byte reader
+	 */
+	public getByteReader(): ByteReader {
+		return this.reader;
+	}
+
+	/**
+	 * Read a TWKB geometry from the byte reader
+	 * @return TWKB geometry
+	 */
+	public read(): TWKBGeometry {
+
+		// Type and precision header
+		const header = this.reader.readUInt8();
+		const geometryType = TWKBCodes.getGeometryType(header & 0x0F);
+		const precision = TWKBCodes.zigzagDecode(header >> 4);
+
+		// Metadata header
+		const metadata = this.reader.readUInt8();
+		const hasBoundingBox = (metadata & TWKBCodes.BBOX) !== 0;
+		const hasSize = (metadata & TWKBCodes.SIZE) !== 0;
+		const hasIds = (metadata & TWKBCodes.ID_LIST) !== 0;
+		const hasExtendedPrecision = (metadata & TWKBCodes.EXTENDED_PRECISION) !== 0;
+		const empty = (metadata & TWKBCodes.EMPTY) !== 0;
+
+		let hasZ = false;
+		let hasM = false;
+		let zPrecision = 0;
+		let mPrecision = 0;
+		if (hasExtendedPrecision) {
+			const extendedPrecision = this.reader.readUInt8();
+			hasZ = (extendedPrecision & 0x01) !== 0;
+			hasM = (extendedPrecision & 0x02) !== 0;
+			zPrecision = (extendedPrecision >> 2) & 0x07;
+			mPrecision = (extendedPrecision >> 5) & 0x07;
+		}
+
+		let end: number = undefined;
+		if (hasSize) {
+			const size = this.reader.readVarInt();
+			end = this.reader.position + size;
+		}
+
+		this.precision = precision;
+		this.zPrecision = zPrecision;
+		this.mPrecision = mPrecision;
+
+		let envelope: GeometryEnvelope = undefined;
+		if (hasBoundingBox) {
+			envelope = this.readBoundingBox(hasZ, hasM);
+		}
+
+		let geometry: Geometry = null;
+		let ids: number[] = undefined;
+
+		if (empty) {
+			geometry = TWKBGeometryReader.createEmpty(geometryType, hasZ, hasM);
+		} else {
+
+			this.previous = [0, 0, 0, 0];
+
+			switch (geometryType) {
+				case GeometryType.POINT:
+					geometry = this.readPoint(hasZ, hasM);
+					break;
+				case GeometryType.LINESTRING:
+					geometry = this.readLineString(hasZ, hasM);
+					break;
+				case GeometryType.POLYGON:
+					geometry = this.readPolygon(hasZ, hasM);
+					break;
+				case GeometryType.MULTIPOINT: {
+					const numPoints = this.reader.readVarInt();
+					ids = this.readIds(hasIds, numPoints);
+					const multiPoint = new MultiPoint(hasZ, hasM);
+					for (let i = 0; i < numPoints; i++) {
+						multiPoint.addPoint(this.readPoint(hasZ, hasM));
+					}
+					geometry = multiPoint;
+					break;
+				}
+				case GeometryType.MULTILINESTRING: {
+					const numLineStrings = this.reader.readVarInt();
+					ids = this.readIds(hasIds, numLineStrings);
+					const multiLineString = new MultiLineString(hasZ, hasM);
+					for (let i = 0; i < numLineStrings; i++) {
+						multiLineString.addLineString(this.readLineString(hasZ, hasM));
+					}
+					geometry = multiLineString;
+					break;
+				}
+				case GeometryType.MULTIPOLYGON: {
+					const numPolygons = this.reader.readVarInt();
+					ids = this.readIds(hasIds, numPolygons);
+					const multiPolygon = new MultiPolygon(hasZ, hasM);
+					for (let i = 0; i < numPolygons; i++) {
+						multiPolygon.addPolygon(this.readPolygon(hasZ, hasM));
+					}
+					geometry = multiPolygon;
+					break;
+				}
+				case GeometryType.GEOMETRYCOLLECTION: {
+					const numGeometries = this.reader.readVarInt();
+					ids = this.readIds(hasIds, numGeometries);
+					const geometryCollection = new GeometryCollection<Geometry>(hasZ, hasM);
+					for (let i = 0; i < numGeometries; i++) {
+						geometryCollection.addGeometry(this.read().geometry);
+					}
+					geometry = geometryCollection;
+					break;
+				}
+				default:
+					throw new SFException("Unsupported TWKB Geometry Type: " + geometryType);
+			}
+		}
+
+		if (end !== undefined && this.reader.position !== end) {
+			throw new SFException("Unexpected TWKB size for Geometry Type: " + geometryType + ", Expected end position: "
+				+ end + ", Actual: " + this.reader.position);
+		}
+
+		return new TWKBGeometry(geometry, ids, envelope);
+	}
+
+	/**
+	 * Read the bounding box of scaled minimums and deltas
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return envelope
+	 */
+	private readBoundingBox(hasZ: boolean, hasM: boolean): GeometryEnvelope {
+		const envelope = new GeometryEnvelope(hasZ, hasM);
+		const x = this.readRange(this.precision);
+		envelope.minX = x[0];
+		envelope.maxX = x[1];
+		const y = this.readRange(this.precision);
+		envelope.minY = y[0];
+		envelope.maxY = y[1];
+		if (hasZ) {
+			const z = this.readRange(this.zPrecision);
+			envelope.minZ = z[0];
+			envelope.maxZ = z[1];
+		}
+		if (hasM) {
+			const m = this.readRange(this.mPrecision);
+			envelope.minM = m[0];
+			envelope.maxM = m[1];
+		}
+		return envelope;
+	}
+
+	/**
+	 * Read a bounding box range
+	 * @param precision precision
+	 * @return minimum and maximum values
+	 */
+	private readRange(precision: number): number[] {
+		const min = this.reader.readSVarInt();
+		const delta = this.reader.readSVarInt();
+		return [TWKBCodes.unscale(min, precision), TWKBCodes.unscale(min + delta, precision)];
+	}
+
+	/**
+	 * Read the id list
+	 * @param hasIds has id list flag
+	 * @param count number of ids
+	 * @return ids or undefined
+	 */
+	private readIds(hasIds: boolean, count: number): number[] {
+		let ids: number[] = undefined;
+		if (hasIds) {
+			ids = [];
+			for (let i = 0; i < count; i++) {
+				ids.push(this.reader.readSVarInt());
+			}
+		}
+		return ids;
+	}
+
+	/**
+	 * Read a Point as deltas from the previous point
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return point
+	 */
+	public readPoint(hasZ: boolean, hasM: boolean): Point {
+		const x = this.readValue(0, this.precision);
+		const y = this.readValue(1, this.precision);
+
+		const point = new Point(hasZ, hasM, x, y);
+
+		if (hasZ) {
+			point.z = this.readValue(2, this.zPrecision);
+		}
+
+		if (hasM) {
+			point.m = this.readValue(3, this.mPrecision);
+		}
+
+		return point;
+	}
+
+	/**
+	 * Read a coordinate value as a delta from the previous value
+	 * @param index coordinate index
+	 * @param precision precision
+	 * @return coordinate value
+	 */
+	private readValue(index: number, precision: number): number {
+		const scaled = this.previous[index] + this.reader.readSVarInt();
+		this.previous[index] = scaled;
+		return TWKBCodes.unscale(scaled, precision);
+	}
+
+	/**
+	 * Read a Line String
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return line string
+	 */
+	public readLineString(hasZ: boolean, hasM: boolean): LineString {
+		const lineString = new LineString(hasZ, hasM);
+		const numPoints = this.reader.readVarInt();
+		for (let i = 0; i < numPoints; i++) {
+			lineString.addPoint(this.readPoint(hasZ, hasM));
+		}
+		return lineString;
+	}
+
+	/**
+	 * Read a Polygon
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return polygon
+	 */
+	public readPolygon(hasZ: boolean, hasM: boolean): Polygon {
+		const polygon = new Polygon(hasZ, hasM);
+		const numRings = this.reader.readVarInt();
+		for (let i = 0; i < numRings; i++) {
+			polygon.addRing(this.readLineString(hasZ, hasM));
+		}
+		return polygon;
+	}
+
+	/**
+	 * Create an empty geometry of the geometry type
+	 * @param geometryType geometry type
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return empty geometry
+	 */
+	private static createEmpty(geometryType: GeometryType, hasZ: boolean, hasM: boolean): Geometry {
+		let geometry: Geometry;
+		switch (geometryType) {
+			case GeometryType.POINT:
+				geometry = Point.createEmpty(hasZ, hasM);
+				break;
+			case GeometryType.LINESTRING:
+				geometry = new LineString(hasZ, hasM);
+				break;
+			case GeometryType.POLYGON:
+				geometry = new Polygon(hasZ, hasM);
+				break;
+			case GeometryType.MULTIPOINT:
+				geometry = new MultiPoint(hasZ, hasM);
+				break;
+			case GeometryType.MULTILINESTRING:
+				geometry = new MultiLineString(hasZ, hasM);
+				break;
+			case GeometryType.MULTIPOLYGON:
+				geometry = new MultiPolygon(hasZ, hasM);
+				break;
+			case GeometryType.GEOMETRYCOLLECTION:
+				geometry = new GeometryCollection<Geometry>(hasZ, hasM);
+				break;
+			default:
+				throw new SFException("Unsupported TWKB Geometry Type: " + geometryType);
+		}
+		return geometry;
+	}
+
+}
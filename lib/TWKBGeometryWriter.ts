@@ -0,0 +1,485 @@
+import {
+	Geometry,
+	GeometryCollection,
+	GeometryEnvelopeBuilder,
+	GeometryType,
+	LineString,
+	MultiLineString,
+	MultiPoint,
+	MultiPolygon,
+	Point,
+	Polygon,
+	SFException
+} from "./sf/internal";
+import { ByteWriter } from "./ByteWriter";
+import { TWKBCodes } from "./TWKBCodes";
+
+/**
+ * TWKB (Tiny Well Known Binary) writer
+ */
+export class TWKBGeometryWriter {
+
+	/**
+	 * Write a geometry to TWKB bytes
+	 *
+	 * @param geometry geometry
+	 * @param precision xy precision, number of decimal digits
+	 * @param zPrecision z precision, number of decimal digits
+	 * @param mPrecision m precision, number of decimal digits
+	 * @return TWKB bytes
+	 */
+	public static writeGeometry(geometry: Geometry, precision: number = 0, zPrecision: number = 0, mPrecision: number = 0): Uint8Array {
+		const writer = new TWKBGeometryWriter();
+		writer.setPrecision(precision);
+		writer.setZPrecision(zPrecision);
+		writer.setMPrecision(mPrecision);
+		writer.write(geometry);
+		return writer.getBuffer();
+	}
+
+	/**
+	 * Byte Writer
+	 */
+	private readonly writer: ByteWriter;
+
+	/**
+	 * XY precision
+	 */
+	private precision: number = 0;
+
+	/**
+	 * Z precision
+	 */
+	private zPrecision: number = 0;
+
+	/**
+	 * M precision
+	 */
+	private mPrecision: number = 0;
+
+	/**
+	 * Include the bounding box header
+	 */
+	private includeBoundingBox: boolean = false;
+
+	/**
+	 * Include the size header
+	 */
+	private includeSize: boolean = false;
+
+	/**
+	 * Previous scaled coordinate values, coordinates are written as deltas
+	 */
+	private previous: number[] = [0, 0, 0, 0];
+
+	/**
+	 * Constructor
+	 * @param writer byte writer
+	 */
+	public constructor(writer: ByteWriter = undefined) {
+		this.writer = writer || new ByteWriter(1024, undefined, true);
+	}
+
+	/**
+	 * Get the byte writer
+	 * @return byte writer
+	 */
+	public getByteWriter(): ByteWriter {
+		return this.writer;
+	}
+
+	/**
+	 * Get the written bytes
+	 *
+	 * @return written bytes
+	 */
+	public getBuffer(): Uint8Array {
+		return this.writer.getBuffer();
+	}
+
+	/**
+	 * Get a copy of the written bytes as an ArrayBuffer
+	 *
+	 * @return written bytes
+	 */
+	public getArrayBuffer(): ArrayBuffer {
+		return this.writer.getArrayBuffer();
+	}
+
+	/**
+	 * Get the xy precision
+	 * @return number of decimal digits
+	 */
+	public getPrecision(): number {
+		return this.precision;
+	}
+
+	/**
+	 * Set the xy precision, the number of decimal digits (-8 to 7) kept
+	 * @param precision number of decimal digits
+	 */
+	public setPrecision(precision: number): void {
+		if (!Number.isInteger(precision) || precision < TWKBCodes.MIN_PRECISION || precision > TWKBCodes.MAX_PRECISION) {
+			throw new SFException("TWKB precision must be an integer from " + TWKBCodes.MIN_PRECISION + " to "
+				+ TWKBCodes.MAX_PRECISION + ", precision: " + precision);
+		}
+		this.precision = precision;
+	}
+
+	/**
+	 * Get the z precision
+	 * @return number of decimal digits
+	 */
+	public getZPrecision(): number {
+		return this.zPrecision;
+	}
+
+	/**
+	 * Set the z precision, the number of decimal digits (0 to 7) kept
+	 * @param zPrecision number of decimal digits
+	 */
+	public setZPrecision(zPrecision: number): void {
+		TWKBGeometryWriter.validateExtendedPrecision(zPrecision);
+		this.zPrecision = zPrecision;
+	}
+
+	/**
+	 * Get the m precision
+	 * @return number of decimal digits
+	 */
+	public getMPrecision(): number {
+		return this.mPrecision;
+	}
+
+	/**
+	 * Set the m precision, the number of decimal digits (0 to 7) kept
+	 * @param mPrecision number of decimal digits
+	 */
+	public setMPrecision(mPrecision: number): void {
+		TWKBGeometryWriter.validateExtendedPrecision(mPrecision);
+		this.mPrecision = mPrecision;
+	}
+
+	/**
+	 * Is the bounding box header written
+	 * @return true if written
+	 */
+	public isIncludeBoundingBox(): boolean {
+		return this.includeBoundingBox;
+	}
+
+	/**
+	 * Set if the bounding box header is written
+	 * @param includeBoundingBox true to write the bounding box
+	 */
+	public setIncludeBoundingBox(includeBoundingBox: boolean): void {
+		this.includeBoundingBox = includeBoundingBox;
+	}
+
+	/**
+	 * Is the size header written
+	 * @return true if written
+	 */
+	public isIncludeSize(): boolean {
+		return this.includeSize;
+	}
+
+	/**
+	 * Set if the size header is written
+	 * @param includeSize true to write the size
+	 */
+	public setIncludeSize(includeSize: boolean): void {
+		this.includeSize = includeSize;
+	}
+
+	/**
+	 * Write a geometry to the byte writer
+	 * @param geometry geometry
+	 * @param ids multi geometry or geometry collection member ids, written
+	 *            as the id list header when provided
+	 */
+	public write(geometry: Geometry, ids: number[] = undefined): void {
+
+		const code = TWKBCodes.getCode(geometry);
+		const empty = geometry.isEmpty();
+
+		if (ids != null) {
+			if (code < 4) {
+				throw new SFException("TWKB id list is only supported for multi geometries and geometry collections, type: "
+					+ geometry.geometryType);
+			}
+			const numGeometries = (geometry as GeometryCollection<Geometry>).numGeometries();
+			if (ids.length !== numGeometries) {
+				throw new SFException("TWKB id list length: " + ids.length + " does not match the number of geometries: " + numGeometries);
+			}
+		}
+
+		const hasIds = ids != null && !empty;
+		const hasBoundingBox = this.includeBoundingBox && !empty;
+		const hasExtendedPrecision = geometry.hasZ || geometry.hasM;
+
+		// Type and precision header
+		this.writer.writeUInt8(code | (TWKBCodes.zigzagEncode(this.precision) << 4));
+
+		// Metadata header
+		let metadata = 0;
+		if (hasBoundingBox) {
+			metadata |= TWKBCodes.BBOX;
+		}
+		if (this.includeSize) {
+			metadata |= TWKBCodes.SIZE;
+		}
+		if (hasIds) {
+			metadata |= TWKBCodes.ID_LIST;
+		}
+		if (hasExtendedPrecision) {
+			metadata |= TWKBCodes.EXTENDED_PRECISION;
+		}
+		if (empty) {
+			metadata |= TWKBCodes.EMPTY;
+		}
+		this.writer.writeUInt8(metadata);
+
+		if (hasExtendedPrecision) {
+			let extendedPrecision = 0;
+			if (geometry.hasZ) {
+				extendedPrecision |= 0x01 | (this.zPrecision << 2);
+			}
+			if (geometry.hasM) {
+				extendedPrecision |= 0x02 | (this.mPrecision << 5);
+			}
+			this.writer.writeUInt8(extendedPrecision);
+		}
+
+		if (this.includeSize) {
+			// Write the remaining contents separately to determine the size
+			const contentsWriter = new TWKBGeometryWriter();
+			contentsWriter.precision = this.precision;
+			contentsWriter.zPrecision = this.zPrecision;
+			contentsWriter.mPrecision = this.mPrecision;
+			contentsWriter.includeBoundingBox = this.includeBoundingBox;
+			contentsWriter.includeSize = this.includeSize;
+			contentsWriter.writeContents(geometry, hasBoundingBox, hasIds ? ids : undefined, empty);
+			const contents = contentsWriter.getBuffer();
+			this.writer.writeVarInt(contents.length);
+			this.writer.writeBuffer(contents);
+		} else {
+			this.writeContents(geometry, hasBoundingBox, hasIds ? ids : undefined, empty);
+		}
+
+	}
+
+	/**
+	 * Write the bounding box, id list and geometry contents following the
+	 * headers
+	 * @param geometry geometry
+	 * @param hasBoundingBox write the bounding box
+	 * @param ids member ids
+	 * @param empty empty geometry
+	 */
+	private writeContents(geometry: Geometry, hasBoundingBox: boolean, ids: number[], empty: boolean): void {
+
+		if (hasBoundingBox) {
+			this.writeBoundingBox(geometry);
+		}
+
+		if (empty) {
+			return;
+		}
+
+		this.previous = [0, 0, 0, 0];
+
+		switch (geometry.geometryType) {
+			case GeometryType.POINT:
+				this.writePoint(geometry as Point);
+				break;
+			case GeometryType.LINESTRING:
+				this.writeLineString(geometry as LineString);
+				break;
+			case GeometryType.POLYGON:
+				this.writePolygon(geometry as Polygon);
+				break;
+			case GeometryType.MULTIPOINT:
+				this.writeMultiPoint(geometry as MultiPoint, ids);
+				break;
+			case GeometryType.MULTILINESTRING:
+				this.writeMultiLineString(geometry as MultiLineString, ids);
+				break;
+			case GeometryType.MULTIPOLYGON:
+				this.writeMultiPolygon(geometry as MultiPolygon, ids);
+				break;
+			case GeometryType.GEOMETRYCOLLECTION:
+			case GeometryType.MULTICURVE:
+			case GeometryType.MULTISURFACE:
+				this.writeGeometryCollection(geometry as GeometryCollection<Geometry>, ids);
+				break;
+			default:
+				throw new SFException("Unsupported TWKB Geometry Type: " + geometry.geometryType);
+		}
+	}
+
+	/**
+	 * Write the bounding box of the geometry as scaled minimums and deltas
+	 * @param geometry geometry
+	 */
+	private writeBoundingBox(geometry: Geometry): void {
+		const envelope = GeometryEnvelopeBuilder.buildEnvelope(geometry);
+		this.writeRange(envelope.minX, envelope.maxX, this.precision);
+		this.writeRange(envelope.minY, envelope.maxY, this.precision);
+		if (geometry.hasZ) {
+			this.writeRange(envelope.minZ, envelope.maxZ, this.zPrecision);
+		}
+		if (geometry.hasM) {
+			this.writeRange(envelope.minM, envelope.maxM, this.mPrecision);
+		}
+	}
+
+	/**
+	 * Write a bounding box range
+	 * @param min minimum value
+	 * @param max maximum value
+	 * @param precision precision
+	 */
+	private writeRange(min: number, max: number, precision: number): void {
+		const scaledMin = TWKBGeometryWriter.scale(min, precision);
+		this.writer.writeSVarInt(scaledMin);
+		this.writer.writeSVarInt(TWKBGeometryWriter.scale(max, precision) - scaledMin);
+	}
+
+	/**
+	 * Write a Point as deltas from the previous point
+	 * @param point point
+	 */
+	public writePoint(point: Point): void {
+		this.writeValue(0, point.x, this.precision);
+		this.writeValue(1, point.y, this.precision);
+		if (point.hasZ) {
+			this.writeValue(2, point.z, this.zPrecision);
+		}
+		if (point.hasM) {
+			this.writeValue(3, point.m, this.mPrecision);
+		}
+	}
+
+	/**
+	 * Write a coordinate value as a delta from the previous value
+	 * @param index coordinate index
+	 * @param value coordinate value
+	 * @param precision precision
+	 */
+	private writeValue(index: number, value: number, precision: number): void {
+		const scaled = TWKBGeometryWriter.scale(value, precision);
+		this.writer.writeSVarInt(scaled - this.previous[index]);
+		this.previous[index] = scaled;
+	}
+
+	/**
+	 * Write the points of a Line String
+	 * @param lineString line string
+	 */
+	public writeLineString(lineString: LineString): void {
+		this.writer.writeVarInt(lineString.numPoints());
+		for (const point of lineString.points) {
+			this.writePoint(point);
+		}
+	}
+
+	/**
+	 * Write the rings of a Polygon
+	 * @param polygon polygon
+	 */
+	public writePolygon(polygon: Polygon): void {
+		this.writer.writeVarInt(polygon.numRings());
+		for (const ring of polygon.rings) {
+			this.writeLineString(ring);
+		}
+	}
+
+	/**
+	 * Write a Multi Point
+	 * @param multiPoint multi point
+	 * @param ids member ids
+	 */
+	public writeMultiPoint(multiPoint: MultiPoint, ids: number[] = undefined): void {
+		this.writeCount(multiPoint.numPoints(), ids);
+		for (const point of multiPoint.points) {
+			this.writePoint(point);
+		}
+	}
+
+	/**
+	 * Write a Multi Line String
+	 * @param multiLineString multi line string
+	 * @param ids member ids
+	 */
+	public writeMultiLineString(multiLineString: MultiLineString, ids: number[] = undefined): void {
+		this.writeCount(multiLineString.numLineStrings(), ids);
+		for (const lineString of multiLineString.lineStrings) {
+			this.writeLineString(lineString);
+		}
+	}
+
+	/**
+	 * Write a Multi Polygon
+	 * @param multiPolygon multi polygon
+	 * @param ids member ids
+	 */
+	public writeMultiPolygon(multiPolygon: MultiPolygon, ids: number[] = undefined): void {
+		this.writeCount(multiPolygon.numPolygons(), ids);
+		for (const polygon of multiPolygon.polygons) {
+			this.writePolygon(polygon);
+		}
+	}
+
+	/**
+	 * Write a Geometry Collection, each geometry written as a complete TWKB
+	 * @param geometryCollection geometry collection
+	 * @param ids member ids
+	 */
+	public writeGeometryCollection(geometryCollection: GeometryCollection<Geometry>, ids: number[] = undefined): void {
+		this.writeCount(geometryCollection.numGeometries(), ids);
+		for (const geometry of geometryCollection.geometries) {
+			this.write(geometry);
+		}
+	}
+
+	/**
+	 * Write the number of members and the optional id list
+	 * @param count number of members
+	 * @param ids member ids
+	 */
+	private writeCount(count: number, ids: number[]): void {
+		this.writer.writeVarInt(count);
+		if (ids != null) {
+			for (const id of ids) {
+				this.writer.writeSVarInt(id);
+			}
+		}
+	}
+
+	/**
+	 * Scale a value by the precision to an integer
+	 * @param value value
+	 * @param precision precision
+	 * @return scaled integer
+	 */
+	private static scale(value: number, precision: number): number {
+		if (!Number.isFinite(value)) {
+			// Only a whole geometry can be empty in TWKB, so empty members have no encoding
+			throw new SFException("TWKB can not encode the non-finite coordinate value: " + value);
+		}
+		return Math.round(TWKBCodes.scale(value, precision));
+	}
+
+	/**
+	 * Validate a z or m precision
+	 * @param precision precision
+	 */
+	private static validateExtendedPrecision(precision: number): void {
+		if (!Number.isInteger(precision) || precision < 0 || precision > TWKBCodes.MAX_EXTENDED_PRECISION) {
+			throw new SFException("TWKB z and m precision must be an integer from 0 to "
+				+ TWKBCodes.MAX_EXTENDED_PRECISION + ", precision: " + precision);
+		}
+	}
+
+}
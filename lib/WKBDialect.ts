@@ -0,0 +1,61 @@
+/**
+ * Well Known Binary output dialect, determining how Z and M dimensions are
+ * encoded in the geometry type codes
+ */
+export enum WKBDialect {
+
+	/**
+	 * ISO geometry type codes, adding 1000 for Z, 2000 for M and 3000 for ZM
+	 */
+	ISO,
+
+	/**
+	 * Extended 2.5D geometry type codes, setting the 0x80000000 bit for Z,
+	 * without M values
+	 */
+	EXTENDED,
+
+	/**
+	 * OGC Simple Features 1.1 geometry type codes, 2D only without Z or M
+	 * values
+	 */
+	OGC,
+
+	/**
+	 * EWKB (PostGIS extended) geometry type codes, setting the Z, M and SRID
+	 * flag bits
+	 */
+	EWKB
+
+}
+
+export namespace WKBDialect {
+
+	/**
+	 * Get the name of the dialect
+	 * @param dialect dialect
+	 * @return name
+	 */
+	export function nameFromType(dialect: WKBDialect): string {
+		return WKBDialect[dialect];
+	}
+
+	/**
+	 * Determine if the dialect can represent Z values
+	 * @param dialect dialect
+	 * @return true if Z values are written
+	 */
+	export function hasZ(dialect: WKBDialect): boolean {
+		return dialect !== WKBDialect.OGC;
+	}
+
+	/**
+	 * Determine if the dialect can represent M values
+	 * @param dialect dialect
+	 * @return true if M values are written
+	 */
+	export function hasM(dialect: WKBDialect): boolean {
+		return dialect === WKBDialect.ISO || dialect === WKBDialect.EWKB;
+	}
+
+}
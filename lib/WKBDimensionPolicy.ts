@@ -0,0 +1,16 @@
+/**
+ * Policy for writing Z or M values a {@link WKBDialect} can not represent
+ */
+export enum WKBDimensionPolicy {
+
+	/**
+	 * Fail with an exception
+	 */
+	FAIL,
+
+	/**
+	 * Drop the values, writing the geometry with fewer dimensions
+	 */
+	DROP
+
+}
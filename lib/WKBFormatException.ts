@@ -0,0 +1,47 @@
+import { SFException } from "./sf/internal";
+
+/**
+ * Well Known Binary format exception from a strict read, reporting the byte
+ * offset, the nesting path and the expected and actual values of the failure
+ */
+export class WKBFormatException extends SFException {
+
+	/**
+	 * Byte offset in the well-known bytes
+	 */
+	public readonly offset: number;
+
+	/**
+	 * Nesting path, such as "MultiPolygon[3].ring[1].point[17]"
+	 */
+	public readonly path: string;
+
+	/**
+	 * Expected value
+	 */
+	public readonly expected: string;
+
+	/**
+	 * Actual value
+	 */
+	public readonly actual: string;
+
+	/**
+	 * Constructor
+	 * @param message message
+	 * @param offset byte offset in the well-known bytes
+	 * @param path nesting path
+	 * @param expected expected value
+	 * @param actual actual value
+	 */
+	public constructor(message: string, offset: number, path: string, expected: string, actual: string) {
+		super(message + " at offset " + offset + (path ? " (" + path + ")" : "") + ". Expected: " + expected
+			+ ", Actual: " + actual);
+		this.name = "WKBFormatException";
+		this.offset = offset;
+		this.path = path;
+		this.expected = expected;
+		this.actual = actual;
+	}
+
+}
@@ -0,0 +1,54 @@
+import { SFException } from "./sf/internal";
+
+/**
+ * Well Known Binary limit exception, thrown when a read exceeds a
+ * {@link GeometryReaderLimits} limit, reporting the byte offset and the
+ * nesting path of the violation
+ */
+export class WKBLimitException extends SFException {
+
+	/**
+	 * Exceeded limit name, such as "maxDepth"
+	 */
+	public readonly limit: string;
+
+	/**
+	 * Limit maximum
+	 */
+	public readonly maximum: number;
+
+	/**
+	 * Actual value
+	 */
+	public readonly actual: number;
+
+	/**
+	 * Byte offset in the well-known bytes
+	 */
+	public readonly offset: number;
+
+	/**
+	 * Nesting path, such as "GeometryCollection[0][2]"
+	 */
+	public readonly path: string;
+
+	/**
+	 * Constructor
+	 * @param limit exceeded limit name
+	 * @param maximum limit maximum
+	 * @param actual actual value
+	 * @param offset byte offset in the well-known bytes
+	 * @param path nesting path
+	 */
+	public constructor(limit: string, maximum: number, actual: number, offset: number, path: string) {
+		super("Exceeded " + limit + " limit at offset " + offset + (path ? " (" + path + ")" : "") + ". Maximum: "
+			+ maximum + ", Actual: " + actual);
+		this.name = "WKBLimitException";
+		this.limit = limit;
+		this.maximum = maximum;
+		this.actual = actual;
+		this.offset = offset;
+		this.path = path;
+	}
+
+}
@@ -0,0 +1,686 @@
+import {
+	CircularString,
+	CompoundCurve,
+	Curve,
+	CurvePolygon,
+	ExtendedGeometryCollection,
+	Geometry,
+	GeometryCollection,
+	GeometryType,
+	LineString,
+	MultiLineString,
+	MultiPoint,
+	MultiPolygon,
+	Point,
+	Polygon,
+	PolyhedralSurface,
+	Surface,
+	TIN,
+	Triangle
+} from "./sf/internal";
+import { WKTParseException } from "./WKTParseException";
+
+/**
+ * Well Known Text reader
+ */
+export class WKTGeometryReader {
+
+	/**
+	 * Number pattern
+	 */
+	private static readonly NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+	/**
+	 * Word pattern
+	 */
+	private static readonly WORD = /[A-Za-z]+/y;
+
+	/**
+	 * Read a geometry from well-known text
+	 * @param text well-known text
+	 * @return geometry
+	 */
+	public static readGeometry(text: string): Geometry {
+		const geometryReader = new WKTGeometryReader(text);
+		return geometryReader.read();
+	}
+
+	/**
+	 * Text
+	 */
+	private readonly text: string;
+
+	/**
+	 * Current character position
+	 */
+	private position: number = 0;
+
+	/**
+	 * Constructor
+	 * @param text well-known text
+	 */
+	public constructor(text: string) {
+		this.text = text;
+	}
+
+	/**
+	 * Get the current character position
+	 * @return position
+	 */
+	public getPosition(): number {
+		return this.position;
+	}
+
+	/**
+	 * Read the geometry, requiring the full text to be consumed
+	 * @return geometry
+	 */
+	public read(): Geometry {
+		const geometry = this.readGeometry();
+		this.skipWhitespace();
+		if (this.position < this.text.length) {
+			throw new WKTParseException("Unexpected text after geometry: '" + this.text.substring(this.position) + "'", this.position);
+		}
+		return geometry;
+	}
+
+	/**
+	 * Read a tagged geometry: a geometry type, optional dimension and the
+	 * geometry text
+	 * @return geometry
+	 */
+	public readGeometry(): Geometry {
+		const position = this.nextPosition();
+		const word = this.readWord();
+		const geometryType = WKTGeometryReader.getGeometryType(word);
+		if (geometryType == null) {
+			throw new WKTParseException("Unexpected geometry type: '" + word + "'", position);
+		}
+		return this.readGeometryText(geometryType);
+	}
+
+	/**
+	 * Read the optional dimension and the geometry text of the geometry type
+	 * @param geometryType geometry type
+	 * @param hasZ containing geometry has z flag, used when the dimension is
+	 *            not tagged
+	 * @param hasM containing geometry has m flag, used when the dimension is
+	 *            not tagged
+	 * @return geometry
+	 */
+	private readGeometryText(geometryType: GeometryType, hasZ: boolean = undefined, hasM: boolean = undefined): Geometry {
+		const dimension = this.readDimension();
+		if (dimension != null) {
+			hasZ = dimension[0];
+			hasM = dimension[1];
+		}
+
+		let geometry: Geometry = null;
+
+		switch (geometryType) {
+			case GeometryType.POINT:
+				geometry = this.readPointText(hasZ, hasM);
+				break;
+			case GeometryType.LINESTRING:
+				geometry = this.readLineStringText(hasZ, hasM);
+				break;
+			case GeometryType.POLYGON:
+				geometry = this.readPolygonText(hasZ, hasM);
+				break;
+			case GeometryType.MULTIPOINT:
+				geometry = this.readMultiPointText(hasZ, hasM);
+				break;
+			case GeometryType.MULTILINESTRING:
+				geometry = this.readMultiLineStringText(hasZ, hasM);
+				break;
+			case GeometryType.MULTIPOLYGON:
+				geometry = this.readMultiPolygonText(hasZ, hasM);
+				break;
+			case GeometryType.GEOMETRYCOLLECTION:
+				geometry = this.readGeometryCollectionText(hasZ, hasM);
+				break;
+			case GeometryType.CIRCULARSTRING:
+				geometry = this.readCircularStringText(hasZ, hasM);
+				break;
+			case GeometryType.COMPOUNDCURVE:
+				geometry = this.readCompoundCurveText(hasZ, hasM);
+				break;
+			case GeometryType.CURVEPOLYGON:
+				geometry = this.readCurvePolygonText(hasZ, hasM);
+				break;
+			case GeometryType.MULTICURVE:
+				geometry = this.readMultiCurveText(hasZ, hasM);
+				break;
+			case GeometryType.MULTISURFACE:
+				geometry = this.readMultiSurfaceText(hasZ, hasM);
+				break;
+			case GeometryType.POLYHEDRALSURFACE:
+				geometry = this.readPolyhedralSurfaceText(hasZ, hasM);
+				break;
+			case GeometryType.TIN:
+				geometry = this.readTINText(hasZ, hasM);
+				break;
+			case GeometryType.TRIANGLE:
+				geometry = this.readTriangleText(hasZ, hasM);
+				break;
+			default:
+				throw new WKTParseException("Unsupported geometry type: " + GeometryType.nameFromType(geometryType), this.position);
+		}
+
+		return geometry;
+	}
+
+	/**
+	 * Read the optional Z, M or ZM dimension
+	 * @return [hasZ, hasM] or null when not present
+	 */
+	private readDimension(): boolean[] {
+		let dimension: boolean[] = null;
+		const position = this.nextPosition();
+		const word = this.peekWord();
+		if (word != null) {
+			switch (word.toUpperCase()) {
+				case "Z":
+					dimension = [true, false];
+					break;
+				case "M":
+					dimension = [false, true];
+					break;
+				case "ZM":
+					dimension = [true, true];
+					break;
+				default:
+			}
+			if (dimension != null) {
+				this.position = position + word.length;
+			}
+		}
+		return dimension;
+	}
+
+	/**
+	 * Read a Point text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return point
+	 */
+	public readPointText(hasZ: boolean, hasM: boolean): Point {
+		let point: Point;
+		if (this.readEmpty()) {
+			point = Point.createEmpty(hasZ === true, hasM === true);
+		} else {
+			this.readChar("(");
+			point = this.readPoint(hasZ, hasM);
+			this.readChar(")");
+		}
+		return point;
+	}
+
+	/**
+	 * Read a Point coordinate
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return point
+	 */
+	public readPoint(hasZ: boolean, hasM: boolean): Point {
+		const position = this.nextPosition();
+		const values: number[] = [];
+		let value = this.readNumber(values.length === 0);
+		while (value != null) {
+			values.push(value);
+			value = values.length < 4 ? this.readNumber(values.length < 2) : null;
+		}
+
+		if (hasZ === undefined || hasM === undefined) {
+			hasZ = values.length >= 3;
+			hasM = values.length === 4;
+		}
+		const expected = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+		if (values.length !== expected) {
+			throw new WKTParseException("Unexpected number of coordinate values: " + values.length + ", Expected: " + expected, position);
+		}
+
+		const point = new Point(hasZ, hasM, values[0], values[1]);
+		let index = 2;
+		if (hasZ) {
+			point.z = values[index++];
+		}
+		if (hasM) {
+			point.m = values[index];
+		}
+		return point;
+	}
+
+	/**
+	 * Read a Line String text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return line string
+	 */
+	public readLineStringText(hasZ: boolean, hasM: boolean): LineString {
+		const points = this.readPoints(hasZ, hasM);
+		const dimension = WKTGeometryReader.getDimension(points, hasZ, hasM);
+		const lineString = new LineString(dimension[0], dimension[1]);
+		lineString.addPoints(points);
+		return lineString;
+	}
+
+	/**
+	 * Read a Circular String text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return circular string
+	 */
+	public readCircularStringText(hasZ: boolean, hasM: boolean): CircularString {
+		const points = this.readPoints(hasZ, hasM);
+		const dimension = WKTGeometryReader.getDimension(points, hasZ, hasM);
+		const circularString = new CircularString(dimension[0], dimension[1]);
+		circularString.addPoints(points);
+		return circularString;
+	}
+
+	/**
+	 * Read a Polygon text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return polygon
+	 */
+	public readPolygonText(hasZ: boolean, hasM: boolean): Polygon {
+		const rings = this.readList(hasZ, hasM, (z, m) => this.readLineStringText(z, m));
+		const dimension = WKTGeometryReader.getDimension(rings, hasZ, hasM);
+		const polygon = new Polygon(dimension[0], dimension[1]);
+		polygon.addRings(rings);
+		return polygon;
+	}
+
+	/**
+	 * Read a Triangle text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return triangle
+	 */
+	public readTriangleText(hasZ: boolean, hasM: boolean): Triangle {
+		const rings = this.readList(hasZ, hasM, (z, m) => this.readLineStringText(z, m));
+		const dimension = WKTGeometryReader.getDimension(rings, hasZ, hasM);
+		const triangle = new Triangle(dimension[0], dimension[1]);
+		triangle.addRings(rings);
+		return triangle;
+	}
+
+	/**
+	 * Read a Multi Point text, accepting points with or without parentheses
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return multi point
+	 */
+	public readMultiPointText(hasZ: boolean, hasM: boolean): MultiPoint {
+		const points = this.readList(hasZ, hasM, (z, m) => {
+			let point: Point;
+			if (this.peekChar() === "(" || this.peekWord() != null) {
+				point = this.readPointText(z, m);
+			} else {
+				point = this.readPoint(z, m);
+			}
+			return point;
+		});
+		const dimension = WKTGeometryReader.getDimension(points, hasZ, hasM);
+		const multiPoint = new MultiPoint(dimension[0], dimension[1]);
+		multiPoint.addPoints(points);
+		return multiPoint;
+	}
+
+	/**
+	 * Read a Multi Line String text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return multi line string
+	 */
+	public readMultiLineStringText(hasZ: boolean, hasM: boolean): MultiLineString {
+		const lineStrings = this.readList(hasZ, hasM, (z, m) => this.readLineStringText(z, m));
+		const dimension = WKTGeometryReader.getDimension(lineStrings, hasZ, hasM);
+		const multiLineString = new MultiLineString(dimension[0], dimension[1]);
+		multiLineString.addLineStrings(lineStrings);
+		return multiLineString;
+	}
+
+	/**
+	 * Read a Multi Polygon text
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return multi polygon
+	 */
+	public readMultiPolygonText(hasZ: boolean, hasM: boolean): MultiPolygon {
+		const polygons = this.readList(hasZ, hasM, (z, m) => this.readPolygonText(z, m));
+		const dimension = WKTGeometryReader.getDimension(polygons, hasZ, hasM);
+		const multiPolygon = new MultiPolygon(dimension[0], dimension[1]);
+		multiPolygon.addPolygons(polygons);
+		return multiPolygon;
+	}
+
+	/**
+	 * Read a Geometry Collection text of tagged geometries
+	 * @param hasZ has z flag, undefined to determine from the geometries
+	 * @param hasM has m flag, undefined to determine from the geometries
+	 * @return geometry collection
+	 */
+	public readGeometryCollectionText(hasZ: boolean, hasM: boolean): GeometryCollection<Geometry> {
+		const geometries = this.readList(hasZ, hasM, () => this.readGeometry());
+		const dimension = WKTGeometryReader.getDimension(geometries, hasZ, hasM);
+		const geometryCollection = new GeometryCollection<Geometry>(dimension[0], dimension[1]);
+		geometryCollection.addGeometries(geometries);
+		return geometryCollection;
+	}
+
+	/**
+	 * Read a Compound Curve text of line strings and circular strings
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return compound curve
+	 */
+	public readCompoundCurveText(hasZ: boolean, hasM: boolean): CompoundCurve {
+		const lineStrings = this.readList(hasZ, hasM, (z, m) => this.readCurveText(z, m,
+			[GeometryType.LINESTRING, GeometryType.CIRCULARSTRING]) as LineString);
+		const dimension = WKTGeometryReader.getDimension(lineStrings, hasZ, hasM);
+		const compoundCurve = new CompoundCurve(dimension[0], dimension[1]);
+		compoundCurve.addLineStrings(lineStrings);
+		return compoundCurve;
+	}
+
+	/**
+	 * Read a Curve Polygon text of curve rings
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return curve polygon
+	 */
+	public readCurvePolygonText(hasZ: boolean, hasM: boolean): CurvePolygon<Curve> {
+		const rings = this.readList(hasZ, hasM, (z, m) => this.readCurveText(z, m,
+			[GeometryType.LINESTRING, GeometryType.CIRCULARSTRING, GeometryType.COMPOUNDCURVE]));
+		const dimension = WKTGeometryReader.getDimension(rings, hasZ, hasM);
+		const curvePolygon = new CurvePolygon<Curve>(dimension[0], dimension[1]);
+		curvePolygon.addRings(rings);
+		return curvePolygon;
+	}
+
+	/**
+	 * Read a Multi Curve text of curves
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return multi curve extended geometry collection
+	 */
+	public readMultiCurveText(hasZ: boolean, hasM: boolean): GeometryCollection<Curve> {
+		const curves = this.readList(hasZ, hasM, (z, m) => this.readCurveText(z, m,
+			[GeometryType.LINESTRING, GeometryType.CIRCULARSTRING, GeometryType.COMPOUNDCURVE]));
+		const dimension = WKTGeometryReader.getDimension(curves, hasZ, hasM);
+		const geometryCollection = new GeometryCollection<Curve>(dimension[0], dimension[1]);
+		geometryCollection.addGeometries(curves);
+		const multiCurve = new ExtendedGeometryCollection<Curve>(geometryCollection);
+		multiCurve.geometryType = GeometryType.MULTICURVE;
+		return multiCurve;
+	}
+
+	/**
+	 * Read a Multi Surface text of surfaces
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return multi surface extended geometry collection
+	 */
+	public readMultiSurfaceText(hasZ: boolean, hasM: boolean): GeometryCollection<Surface> {
+		const surfaces = this.readList(hasZ, hasM, (z, m) => {
+			let surface: Surface;
+			if (this.peekChar() === "(") {
+				surface = this.readPolygonText(z, m);
+			} else {
+				const position = this.nextPosition();
+				const word = this.readWord();
+				const geometryType = WKTGeometryReader.getGeometryType(word);
+				if (geometryType !== GeometryType.POLYGON && geometryType !== GeometryType.CURVEPOLYGON) {
+					throw new WKTParseException("Unexpected surface type: '" + word + "'", position);
+				}
+				surface = this.readGeometryText(geometryType, z, m) as Surface;
+			}
+			return surface;
+		});
+		const dimension = WKTGeometryReader.getDimension(surfaces, hasZ, hasM);
+		const geometryCollection = new GeometryCollection<Surface>(dimension[0], dimension[1]);
+		geometryCollection.addGeometries(surfaces);
+		const multiSurface = new ExtendedGeometryCollection<Surface>(geometryCollection);
+		multiSurface.geometryType = GeometryType.MULTISURFACE;
+		return multiSurface;
+	}
+
+	/**
+	 * Read a Polyhedral Surface text of polygons
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return polyhedral surface
+	 */
+	public readPolyhedralSurfaceText(hasZ: boolean, hasM: boolean): PolyhedralSurface {
+		const polygons = this.readList(hasZ, hasM, (z, m) => this.readPolygonText(z, m));
+		const dimension = WKTGeometryReader.getDimension(polygons, hasZ, hasM);
+		const polyhedralSurface = new PolyhedralSurface(dimension[0], dimension[1]);
+		polyhedralSurface.addPolygons(polygons);
+		return polyhedralSurface;
+	}
+
+	/**
+	 * Read a TIN text of triangles
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return TIN
+	 */
+	public readTINText(hasZ: boolean, hasM: boolean): TIN {
+		const triangles = this.readList(hasZ, hasM, (z, m) => this.readTriangleText(z, m));
+		const dimension = WKTGeometryReader.getDimension(triangles, hasZ, hasM);
+		const tin = new TIN(dimension[0], dimension[1]);
+		tin.addPolygons(triangles);
+		return tin;
+	}
+
+	/**
+	 * Read a curve, either an untagged line string or a tagged curve of one
+	 * of the allowed types
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @param types allowed tagged curve types
+	 * @return curve
+	 */
+	private readCurveText(hasZ: boolean, hasM: boolean, types: GeometryType[]): Curve {
+		let curve: Curve;
+		if (this.peekChar() === "(") {
+			curve = this.readLineStringText(hasZ, hasM);
+		} else {
+			const position = this.nextPosition();
+			const word = this.readWord();
+			const geometryType = WKTGeometryReader.getGeometryType(word);
+			if (types.indexOf(geometryType) === -1) {
+				throw new WKTParseException("Unexpected curve type: '" + word + "'", position);
+			}
+			curve = this.readGeometryText(geometryType, hasZ, hasM) as Curve;
+		}
+		return curve;
+	}
+
+	/**
+	 * Read a parenthesized point list or EMPTY
+	 * @param hasZ has z flag, undefined to determine from the coordinates
+	 * @param hasM has m flag, undefined to determine from the coordinates
+	 * @return points
+	 */
+	private readPoints(hasZ: boolean, hasM: boolean): Point[] {
+		return this.readList(hasZ, hasM, (z, m) => this.readPoint(z, m));
+	}
+
+	/**
+	 * Read a parenthesized comma separated list or EMPTY. When the dimension
+	 * is not known, it is determined by the first item.
+	 * @param hasZ has z flag, undefined to determine from the first item
+	 * @param hasM has m flag, undefined to determine from the first item
+	 * @param readItem item reader
+	 * @return items
+	 */
+	private readList<T extends Geometry>(hasZ: boolean, hasM: boolean, readItem: (hasZ: boolean, hasM: boolean) => T): T[] {
+		const items: T[] = [];
+		if (!this.readEmpty()) {
+			this.readChar("(");
+			do {
+				const item = readItem(hasZ, hasM);
+				if (hasZ === undefined || hasM === undefined) {
+					hasZ = item.hasZ;
+					hasM = item.hasM;
+				}
+				items.push(item);
+			} while (this.readOptionalChar(","));
+			this.readChar(")");
+		}
+		return items;
+	}
+
+	/**
+	 * Get the dimension from the provided flags or the first geometry
+	 * @param geometries geometries
+	 * @param hasZ has z flag
+	 * @param hasM has m flag
+	 * @return [hasZ, hasM]
+	 */
+	private static getDimension(geometries: Geometry[], hasZ: boolean, hasM: boolean): boolean[] {
+		if (hasZ === undefined || hasM === undefined) {
+			if (geometries.length > 0) {
+				hasZ = geometries[0].hasZ;
+				hasM = geometries[0].hasM;
+			} else {
+				hasZ = false;
+				hasM = false;
+			}
+		}
+		return [hasZ, hasM];
+	}
+
+	/**
+	 * Read the EMPTY keyword if next
+	 * @return true if read
+	 */
+	private readEmpty(): boolean {
+		const word = this.peekWord();
+		const empty = word != null && word.toUpperCase() === "EMPTY";
+		if (empty) {
+			this.position = this.nextPosition() + word.length;
+		}
+		return empty;
+	}
+
+	/**
+	 * Read a number
+	 * @param required true if a number is required
+	 * @return number or null when not present and not required
+	 */
+	private readNumber(required: boolean): number {
+		const position = this.nextPosition();
+		WKTGeometryReader.NUMBER.lastIndex = position;
+		const match = WKTGeometryReader.NUMBER.exec(this.text);
+		let value: number = null;
+		if (match != null) {
+			value = Number(match[0]);
+			this.position = position + match[0].length;
+		} else if (required) {
+			throw new WKTParseException("Expected a number but found: " + this.describeNext(), position);
+		}
+		return value;
+	}
+
+	/**
+	 * Read a word
+	 * @return word
+	 */
+	private readWord(): string {
+		const position = this.nextPosition();
+		const word = this.peekWord();
+		if (word == null) {
+			throw new WKTParseException("Expected a geometry type but found: " + this.describeNext(), position);
+		}
+		this.position = position + word.length;
+		return word;
+	}
+
+	/**
+	 * Peek at the next word without consuming it
+	 * @return word or null
+	 */
+	private peekWord(): string {
+		WKTGeometryReader.WORD.lastIndex = this.nextPosition();
+		const match = WKTGeometryReader.WORD.exec(this.text);
+		return match != null ? match[0] : null;
+	}
+
+	/**
+	 * Read the expected character
+	 * @param expected expected character
+	 */
+	private readChar(expected: string): void {
+		if (!this.readOptionalChar(expected)) {
+			throw new WKTParseException("Expected '" + expected + "' but found: " + this.describeNext(), this.nextPosition());
+		}
+	}
+
+	/**
+	 * Read the character if next
+	 * @param expected expected character
+	 * @return true if read
+	 */
+	private readOptionalChar(expected: string): boolean {
+		const read = this.peekChar() === expected;
+		if (read) {
+			this.position = this.nextPosition() + 1;
+		}
+		return read;
+	}
+
+	/**
+	 * Peek at the next non whitespace character
+	 * @return character or undefined at the end
+	 */
+	private peekChar(): string {
+		return this.text[this.nextPosition()];
+	}
+
+	/**
+	 * Describe the next text for error messages
+	 * @return description
+	 */
+	private describeNext(): string {
+		const position = this.nextPosition();
+		return position < this.text.length ? "'" + this.text[position] + "'" : "end of text";
+	}
+
+	/**
+	 * Skip whitespace and get the position of the next character
+	 * @return position
+	 */
+	private nextPosition(): number {
+		this.skipWhitespace();
+		return this.position;
+	}
+
+	/**
+	 * Skip whitespace
+	 */
+	private skipWhitespace(): void {
+		while (this.position < this.text.length && /\s/.test(this.text[this.position])) {
+			this.position++;
+		}
+	}
+
+	/**
+	 * Get the geometry type for the well-known text name
+	 * @param name geometry type name
+	 * @return geometry type or null
+	 */
+	private static getGeometryType(name: string): GeometryType {
+		let geometryType = GeometryType.fromName(name.toUpperCase());
+		if (geometryType === undefined || geometryType === GeometryType.GEOMETRY
+			|| geometryType === GeometryType.CURVE || geometryType === GeometryType.SURFACE) {
+			geometryType = null;
+		}
+		return geometryType;
+	}
+
+}
@@ -0,0 +1,309 @@
+import {
+	CircularString,
+	CompoundCurve,
+	Curve,
+	CurvePolygon,
+	Geometry,
+	GeometryCollection,
+	GeometryType,
+	LineString,
+	MultiLineString,
+	MultiPoint,
+	MultiPolygon,
+	Point,
+	Polygon,
+	PolyhedralSurface,
+	SFException,
+	Surface,
+	TIN,
+	Triangle
+} from "./sf/internal";
+
+/**
+ * Well Known Text writer
+ */
+export class WKTGeometryWriter {
+
+	/**
+	 * Write a geometry to well-known text
+	 * @param geometry geometry
+	 * @return well-known text
+	 */
+	public static writeGeometry(geometry: Geometry): string {
+		const writer = new WKTGeometryWriter();
+		writer.write(geometry);
+		return writer.getText();
+	}
+
+	/**
+	 * Text parts
+	 */
+	private readonly text: string[] = [];
+
+	/**
+	 * Get the written text
+	 * @return well-known text
+	 */
+	public getText(): string {
+		return this.text.join("");
+	}
+
+	/**
+	 * Write a tagged geometry: the geometry type, dimension and geometry text
+	 * @param geometry geometry
+	 */
+	public write(geometry: Geometry): void {
+		this.writeTag(geometry);
+		this.writeGeometryText(geometry);
+	}
+
+	/**
+	 * Write the geometry type and dimension
+	 * @param geometry geometry
+	 */
+	private writeTag(geometry: Geometry): void {
+		this.text.push(GeometryType.nameFromType(geometry.geometryType));
+		if (geometry.hasZ && geometry.hasM) {
+			this.text.push(" ZM");
+		} else if (geometry.hasZ) {
+			this.text.push(" Z");
+		} else if (geometry.hasM) {
+			this.text.push(" M");
+		}
+		this.text.push(" ");
+	}
+
+	/**
+	 * Write the geometry text without the tag
+	 * @param geometry geometry
+	 */
+	private writeGeometryText(geometry: Geometry): void {
+
+		const geometryType = geometry.geometryType;
+
+		switch (geometryType) {
+			case GeometryType.GEOMETRY:
+				throw new SFException("Unexpected Geometry Type of Geometry which is abstract");
+			case GeometryType.POINT:
+				this.writePointText(geometry as Point);
+				break;
+			case GeometryType.LINESTRING:
+			case GeometryType.CIRCULARSTRING:
+				this.writeLineStringText(geometry as LineString);
+				break;
+			case GeometryType.POLYGON:
+			case GeometryType.TRIANGLE:
+				this.writePolygonText(geometry as Polygon);
+				break;
+			case GeometryType.MULTIPOINT:
+				this.writeMultiPointText(geometry as MultiPoint);
+				break;
+			case GeometryType.MULTILINESTRING:
+				this.writeMultiLineStringText(geometry as MultiLineString);
+				break;
+			case GeometryType.MULTIPOLYGON:
+				this.writeMultiPolygonText(geometry as MultiPolygon);
+				break;
+			case GeometryType.GEOMETRYCOLLECTION:
+				this.writeGeometryCollectionText(geometry as GeometryCollection<Geometry>);
+				break;
+			case GeometryType.COMPOUNDCURVE:
+				this.writeCompoundCurveText(geometry as CompoundCurve);
+				break;
+			case GeometryType.CURVEPOLYGON:
+				this.writeCurvePolygonText(geometry as CurvePolygon<Curve>);
+				break;
+			case GeometryType.MULTICURVE:
+				this.writeMultiCurveText(geometry as GeometryCollection<Curve>);
+				break;
+			case GeometryType.MULTISURFACE:
+				this.writeMultiSurfaceText(geometry as GeometryCollection<Surface>);
+				break;
+			case GeometryType.CURVE:
+				throw new SFException("Unexpected Geometry Type of Curve which is abstract");
+			case GeometryType.SURFACE:
+				throw new SFException("Unexpected Geometry Type of Surface which is abstract");
+			case GeometryType.POLYHEDRALSURFACE:
+			case GeometryType.TIN:
+				this.writePolyhedralSurfaceText(geometry as PolyhedralSurface);
+				break;
+			default:
+				throw new SFException("Geometry Type not supported: " + geometryType);
+		}
+
+	}
+
+	/**
+	 * Write a Point text, EMPTY when the point is empty
+	 * @param point point
+	 */
+	public writePointText(point: Point): void {
+		if (point.isEmpty()) {
+			this.writeEmpty();
+		} else {
+			this.text.push("(");
+			this.writePoint(point);
+			this.text.push(")");
+		}
+	}
+
+	/**
+	 * Write a Point coordinate
+	 * @param point point
+	 */
+	public writePoint(point: Point): void {
+		this.text.push(WKTGeometryWriter.formatNumber(point.x), " ", WKTGeometryWriter.formatNumber(point.y));
+		if (point.hasZ) {
+			this.text.push(" ", WKTGeometryWriter.formatNumber(point.z));
+		}
+		if (point.hasM) {
+			this.text.push(" ", WKTGeometryWriter.formatNumber(point.m));
+		}
+	}
+
+	/**
+	 * Write a Line String or Circular String text
+	 * @param lineString line string
+	 */
+	public writeLineStringText(lineString: LineString | CircularString): void {
+		this.writeList(lineString.points, point => this.writePoint(point));
+	}
+
+	/**
+	 * Write a Polygon or Triangle text
+	 * @param polygon polygon
+	 */
+	public writePolygonText(polygon: Polygon | Triangle): void {
+		this.writeList(polygon.rings, ring => this.writeLineStringText(ring));
+	}
+
+	/**
+	 * Write a Multi Point text
+	 * @param multiPoint multi point
+	 */
+	public writeMultiPointText(multiPoint: MultiPoint): void {
+		this.writeList(multiPoint.points, point => this.writePointText(point));
+	}
+
+	/**
+	 * Write a Multi Line String text
+	 * @param multiLineString multi line string
+	 */
+	public writeMultiLineStringText(multiLineString: MultiLineString): void {
+		this.writeList(multiLineString.lineStrings, lineString => this.writeLineStringText(lineString));
+	}
+
+	/**
+	 * Write a Multi Polygon text
+	 * @param multiPolygon multi polygon
+	 */
+	public writeMultiPolygonText(multiPolygon: MultiPolygon): void {
+		this.writeList(multiPolygon.polygons, polygon => this.writePolygonText(polygon));
+	}
+
+	/**
+	 * Write a Geometry Collection text of tagged geometries
+	 * @param geometryCollection geometry collection
+	 */
+	public writeGeometryCollectionText(geometryCollection: GeometryCollection<Geometry>): void {
+		this.writeList(geometryCollection.geometries, geometry => this.write(geometry));
+	}
+
+	/**
+	 * Write a Compound Curve text
+	 * @param compoundCurve compound curve
+	 */
+	public writeCompoundCurveText(compoundCurve: CompoundCurve): void {
+		this.writeList(compoundCurve.lineStrings, lineString => this.writeCurve(lineString));
+	}
+
+	/**
+	 * Write a Curve Polygon text
+	 * @param curvePolygon curve polygon
+	 */
+	public writeCurvePolygonText(curvePolygon: CurvePolygon<Curve>): void {
+		this.writeList(curvePolygon.rings, ring => this.writeCurve(ring));
+	}
+
+	/**
+	 * Write a Multi Curve text
+	 * @param multiCurve multi curve
+	 */
+	public writeMultiCurveText(multiCurve: GeometryCollection<Curve>): void {
+		this.writeList(multiCurve.geometries, curve => this.writeCurve(curve));
+	}
+
+	/**
+	 * Write a Multi Surface text, polygons untagged and curve polygons tagged
+	 * @param multiSurface multi surface
+	 */
+	public writeMultiSurfaceText(multiSurface: GeometryCollection<Surface>): void {
+		this.writeList(multiSurface.geometries, surface => {
+			if (surface.geometryType === GeometryType.POLYGON) {
+				this.writePolygonText(surface as Polygon);
+			} else {
+				this.text.push(GeometryType.nameFromType(surface.geometryType), " ");
+				this.writeGeometryText(surface);
+			}
+		});
+	}
+
+	/**
+	 * Write a Polyhedral Surface or TIN text
+	 * @param polyhedralSurface polyhedral surface
+	 */
+	public writePolyhedralSurfaceText(polyhedralSurface: PolyhedralSurface | TIN): void {
+		this.writeList(polyhedralSurface.polygons, polygon => this.writePolygonText(polygon));
+	}
+
+	/**
+	 * Write a curve, line strings untagged and other curves tagged
+	 * @param curve curve
+	 */
+	private writeCurve(curve: Curve): void {
+		if (curve.geometryType === GeometryType.LINESTRING) {
+			this.writeLineStringText(curve as LineString);
+		} else {
+			this.text.push(GeometryType.nameFromType(curve.geometryType), " ");
+			this.writeGeometryText(curve);
+		}
+	}
+
+	/**
+	 * Write a parenthesized comma separated list, or EMPTY
+	 * @param items items
+	 * @param writeItem item writer
+	 */
+	private writeList<T>(items: T[], writeItem: (item: T) => void): void {
+		if (items.length === 0) {
+			this.writeEmpty();
+		} else {
+			this.text.push("(");
+			items.forEach((item, index) => {
+				if (index > 0) {
+					this.text.push(", ");
+				}
+				writeItem(item);
+			});
+			this.text.push(")");
+		}
+	}
+
+	/**
+	 * Write EMPTY
+	 */
+	private writeEmpty(): void {
+		this.text.push("EMPTY");
+	}
+
+	/**
+	 * Format a number, using the shortest text that reads back to the same
+	 * value
+	 * @param value number
+	 * @return text
+	 */
+	private static formatNumber(value: number): string {
+		return String(value);
+	}
+
+}
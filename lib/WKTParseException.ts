@@ -0,0 +1,25 @@
+import { SFException } from "./sf/internal";
+
+/**
+ * Well Known Text parse exception, reporting the character position of the
+ * failure
+ */
+export class WKTParseException extends SFException {
+
+	/**
+	 * Character position in the text
+	 */
+	public readonly position: number;
+
+	/**
+	 * Constructor
+	 * @param message message
+	 * @param position character position in the text
+	 */
+	public constructor(message: string, position: number) {
+		super(message + " at position " + position);
+		this.name = "WKTParseException";
+		this.position = position;
+	}
+
+}
@@ -20,7 +20,7 @@ export class CircularString extends LineString {
 		} else if (args.length === 2) {
 			super(GeometryType.CIRCULARSTRING, args[0], args[1]);
 		} else if (args.length === 1 && args[0] instanceof CircularString) {
-			super(GeometryType.CIRCULARSTRING, args[0].hasZ, args[1].hasM);
+			super(GeometryType.CIRCULARSTRING, args[0].hasZ, args[0].hasM);
 			args[0].points.forEach(point => this.addPoint(point.copy() as Point));
 		} else if (args.length === 1 && args[0].length != null) {
 			super(GeometryType.CIRCULARSTRING, Geometry.hasZ(args[0]), Geometry.hasM(args[0]));
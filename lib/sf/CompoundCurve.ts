@@ -1,4 +1,4 @@
-import { GeometryType, Geometry, Point, Curve, LineString } from "./internal";
+import { GeometryType, Geometry, Point, Curve, LineString, GeometryUtils } from "./internal";
 
 /**
  * Compound Curve, Curve sub type
@@ -135,7 +135,7 @@ export class CompoundCurve extends Curve {
 	 * {@inheritDoc}
 	 */
 	public isSimple(): boolean {
-		throw new Error("CompoundCurve.isSimple not implemented.")
+		return GeometryUtils.isSimple(this);
 	}
 
 	/**
@@ -1,4 +1,4 @@
-import { GeometryType, Geometry, Surface, Curve, UnsupportedOperationException } from "./internal";
+import { GeometryType, Geometry, Surface, Curve, GeometryUtils } from "./internal";
 
 /**
  * A planar surface defined by an exterior ring and zero or more interior ring.
@@ -143,7 +143,7 @@ export class CurvePolygon<T extends Curve> extends Surface {
 	 * {@inheritDoc}
 	 */
 	public isSimple(): boolean {
-		throw new UnsupportedOperationException("Is Simple not implemented for CurvePolygon");
+		return GeometryUtils.isSimple(this);
 	}
 
 	/**
@@ -182,6 +182,30 @@ export abstract class Geometry {
     return GeometryUtils.getDegreesCentroid(this);
   }
 
+  /**
+   * Get the planar area of the geometry surfaces
+   * @return area
+   */
+  public getArea(): number {
+    return GeometryUtils.getArea(this);
+  }
+
+  /**
+   * Get the planar length of the geometry curves
+   * @return length
+   */
+  public getLength(): number {
+    return GeometryUtils.getLength(this);
+  }
+
+  /**
+   * Get the planar perimeter of the geometry surfaces
+   * @return perimeter
+   */
+  public getPerimeter(): number {
+    return GeometryUtils.getPerimeter(this);
+  }
+
   /**
    * Copy the geometry
    * @return geometry copy
@@ -9,7 +9,7 @@ import {
 	MultiPoint,
 	MultiLineString,
 	MultiPolygon,
-	UnsupportedOperationException,
+	GeometryUtils,
 	SFException
 } from './internal'
 
@@ -340,7 +340,7 @@ export class GeometryCollection<T extends Geometry> extends Geometry {
 	 * {@inheritDoc}
 	 */
 	public isSimple(): boolean {
-		throw new UnsupportedOperationException("Is Simple not implemented for GeometryCollection");
+		return GeometryUtils.isSimple(this);
 	}
 
 	/**
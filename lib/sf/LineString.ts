@@ -1,4 +1,4 @@
-import { GeometryType, Geometry, Point, Curve } from "./internal";
+import { GeometryType, Geometry, Point, Curve, GeometryUtils } from "./internal";
 
 /**
  * A Curve that connects two or more points in space.
@@ -114,7 +114,7 @@ export class LineString extends Curve {
 	 * {@inheritDoc}
 	 */
 	public isSimple (): boolean {
-		throw new Error("LineString.isSimple not implemented.");
+		return GeometryUtils.isSimple(this);
 	}
 
 	/**
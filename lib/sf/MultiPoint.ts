@@ -1,4 +1,4 @@
-import { GeometryType, Geometry, Point, GeometryCollection } from "./internal";
+import { GeometryType, Geometry, Point, GeometryCollection, GeometryUtils } from "./internal";
 
 /**
  * A restricted form of GeometryCollection where each Geometry in the collection
@@ -96,8 +96,6 @@ export class MultiPoint extends GeometryCollection<Point> {
 	 * {@inheritDoc}
 	 */
 	public isSimple(): boolean {
-		return this.points.filter((pA, index) => {
-			return this.points.findIndex(pB => pA.equals(pB)) === index;
-		}).length == this.numPoints();
+		return GeometryUtils.isSimple(this);
 	}
 }
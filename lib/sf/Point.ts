@@ -71,6 +71,23 @@ export class Point extends Geometry {
 	}
 
 
+	/**
+	 * Create an empty point, the x, y and any z and m values being NaN
+	 * @param hasZ has z
+	 * @param hasM has m
+	 * @return empty point
+	 */
+	public static createEmpty (hasZ: boolean = false, hasM: boolean = false): Point {
+		const point = new Point(hasZ, hasM, NaN, NaN);
+		if (hasZ) {
+			point.z = NaN;
+		}
+		if (hasM) {
+			point.m = NaN;
+		}
+		return point;
+	}
+
 	/**
 	 * Get x
 	 * @return x
@@ -149,9 +166,11 @@ export class Point extends Geometry {
 
 	/**
 	 * {@inheritDoc}
+	 * 
+	 * A point is empty when the x and y coordinates are NaN
 	 */
 	public isEmpty (): boolean {
-		return false;
+		return Number.isNaN(this._x) && Number.isNaN(this._y);
 	}
 
 	/**
@@ -165,6 +184,18 @@ export class Point extends Geometry {
 	 * {@inheritDoc}
 	 */
 	public equals (obj: Geometry): boolean {
-		return super.equals(obj) && obj instanceof Point && this.m === obj.m && this.z === obj.z && this.x === obj.x && this.y === obj.y
+		return super.equals(obj) && obj instanceof Point && Point.valueEquals(this.m, obj.m) && Point.valueEquals(this.z, obj.z)
+			&& Point.valueEquals(this.x, obj.x) && Point.valueEquals(this.y, obj.y);
+	}
+
+	/**
+	 * Determine if the coordinate values are equal, NaN values of empty
+	 * points being equal
+	 * @param value1 value 1
+	 * @param value2 value 2
+	 * @return true if equal
+	 */
+	private static valueEquals (value1: number, value2: number): boolean {
+		return value1 === value2 || (Number.isNaN(value1) && Number.isNaN(value2));
 	}
 }
@@ -1,4 +1,4 @@
-import { GeometryType, Geometry, LineString, CurvePolygon } from "./internal";
+import { GeometryType, Geometry, LineString, CurvePolygon, GeometryUtils } from "./internal";
 
 /**
  * A restricted form of CurvePolygon where each ring is defined as a simple,
@@ -46,6 +46,6 @@ export class Polygon extends CurvePolygon<LineString> {
 	 * {@inheritDoc}
 	 */
 	public isSimple(): boolean {
-		throw new Error("Polygon.isSimple not implemented");
+		return GeometryUtils.isSimple(this);
 	}
 }
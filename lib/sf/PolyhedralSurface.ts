@@ -1,4 +1,4 @@
-import { GeometryType, Geometry, Surface, Polygon, UnsupportedOperationException } from "./internal";
+import { GeometryType, Geometry, Surface, Polygon, GeometryUtils } from "./internal";
 
 /**
  * Contiguous collection of polygons which share common boundary segments.
@@ -176,7 +176,7 @@ export class PolyhedralSurface extends Surface {
 	 * {@inheritDoc}
 	 */
 	public isSimple(): boolean {
-		throw new UnsupportedOperationException("Is Simple not implemented for PolyhedralSurface");
+		return GeometryUtils.isSimple(this);
 	}
 
 	/**
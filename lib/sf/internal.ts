@@ -41,6 +41,37 @@ export * from "./util/centroid/DegreesCentroid";
 export * from "./util/centroid/CentroidCurve";
 export * from "./util/centroid/CentroidSurface";
 
+// Linearize
+export * from "./util/linearize/CircularArc";
+export * from "./util/linearize/CurveLinearizer";
+
+// Simplicity
+export * from "./util/simple/SegmentIntersector";
+export * from "./util/simple/SegmentSweep";
+export * from "./util/simple/GeometrySimplicity";
+
+// Validation
+export * from "./util/valid/ValidationReason";
+export * from "./util/valid/ValidationIssue";
+export * from "./util/valid/GeometryValidator";
+
+// Measure
+export * from "./util/measure/GeodesicInverse";
+export * from "./util/measure/GeometryMeasure";
+
+// Relate
+export * from "./util/relate/TopologyLocation";
+export * from "./util/relate/IntersectionMatrix";
+export * from "./util/relate/RelateGeometry";
+export * from "./util/relate/GeometryRelate";
+
+// Overlay
+export * from "./util/overlay/OverlayOperation";
+export * from "./util/overlay/PolygonOverlay";
+
+// Hull
+export * from "./util/hull/GeometryHull";
+
 // Geometry Envelope
 export * from "./GeometryEnvelope";
 export * from "./util/GeometryEnvelopeBuilder";
@@ -76,4 +76,14 @@ export class GeometryConstants {
 	 */
 	public static readonly DEGREES_TO_RADIANS = Math.PI / 180.0;
 
+	/**
+	 * WGS84 ellipsoid semi major axis in meters
+	 */
+	public static readonly WGS84_SEMI_MAJOR_AXIS = 6378137.0;
+
+	/**
+	 * WGS84 ellipsoid flattening
+	 */
+	public static readonly WGS84_FLATTENING = 1 / 298.257223563;
+
 }
@@ -99,7 +99,7 @@ export class GeometryEnvelopeBuilder {
 	}
 
 	/**
-	 * Add Point
+	 * Add Point, an empty point not expanding the envelope
 	 * @param envelope geometry envelope
 	 * @param point point
 	 */
@@ -107,6 +107,10 @@ export class GeometryEnvelopeBuilder {
 
 		GeometryEnvelopeBuilder.updateHasZandM(envelope, point);
 
+		if (point.isEmpty()) {
+			return;
+		}
+
 		let x = point.x;
 		let y = point.y;
 		if (x < envelope.minX) {
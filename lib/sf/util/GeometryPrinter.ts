@@ -95,10 +95,14 @@ export class GeometryPrinter {
 	 * @param point point
 	 */
 	private static addPointMessage(message: string[], point: Point): void {
-		message.push("Latitude: ");
-		message.push(point.y.toString());
-		message.push("\nLongitude: ")
-		message.push(point.x.toString());
+		if (point.isEmpty()) {
+			message.push("Empty");
+		} else {
+			message.push("Latitude: ");
+			message.push(point.y.toString());
+			message.push("\nLongitude: ")
+			message.push(point.x.toString());
+		}
 	}
 
 	/**
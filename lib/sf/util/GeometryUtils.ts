@@ -22,7 +22,16 @@ import {
 	Curve,
 	Line,
 	GeometryConstants,
-	GeometryEnvelope
+	GeometryEnvelope,
+	GeometrySimplicity,
+	GeometryValidator,
+	ValidationIssue,
+	GeometryMeasure,
+	GeometryRelate,
+	IntersectionMatrix,
+	PolygonOverlay,
+	OverlayOperation,
+	GeometryHull
 } from "../internal";
 
 /**
@@ -90,6 +99,77 @@ export class GeometryUtils {
 		return Math.sqrt(diffX * diffX + diffY * diffY);
 	}
 
+	/**
+	 * Get the geodesic distance in meters between two points in degrees on
+	 * the WGS84 ellipsoid
+	 * @param point1 point 1 in degrees
+	 * @param point2 point 2 in degrees
+	 * @return distance in meters
+	 */
+	public static geodesicDistance(point1: Point, point2: Point): number {
+		return GeometryMeasure.geodesicDistance(point1, point2);
+	}
+
+	/**
+	 * Get the planar area of the geometry surfaces, measuring curves from
+	 * their arcs
+	 * @param geometry geometry
+	 * @return area
+	 */
+	public static getArea(geometry: Geometry): number {
+		return GeometryMeasure.getArea(geometry);
+	}
+
+	/**
+	 * Get the planar length of the geometry curves, measuring curves from
+	 * their arcs
+	 * @param geometry geometry
+	 * @return length
+	 */
+	public static getLength(geometry: Geometry): number {
+		return GeometryMeasure.getLength(geometry);
+	}
+
+	/**
+	 * Get the planar perimeter of the geometry surfaces, measuring curves
+	 * from their arcs
+	 * @param geometry geometry
+	 * @return perimeter
+	 */
+	public static getPerimeter(geometry: Geometry): number {
+		return GeometryMeasure.getPerimeter(geometry);
+	}
+
+	/**
+	 * Get the geodesic area in square meters of the geometry surfaces in
+	 * degrees on the WGS84 ellipsoid
+	 * @param geometry geometry in degrees
+	 * @return area in square meters
+	 */
+	public static getGeodesicArea(geometry: Geometry): number {
+		return GeometryMeasure.getGeodesicArea(geometry);
+	}
+
+	/**
+	 * Get the geodesic length in meters of the geometry curves in degrees on
+	 * the WGS84 ellipsoid
+	 * @param geometry geometry in degrees
+	 * @return length in meters
+	 */
+	public static getGeodesicLength(geometry: Geometry): number {
+		return GeometryMeasure.getGeodesicLength(geometry);
+	}
+
+	/**
+	 * Get the geodesic perimeter in meters of the geometry surfaces in
+	 * degrees on the WGS84 ellipsoid
+	 * @param geometry geometry in degrees
+	 * @return perimeter in meters
+	 */
+	public static getGeodesicPerimeter(geometry: Geometry): number {
+		return GeometryMeasure.getGeodesicPerimeter(geometry);
+	}
+
 	/**
 	 * Get the Pythagorean theorem distance between the line end points
 	 * 
@@ -1150,6 +1230,238 @@ export class GeometryUtils {
 		return intersection;
 	}
 
+	/**
+	 * Determine if the geometry is simple, having no anomalous points such as
+	 * self intersection or self tangency. Curves are linearized before testing.
+	 * 
+	 * @param geometry
+	 *            geometry
+	 * @return true if simple
+	 */
+	public static isSimple(geometry: Geometry): boolean {
+		return GeometrySimplicity.isSimple(geometry);
+	}
+
+	/**
+	 * Determine if the polygonal geometry is valid
+	 * 
+	 * @param geometry
+	 *            polygon, triangle, multi polygon, polyhedral surface or TIN
+	 * @return true if valid
+	 */
+	public static isValid(geometry: Geometry): boolean {
+		return GeometryValidator.isValid(geometry);
+	}
+
+	/**
+	 * Validate the polygonal geometry, such as for unclosed rings, too few
+	 * points, self intersections, spikes and misplaced holes or members
+	 * 
+	 * @param geometry
+	 *            polygon, triangle, multi polygon, polyhedral surface or TIN
+	 * @return validation issues with reasons and locations, empty when valid
+	 */
+	public static validate(geometry: Geometry): ValidationIssue[] {
+		return GeometryValidator.validate(geometry);
+	}
+
+	/**
+	 * Get the DE-9IM intersection matrix of the geometries. Curves are
+	 * linearized before relating.
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return intersection matrix
+	 */
+	public static relate(geometry1: Geometry, geometry2: Geometry): IntersectionMatrix {
+		return GeometryRelate.relate(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the DE-9IM intersection matrix of the geometries matches
+	 * the pattern
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @param pattern
+	 *            nine character pattern of T, F, *, 0, 1 and 2 values
+	 * @return true if matches
+	 */
+	public static relatePattern(geometry1: Geometry, geometry2: Geometry, pattern: string): boolean {
+		return GeometryRelate.relatePattern(geometry1, geometry2, pattern);
+	}
+
+	/**
+	 * Determine if the geometries have at least one point in common
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if intersects
+	 */
+	public static intersects(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.intersects(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the geometries have no points in common
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if disjoint
+	 */
+	public static disjoint(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.disjoint(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the first geometry contains the second, with no points of
+	 * the second in the first exterior and at least one interior point in
+	 * common
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if the first contains the second
+	 */
+	public static contains(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.contains(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the first geometry is within the second
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if the first is within the second
+	 */
+	public static within(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.within(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the geometries have at least one boundary point in common
+	 * but no interior points
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if touches
+	 */
+	public static touches(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.touches(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the geometries have some but not all interior points in
+	 * common, with an intersection of lower dimension than the highest
+	 * geometry dimension
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if crosses
+	 */
+	public static crosses(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.crosses(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if geometries of the same dimension have some but not all
+	 * interior points in common, with an intersection of the same dimension
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if overlaps
+	 */
+	public static overlaps(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.overlaps(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the geometries are topologically equal, covering the same
+	 * points regardless of vertex order or structure
+	 * 
+	 * @param geometry1
+	 *            first geometry
+	 * @param geometry2
+	 *            second geometry
+	 * @return true if equal
+	 */
+	public static equals(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.equals(geometry1, geometry2);
+	}
+
+	/**
+	 * Overlay the polygonal geometries with a boolean union, intersection,
+	 * difference or symmetric difference operation
+	 * 
+	 * @param geometry1
+	 *            first polygon or multi polygon
+	 * @param geometry2
+	 *            second polygon or multi polygon
+	 * @param operation
+	 *            overlay operation
+	 * @return valid multi polygon result, empty when no area remains
+	 */
+	public static overlay(geometry1: Geometry, geometry2: Geometry, operation: OverlayOperation): MultiPolygon {
+		return PolygonOverlay.overlay(geometry1, geometry2, operation);
+	}
+
+	/**
+	 * Get the convex hull of the geometry
+	 * 
+	 * @param geometry
+	 *            geometry
+	 * @return polygon, line string when the points are collinear, point when a
+	 *         single distinct point, or null when empty
+	 */
+	public static convexHull(geometry: Geometry): Geometry {
+		return GeometryHull.convexHull(geometry);
+	}
+
+	/**
+	 * Get the minimum area rectangle containing the geometry, which may be
+	 * rotated from the axes
+	 * 
+	 * @param geometry
+	 *            geometry
+	 * @return rectangle polygon, or the convex hull when it is a line string,
+	 *         point or null
+	 */
+	public static minimumRectangle(geometry: Geometry): Geometry {
+		return GeometryHull.minimumRectangle(geometry);
+	}
+
+	/**
+	 * Get the minimum bounding circle of the geometry as a polygon
+	 * circumscribed about the circle
+	 * 
+	 * @param geometry
+	 *            geometry
+	 * @param segments
+	 *            number of polygon sides, at least 3
+	 * @return circle polygon, point when a single distinct point, or null when
+	 *         empty
+	 */
+	public static minimumBoundingCircle(geometry: Geometry, segments = GeometryHull.DEFAULT_CIRCLE_SEGMENTS): Geometry {
+		return GeometryHull.minimumBoundingCircle(geometry, segments);
+	}
+
 	/**
 	 * Convert a geometry in degrees to a geometry in meters
 	 * 
@@ -0,0 +1,249 @@
+import {
+	SFException,
+	Geometry,
+	Point,
+	LineString,
+	Polygon,
+	RelateGeometry,
+	SegmentIntersector
+} from "../../internal";
+
+/**
+ * Convex hull and minimum bounding shapes of geometries. Curves are linearized
+ * before the hull is built, and the resulting geometries are two dimensional
+ * without z and m values. Hulls collapsing to a single point or a straight
+ * line are returned as a point or a two point line string.
+ */
+export class GeometryHull {
+
+	/**
+	 * Default number of sides of a minimum bounding circle polygon
+	 */
+	public static DEFAULT_CIRCLE_SEGMENTS = 32;
+
+	/**
+	 * Relative tolerance for points on a minimum bounding circle
+	 */
+	private static CIRCLE_EPSILON = 0.000000001;
+
+	/**
+	 * Get the convex hull of the geometry
+	 * @param geometry geometry
+	 * @return polygon, line string when the points are collinear, point when a
+	 *         single distinct point, or null when empty
+	 */
+	public static convexHull(geometry: Geometry): Geometry {
+		return GeometryHull.createGeometry(GeometryHull.getHullPoints(geometry));
+	}
+
+	/**
+	 * Get the minimum area rectangle containing the geometry, which may be
+	 * rotated from the axes
+	 * @param geometry geometry
+	 * @return rectangle polygon, or the convex hull when it is a line string,
+	 *         point or null
+	 */
+	public static minimumRectangle(geometry: Geometry): Geometry {
+		const hull = GeometryHull.getHullPoints(geometry);
+		if (hull.length < 3) {
+			return GeometryHull.createGeometry(hull);
+		}
+
+		// The minimum rectangle has a side collinear with a hull edge
+		let rectangle: Point[] = null;
+		let minArea = Number.MAX_VALUE;
+		for (let i = 0; i < hull.length; i++) {
+			const point1 = hull[i];
+			const point2 = hull[(i + 1) % hull.length];
+			const length = Math.hypot(point2.x - point1.x, point2.y - point1.y);
+			const ux = (point2.x - point1.x) / length;
+			const uy = (point2.y - point1.y) / length;
+
+			let minU = Number.MAX_VALUE;
+			let maxU = -Number.MAX_VALUE;
+			let maxV = -Number.MAX_VALUE;
+			for (const point of hull) {
+				const u = (point.x - point1.x) * ux + (point.y - point1.y) * uy;
+				const v = (point.y - point1.y) * ux - (point.x - point1.x) * uy;
+				minU = Math.min(minU, u);
+				maxU = Math.max(maxU, u);
+				maxV = Math.max(maxV, v);
+			}
+
+			// Hull points are left of counter clockwise hull edges
+			const area = (maxU - minU) * maxV;
+			if (area < minArea) {
+				minArea = area;
+				const corner = (u: number, v: number): Point => new Point(point1.x + u * ux - v * uy, point1.y + u * uy + v * ux);
+				rectangle = [corner(minU, 0), corner(maxU, 0), corner(maxU, maxV), corner(minU, maxV)];
+			}
+		}
+
+		return GeometryHull.createGeometry(rectangle);
+	}
+
+	/**
+	 * Get the minimum bounding circle of the geometry as a polygon. The polygon
+	 * is circumscribed about the circle so that it also contains the geometry.
+	 * @param geometry geometry
+	 * @param segments number of polygon sides, at least 3
+	 * @return circle polygon, point when a single distinct point, or null when
+	 *         empty
+	 */
+	public static minimumBoundingCircle(geometry: Geometry, segments = GeometryHull.DEFAULT_CIRCLE_SEGMENTS): Geometry {
+		if (!Number.isInteger(segments) || segments < 3) {
+			throw new SFException("Minimum bounding circle segments must be an integer of at least 3: " + segments);
+		}
+
+		const hull = GeometryHull.getHullPoints(geometry);
+		if (hull.length < 2) {
+			return GeometryHull.createGeometry(hull);
+		}
+
+		const [centerX, centerY, radius] = GeometryHull.getMinimumCircle(hull);
+		const vertexRadius = radius / Math.cos(Math.PI / segments);
+		const points: Point[] = [];
+		for (let i = 0; i < segments; i++) {
+			const angle = 2 * Math.PI * i / segments;
+			points.push(new Point(centerX + vertexRadius * Math.cos(angle), centerY + vertexRadius * Math.sin(angle)));
+		}
+
+		return GeometryHull.createGeometry(points);
+	}
+
+	/**
+	 * Get the center and radius of the minimum circle containing the points
+	 * @param points points
+	 * @return center x, center y and radius
+	 */
+	private static getMinimumCircle(points: Point[]): number[] {
+		let circle = [points[0].x, points[0].y, 0];
+		for (let i = 1; i < points.length; i++) {
+			if (!GeometryHull.inCircle(circle, points[i])) {
+				// The point is on the boundary of the circle containing the previous points
+				circle = [points[i].x, points[i].y, 0];
+				for (let j = 0; j < i; j++) {
+					if (!GeometryHull.inCircle(circle, points[j])) {
+						circle = GeometryHull.getDiameterCircle(points[i], points[j]);
+						for (let k = 0; k < j; k++) {
+							if (!GeometryHull.inCircle(circle, points[k])) {
+								circle = GeometryHull.getCircumcircle(points[i], points[j], points[k]);
+							}
+						}
+					}
+				}
+			}
+		}
+		return circle;
+	}
+
+	/**
+	 * Get the circle with the two points as a diameter
+	 * @param point1 first point
+	 * @param point2 second point
+	 * @return center x, center y and radius
+	 */
+	private static getDiameterCircle(point1: Point, point2: Point): number[] {
+		return [(point1.x + point2.x) / 2, (point1.y + point2.y) / 2,
+			Math.hypot(point2.x - point1.x, point2.y - point1.y) / 2];
+	}
+
+	/**
+	 * Get the circle through the three points, or the diameter circle of the
+	 * farthest two when collinear
+	 * @param point1 first point
+	 * @param point2 second point
+	 * @param point3 third point
+	 * @return center x, center y and radius
+	 */
+	private static getCircumcircle(point1: Point, point2: Point, point3: Point): number[] {
+		const bx = point2.x - point1.x;
+		const by = point2.y - point1.y;
+		const cx = point3.x - point1.x;
+		const cy = point3.y - point1.y;
+		const d = 2 * (bx * cy - by * cx);
+		if (d === 0) {
+			const circles = [GeometryHull.getDiameterCircle(point1, point2),
+				GeometryHull.getDiameterCircle(point1, point3), GeometryHull.getDiameterCircle(point2, point3)];
+			return circles.reduce((circle1, circle2) => circle2[2] > circle1[2] ? circle2 : circle1);
+		}
+		const b = bx * bx + by * by;
+		const c = cx * cx + cy * cy;
+		const x = (cy * b - by * c) / d;
+		const y = (bx * c - cx * b) / d;
+		return [point1.x + x, point1.y + y, Math.hypot(x, y)];
+	}
+
+	/**
+	 * Determine if the point is within the circle, allowing for rounding
+	 * @param circle center x, center y and radius
+	 * @param point point
+	 * @return true if within the circle
+	 */
+	private static inCircle(circle: number[], point: Point): boolean {
+		const distance = Math.hypot(point.x - circle[0], point.y - circle[1]);
+		return distance <= circle[2] * (1 + GeometryHull.CIRCLE_EPSILON);
+	}
+
+	/**
+	 * Get the counter clockwise convex hull points without collinear points,
+	 * using the monotone chain algorithm
+	 * @param geometry geometry
+	 * @return hull points, a single point or two end points when degenerate
+	 */
+	private static getHullPoints(geometry: Geometry): Point[] {
+		const points = new RelateGeometry(geometry).getVertices()
+			.sort((point1, point2) => point1.x - point2.x || point1.y - point2.y)
+			.filter((point, index, sorted) => index === 0
+				|| point.x !== sorted[index - 1].x || point.y !== sorted[index - 1].y);
+		if (points.length < 3) {
+			return points;
+		}
+
+		const lower = GeometryHull.getChain(points);
+		const upper = GeometryHull.getChain([...points].reverse());
+		return lower.slice(0, lower.length - 1).concat(upper.slice(0, upper.length - 1));
+	}
+
+	/**
+	 * Get the hull chain of the sorted points turning counter clockwise
+	 * @param points sorted points
+	 * @return chain points from the first to the last point
+	 */
+	private static getChain(points: Point[]): Point[] {
+		const chain: Point[] = [];
+		for (const point of points) {
+			while (chain.length >= 2
+				&& SegmentIntersector.orientation(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+				chain.pop();
+			}
+			chain.push(point);
+		}
+		return chain;
+	}
+
+	/**
+	 * Create a two dimensional geometry from hull points
+	 * @param points counter clockwise ring points without the closing point
+	 * @return polygon, line string, point or null
+	 */
+	private static createGeometry(points: Point[]): Geometry {
+		let geometry: Geometry = null;
+		if (points.length === 1) {
+			geometry = new Point(points[0].x, points[0].y);
+		} else if (points.length > 1) {
+			const lineString = new LineString(false, false);
+			for (const point of points) {
+				lineString.addPoint(new Point(point.x, point.y));
+			}
+			if (points.length === 2) {
+				geometry = lineString;
+			} else {
+				lineString.addPoint(new Point(points[0].x, points[0].y));
+				geometry = new Polygon(lineString);
+			}
+		}
+		return geometry;
+	}
+
+}
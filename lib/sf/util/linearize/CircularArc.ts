@@ -0,0 +1,167 @@
+import { Point } from "../../internal";
+
+/**
+ * Circular arc through a start, middle and end point. Collinear points
+ * describe a straight line and matching start and end points a full circle
+ * with the middle point opposite the start.
+ */
+export class CircularArc {
+
+	/**
+	 * Arc start point
+	 */
+	readonly start: Point;
+
+	/**
+	 * Arc middle point
+	 */
+	readonly middle: Point;
+
+	/**
+	 * Arc end point
+	 */
+	readonly end: Point;
+
+	/**
+	 * True if the points are collinear, describing straight lines
+	 */
+	readonly straight: boolean;
+
+	/**
+	 * True if the arc is a full circle
+	 */
+	readonly fullCircle: boolean;
+
+	/**
+	 * Circle center x
+	 */
+	readonly centerX: number;
+
+	/**
+	 * Circle center y
+	 */
+	readonly centerY: number;
+
+	/**
+	 * Circle radius
+	 */
+	readonly radius: number;
+
+	/**
+	 * Start point angle in radians from the center
+	 */
+	readonly startAngle: number;
+
+	/**
+	 * True if the arc sweeps clockwise
+	 */
+	readonly clockwise: boolean;
+
+	/**
+	 * Positive angle in radians swept from the start to the end point
+	 */
+	readonly sweep: number;
+
+	/**
+	 * Positive angle in radians swept from the start to the middle point
+	 */
+	readonly middleSweep: number;
+
+	/**
+	 * Constructor
+	 * @param start arc start point
+	 * @param middle arc middle point
+	 * @param end arc end point
+	 */
+	public constructor(start: Point, middle: Point, end: Point) {
+		this.start = start;
+		this.middle = middle;
+		this.end = end;
+		this.fullCircle = start.x === end.x && start.y === end.y;
+
+		// Circle center at the intersection of the chord perpendicular bisectors
+		const d = 2.0 * (start.x * (middle.y - end.y) + middle.x * (end.y - start.y) + end.x * (start.y - middle.y));
+		this.straight = !this.fullCircle && d === 0;
+
+		if (this.fullCircle) {
+			this.centerX = (start.x + middle.x) / 2.0;
+			this.centerY = (start.y + middle.y) / 2.0;
+		} else if (!this.straight) {
+			const startSquared = start.x * start.x + start.y * start.y;
+			const middleSquared = middle.x * middle.x + middle.y * middle.y;
+			const endSquared = end.x * end.x + end.y * end.y;
+			this.centerX = (startSquared * (middle.y - end.y) + middleSquared * (end.y - start.y) + endSquared * (start.y - middle.y)) / d;
+			this.centerY = (startSquared * (end.x - middle.x) + middleSquared * (start.x - end.x) + endSquared * (middle.x - start.x)) / d;
+		}
+
+		if (!this.straight) {
+			this.radius = Math.hypot(start.x - this.centerX, start.y - this.centerY);
+			this.startAngle = Math.atan2(start.y - this.centerY, start.x - this.centerX);
+			const middleAngle = Math.atan2(middle.y - this.centerY, middle.x - this.centerX);
+			const endAngle = Math.atan2(end.y - this.centerY, end.x - this.centerX);
+
+			// Clockwise when the middle point is left of the start to end chord
+			this.clockwise = !this.fullCircle
+				&& (middle.x - start.x) * (end.y - start.y) - (middle.y - start.y) * (end.x - start.x) < 0;
+
+			if (this.fullCircle) {
+				this.sweep = 2 * Math.PI;
+				this.middleSweep = Math.PI;
+			} else {
+				this.sweep = CircularArc.angleBetween(this.startAngle, endAngle, this.clockwise);
+				this.middleSweep = CircularArc.angleBetween(this.startAngle, middleAngle, this.clockwise);
+			}
+		}
+	}
+
+	/**
+	 * Get the arc length, or the length through the middle point when
+	 * straight
+	 * @return length
+	 */
+	public getLength(): number {
+		let length: number;
+		if (this.straight) {
+			length = Math.hypot(this.middle.x - this.start.x, this.middle.y - this.start.y)
+				+ Math.hypot(this.end.x - this.middle.x, this.end.y - this.middle.y);
+		} else {
+			length = this.radius * this.sweep;
+		}
+		return length;
+	}
+
+	/**
+	 * Get the signed area between the start to end chord and the arc,
+	 * positive for counter clockwise arcs and zero when straight
+	 * @return signed circular segment area
+	 */
+	public getSegmentArea(): number {
+		let area = 0;
+		if (!this.straight) {
+			area = this.radius * this.radius * (this.sweep - Math.sin(this.sweep)) / 2.0;
+			if (this.clockwise) {
+				area = -area;
+			}
+		}
+		return area;
+	}
+
+	/**
+	 * Get the positive angle swept from the start angle to the end angle
+	 * @param startAngle start angle in radians
+	 * @param endAngle end angle in radians
+	 * @param clockwise true if sweeping clockwise
+	 * @return angle in radians in the range (0, 2 PI]
+	 */
+	private static angleBetween(startAngle: number, endAngle: number, clockwise: boolean): number {
+		let angle = clockwise ? startAngle - endAngle : endAngle - startAngle;
+		while (angle <= 0) {
+			angle += 2 * Math.PI;
+		}
+		while (angle > 2 * Math.PI) {
+			angle -= 2 * Math.PI;
+		}
+		return angle;
+	}
+
+}
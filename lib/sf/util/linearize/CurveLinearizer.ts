@@ -0,0 +1,392 @@
+import {
+	SFException,
+	GeometryType,
+	Geometry,
+	Point,
+	LineString,
+	Polygon,
+	MultiLineString,
+	MultiPolygon,
+	CircularString,
+	CompoundCurve,
+	CurvePolygon,
+	Curve,
+	GeometryCollection,
+	CircularArc,
+	GeometryConstants
+} from "../../internal";
+
+/**
+ * Linearizes curve geometries (circular strings and the curve types made of
+ * them) into straight line segment equivalents. Arcs are split into a fixed
+ * number of segments per quarter circle, unless limited by a maximum segment
+ * angle or a maximum chord deviation from the arc, in which case the most
+ * segments satisfying each set limit are used.
+ */
+export class CurveLinearizer {
+
+	/**
+	 * Default number of segments per quarter circle
+	 */
+	public static readonly DEFAULT_SEGMENTS_PER_QUADRANT = 16;
+
+	/**
+	 * Tolerance when rounding up fractional segment counts
+	 */
+	private static readonly SEGMENTS_EPSILON = 0.000000001;
+
+	/**
+	 * Number of segments per quarter circle
+	 */
+	private _segmentsPerQuadrant = CurveLinearizer.DEFAULT_SEGMENTS_PER_QUADRANT;
+
+	/**
+	 * Get the number of segments per quarter circle
+	 * @return segments per quadrant
+	 */
+	public get segmentsPerQuadrant(): number {
+		return this._segmentsPerQuadrant;
+	}
+
+	/**
+	 * Set the number of segments per quarter circle
+	 * @param segmentsPerQuadrant segments per quadrant
+	 */
+	public set segmentsPerQuadrant(segmentsPerQuadrant: number) {
+		if (!(segmentsPerQuadrant >= 1)) {
+			throw new SFException("Segments per quadrant must be at least 1: " + segmentsPerQuadrant);
+		}
+		this._segmentsPerQuadrant = segmentsPerQuadrant;
+	}
+
+	/**
+	 * Maximum angle in degrees swept by each arc segment, null when not
+	 * limited
+	 */
+	private _maxSegmentAngle: number = null;
+
+	/**
+	 * Maximum distance between each arc segment chord and the arc, null when
+	 * not limited
+	 */
+	private _maxDeviation: number = null;
+
+	/**
+	 * Get the maximum angle in degrees swept by each arc segment
+	 * @return maximum segment angle, null when not limited
+	 */
+	public get maxSegmentAngle(): number {
+		return this._maxSegmentAngle;
+	}
+
+	/**
+	 * Set the maximum angle in degrees swept by each arc segment
+	 * @param maxSegmentAngle maximum segment angle, null to not limit
+	 */
+	public set maxSegmentAngle(maxSegmentAngle: number) {
+		if (maxSegmentAngle != null && !(maxSegmentAngle > 0)) {
+			throw new SFException("Max segment angle must be greater than 0: " + maxSegmentAngle);
+		}
+		this._maxSegmentAngle = maxSegmentAngle;
+	}
+
+	/**
+	 * Get the maximum distance between each arc segment chord and the arc
+	 * @return maximum deviation, null when not limited
+	 */
+	public get maxDeviation(): number {
+		return this._maxDeviation;
+	}
+
+	/**
+	 * Set the maximum distance between each arc segment chord and the arc, in
+	 * the units of the coordinates
+	 * @param maxDeviation maximum deviation, null to not limit
+	 */
+	public set maxDeviation(maxDeviation: number) {
+		if (maxDeviation != null && !(maxDeviation > 0)) {
+			throw new SFException("Max deviation must be greater than 0: " + maxDeviation);
+		}
+		this._maxDeviation = maxDeviation;
+	}
+
+	/**
+	 * Linearize the geometry. Circular strings and compound curves become
+	 * line strings, curve polygons become polygons, multi curves become multi
+	 * line strings and multi surfaces become multi polygons. Geometry
+	 * collections are linearized by member. Geometries without curves are
+	 * returned as is.
+	 * @param geometry geometry
+	 * @return linearized geometry
+	 */
+	public linearize(geometry: Geometry): Geometry {
+		let linearized: Geometry;
+		const geometryType = geometry.geometryType;
+		switch (geometryType) {
+		case GeometryType.CIRCULARSTRING:
+		case GeometryType.COMPOUNDCURVE:
+			linearized = this.linearizeCurve(geometry as Curve);
+			break;
+		case GeometryType.CURVEPOLYGON:
+			linearized = this.linearizeCurvePolygon(geometry as CurvePolygon<Curve>);
+			break;
+		case GeometryType.MULTICURVE: {
+			const multiLineString = new MultiLineString(geometry.hasZ, geometry.hasM);
+			(geometry as GeometryCollection<Curve>).geometries.forEach(curve => {
+				multiLineString.addLineString(this.linearizeCurve(curve));
+			});
+			linearized = multiLineString;
+			break;
+		}
+		case GeometryType.MULTISURFACE: {
+			const multiPolygon = new MultiPolygon(geometry.hasZ, geometry.hasM);
+			(geometry as GeometryCollection<Geometry>).geometries.forEach(surface => {
+				multiPolygon.addPolygon(this.linearizeSurface(surface));
+			});
+			linearized = multiPolygon;
+			break;
+		}
+		case GeometryType.GEOMETRYCOLLECTION: {
+			const geometryCollection = geometry as GeometryCollection<Geometry>;
+			if (CurveLinearizer.hasCurve(geometryCollection)) {
+				const linearizedCollection = new GeometryCollection<Geometry>(geometry.hasZ, geometry.hasM);
+				geometryCollection.geometries.forEach(subGeometry => {
+					linearizedCollection.addGeometry(this.linearize(subGeometry));
+				});
+				linearized = linearizedCollection;
+			} else {
+				linearized = geometry;
+			}
+			break;
+		}
+		default:
+			linearized = geometry;
+		}
+		return linearized;
+	}
+
+	/**
+	 * Determine if the geometry contains curves requiring linearization
+	 * @param geometry geometry
+	 * @return true if contains curves
+	 */
+	public static hasCurve(geometry: Geometry): boolean {
+		let hasCurve: boolean;
+		switch (geometry.geometryType) {
+		case GeometryType.CIRCULARSTRING:
+		case GeometryType.COMPOUNDCURVE:
+		case GeometryType.CURVEPOLYGON:
+		case GeometryType.MULTICURVE:
+		case GeometryType.MULTISURFACE:
+			hasCurve = true;
+			break;
+		case GeometryType.GEOMETRYCOLLECTION:
+			hasCurve = (geometry as GeometryCollection<Geometry>).geometries.some(subGeometry => CurveLinearizer.hasCurve(subGeometry));
+			break;
+		default:
+			hasCurve = false;
+		}
+		return hasCurve;
+	}
+
+	/**
+	 * Linearize a curve into a line string
+	 * @param curve line string, circular string or compound curve
+	 * @return line string
+	 */
+	public linearizeCurve(curve: Curve): LineString {
+		let lineString: LineString;
+		const geometryType = curve.geometryType;
+		switch (geometryType) {
+		case GeometryType.LINESTRING:
+			lineString = curve as LineString;
+			break;
+		case GeometryType.CIRCULARSTRING:
+			lineString = this.linearizeCircularString(curve as CircularString);
+			break;
+		case GeometryType.COMPOUNDCURVE:
+			lineString = this.linearizeCompoundCurve(curve as CompoundCurve);
+			break;
+		default:
+			throw new SFException("Unsupported Curve Geometry Type: " + geometryType);
+		}
+		return lineString;
+	}
+
+	/**
+	 * Linearize a surface into a polygon
+	 * @param surface polygon or curve polygon
+	 * @return polygon
+	 */
+	public linearizeSurface(surface: Geometry): Polygon {
+		let polygon: Polygon;
+		const geometryType = surface.geometryType;
+		switch (geometryType) {
+		case GeometryType.POLYGON:
+			polygon = surface as Polygon;
+			break;
+		case GeometryType.CURVEPOLYGON:
+			polygon = this.linearizeCurvePolygon(surface as CurvePolygon<Curve>);
+			break;
+		default:
+			throw new SFException("Unsupported Surface Geometry Type: " + geometryType);
+		}
+		return polygon;
+	}
+
+	/**
+	 * Linearize a circular string into a line string
+	 * @param circularString circular string
+	 * @return line string
+	 */
+	public linearizeCircularString(circularString: CircularString): LineString {
+		const lineString = new LineString(circularString.hasZ, circularString.hasM);
+		this.addCircularString(lineString, circularString);
+		return lineString;
+	}
+
+	/**
+	 * Linearize a compound curve into a single line string
+	 * @param compoundCurve compound curve
+	 * @return line string
+	 */
+	public linearizeCompoundCurve(compoundCurve: CompoundCurve): LineString {
+		const lineString = new LineString(compoundCurve.hasZ, compoundCurve.hasM);
+		compoundCurve.lineStrings.forEach(segment => {
+			if (segment.geometryType === GeometryType.CIRCULARSTRING) {
+				this.addCircularString(lineString, segment as CircularString);
+			} else {
+				segment.points.forEach(point => CurveLinearizer.addPoint(lineString, point));
+			}
+		});
+		return lineString;
+	}
+
+	/**
+	 * Linearize a curve polygon into a polygon
+	 * @param curvePolygon curve polygon
+	 * @return polygon
+	 */
+	public linearizeCurvePolygon(curvePolygon: CurvePolygon<Curve>): Polygon {
+		const polygon = new Polygon(curvePolygon.hasZ, curvePolygon.hasM);
+		curvePolygon.rings.forEach(ring => polygon.addRing(this.linearizeCurve(ring)));
+		return polygon;
+	}
+
+	/**
+	 * Add the linearized arcs of the circular string to the line string
+	 * @param lineString line string
+	 * @param circularString circular string
+	 */
+	private addCircularString(lineString: LineString, circularString: CircularString): void {
+		const points = circularString.points;
+		if (points.length > 0) {
+			CurveLinearizer.addPoint(lineString, points[0]);
+		}
+		for (let i = 2; i < points.length; i += 2) {
+			this.addArc(lineString, points[i - 2], points[i - 1], points[i]);
+		}
+	}
+
+	/**
+	 * Add the linearized arc through the three points to the line string,
+	 * excluding the start point
+	 * @param lineString line string
+	 * @param start arc start point
+	 * @param middle arc middle point
+	 * @param end arc end point
+	 */
+	private addArc(lineString: LineString, start: Point, middle: Point, end: Point): void {
+
+		const arc = new CircularArc(start, middle, end);
+		if (arc.straight) {
+			CurveLinearizer.addPoint(lineString, middle);
+			CurveLinearizer.addPoint(lineString, end);
+			return;
+		}
+
+		const segments = this.getSegments(arc);
+		const direction = arc.clockwise ? -1 : 1;
+		const middleFraction = arc.middleSweep / arc.sweep;
+
+		for (let i = 1; i < segments; i++) {
+			const fraction = i / segments;
+			const angle = arc.startAngle + direction * arc.sweep * fraction;
+			const point = new Point(lineString.hasZ, lineString.hasM,
+				arc.centerX + arc.radius * Math.cos(angle), arc.centerY + arc.radius * Math.sin(angle));
+			if (lineString.hasZ) {
+				point.z = CurveLinearizer.interpolate(start.z, middle.z, end.z, fraction, middleFraction);
+			}
+			if (lineString.hasM) {
+				point.m = CurveLinearizer.interpolate(start.m, middle.m, end.m, fraction, middleFraction);
+			}
+			CurveLinearizer.addPoint(lineString, point);
+		}
+		CurveLinearizer.addPoint(lineString, end);
+	}
+
+	/**
+	 * Get the number of segments to split the arc into
+	 * @param arc circular arc
+	 * @return number of segments
+	 */
+	private getSegments(arc: CircularArc): number {
+		let segments: number;
+		if (this._maxSegmentAngle == null && this._maxDeviation == null) {
+			segments = arc.sweep / (Math.PI / 2.0) * this._segmentsPerQuadrant;
+		} else {
+			segments = 1;
+			if (this._maxSegmentAngle != null) {
+				segments = Math.max(segments, arc.sweep / (this._maxSegmentAngle * GeometryConstants.DEGREES_TO_RADIANS));
+			}
+			if (this._maxDeviation != null && this._maxDeviation < arc.radius) {
+				// Angle of a segment whose chord midpoint is the deviation from the arc
+				const segmentAngle = 2 * Math.acos(1 - this._maxDeviation / arc.radius);
+				segments = Math.max(segments, arc.sweep / segmentAngle);
+			}
+		}
+		// Allow for floating point error in exact multiples, and keep full circles from collapsing
+		return Math.max(arc.fullCircle ? 3 : 1, Math.ceil(segments - CurveLinearizer.SEGMENTS_EPSILON));
+	}
+
+	/**
+	 * Interpolate a z or m value along the arc, linearly between the start
+	 * and middle and between the middle and end
+	 * @param start start value
+	 * @param middle middle value
+	 * @param end end value
+	 * @param fraction fraction of the arc sweep
+	 * @param middleFraction fraction of the arc sweep at the middle point
+	 * @return interpolated value
+	 */
+	private static interpolate(start: number, middle: number, end: number, fraction: number, middleFraction: number): number {
+		let value: number;
+		if (fraction <= middleFraction) {
+			value = start + (middle - start) * (fraction / middleFraction);
+		} else {
+			value = middle + (end - middle) * ((fraction - middleFraction) / (1.0 - middleFraction));
+		}
+		return value;
+	}
+
+	/**
+	 * Add a copy of the point to the line string, skipping a repeat of the
+	 * previous point
+	 * @param lineString line string
+	 * @param point point
+	 */
+	private static addPoint(lineString: LineString, point: Point): void {
+		const previous = lineString.endPoint();
+		if (previous == null || previous.x !== point.x || previous.y !== point.y) {
+			const copy = new Point(lineString.hasZ, lineString.hasM, point.x, point.y);
+			if (lineString.hasZ) {
+				copy.z = point.z;
+			}
+			if (lineString.hasM) {
+				copy.m = point.m;
+			}
+			lineString.addPoint(copy);
+		}
+	}
+
+}
@@ -0,0 +1,779 @@
+import { GeometryConstants } from "../../internal";
+
+/**
+ * Solution of the inverse geodesic problem on the WGS84 ellipsoid, following
+ * C. F. F. Karney, Algorithms for geodesics, J. Geodesy 87, 43-55 (2013), as
+ * implemented by GeographicLib with sixth order series. Unlike the Vincenty
+ * inverse formula, the solution converges for all pairs of points including
+ * nearly antipodal points.
+ */
+export class GeodesicInverse {
+
+	/**
+	 * Order of the series expansions
+	 */
+	private static readonly ORDER = 6;
+
+	/**
+	 * Maximum Newton iterations before falling back to bisection
+	 */
+	private static readonly MAX_NEWTON_ITERATIONS = 20;
+
+	/**
+	 * Maximum total iterations, enough bisections to exhaust double precision
+	 */
+	private static readonly MAX_ITERATIONS = GeodesicInverse.MAX_NEWTON_ITERATIONS + 53 + 10;
+
+	/**
+	 * Machine epsilon
+	 */
+	private static readonly TOL0 = Number.EPSILON;
+
+	/**
+	 * Tolerance to switch to the antipodal starting point approximation
+	 */
+	private static readonly TOL1 = 200 * Number.EPSILON;
+
+	/**
+	 * Square root of machine epsilon
+	 */
+	private static readonly TOL2 = Math.sqrt(Number.EPSILON);
+
+	/**
+	 * Bisection tolerance
+	 */
+	private static readonly TOLB = Number.EPSILON * Math.sqrt(Number.EPSILON);
+
+	/**
+	 * Threshold of the antipodal x coordinate to use the astroid solution
+	 */
+	private static readonly XTHRESH = 1000 * Math.sqrt(Number.EPSILON);
+
+	/**
+	 * Smallest value whose square is a normal number
+	 */
+	private static readonly TINY = Math.sqrt(Number.MIN_VALUE);
+
+	/**
+	 * WGS84 geodesic, created on first use
+	 */
+	private static wgs84: GeodesicInverse = null;
+
+	/**
+	 * Equatorial radius
+	 */
+	private readonly a: number;
+
+	/**
+	 * Flattening
+	 */
+	private readonly f: number;
+
+	/**
+	 * One minus the flattening
+	 */
+	private readonly f1: number;
+
+	/**
+	 * Second eccentricity squared
+	 */
+	private readonly ep2: number;
+
+	/**
+	 * Third flattening
+	 */
+	private readonly n: number;
+
+	/**
+	 * Polar semi axis
+	 */
+	private readonly b: number;
+
+	/**
+	 * Tolerance for the short line starting point approximation
+	 */
+	private readonly etol2: number;
+
+	/**
+	 * A3 series coefficients as polynomials of eps
+	 */
+	private readonly a3x: number[] = [];
+
+	/**
+	 * C3 series coefficients as polynomials of eps
+	 */
+	private readonly c3x: number[] = [];
+
+	/**
+	 * Constructor
+	 * @param a equatorial radius
+	 * @param f flattening of an oblate ellipsoid
+	 */
+	private constructor(a: number, f: number) {
+		this.a = a;
+		this.f = f;
+		this.f1 = 1 - f;
+		this.ep2 = f * (2 - f) / (this.f1 * this.f1);
+		this.n = f / (2 - f);
+		this.b = a * this.f1;
+		this.etol2 = 0.1 * GeodesicInverse.TOL2 / Math.sqrt(Math.max(0.001, f) * Math.min(1, 1 - f / 2) / 2);
+		this.initA3x();
+		this.initC3x();
+	}
+
+	/**
+	 * Get the geodesic distance in meters between two points on the WGS84
+	 * ellipsoid
+	 * @param lon1 longitude of point 1 in degrees
+	 * @param lat1 latitude of point 1 in degrees
+	 * @param lon2 longitude of point 2 in degrees
+	 * @param lat2 latitude of point 2 in degrees
+	 * @return distance in meters
+	 */
+	public static distance(lon1: number, lat1: number, lon2: number, lat2: number): number {
+		if (GeodesicInverse.wgs84 == null) {
+			GeodesicInverse.wgs84 = new GeodesicInverse(GeometryConstants.WGS84_SEMI_MAJOR_AXIS,
+				GeometryConstants.WGS84_FLATTENING);
+		}
+		return GeodesicInverse.wgs84.inverse(lat1, lon1, lat2, lon2);
+	}
+
+	/**
+	 * Solve the inverse geodesic problem for the distance
+	 * @param lat1 latitude of point 1 in degrees
+	 * @param lon1 longitude of point 1 in degrees
+	 * @param lat2 latitude of point 2 in degrees
+	 * @param lon2 longitude of point 2 in degrees
+	 * @return distance
+	 */
+	private inverse(lat1: number, lon1: number, lat2: number, lon2: number): number {
+		const tiny = GeodesicInverse.TINY;
+		const C1a: number[] = new Array(GeodesicInverse.ORDER + 1);
+		const C2a: number[] = new Array(GeodesicInverse.ORDER + 1);
+		const C3a: number[] = new Array(GeodesicInverse.ORDER);
+
+		// Make the longitude difference positive and the first point the
+		// furthest from the equator in the southern hemisphere, which leaves
+		// the distance unchanged
+		const [diff, diffError] = GeodesicInverse.angleDiff(lon1, lon2);
+		const lonsign = diff >= 0 ? 1 : -1;
+		const lon12 = lonsign * GeodesicInverse.angleRound(diff);
+		const lon12s = GeodesicInverse.angleRound((180 - lon12) - lonsign * diffError);
+		const lam12 = lon12 * GeometryConstants.DEGREES_TO_RADIANS;
+		let slam12: number;
+		let clam12: number;
+		if (lon12 > 90) {
+			[slam12, clam12] = GeodesicInverse.sinCosDegrees(lon12s);
+			clam12 = -clam12;
+		} else {
+			[slam12, clam12] = GeodesicInverse.sinCosDegrees(lon12);
+		}
+
+		lat1 = GeodesicInverse.angleRound(GeodesicInverse.latitudeFix(lat1));
+		lat2 = GeodesicInverse.angleRound(GeodesicInverse.latitudeFix(lat2));
+		if (Math.abs(lat1) < Math.abs(lat2)) {
+			[lat1, lat2] = [lat2, lat1];
+		}
+		const latsign = lat1 < 0 ? 1 : -1;
+		lat1 *= latsign;
+		lat2 *= latsign;
+
+		// Reduced latitudes
+		let [sbet1, cbet1] = GeodesicInverse.sinCosDegrees(lat1);
+		[sbet1, cbet1] = GeodesicInverse.normalize(this.f1 * sbet1, cbet1);
+		cbet1 = Math.max(tiny, cbet1);
+		let [sbet2, cbet2] = GeodesicInverse.sinCosDegrees(lat2);
+		[sbet2, cbet2] = GeodesicInverse.normalize(this.f1 * sbet2, cbet2);
+		cbet2 = Math.max(tiny, cbet2);
+
+		// Make latitudes of equal magnitude exactly equal
+		if (cbet1 < -sbet1) {
+			if (cbet2 === cbet1) {
+				sbet2 = sbet2 < 0 ? sbet1 : -sbet1;
+			}
+		} else if (Math.abs(sbet2) === -sbet1) {
+			cbet2 = cbet1;
+		}
+
+		const dn1 = Math.sqrt(1 + this.ep2 * sbet1 * sbet1);
+		const dn2 = Math.sqrt(1 + this.ep2 * sbet2 * sbet2);
+
+		let s12x: number = null;
+		let sig12: number;
+		let salp1: number;
+		let calp1: number;
+
+		let meridian = lat1 === -90 || slam12 === 0;
+		if (meridian) {
+			// Endpoints on a single full meridian
+			calp1 = clam12;
+			salp1 = slam12;
+			const ssig1 = sbet1;
+			const csig1 = calp1 * cbet1;
+			const ssig2 = sbet2;
+			const csig2 = cbet2;
+			sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+			const [s12b, m12b] = this.lengths(this.n, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2, C1a, C2a);
+			// Ignore a meridian over a pole shorter than the antipodal path
+			if (sig12 < 1 || m12b >= 0) {
+				s12x = sig12 < 3 * tiny || (sig12 < GeodesicInverse.TOL0 && (s12b < 0 || m12b < 0)) ? 0 : s12b * this.b;
+			} else {
+				meridian = false;
+			}
+		}
+
+		if (!meridian && sbet1 === 0 && lon12s >= this.f * 180) {
+			// Geodesic runs along the equator
+			s12x = this.a * lam12;
+		} else if (!meridian) {
+			const start = this.inverseStart(sbet1, cbet1, dn1, sbet2, cbet2, dn2, lam12, slam12, clam12);
+			sig12 = start[0];
+			salp1 = start[1];
+			calp1 = start[2];
+
+			if (sig12 >= 0) {
+				// Short lines, scaled by the ellipsoid at the mid latitude
+				s12x = sig12 * this.b * start[3];
+			} else {
+				// Newton's method, falling back to bisection within the bracket
+				let salp1a = tiny;
+				let calp1a = 1;
+				let salp1b = tiny;
+				let calp1b = -1;
+				let tripn = false;
+				let tripb = false;
+				let values: number[] = null;
+				for (let numit = 0; numit < GeodesicInverse.MAX_ITERATIONS; numit++) {
+					values = this.lambda12(sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam12, clam12,
+						numit < GeodesicInverse.MAX_NEWTON_ITERATIONS, C1a, C2a, C3a);
+					const v = values[0];
+					const dv = values[7];
+					if (tripb || !(Math.abs(v) >= (tripn ? 8 : 1) * GeodesicInverse.TOL0)) {
+						break;
+					}
+					if (v > 0 && (numit > GeodesicInverse.MAX_NEWTON_ITERATIONS || calp1 / salp1 > calp1b / salp1b)) {
+						salp1b = salp1;
+						calp1b = calp1;
+					} else if (v < 0 && (numit > GeodesicInverse.MAX_NEWTON_ITERATIONS || calp1 / salp1 < calp1a / salp1a)) {
+						salp1a = salp1;
+						calp1a = calp1;
+					}
+					if (numit < GeodesicInverse.MAX_NEWTON_ITERATIONS && dv > 0) {
+						const dalp1 = -v / dv;
+						if (Math.abs(dalp1) < Math.PI) {
+							const sdalp1 = Math.sin(dalp1);
+							const cdalp1 = Math.cos(dalp1);
+							const nsalp1 = salp1 * cdalp1 + calp1 * sdalp1;
+							if (nsalp1 > 0) {
+								[salp1, calp1] = GeodesicInverse.normalize(nsalp1, calp1 * cdalp1 - salp1 * sdalp1);
+								tripn = Math.abs(v) <= 16 * GeodesicInverse.TOL0;
+								continue;
+							}
+						}
+					}
+					[salp1, calp1] = GeodesicInverse.normalize((salp1a + salp1b) / 2, (calp1a + calp1b) / 2);
+					tripn = false;
+					tripb = Math.abs(salp1a - salp1) + (calp1a - calp1) < GeodesicInverse.TOLB
+						|| Math.abs(salp1 - salp1b) + (calp1 - calp1b) < GeodesicInverse.TOLB;
+				}
+				const [s12b] = this.lengths(values[6], values[1], values[2], values[3], dn1, values[4], values[5], dn2,
+					C1a, C2a);
+				s12x = s12b * this.b;
+			}
+		}
+
+		return s12x;
+	}
+
+	/**
+	 * Get the starting point for Newton's method, solving short lines directly
+	 * @return sigma12 (negative when Newton's method is required), sin and cos
+	 *         of alpha1, and the mid latitude scale of short lines
+	 */
+	private inverseStart(sbet1: number, cbet1: number, dn1: number, sbet2: number, cbet2: number, dn2: number,
+		lam12: number, slam12: number, clam12: number): number[] {
+		let sig12 = -1;
+		let dnm = NaN;
+		const sbet12 = sbet2 * cbet1 - cbet2 * sbet1;
+		const cbet12 = cbet2 * cbet1 + sbet2 * sbet1;
+		const sbet12a = sbet2 * cbet1 + cbet2 * sbet1;
+		const shortline = cbet12 >= 0 && sbet12 < 0.5 && cbet2 * lam12 < 0.5;
+		let somg12: number;
+		let comg12: number;
+		if (shortline) {
+			let sbetm2 = (sbet1 + sbet2) * (sbet1 + sbet2);
+			sbetm2 /= sbetm2 + (cbet1 + cbet2) * (cbet1 + cbet2);
+			dnm = Math.sqrt(1 + this.ep2 * sbetm2);
+			const omg12 = lam12 / (this.f1 * dnm);
+			somg12 = Math.sin(omg12);
+			comg12 = Math.cos(omg12);
+		} else {
+			somg12 = slam12;
+			comg12 = clam12;
+		}
+
+		let salp1 = cbet2 * somg12;
+		let calp1 = comg12 >= 0
+			? sbet12 + cbet2 * sbet1 * somg12 * somg12 / (1 + comg12)
+			: sbet12a - cbet2 * sbet1 * somg12 * somg12 / (1 - comg12);
+		const ssig12 = Math.hypot(salp1, calp1);
+		const csig12 = sbet1 * sbet2 + cbet1 * cbet2 * comg12;
+
+		if (shortline && ssig12 < this.etol2) {
+			// Really short lines
+			sig12 = Math.atan2(ssig12, csig12);
+		} else if (Math.abs(this.n) > 0.1 || csig12 >= 0 || ssig12 >= 6 * Math.abs(this.n) * Math.PI * cbet1 * cbet1) {
+			// The zeroth order spherical approximation is good enough
+		} else {
+			// Nearly antipodal points, scaled so the antipode is at the origin
+			const lam12x = Math.atan2(-slam12, -clam12);
+			const k2 = sbet1 * sbet1 * this.ep2;
+			const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+			const lamscale = this.f * cbet1 * this.a3f(eps) * Math.PI;
+			const betscale = lamscale * cbet1;
+			const x = lam12x / lamscale;
+			const y = sbet12a / betscale;
+			if (y > -GeodesicInverse.TOL1 && x > -1 - GeodesicInverse.XTHRESH) {
+				salp1 = Math.min(1, -x);
+				calp1 = -Math.sqrt(1 - salp1 * salp1);
+			} else {
+				const k = GeodesicInverse.astroid(x, y);
+				const omg12a = lamscale * -x * k / (1 + k);
+				somg12 = Math.sin(omg12a);
+				comg12 = -Math.cos(omg12a);
+				salp1 = cbet2 * somg12;
+				calp1 = sbet12a - cbet2 * sbet1 * somg12 * somg12 / (1 - comg12);
+			}
+		}
+
+		if (!(salp1 <= 0)) {
+			[salp1, calp1] = GeodesicInverse.normalize(salp1, calp1);
+		} else {
+			salp1 = 1;
+			calp1 = 0;
+		}
+
+		return [sig12, salp1, calp1, dnm];
+	}
+
+	/**
+	 * Get the longitude difference of the geodesic with the starting azimuth
+	 * and its derivative
+	 * @return longitude difference error, sigma12, sin and cos of sigma1,
+	 *         sin and cos of sigma2, eps, and the derivative
+	 */
+	private lambda12(sbet1: number, cbet1: number, dn1: number, sbet2: number, cbet2: number, dn2: number,
+		salp1: number, calp1: number, slam120: number, clam120: number, diffp: boolean,
+		C1a: number[], C2a: number[], C3a: number[]): number[] {
+		if (sbet1 === 0 && calp1 === 0) {
+			// Break the degeneracy of equatorial lines
+			calp1 = -GeodesicInverse.TINY;
+		}
+
+		const salp0 = salp1 * cbet1;
+		const calp0 = Math.hypot(calp1, salp1 * sbet1);
+
+		const somg1 = salp0 * sbet1;
+		const comg1 = calp1 * cbet1;
+		const [ssig1, csig1] = GeodesicInverse.normalize(sbet1, comg1);
+
+		const salp2 = cbet2 !== cbet1 ? salp0 / cbet2 : salp1;
+		const calp2 = cbet2 !== cbet1 || Math.abs(sbet2) !== -sbet1
+			? Math.sqrt(calp1 * cbet1 * calp1 * cbet1 + (cbet1 < -sbet1
+				? (cbet2 - cbet1) * (cbet1 + cbet2)
+				: (sbet1 - sbet2) * (sbet1 + sbet2))) / cbet2
+			: Math.abs(calp1);
+
+		const somg2 = salp0 * sbet2;
+		const comg2 = calp2 * cbet2;
+		const [ssig2, csig2] = GeodesicInverse.normalize(sbet2, comg2);
+
+		const sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+		const somg12 = Math.max(0, comg1 * somg2 - somg1 * comg2);
+		const comg12 = comg1 * comg2 + somg1 * somg2;
+		const eta = Math.atan2(somg12 * clam120 - comg12 * slam120, comg12 * clam120 + somg12 * slam120);
+
+		const k2 = calp0 * calp0 * this.ep2;
+		const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+		this.c3f(eps, C3a);
+		const B312 = GeodesicInverse.sinCosSeries(ssig2, csig2, C3a) - GeodesicInverse.sinCosSeries(ssig1, csig1, C3a);
+		const lam12 = eta - this.f * this.a3f(eps) * salp0 * (sig12 + B312);
+
+		let dlam12 = NaN;
+		if (diffp) {
+			if (calp2 === 0) {
+				dlam12 = -2 * this.f1 * dn1 / sbet1;
+			} else {
+				const [, m12b] = this.lengths(eps, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2, C1a, C2a);
+				dlam12 = m12b * this.f1 / (calp2 * cbet2);
+			}
+		}
+
+		return [lam12, sig12, ssig1, csig1, ssig2, csig2, eps, dlam12];
+	}
+
+	/**
+	 * Get the distance and reduced length on the auxiliary sphere, in units of
+	 * the polar semi axis
+	 * @return distance and reduced length
+	 */
+	private lengths(eps: number, sig12: number, ssig1: number, csig1: number, dn1: number, ssig2: number,
+		csig2: number, dn2: number, C1a: number[], C2a: number[]): number[] {
+		const A1m1 = GeodesicInverse.a1m1f(eps);
+		GeodesicInverse.c1f(eps, C1a);
+		const A2m1 = GeodesicInverse.a2m1f(eps);
+		GeodesicInverse.c2f(eps, C2a);
+		const m0x = A1m1 - A2m1;
+		const A1 = 1 + A1m1;
+		const A2 = 1 + A2m1;
+
+		const B1 = GeodesicInverse.sinCosSeries(ssig2, csig2, C1a) - GeodesicInverse.sinCosSeries(ssig1, csig1, C1a);
+		const B2 = GeodesicInverse.sinCosSeries(ssig2, csig2, C2a) - GeodesicInverse.sinCosSeries(ssig1, csig1, C2a);
+		const s12b = A1 * (sig12 + B1);
+		const J12 = m0x * sig12 + (A1 * B1 - A2 * B2);
+		const m12b = dn2 * (csig1 * ssig2) - dn1 * (ssig1 * csig2) - csig1 * csig2 * J12;
+
+		return [s12b, m12b];
+	}
+
+	/**
+	 * Solve the astroid problem for the antipodal starting point
+	 * @param x x
+	 * @param y y
+	 * @return positive root k
+	 */
+	private static astroid(x: number, y: number): number {
+		let k = 0;
+		const p = x * x;
+		const q = y * y;
+		const r = (p + q - 1) / 6;
+		if (!(q === 0 && r <= 0)) {
+			const S = p * q / 4;
+			const r2 = r * r;
+			const r3 = r * r2;
+			const disc = S * (S + 2 * r3);
+			let u = r;
+			if (disc >= 0) {
+				let T3 = S + r3;
+				T3 += T3 < 0 ? -Math.sqrt(disc) : Math.sqrt(disc);
+				const T = Math.cbrt(T3);
+				u += T + (T !== 0 ? r2 / T : 0);
+			} else {
+				const ang = Math.atan2(Math.sqrt(-disc), -(S + r3));
+				u += 2 * r * Math.cos(ang / 3);
+			}
+			const v = Math.sqrt(u * u + q);
+			const uv = u < 0 ? q / (v - u) : u + v;
+			const w = (uv - q) / (2 * v);
+			k = uv / (Math.sqrt(uv + w * w) + w);
+		}
+		return k;
+	}
+
+	/**
+	 * Initialize the A3 coefficients of eps from the third flattening
+	 */
+	private initA3x(): void {
+		const coeff = [
+			// Coefficients of eps^5 down to eps^0, each a polynomial of n
+			-3, 128,
+			-2, -3, 64,
+			-1, -3, -1, 16,
+			3, -1, -2, 8,
+			1, -1, 2,
+			1, 1
+		];
+		let o = 0;
+		for (let j = GeodesicInverse.ORDER - 1; j >= 0; j--) {
+			const p = Math.min(GeodesicInverse.ORDER - j - 1, j);
+			this.a3x.push(GeodesicInverse.polyval(p, coeff, o, this.n) / coeff[o + p + 1]);
+			o += p + 2;
+		}
+	}
+
+	/**
+	 * Initialize the C3 coefficients of eps from the third flattening
+	 */
+	private initC3x(): void {
+		const coeff = [
+			// C3[1] coefficients of eps^5 down to eps^1, each a polynomial of n
+			3, 128,
+			2, 5, 128,
+			-1, 3, 3, 64,
+			-1, 0, 1, 8,
+			-1, 1, 4,
+			// C3[2] coefficients of eps^5 down to eps^2
+			5, 256,
+			1, 3, 128,
+			-3, -2, 3, 64,
+			1, -3, 2, 32,
+			// C3[3] coefficients of eps^5 down to eps^3
+			7, 512,
+			-10, 9, 384,
+			5, -9, 5, 192,
+			// C3[4] coefficients of eps^5 down to eps^4
+			7, 512,
+			-14, 7, 512,
+			// C3[5] coefficient of eps^5
+			21, 2560
+		];
+		let o = 0;
+		for (let l = 1; l < GeodesicInverse.ORDER; l++) {
+			for (let j = GeodesicInverse.ORDER - 1; j >= l; j--) {
+				const p = Math.min(GeodesicInverse.ORDER - j - 1, j);
+				this.c3x.push(GeodesicInverse.polyval(p, coeff, o, this.n) / coeff[o + p + 1]);
+				o += p + 2;
+			}
+		}
+	}
+
+	/**
+	 * Evaluate the A3 series
+	 * @param eps eps
+	 * @return A3
+	 */
+	private a3f(eps: number): number {
+		return GeodesicInverse.polyval(GeodesicInverse.ORDER - 1, this.a3x, 0, eps);
+	}
+
+	/**
+	 * Evaluate the C3 series coefficients
+	 * @param eps eps
+	 * @param c coefficients array to populate from index 1
+	 */
+	private c3f(eps: number, c: number[]): void {
+		let mult = 1;
+		let o = 0;
+		for (let l = 1; l < GeodesicInverse.ORDER; l++) {
+			const p = GeodesicInverse.ORDER - l - 1;
+			mult *= eps;
+			c[l] = mult * GeodesicInverse.polyval(p, this.c3x, o, eps);
+			o += p + 1;
+		}
+	}
+
+	/**
+	 * Evaluate the A1 - 1 series
+	 * @param eps eps
+	 * @return A1 - 1
+	 */
+	private static a1m1f(eps: number): number {
+		const coeff = [1, 4, 64, 0, 256];
+		const t = GeodesicInverse.polyval(3, coeff, 0, eps * eps) / coeff[4];
+		return (t + eps) / (1 - eps);
+	}
+
+	/**
+	 * Evaluate the C1 series coefficients
+	 * @param eps eps
+	 * @param c coefficients array to populate from index 1
+	 */
+	private static c1f(eps: number, c: number[]): void {
+		const coeff = [
+			-1, 6, -16, 32,
+			-9, 64, -128, 2048,
+			9, -16, 768,
+			3, -5, 512,
+			-7, 1280,
+			-7, 2048
+		];
+		GeodesicInverse.seriesCoefficients(eps, coeff, c);
+	}
+
+	/**
+	 * Evaluate the A2 - 1 series
+	 * @param eps eps
+	 * @return A2 - 1
+	 */
+	private static a2m1f(eps: number): number {
+		const coeff = [-11, -28, -192, 0, 256];
+		const t = GeodesicInverse.polyval(3, coeff, 0, eps * eps) / coeff[4];
+		return (t - eps) / (1 + eps);
+	}
+
+	/**
+	 * Evaluate the C2 series coefficients
+	 * @param eps eps
+	 * @param c coefficients array to populate from index 1
+	 */
+	private static c2f(eps: number, c: number[]): void {
+		const coeff = [
+			1, 2, 16, 32,
+			35, 64, 384, 2048,
+			15, 80, 768,
+			7, 35, 512,
+			63, 1280,
+			77, 2048
+		];
+		GeodesicInverse.seriesCoefficients(eps, coeff, c);
+	}
+
+	/**
+	 * Evaluate series coefficients C[l] of eps^l times a polynomial of eps^2
+	 * @param eps eps
+	 * @param coeff polynomial coefficients, each followed by a divisor
+	 * @param c coefficients array to populate from index 1
+	 */
+	private static seriesCoefficients(eps: number, coeff: number[], c: number[]): void {
+		const eps2 = eps * eps;
+		let d = eps;
+		let o = 0;
+		for (let l = 1; l <= GeodesicInverse.ORDER; l++) {
+			const p = Math.floor((GeodesicInverse.ORDER - l) / 2);
+			c[l] = d * GeodesicInverse.polyval(p, coeff, o, eps2) / coeff[o + p + 1];
+			o += p + 2;
+			d *= eps;
+		}
+	}
+
+	/**
+	 * Evaluate the sum of c[l] * sin(2 * l * x) for l from 1 using Clenshaw
+	 * summation
+	 * @param sinx sin of x
+	 * @param cosx cos of x
+	 * @param c coefficients from index 1
+	 * @return sum
+	 */
+	private static sinCosSeries(sinx: number, cosx: number, c: number[]): number {
+		let k = c.length;
+		let n = k - 1;
+		const ar = 2 * (cosx - sinx) * (cosx + sinx);
+		let y0 = n & 1 ? c[--k] : 0;
+		let y1 = 0;
+		n = Math.floor(n / 2);
+		while (n--) {
+			y1 = ar * y0 - y1 + c[--k];
+			y0 = ar * y1 - y0 + c[--k];
+		}
+		return 2 * sinx * cosx * y0;
+	}
+
+	/**
+	 * Evaluate a polynomial with Horner's method
+	 * @param n polynomial order
+	 * @param p coefficients from the highest order
+	 * @param s offset of the coefficients
+	 * @param x x
+	 * @return value
+	 */
+	private static polyval(n: number, p: number[], s: number, x: number): number {
+		let y = n < 0 ? 0 : p[s++];
+		while (--n >= 0) {
+			y = y * x + p[s++];
+		}
+		return y;
+	}
+
+	/**
+	 * Normalize a sine and cosine pair to a unit vector
+	 * @param sinx sine
+	 * @param cosx cosine
+	 * @return normalized sine and cosine
+	 */
+	private static normalize(sinx: number, cosx: number): number[] {
+		const r = Math.hypot(sinx, cosx);
+		return [sinx / r, cosx / r];
+	}
+
+	/**
+	 * Get the exact sum of two numbers as the rounded sum and its error
+	 * @param u first number
+	 * @param v second number
+	 * @return sum and error
+	 */
+	private static sum(u: number, v: number): number[] {
+		const s = u + v;
+		let up = s - v;
+		let vpp = s - up;
+		up -= u;
+		vpp -= v;
+		return [s, -(up + vpp)];
+	}
+
+	/**
+	 * Get the remainder of x divided by y in the range [-y/2, y/2]
+	 * @param x dividend
+	 * @param y divisor
+	 * @return remainder
+	 */
+	private static remainder(x: number, y: number): number {
+		x %= y;
+		return x < -y / 2 ? x + y : (x < y / 2 ? x : x - y);
+	}
+
+	/**
+	 * Get the exact difference of two angles reduced to [-180, 180]
+	 * @param x first angle in degrees
+	 * @param y second angle in degrees
+	 * @return rounded difference y - x and its error
+	 */
+	private static angleDiff(x: number, y: number): number[] {
+		let [d, e] = GeodesicInverse.sum(GeodesicInverse.remainder(-x, 360), GeodesicInverse.remainder(y, 360));
+		const [d2, e2] = GeodesicInverse.sum(GeodesicInverse.remainder(d, 360), e);
+		d = d2;
+		e = e2;
+		if (d === 0 || Math.abs(d) === 180) {
+			const sign = e === 0 ? y - x : -e;
+			d = sign < 0 || Object.is(sign, -0) ? -Math.abs(d) : Math.abs(d);
+		}
+		return [d, e];
+	}
+
+	/**
+	 * Round tiny angles so that small differences are exact
+	 * @param x angle in degrees
+	 * @return rounded angle
+	 */
+	private static angleRound(x: number): number {
+		const z = 1 / 16;
+		let y = Math.abs(x);
+		y = y < z ? z - (z - y) : y;
+		return x < 0 ? -y : y;
+	}
+
+	/**
+	 * Get the latitude, or NaN when beyond the poles
+	 * @param x latitude in degrees
+	 * @return latitude
+	 */
+	private static latitudeFix(x: number): number {
+		return Math.abs(x) > 90 ? NaN : x;
+	}
+
+	/**
+	 * Get the sine and cosine of an angle in degrees, exact for multiples of
+	 * 90 degrees
+	 * @param x angle in degrees
+	 * @return sine and cosine
+	 */
+	private static sinCosDegrees(x: number): number[] {
+		let r = x % 360;
+		const q = Math.round(r / 90);
+		r -= 90 * q;
+		r *= GeometryConstants.DEGREES_TO_RADIANS;
+		const s = Math.sin(r);
+		const c = Math.cos(r);
+		let sinx: number;
+		let cosx: number;
+		switch (q & 3) {
+		case 0:
+			sinx = s;
+			cosx = c;
+			break;
+		case 1:
+			sinx = c;
+			cosx = -s;
+			break;
+		case 2:
+			sinx = -s;
+			cosx = -c;
+			break;
+		default:
+			sinx = -c;
+			cosx = s;
+			break;
+		}
+		return [sinx, cosx + 0];
+	}
+
+}
@@ -0,0 +1,356 @@
+import {
+	SFException,
+	GeometryType,
+	Geometry,
+	Point,
+	Curve,
+	LineString,
+	CircularString,
+	CompoundCurve,
+	CurvePolygon,
+	PolyhedralSurface,
+	GeometryCollection,
+	CircularArc,
+	CurveLinearizer,
+	GeometryConstants,
+	GeometryUtils,
+	GeodesicInverse
+} from "../../internal";
+
+/**
+ * Area, length and perimeter measurements. Planar measurements are in the
+ * units of the x and y coordinates, with circular strings measured from their
+ * arcs. Geodesic measurements are in meters on the WGS84 ellipsoid from x
+ * longitude and y latitude degrees, with circular strings linearized. Geodesic
+ * lengths follow ellipsoid geodesics using the Karney inverse solution, which
+ * also converges for nearly antipodal points. Geodesic areas are calculated on
+ * the authalic (equal area) sphere, with edges approximating geodesics as great
+ * circles. Polygons containing a pole are not supported.
+ */
+export class GeometryMeasure {
+
+	/**
+	 * Get the planar area of surfaces, zero for points and curves
+	 * @param geometry geometry
+	 * @return area
+	 */
+	public static getArea(geometry: Geometry): number {
+		return GeometryMeasure.measure(geometry, () => 0,
+			surface => GeometryMeasure.surfaceArea(surface, ring => GeometryMeasure.ringArea(ring)));
+	}
+
+	/**
+	 * Get the planar length of curves, zero for points and surfaces
+	 * @param geometry geometry
+	 * @return length
+	 */
+	public static getLength(geometry: Geometry): number {
+		return GeometryMeasure.measure(geometry, curve => GeometryMeasure.curveLength(curve), () => 0);
+	}
+
+	/**
+	 * Get the planar perimeter of surfaces including holes, zero for points
+	 * and curves
+	 * @param geometry geometry
+	 * @return perimeter
+	 */
+	public static getPerimeter(geometry: Geometry): number {
+		return GeometryMeasure.measure(geometry, () => 0,
+			surface => GeometryMeasure.surfacePerimeter(surface, ring => GeometryMeasure.curveLength(ring)));
+	}
+
+	/**
+	 * Get the geodesic area in square meters of surfaces in degrees, zero for
+	 * points and curves
+	 * @param geometry geometry in degrees
+	 * @return area in square meters
+	 */
+	public static getGeodesicArea(geometry: Geometry): number {
+		return GeometryMeasure.measure(geometry, () => 0,
+			surface => GeometryMeasure.surfaceArea(surface, ring => GeometryMeasure.geodesicRingArea(ring)));
+	}
+
+	/**
+	 * Get the geodesic length in meters of curves in degrees, zero for
+	 * points and surfaces
+	 * @param geometry geometry in degrees
+	 * @return length in meters
+	 */
+	public static getGeodesicLength(geometry: Geometry): number {
+		return GeometryMeasure.measure(geometry, curve => GeometryMeasure.geodesicCurveLength(curve), () => 0);
+	}
+
+	/**
+	 * Get the geodesic perimeter in meters of surfaces in degrees including
+	 * holes, zero for points and curves
+	 * @param geometry geometry in degrees
+	 * @return perimeter in meters
+	 */
+	public static getGeodesicPerimeter(geometry: Geometry): number {
+		return GeometryMeasure.measure(geometry, () => 0,
+			surface => GeometryMeasure.surfacePerimeter(surface, ring => GeometryMeasure.geodesicCurveLength(ring)));
+	}
+
+	/**
+	 * Get the geodesic distance in meters between two points in degrees on
+	 * the WGS84 ellipsoid
+	 * @param point1 point 1 in degrees
+	 * @param point2 point 2 in degrees
+	 * @return distance in meters
+	 */
+	public static geodesicDistance(point1: Point, point2: Point): number {
+		return GeodesicInverse.distance(point1.x, point1.y, point2.x, point2.y);
+	}
+
+	/**
+	 * Get the planar length of the curve
+	 * @param curve line string, circular string or compound curve
+	 * @return length
+	 */
+	public static curveLength(curve: Curve): number {
+		let length = 0;
+		switch (curve.geometryType) {
+		case GeometryType.LINESTRING:
+			const points = (curve as LineString).points;
+			for (let i = 1; i < points.length; i++) {
+				length += GeometryUtils.distance(points[i - 1], points[i]);
+			}
+			break;
+		case GeometryType.CIRCULARSTRING:
+			for (const arc of GeometryMeasure.getArcs(curve as CircularString)) {
+				length += arc.getLength();
+			}
+			break;
+		case GeometryType.COMPOUNDCURVE:
+			for (const lineString of (curve as CompoundCurve).lineStrings) {
+				length += GeometryMeasure.curveLength(lineString);
+			}
+			break;
+		default:
+			throw new SFException("Curve Type not supported for length: " + curve.geometryType);
+		}
+		return length;
+	}
+
+	/**
+	 * Get the signed planar area of the closed curve ring, positive for
+	 * counter clockwise rings
+	 * @param ring line string, circular string or compound curve ring
+	 * @return signed area
+	 */
+	public static ringArea(ring: Curve): number {
+		const origin = ring.startPoint();
+		return origin != null ? GeometryMeasure.ringAreaFromOrigin(ring, origin) : 0;
+	}
+
+	/**
+	 * Get the signed planar area of the ring relative to an origin point,
+	 * summing the area of each segment chord triangle with the origin and
+	 * each arc circular segment
+	 * @param ring ring or ring part
+	 * @param origin origin point
+	 * @return signed area
+	 */
+	private static ringAreaFromOrigin(ring: Curve, origin: Point): number {
+		let area = 0;
+		switch (ring.geometryType) {
+		case GeometryType.LINESTRING:
+			const points = (ring as LineString).points;
+			for (let i = 1; i < points.length; i++) {
+				area += GeometryMeasure.chordArea(points[i - 1], points[i], origin);
+			}
+			break;
+		case GeometryType.CIRCULARSTRING:
+			for (const arc of GeometryMeasure.getArcs(ring as CircularString)) {
+				area += GeometryMeasure.chordArea(arc.start, arc.end, origin) + arc.getSegmentArea();
+			}
+			break;
+		case GeometryType.COMPOUNDCURVE:
+			for (const lineString of (ring as CompoundCurve).lineStrings) {
+				area += GeometryMeasure.ringAreaFromOrigin(lineString, origin);
+			}
+			break;
+		default:
+			throw new SFException("Curve Type not supported for area: " + ring.geometryType);
+		}
+		return area;
+	}
+
+	/**
+	 * Get the geodesic length in meters of the curve in degrees
+	 * @param curve curve in degrees
+	 * @return length in meters
+	 */
+	private static geodesicCurveLength(curve: Curve): number {
+		const points = new CurveLinearizer().linearizeCurve(curve).points;
+		let length = 0;
+		for (let i = 1; i < points.length; i++) {
+			length += GeometryMeasure.geodesicDistance(points[i - 1], points[i]);
+		}
+		return length;
+	}
+
+	/**
+	 * Get the unsigned geodesic area in square meters of the ring in degrees,
+	 * from the spherical excess of the ring on the authalic sphere
+	 * @param ring ring in degrees
+	 * @return area in square meters
+	 */
+	private static geodesicRingArea(ring: Curve): number {
+		const points = new CurveLinearizer().linearizeCurve(ring).points;
+		let excess = 0;
+		for (let i = 1; i < points.length; i++) {
+			const point1 = points[i - 1];
+			const point2 = points[i];
+			const longitudeDiff = GeometryMeasure.normalizeRadians((point2.x - point1.x) * GeometryConstants.DEGREES_TO_RADIANS);
+			const tan1 = Math.tan(GeometryMeasure.authalicLatitude(point1.y) / 2);
+			const tan2 = Math.tan(GeometryMeasure.authalicLatitude(point2.y) / 2);
+			excess += 2 * Math.atan(Math.tan(longitudeDiff / 2) * (tan1 + tan2) / (1 + tan1 * tan2));
+		}
+		const qPolar = GeometryMeasure.authalicQ(Math.PI / 2);
+		const authalicRadiusSquared = GeometryConstants.WGS84_SEMI_MAJOR_AXIS * GeometryConstants.WGS84_SEMI_MAJOR_AXIS * qPolar / 2;
+		return Math.abs(excess) * authalicRadiusSquared;
+	}
+
+	/**
+	 * Get the authalic latitude, the latitude on the authalic sphere of equal
+	 * surface area to the ellipsoid
+	 * @param latitude latitude in degrees
+	 * @return authalic latitude in radians
+	 */
+	private static authalicLatitude(latitude: number): number {
+		const ratio = GeometryMeasure.authalicQ(latitude * GeometryConstants.DEGREES_TO_RADIANS)
+			/ GeometryMeasure.authalicQ(Math.PI / 2);
+		return Math.asin(Math.max(-1, Math.min(1, ratio)));
+	}
+
+	/**
+	 * Get the authalic q value of the latitude
+	 * @param latitude latitude in radians
+	 * @return q value
+	 */
+	private static authalicQ(latitude: number): number {
+		const f = GeometryConstants.WGS84_FLATTENING;
+		const eSquared = f * (2 - f);
+		const e = Math.sqrt(eSquared);
+		const sin = Math.sin(latitude);
+		return (1 - eSquared) * (sin / (1 - eSquared * sin * sin)
+			- 1 / (2 * e) * Math.log((1 - e * sin) / (1 + e * sin)));
+	}
+
+	/**
+	 * Measure the geometry by summing its curves and surfaces
+	 * @param geometry geometry
+	 * @param curveMeasure curve measurement
+	 * @param surfaceMeasure surface measurement
+	 * @return measurement
+	 */
+	private static measure(geometry: Geometry, curveMeasure: (curve: Curve) => number,
+		surfaceMeasure: (surface: CurvePolygon<Curve>) => number): number {
+		let measure = 0;
+		const geometryType = geometry.geometryType;
+		switch (geometryType) {
+		case GeometryType.POINT:
+			break;
+		case GeometryType.LINESTRING:
+		case GeometryType.CIRCULARSTRING:
+		case GeometryType.COMPOUNDCURVE:
+			measure = curveMeasure(geometry as Curve);
+			break;
+		case GeometryType.POLYGON:
+		case GeometryType.TRIANGLE:
+		case GeometryType.CURVEPOLYGON:
+			measure = surfaceMeasure(geometry as CurvePolygon<Curve>);
+			break;
+		case GeometryType.POLYHEDRALSURFACE:
+		case GeometryType.TIN:
+			for (const polygon of (geometry as PolyhedralSurface).polygons) {
+				measure += surfaceMeasure(polygon);
+			}
+			break;
+		case GeometryType.MULTIPOINT:
+		case GeometryType.MULTILINESTRING:
+		case GeometryType.MULTIPOLYGON:
+		case GeometryType.MULTICURVE:
+		case GeometryType.MULTISURFACE:
+		case GeometryType.GEOMETRYCOLLECTION:
+			for (const member of (geometry as GeometryCollection<Geometry>).geometries) {
+				measure += GeometryMeasure.measure(member, curveMeasure, surfaceMeasure);
+			}
+			break;
+		default:
+			throw new SFException("Geometry Type not supported for measurement: " + geometryType);
+		}
+		return measure;
+	}
+
+	/**
+	 * Get the surface area as the exterior ring area minus the hole areas
+	 * @param surface surface
+	 * @param ringArea ring area measurement
+	 * @return area
+	 */
+	private static surfaceArea(surface: CurvePolygon<Curve>, ringArea: (ring: Curve) => number): number {
+		let area = 0;
+		surface.rings.forEach((ring, index) => {
+			const ringAreaValue = Math.abs(ringArea(ring));
+			area += index === 0 ? ringAreaValue : -ringAreaValue;
+		});
+		return area;
+	}
+
+	/**
+	 * Get the surface perimeter as the sum of the ring lengths
+	 * @param surface surface
+	 * @param ringLength ring length measurement
+	 * @return perimeter
+	 */
+	private static surfacePerimeter(surface: CurvePolygon<Curve>, ringLength: (ring: Curve) => number): number {
+		let perimeter = 0;
+		for (const ring of surface.rings) {
+			perimeter += ringLength(ring);
+		}
+		return perimeter;
+	}
+
+	/**
+	 * Get the arcs of the circular string
+	 * @param circularString circular string
+	 * @return arcs
+	 */
+	private static getArcs(circularString: CircularString): CircularArc[] {
+		const points = circularString.points;
+		const arcs: CircularArc[] = [];
+		for (let i = 2; i < points.length; i += 2) {
+			arcs.push(new CircularArc(points[i - 2], points[i - 1], points[i]));
+		}
+		return arcs;
+	}
+
+	/**
+	 * Get the signed area of the triangle formed by the segment and origin
+	 * @param point1 segment start point
+	 * @param point2 segment end point
+	 * @param origin origin point
+	 * @return signed area
+	 */
+	private static chordArea(point1: Point, point2: Point, origin: Point): number {
+		return ((point1.x - origin.x) * (point2.y - origin.y) - (point2.x - origin.x) * (point1.y - origin.y)) / 2.0;
+	}
+
+	/**
+	 * Normalize an angle to the range (-PI, PI]
+	 * @param radians angle in radians
+	 * @return normalized angle in radians
+	 */
+	private static normalizeRadians(radians: number): number {
+		let normalized = radians % (2 * Math.PI);
+		if (normalized > Math.PI) {
+			normalized -= 2 * Math.PI;
+		} else if (normalized <= -Math.PI) {
+			normalized += 2 * Math.PI;
+		}
+		return normalized;
+	}
+
+}
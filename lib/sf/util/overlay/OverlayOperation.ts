@@ -0,0 +1,26 @@
+/**
+ * Boolean overlay operation between two polygonal geometries
+ */
+export enum OverlayOperation {
+
+	/**
+	 * Area within either geometry
+	 */
+	UNION,
+
+	/**
+	 * Area within both geometries
+	 */
+	INTERSECTION,
+
+	/**
+	 * Area within the first geometry and not the second
+	 */
+	DIFFERENCE,
+
+	/**
+	 * Area within exactly one of the geometries
+	 */
+	SYMMETRIC_DIFFERENCE
+
+}
@@ -0,0 +1,415 @@
+import {
+	SFException,
+	GeometryType,
+	Geometry,
+	Point,
+	LineString,
+	Polygon,
+	MultiPolygon,
+	GeometryUtils,
+	GeometryMeasure,
+	SegmentIntersector,
+	SegmentSweep,
+	RelateGeometry,
+	RelateSegment,
+	TopologyLocation,
+	OverlayOperation
+} from "../../internal";
+
+/**
+ * Split ring edge with the ring segments of both geometries containing it
+ */
+interface OverlayEdge {
+	point1: Point;
+	point2: Point;
+	segments: RelateSegment[];
+}
+
+/**
+ * Boolean overlay operations on polygons and multi polygons, holes included.
+ * The rings of both geometries are split where they meet, and each split edge
+ * is kept when the operation result is inside on exactly one side. The kept
+ * edges are joined into rings with the result interior on the left, taking
+ * the sharpest left turn at shared vertices and splitting rings that touch
+ * themselves. Counter clockwise rings become exterior rings, and clockwise rings
+ * become holes of the smallest exterior ring containing them. Shared edges
+ * between adjacent polygons are dissolved. Input polygons are expected to be
+ * valid, and z and m values are not kept.
+ */
+export class PolygonOverlay {
+
+	/**
+	 * Get the union of the polygonal geometries
+	 * @param geometry1 first polygon or multi polygon
+	 * @param geometry2 second polygon or multi polygon
+	 * @return union
+	 */
+	public static union(geometry1: Geometry, geometry2: Geometry): MultiPolygon {
+		return PolygonOverlay.overlay(geometry1, geometry2, OverlayOperation.UNION);
+	}
+
+	/**
+	 * Get the intersection of the polygonal geometries
+	 * @param geometry1 first polygon or multi polygon
+	 * @param geometry2 second polygon or multi polygon
+	 * @return intersection
+	 */
+	public static intersection(geometry1: Geometry, geometry2: Geometry): MultiPolygon {
+		return PolygonOverlay.overlay(geometry1, geometry2, OverlayOperation.INTERSECTION);
+	}
+
+	/**
+	 * Get the difference of the second polygonal geometry from the first
+	 * @param geometry1 first polygon or multi polygon
+	 * @param geometry2 second polygon or multi polygon
+	 * @return difference
+	 */
+	public static difference(geometry1: Geometry, geometry2: Geometry): MultiPolygon {
+		return PolygonOverlay.overlay(geometry1, geometry2, OverlayOperation.DIFFERENCE);
+	}
+
+	/**
+	 * Get the symmetric difference of the polygonal geometries
+	 * @param geometry1 first polygon or multi polygon
+	 * @param geometry2 second polygon or multi polygon
+	 * @return symmetric difference
+	 */
+	public static symmetricDifference(geometry1: Geometry, geometry2: Geometry): MultiPolygon {
+		return PolygonOverlay.overlay(geometry1, geometry2, OverlayOperation.SYMMETRIC_DIFFERENCE);
+	}
+
+	/**
+	 * Overlay the polygonal geometries
+	 * @param geometry1 first polygon or multi polygon
+	 * @param geometry2 second polygon or multi polygon
+	 * @param operation overlay operation
+	 * @return multi polygon result, empty when no area remains
+	 */
+	public static overlay(geometry1: Geometry, geometry2: Geometry, operation: OverlayOperation): MultiPolygon {
+		const relate1 = PolygonOverlay.prepare(geometry1);
+		const relate2 = PolygonOverlay.prepare(geometry2);
+
+		const edges: Point[][] = [];
+		for (const edge of PolygonOverlay.getEdges([...relate1.segments, ...relate2.segments])) {
+			const sides1 = PolygonOverlay.getSides(relate1, edge);
+			const sides2 = PolygonOverlay.getSides(relate2, edge);
+			const left = PolygonOverlay.isInside(operation, sides1[0], sides2[0]);
+			const right = PolygonOverlay.isInside(operation, sides1[1], sides2[1]);
+			if (left && !right) {
+				edges.push([edge.point1, edge.point2]);
+			} else if (right && !left) {
+				edges.push([edge.point2, edge.point1]);
+			}
+		}
+
+		return PolygonOverlay.buildPolygons(PolygonOverlay.buildRings(edges));
+	}
+
+	/**
+	 * Prepare a polygonal geometry
+	 * @param geometry polygon or multi polygon
+	 * @return prepared geometry
+	 */
+	private static prepare(geometry: Geometry): RelateGeometry {
+		const geometryType = geometry.geometryType;
+		switch (geometryType) {
+		case GeometryType.POLYGON:
+		case GeometryType.TRIANGLE:
+		case GeometryType.MULTIPOLYGON:
+			break;
+		default:
+			throw new SFException("Geometry Type not supported for overlay: " + geometryType);
+		}
+		return new RelateGeometry(geometry);
+	}
+
+	/**
+	 * Split the ring segments where they cross, touch and overlap, merging
+	 * equal split edges
+	 * @param segments segments of both geometries
+	 * @return split edges
+	 */
+	private static getEdges(segments: RelateSegment[]): OverlayEdge[] {
+		const rings = segments.filter(segment => segment.ring);
+		const nodes: Point[][] = rings.map(() => []);
+		SegmentSweep.findAll(rings.map(segment => [segment.point1, segment.point2]), (sweep1, sweep2) => {
+			const segment1 = rings[sweep1.line];
+			const segment2 = rings[sweep2.line];
+			if (SegmentIntersector.crosses(segment1.point1, segment1.point2, segment2.point1, segment2.point2)) {
+				const crossing = GeometryUtils.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+				nodes[sweep1.line].push(crossing);
+				nodes[sweep2.line].push(crossing);
+			} else {
+				segment1.addEndNodes(segment2, nodes[sweep1.line], nodes[sweep2.line]);
+			}
+			// Nodes are collected rather than returned as the sweep result
+			return null;
+		});
+
+		const edges = new Map<string, OverlayEdge>();
+		rings.forEach((segment, index) => {
+			const points = segment.getNodedPoints(nodes[index]);
+			for (let i = 0; i < points.length - 1; i++) {
+				const key1 = PolygonOverlay.getKey(points[i]);
+				const key2 = PolygonOverlay.getKey(points[i + 1]);
+				const key = key1 < key2 ? key1 + ";" + key2 : key2 + ";" + key1;
+				let edge = edges.get(key);
+				if (edge === undefined) {
+					edge = { point1: points[i], point2: points[i + 1], segments: [] };
+					edges.set(key, edge);
+				}
+				edge.segments.push(segment);
+			}
+		});
+		return Array.from(edges.values());
+	}
+
+	/**
+	 * Determine if each side of the edge is inside the geometry
+	 * @param relate geometry
+	 * @param edge split edge
+	 * @return left and right side inside values
+	 */
+	private static getSides(relate: RelateGeometry, edge: OverlayEdge): boolean[] {
+		let covered = false;
+		let left = false;
+		let right = false;
+		for (const segment of edge.segments) {
+			if (segment.geometry === relate) {
+				covered = true;
+				const direction = (edge.point2.x - edge.point1.x) * (segment.point2.x - segment.point1.x)
+					+ (edge.point2.y - edge.point1.y) * (segment.point2.y - segment.point1.y);
+				if ((direction > 0) === segment.interiorLeft) {
+					left = true;
+				} else {
+					right = true;
+				}
+			}
+		}
+		if (!covered) {
+			const midpoint = new Point((edge.point1.x + edge.point2.x) / 2, (edge.point1.y + edge.point2.y) / 2);
+			left = right = relate.locateArea(midpoint) === TopologyLocation.INTERIOR;
+		}
+		return [left, right];
+	}
+
+	/**
+	 * Determine if an area is inside the operation result
+	 * @param operation overlay operation
+	 * @param inside1 true if inside the first geometry
+	 * @param inside2 true if inside the second geometry
+	 * @return true if inside the result
+	 */
+	private static isInside(operation: OverlayOperation, inside1: boolean, inside2: boolean): boolean {
+		let inside: boolean;
+		switch (operation) {
+		case OverlayOperation.UNION:
+			inside = inside1 || inside2;
+			break;
+		case OverlayOperation.INTERSECTION:
+			inside = inside1 && inside2;
+			break;
+		case OverlayOperation.DIFFERENCE:
+			inside = inside1 && !inside2;
+			break;
+		case OverlayOperation.SYMMETRIC_DIFFERENCE:
+			inside = inside1 !== inside2;
+			break;
+		default:
+			throw new SFException("Unsupported overlay operation: " + operation);
+		}
+		return inside;
+	}
+
+	/**
+	 * Join the directed edges into closed rings
+	 * @param edges directed edges with the result interior on the left
+	 * @return closed ring points
+	 */
+	private static buildRings(edges: Point[][]): Point[][] {
+		const outgoing = new Map<string, Point[][]>();
+		for (const edge of edges) {
+			const key = PolygonOverlay.getKey(edge[0]);
+			if (!outgoing.has(key)) {
+				outgoing.set(key, []);
+			}
+			outgoing.get(key).push(edge);
+		}
+
+		const rings: Point[][] = [];
+		const used = new Set<Point[]>();
+		for (const start of edges) {
+			if (!used.has(start)) {
+				const points = [start[0]];
+				let edge = start;
+				while (edge != null) {
+					used.add(edge);
+					points.push(edge[1]);
+					const candidates = outgoing.get(PolygonOverlay.getKey(edge[1])) || [];
+					const next = PolygonOverlay.getNextEdge(edge, candidates.filter(
+						candidate => candidate === start || !used.has(candidate)));
+					edge = next !== start ? next : null;
+				}
+				const end = points[points.length - 1];
+				if (end.x === start[0].x && end.y === start[0].y) {
+					rings.push(...PolygonOverlay.splitRing(points));
+				}
+			}
+		}
+		return rings;
+	}
+
+	/**
+	 * Split a closed ring at repeated vertices, such as where a hole touches
+	 * the exterior ring, into rings without repeated vertices
+	 * @param points closed ring points
+	 * @return closed rings
+	 */
+	private static splitRing(points: Point[]): Point[][] {
+		const rings: Point[][] = [];
+		const path: Point[] = [];
+		const indices = new Map<string, number>();
+		for (const point of points) {
+			const key = PolygonOverlay.getKey(point);
+			const index = indices.get(key);
+			if (index !== undefined) {
+				const ring = path.splice(index + 1);
+				ring.unshift(path[index]);
+				ring.push(point);
+				for (const removed of ring.slice(1, ring.length - 1)) {
+					indices.delete(PolygonOverlay.getKey(removed));
+				}
+				if (ring.length >= 4) {
+					rings.push(ring);
+				}
+			} else {
+				indices.set(key, path.length);
+				path.push(point);
+			}
+		}
+		return rings;
+	}
+
+	/**
+	 * Get the next ring edge as the sharpest left turn, the first edge
+	 * clockwise from the reversed incoming edge
+	 * @param edge incoming edge
+	 * @param candidates outgoing edges
+	 * @return next edge or null
+	 */
+	private static getNextEdge(edge: Point[], candidates: Point[][]): Point[] {
+		const reverse = Math.atan2(edge[0].y - edge[1].y, edge[0].x - edge[1].x);
+		let next: Point[] = null;
+		let minRotation = Infinity;
+		for (const candidate of candidates) {
+			let rotation = reverse - Math.atan2(candidate[1].y - candidate[0].y, candidate[1].x - candidate[0].x);
+			while (rotation <= 0) {
+				rotation += 2 * Math.PI;
+			}
+			while (rotation > 2 * Math.PI) {
+				rotation -= 2 * Math.PI;
+			}
+			if (rotation < minRotation) {
+				minRotation = rotation;
+				next = candidate;
+			}
+		}
+		return next;
+	}
+
+	/**
+	 * Build polygons from the rings, assigning clockwise holes to the
+	 * smallest containing counter clockwise exterior ring
+	 * @param rings closed ring points
+	 * @return multi polygon
+	 */
+	private static buildPolygons(rings: Point[][]): MultiPolygon {
+		const shells: LineString[] = [];
+		const shellAreas: number[] = [];
+		const holes: LineString[] = [];
+		const holePoints: Point[] = [];
+		for (const points of rings) {
+			const ring = PolygonOverlay.createRing(PolygonOverlay.removeCollinear(points));
+			if (ring.numPoints() >= 4) {
+				const area = GeometryMeasure.ringArea(ring);
+				if (area > 0) {
+					shells.push(ring);
+					shellAreas.push(area);
+				} else if (area < 0) {
+					holes.push(ring);
+					// Split edge midpoints are not on any other ring
+					holePoints.push(new Point((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2));
+				}
+			}
+		}
+
+		const polygons = shells.map(shell => new Polygon(shell));
+		holes.forEach((hole, index) => {
+			let shell = -1;
+			for (let i = 0; i < shells.length; i++) {
+				if ((shell === -1 || shellAreas[i] < shellAreas[shell])
+					&& GeometryUtils.pointInPolygonRing(holePoints[index], shells[i])) {
+					shell = i;
+				}
+			}
+			if (shell !== -1) {
+				polygons[shell].addRing(hole);
+			}
+		});
+
+		const multiPolygon = new MultiPolygon(false, false);
+		for (const polygon of polygons) {
+			multiPolygon.addPolygon(polygon);
+		}
+		return multiPolygon;
+	}
+
+	/**
+	 * Remove vertices collinear with their neighbors from the closed ring
+	 * @param ring closed ring points
+	 * @return closed ring points without collinear vertices
+	 */
+	private static removeCollinear(ring: Point[]): Point[] {
+		const points = ring.slice(0, ring.length - 1);
+		let removed = true;
+		while (removed && points.length >= 3) {
+			removed = false;
+			for (let i = 0; i < points.length && points.length >= 3; i++) {
+				const previous = points[(i + points.length - 1) % points.length];
+				const next = points[(i + 1) % points.length];
+				if (SegmentIntersector.orientation(previous, points[i], next) === 0) {
+					points.splice(i, 1);
+					removed = true;
+					i--;
+				}
+			}
+		}
+		if (points.length > 0) {
+			points.push(points[0]);
+		}
+		return points;
+	}
+
+	/**
+	 * Create a ring line string from the closed ring points
+	 * @param points closed ring points
+	 * @return ring
+	 */
+	private static createRing(points: Point[]): LineString {
+		const ring = new LineString(false, false);
+		for (const point of points) {
+			ring.addPoint(new Point(point.x, point.y));
+		}
+		return ring;
+	}
+
+	/**
+	 * Get the x and y key of the point
+	 * @param point point
+	 * @return point key
+	 */
+	private static getKey(point: Point): string {
+		return point.x + "," + point.y;
+	}
+
+}
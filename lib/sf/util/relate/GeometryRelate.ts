@@ -0,0 +1,315 @@
+import {
+	Geometry,
+	Point,
+	GeometryUtils,
+	SegmentIntersector,
+	SegmentSweep,
+	IntersectionMatrix,
+	RelateGeometry,
+	RelateSegment,
+	TopologyLocation
+} from "../../internal";
+
+/**
+ * Spatial relationships between geometries from their Dimensionally Extended
+ * 9-Intersection Model (DE-9IM) matrix. The line and ring segments of both
+ * geometries are split where they meet, and the matrix is built from the
+ * locations of the vertices, crossing points, split segments and the areas
+ * to either side of them. Envelopes are compared first to reject disjoint
+ * geometries. Curves are linearized and z and m values are ignored.
+ */
+export class GeometryRelate {
+
+	/**
+	 * Get the DE-9IM intersection matrix of the geometries
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return intersection matrix
+	 */
+	public static relate(geometry1: Geometry, geometry2: Geometry): IntersectionMatrix {
+		return GeometryRelate.relateGeometries(new RelateGeometry(geometry1), new RelateGeometry(geometry2));
+	}
+
+	/**
+	 * Determine if the intersection matrix of the geometries matches the
+	 * pattern
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @param pattern nine character pattern of T, F, *, 0, 1 and 2 values
+	 * @return true if matches
+	 */
+	public static relatePattern(geometry1: Geometry, geometry2: Geometry, pattern: string): boolean {
+		return GeometryRelate.relate(geometry1, geometry2).matches(pattern);
+	}
+
+	/**
+	 * Determine if the geometries have at least one point in common
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if intersects
+	 */
+	public static intersects(geometry1: Geometry, geometry2: Geometry): boolean {
+		const relate1 = new RelateGeometry(geometry1);
+		const relate2 = new RelateGeometry(geometry2);
+		return GeometryRelate.envelopesIntersect(relate1, relate2)
+			&& !GeometryRelate.relateGeometries(relate1, relate2).matches("FF*FF****");
+	}
+
+	/**
+	 * Determine if the geometries have no points in common
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if disjoint
+	 */
+	public static disjoint(geometry1: Geometry, geometry2: Geometry): boolean {
+		return !GeometryRelate.intersects(geometry1, geometry2);
+	}
+
+	/**
+	 * Determine if the first geometry contains the second, with no points of
+	 * the second in the first exterior and at least one interior point in
+	 * common
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if the first contains the second
+	 */
+	public static contains(geometry1: Geometry, geometry2: Geometry): boolean {
+		const relate1 = new RelateGeometry(geometry1);
+		const relate2 = new RelateGeometry(geometry2);
+		return GeometryRelate.envelopesIntersect(relate1, relate2) && relate1.envelope.contains(relate2.envelope)
+			&& GeometryRelate.relateGeometries(relate1, relate2).matches("T*****FF*");
+	}
+
+	/**
+	 * Determine if the first geometry is within the second
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if the first is within the second
+	 */
+	public static within(geometry1: Geometry, geometry2: Geometry): boolean {
+		return GeometryRelate.contains(geometry2, geometry1);
+	}
+
+	/**
+	 * Determine if the geometries have at least one boundary point in common
+	 * but no interior points
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if touches
+	 */
+	public static touches(geometry1: Geometry, geometry2: Geometry): boolean {
+		const relate1 = new RelateGeometry(geometry1);
+		const relate2 = new RelateGeometry(geometry2);
+		let touches = false;
+		if (GeometryRelate.envelopesIntersect(relate1, relate2) && (relate1.dimension > 0 || relate2.dimension > 0)) {
+			const matrix = GeometryRelate.relateGeometries(relate1, relate2);
+			touches = matrix.matches("FT*******") || matrix.matches("F**T*****") || matrix.matches("F***T****");
+		}
+		return touches;
+	}
+
+	/**
+	 * Determine if the geometries have some but not all interior points in
+	 * common, with an intersection of lower dimension than the highest
+	 * geometry dimension. Applies to point and line, point and surface, line
+	 * and surface, and line and line relationships.
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if crosses
+	 */
+	public static crosses(geometry1: Geometry, geometry2: Geometry): boolean {
+		const relate1 = new RelateGeometry(geometry1);
+		const relate2 = new RelateGeometry(geometry2);
+		let crosses = false;
+		if (GeometryRelate.envelopesIntersect(relate1, relate2)) {
+			const dimension1 = relate1.dimension;
+			const dimension2 = relate2.dimension;
+			if (dimension1 === 1 && dimension2 === 1) {
+				crosses = GeometryRelate.relateGeometries(relate1, relate2).matches("0********");
+			} else if (dimension1 < dimension2 && dimension1 < 2) {
+				crosses = GeometryRelate.relateGeometries(relate1, relate2).matches("T*T******");
+			} else if (dimension2 < dimension1 && dimension2 < 2) {
+				crosses = GeometryRelate.relateGeometries(relate1, relate2).matches("T*****T**");
+			}
+		}
+		return crosses;
+	}
+
+	/**
+	 * Determine if geometries of the same dimension have some but not all
+	 * interior points in common, with an intersection of the same dimension
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if overlaps
+	 */
+	public static overlaps(geometry1: Geometry, geometry2: Geometry): boolean {
+		const relate1 = new RelateGeometry(geometry1);
+		const relate2 = new RelateGeometry(geometry2);
+		let overlaps = false;
+		if (GeometryRelate.envelopesIntersect(relate1, relate2) && relate1.dimension === relate2.dimension) {
+			overlaps = GeometryRelate.relateGeometries(relate1, relate2)
+				.matches(relate1.dimension === 1 ? "1*T***T**" : "T*T***T**");
+		}
+		return overlaps;
+	}
+
+	/**
+	 * Determine if the geometries are topologically equal, covering the same
+	 * points regardless of vertex order, repeated points or collection
+	 * structure
+	 * @param geometry1 first geometry
+	 * @param geometry2 second geometry
+	 * @return true if equal
+	 */
+	public static equals(geometry1: Geometry, geometry2: Geometry): boolean {
+		const relate1 = new RelateGeometry(geometry1);
+		const relate2 = new RelateGeometry(geometry2);
+		let equals = relate1.isEmpty() && relate2.isEmpty();
+		if (!equals && GeometryRelate.envelopesIntersect(relate1, relate2)
+			&& relate1.envelope.contains(relate2.envelope) && relate2.envelope.contains(relate1.envelope)) {
+			equals = GeometryRelate.relateGeometries(relate1, relate2).matches("T*F**FFF*");
+		}
+		return equals;
+	}
+
+	/**
+	 * Determine if both geometries are not empty and their envelopes
+	 * intersect
+	 * @param relate1 first geometry
+	 * @param relate2 second geometry
+	 * @return true if the envelopes intersect
+	 */
+	private static envelopesIntersect(relate1: RelateGeometry, relate2: RelateGeometry): boolean {
+		return !relate1.isEmpty() && !relate2.isEmpty() && relate1.envelope.intersects(relate2.envelope, true);
+	}
+
+	/**
+	 * Get the intersection matrix of the prepared geometries
+	 * @param relate1 first geometry
+	 * @param relate2 second geometry
+	 * @return intersection matrix
+	 */
+	private static relateGeometries(relate1: RelateGeometry, relate2: RelateGeometry): IntersectionMatrix {
+		const matrix = new IntersectionMatrix();
+		matrix.set(TopologyLocation.EXTERIOR, TopologyLocation.EXTERIOR, 2);
+
+		if (GeometryRelate.envelopesIntersect(relate1, relate2)) {
+			GeometryRelate.relateComponents(relate1, relate2, matrix);
+		} else {
+			matrix.setAtLeast(TopologyLocation.INTERIOR, TopologyLocation.EXTERIOR, relate1.dimension);
+			matrix.setAtLeast(TopologyLocation.BOUNDARY, TopologyLocation.EXTERIOR, relate1.boundaryDimension);
+			matrix.setAtLeast(TopologyLocation.EXTERIOR, TopologyLocation.INTERIOR, relate2.dimension);
+			matrix.setAtLeast(TopologyLocation.EXTERIOR, TopologyLocation.BOUNDARY, relate2.boundaryDimension);
+		}
+
+		return matrix;
+	}
+
+	/**
+	 * Add the intersection dimensions of the geometry components with
+	 * intersecting envelopes
+	 * @param relate1 first geometry
+	 * @param relate2 second geometry
+	 * @param matrix intersection matrix
+	 */
+	private static relateComponents(relate1: RelateGeometry, relate2: RelateGeometry, matrix: IntersectionMatrix): void {
+		for (const vertex of relate1.getVertices()) {
+			matrix.setAtLeast(relate1.locate(vertex), relate2.locate(vertex), 0);
+		}
+		for (const vertex of relate2.getVertices()) {
+			matrix.setAtLeast(relate1.locate(vertex), relate2.locate(vertex), 0);
+		}
+
+		// Node the segments where they cross, touch and overlap
+		const segments = [...relate1.segments, ...relate2.segments];
+		const nodes: Point[][] = segments.map(() => []);
+		const overlaps: RelateSegment[][] = segments.map(() => []);
+		SegmentSweep.findAll(segments.map(segment => [segment.point1, segment.point2]), (sweep1, sweep2) => {
+			const segment1 = segments[sweep1.line];
+			const segment2 = segments[sweep2.line];
+			if (SegmentIntersector.overlaps(segment1.point1, segment1.point2, segment2.point1, segment2.point2)) {
+				overlaps[sweep1.line].push(segment2);
+				overlaps[sweep2.line].push(segment1);
+				segment1.addEndNodes(segment2, nodes[sweep1.line], nodes[sweep2.line]);
+			} else if (segment1.geometry !== segment2.geometry) {
+				if (SegmentIntersector.crosses(segment1.point1, segment1.point2, segment2.point1, segment2.point2)) {
+					const crossing = GeometryUtils.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+					nodes[sweep1.line].push(crossing);
+					nodes[sweep2.line].push(crossing);
+					const crossing1 = segment1.geometry === relate1 ? segment1 : segment2;
+					const crossing2 = segment1.geometry === relate1 ? segment2 : segment1;
+					matrix.setAtLeast(crossing1.ring ? TopologyLocation.BOUNDARY : TopologyLocation.INTERIOR,
+						crossing2.ring ? TopologyLocation.BOUNDARY : TopologyLocation.INTERIOR, 0);
+				} else {
+					segment1.addEndNodes(segment2, nodes[sweep1.line], nodes[sweep2.line]);
+				}
+			}
+			// Nodes are collected rather than returned as the sweep result
+			return null;
+		});
+
+		segments.forEach((segment, index) => {
+			const points = segment.getNodedPoints(nodes[index]);
+			for (let i = 0; i < points.length - 1; i++) {
+				const point1 = points[i];
+				const point2 = points[i + 1];
+				const covering = [segment, ...overlaps[index].filter(
+					overlap => overlap.contains(point1) && overlap.contains(point2))];
+				const midpoint = new Point((point1.x + point2.x) / 2, (point1.y + point2.y) / 2);
+				const edge1 = GeometryRelate.locateEdge(relate1, covering, point1, point2, midpoint);
+				const edge2 = GeometryRelate.locateEdge(relate2, covering, point1, point2, midpoint);
+				matrix.setAtLeast(edge1[0], edge2[0], 1);
+				matrix.setAtLeast(edge1[1], edge2[1], 2);
+				matrix.setAtLeast(edge1[2], edge2[2], 2);
+			}
+		});
+	}
+
+	/**
+	 * Locate a split segment edge relative to the geometry, along with the
+	 * area locations on either side
+	 * @param relate geometry
+	 * @param covering segments of both geometries containing the edge
+	 * @param point1 edge start point
+	 * @param point2 edge end point
+	 * @param midpoint edge midpoint
+	 * @return edge location, followed by the left and right side interior or
+	 *         exterior locations
+	 */
+	private static locateEdge(relate: RelateGeometry, covering: RelateSegment[], point1: Point, point2: Point,
+		midpoint: Point): TopologyLocation[] {
+		let ring = false;
+		let line = false;
+		let left = false;
+		let right = false;
+		for (const segment of covering) {
+			if (segment.geometry === relate) {
+				if (segment.ring) {
+					ring = true;
+					const direction = (point2.x - point1.x) * (segment.point2.x - segment.point1.x)
+						+ (point2.y - point1.y) * (segment.point2.y - segment.point1.y);
+					if ((direction > 0) === segment.interiorLeft) {
+						left = true;
+					} else {
+						right = true;
+					}
+				} else {
+					line = true;
+				}
+			}
+		}
+
+		let location: TopologyLocation;
+		if (ring) {
+			location = left && right ? TopologyLocation.INTERIOR : TopologyLocation.BOUNDARY;
+		} else {
+			const areaLocation = relate.locateArea(midpoint);
+			left = right = areaLocation === TopologyLocation.INTERIOR;
+			location = line ? TopologyLocation.INTERIOR : areaLocation;
+		}
+
+		return [location, left ? TopologyLocation.INTERIOR : TopologyLocation.EXTERIOR,
+			right ? TopologyLocation.INTERIOR : TopologyLocation.EXTERIOR];
+	}
+
+}
@@ -0,0 +1,133 @@
+import { SFException, TopologyLocation } from "../../internal";
+
+/**
+ * Dimensionally Extended 9-Intersection Model (DE-9IM) matrix of the
+ * intersection dimensions between the interior, boundary and exterior of two
+ * geometries. Rows are the first geometry locations and columns the second
+ * geometry locations, each with a dimension of 0, 1, 2 or
+ * {@link IntersectionMatrix#FALSE} for an empty intersection.
+ */
+export class IntersectionMatrix {
+
+	/**
+	 * Dimension of an empty intersection
+	 */
+	public static readonly FALSE = -1;
+
+	/**
+	 * Matrix dimensions by first and second geometry location
+	 */
+	private readonly matrix: number[][];
+
+	/**
+	 * Constructor
+	 * @param matrix optional nine character matrix string of F, 0, 1 and 2
+	 *            values in row order, all empty when not provided
+	 */
+	public constructor(matrix?: string) {
+		this.matrix = [0, 1, 2].map(() => [IntersectionMatrix.FALSE, IntersectionMatrix.FALSE, IntersectionMatrix.FALSE]);
+		if (matrix != null) {
+			IntersectionMatrix.validate(matrix, "F012");
+			for (let i = 0; i < 9; i++) {
+				const value = matrix.charAt(i).toUpperCase();
+				this.matrix[Math.floor(i / 3)][i % 3] = value === "F" ? IntersectionMatrix.FALSE : parseInt(value);
+			}
+		}
+	}
+
+	/**
+	 * Get the intersection dimension
+	 * @param location1 first geometry location
+	 * @param location2 second geometry location
+	 * @return dimension, {@link IntersectionMatrix#FALSE} when empty
+	 */
+	public get(location1: TopologyLocation, location2: TopologyLocation): number {
+		return this.matrix[location1][location2];
+	}
+
+	/**
+	 * Set the intersection dimension
+	 * @param location1 first geometry location
+	 * @param location2 second geometry location
+	 * @param dimension dimension, {@link IntersectionMatrix#FALSE} when empty
+	 */
+	public set(location1: TopologyLocation, location2: TopologyLocation, dimension: number): void {
+		this.matrix[location1][location2] = dimension;
+	}
+
+	/**
+	 * Raise the intersection dimension to at least the dimension
+	 * @param location1 first geometry location
+	 * @param location2 second geometry location
+	 * @param dimension minimum dimension
+	 */
+	public setAtLeast(location1: TopologyLocation, location2: TopologyLocation, dimension: number): void {
+		if (this.matrix[location1][location2] < dimension) {
+			this.matrix[location1][location2] = dimension;
+		}
+	}
+
+	/**
+	 * Determine if the matrix matches the pattern
+	 * @param pattern nine character pattern in row order of T (non empty),
+	 *            F (empty), * (any), 0, 1 and 2 values
+	 * @return true if matches
+	 */
+	public matches(pattern: string): boolean {
+		IntersectionMatrix.validate(pattern, "TF*012");
+		let matches = true;
+		for (let i = 0; i < 9 && matches; i++) {
+			const dimension = this.matrix[Math.floor(i / 3)][i % 3];
+			const value = pattern.charAt(i).toUpperCase();
+			switch (value) {
+			case "*":
+				break;
+			case "T":
+				matches = dimension !== IntersectionMatrix.FALSE;
+				break;
+			case "F":
+				matches = dimension === IntersectionMatrix.FALSE;
+				break;
+			default:
+				matches = dimension === parseInt(value);
+			}
+		}
+		return matches;
+	}
+
+	/**
+	 * Get the transposed matrix, relating the second geometry to the first
+	 * @return transposed matrix
+	 */
+	public transpose(): IntersectionMatrix {
+		const transpose = new IntersectionMatrix();
+		for (let i = 0; i < 3; i++) {
+			for (let j = 0; j < 3; j++) {
+				transpose.matrix[j][i] = this.matrix[i][j];
+			}
+		}
+		return transpose;
+	}
+
+	/**
+	 * Get the nine character matrix string of F, 0, 1 and 2 values in row
+	 * order, such as "FF2FF1212" for disjoint polygons
+	 * @return matrix string
+	 */
+	public toString(): string {
+		return this.matrix.map(row => row.map(
+			dimension => dimension === IntersectionMatrix.FALSE ? "F" : dimension.toString()).join("")).join("");
+	}
+
+	/**
+	 * Validate a matrix or pattern string
+	 * @param value matrix or pattern string
+	 * @param characters allowed characters
+	 */
+	private static validate(value: string, characters: string): void {
+		if (value.length !== 9 || [...value.toUpperCase()].some(character => !characters.includes(character))) {
+			throw new SFException("Invalid intersection matrix of nine " + characters + " values: " + value);
+		}
+	}
+
+}
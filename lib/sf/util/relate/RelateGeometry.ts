@@ -0,0 +1,412 @@
+import {
+	SFException,
+	GeometryType,
+	Geometry,
+	Point,
+	LineString,
+	Polygon,
+	PolyhedralSurface,
+	GeometryCollection,
+	GeometryEnvelope,
+	CurveLinearizer,
+	GeometryUtils,
+	SegmentIntersector,
+	TopologyLocation
+} from "../../internal";
+
+/**
+ * Line or ring segment of a related geometry
+ */
+export class RelateSegment {
+
+	/**
+	 * Geometry containing the segment
+	 */
+	readonly geometry: RelateGeometry;
+
+	/**
+	 * Segment start point
+	 */
+	readonly point1: Point;
+
+	/**
+	 * Segment end point
+	 */
+	readonly point2: Point;
+
+	/**
+	 * True if a polygon ring segment, false if a line segment
+	 */
+	readonly ring: boolean;
+
+	/**
+	 * True if the polygon interior is on the left of a ring segment
+	 */
+	readonly interiorLeft: boolean;
+
+	/**
+	 * Constructor
+	 * @param geometry geometry containing the segment
+	 * @param point1 segment start point
+	 * @param point2 segment end point
+	 * @param ring true if a polygon ring segment
+	 * @param interiorLeft true if the polygon interior is on the left
+	 */
+	constructor(geometry: RelateGeometry, point1: Point, point2: Point, ring: boolean, interiorLeft: boolean) {
+		this.geometry = geometry;
+		this.point1 = point1;
+		this.point2 = point2;
+		this.ring = ring;
+		this.interiorLeft = interiorLeft;
+	}
+
+	/**
+	 * Determine if the segment contains the point
+	 * @param point point
+	 * @return true if on the segment
+	 */
+	public contains(point: Point): boolean {
+		return SegmentIntersector.onSegment(this.point1, this.point2, point);
+	}
+
+	/**
+	 * Add the end points of each segment lying within the other segment as
+	 * nodes
+	 * @param segment other segment
+	 * @param nodes nodes of this segment
+	 * @param segmentNodes nodes of the other segment
+	 */
+	public addEndNodes(segment: RelateSegment, nodes: Point[], segmentNodes: Point[]): void {
+		for (const point of [segment.point1, segment.point2]) {
+			if (this.contains(point)) {
+				nodes.push(point);
+			}
+		}
+		for (const point of [this.point1, this.point2]) {
+			if (segment.contains(point)) {
+				segmentNodes.push(point);
+			}
+		}
+	}
+
+	/**
+	 * Get the segment points split at the nodes, ordered along the segment
+	 * @param nodes nodes on the segment
+	 * @return ordered distinct points from the segment start to end
+	 */
+	public getNodedPoints(nodes: Point[]): Point[] {
+		const dx = this.point2.x - this.point1.x;
+		const dy = this.point2.y - this.point1.y;
+		const distance = (point: Point): number => (point.x - this.point1.x) * dx + (point.y - this.point1.y) * dy;
+		const points = [this.point1, ...[...nodes].sort((node1, node2) => distance(node1) - distance(node2)), this.point2];
+		return points.filter((point, index) => index === 0
+			|| point.x !== points[index - 1].x || point.y !== points[index - 1].y);
+	}
+
+}
+
+/**
+ * Geometry components prepared for relating the geometry to another, with
+ * curves linearized. Points, line strings and polygons are located using
+ * the OGC boundary rules: polygon boundaries are their rings and line string
+ * boundaries are the end points of unclosed lines occurring an odd number of
+ * times (mod-2 rule). Polyhedral surfaces and TINs are related as multi
+ * polygons of their patches.
+ */
+export class RelateGeometry {
+
+	/**
+	 * Geometry dimension, {@link IntersectionMatrix#FALSE} when empty
+	 */
+	readonly dimension: number = -1;
+
+	/**
+	 * Boundary dimension, {@link IntersectionMatrix#FALSE} when empty
+	 */
+	readonly boundaryDimension: number = -1;
+
+	/**
+	 * Point components
+	 */
+	readonly points: Point[] = [];
+
+	/**
+	 * Line component points without repeated points
+	 */
+	readonly lines: Point[][] = [];
+
+	/**
+	 * Polygon component closed ring points without repeated points, exterior
+	 * ring first
+	 */
+	readonly polygons: Point[][][] = [];
+
+	/**
+	 * Line and ring segments
+	 */
+	readonly segments: RelateSegment[] = [];
+
+	/**
+	 * Envelope of the components, null when empty
+	 */
+	readonly envelope: GeometryEnvelope = null;
+
+	/**
+	 * Line boundary point keys
+	 */
+	private readonly lineBoundary = new Set<string>();
+
+	/**
+	 * Constructor
+	 * @param geometry geometry
+	 */
+	public constructor(geometry: Geometry) {
+		if (CurveLinearizer.hasCurve(geometry)) {
+			geometry = new CurveLinearizer().linearize(geometry);
+		}
+		this.addGeometry(geometry);
+
+		const endpoints = new Map<string, number>();
+		for (const line of this.lines) {
+			if (!RelateGeometry.isEqual(line[0], line[line.length - 1])) {
+				for (const endpoint of [line[0], line[line.length - 1]]) {
+					const key = RelateGeometry.getKey(endpoint);
+					endpoints.set(key, (endpoints.get(key) || 0) + 1);
+				}
+			}
+		}
+		endpoints.forEach((count, key) => {
+			if (count % 2 === 1) {
+				this.lineBoundary.add(key);
+			}
+		});
+
+		if (this.polygons.length > 0) {
+			this.dimension = 2;
+			this.boundaryDimension = 1;
+		} else if (this.lines.length > 0) {
+			this.dimension = 1;
+			this.boundaryDimension = this.lineBoundary.size > 0 ? 0 : -1;
+		} else if (this.points.length > 0) {
+			this.dimension = 0;
+		}
+
+		for (const vertex of this.getVertices()) {
+			if (this.envelope == null) {
+				this.envelope = new GeometryEnvelope(vertex.x, vertex.y, vertex.x, vertex.y);
+			} else {
+				this.envelope.minX = Math.min(this.envelope.minX, vertex.x);
+				this.envelope.minY = Math.min(this.envelope.minY, vertex.y);
+				this.envelope.maxX = Math.max(this.envelope.maxX, vertex.x);
+				this.envelope.maxY = Math.max(this.envelope.maxY, vertex.y);
+			}
+		}
+	}
+
+	/**
+	 * Determine if the geometry is empty
+	 * @return true if empty
+	 */
+	public isEmpty(): boolean {
+		return this.dimension === -1;
+	}
+
+	/**
+	 * Get the point components and all line and ring vertices
+	 * @return vertices
+	 */
+	public getVertices(): Point[] {
+		const vertices = [...this.points];
+		for (const line of this.lines) {
+			vertices.push(...line);
+		}
+		for (const rings of this.polygons) {
+			for (const ring of rings) {
+				vertices.push(...ring);
+			}
+		}
+		return vertices;
+	}
+
+	/**
+	 * Locate the point relative to the geometry, where polygon interiors and
+	 * boundaries take precedence over the lines and points they contain
+	 * @param point point
+	 * @return topology location
+	 */
+	public locate(point: Point): TopologyLocation {
+		let location = this.locateArea(point);
+		if (location === TopologyLocation.EXTERIOR) {
+			if (this.lineBoundary.has(RelateGeometry.getKey(point))) {
+				location = TopologyLocation.BOUNDARY;
+			} else if (this.lines.some(line => RelateGeometry.onPoints(point, line))
+				|| this.points.some(component => RelateGeometry.isEqual(point, component))) {
+				location = TopologyLocation.INTERIOR;
+			}
+		}
+		return location;
+	}
+
+	/**
+	 * Locate the point relative to the polygon components only
+	 * @param point point
+	 * @return topology location
+	 */
+	public locateArea(point: Point): TopologyLocation {
+		let location = TopologyLocation.EXTERIOR;
+		for (const rings of this.polygons) {
+			if (rings.some(ring => RelateGeometry.onPoints(point, ring))) {
+				location = TopologyLocation.BOUNDARY;
+			} else if (GeometryUtils.pointInPolygonRingPoints(point, rings[0])
+				&& !rings.slice(1).some(hole => GeometryUtils.pointInPolygonRingPoints(point, hole))) {
+				location = TopologyLocation.INTERIOR;
+				break;
+			}
+		}
+		return location;
+	}
+
+	/**
+	 * Add the geometry components
+	 * @param geometry geometry
+	 */
+	private addGeometry(geometry: Geometry): void {
+		const geometryType = geometry.geometryType;
+		switch (geometryType) {
+		case GeometryType.POINT:
+			if (!geometry.isEmpty()) {
+				this.points.push(geometry as Point);
+			}
+			break;
+		case GeometryType.LINESTRING:
+			this.addLine(RelateGeometry.getPoints(geometry as LineString));
+			break;
+		case GeometryType.POLYGON:
+		case GeometryType.TRIANGLE:
+			this.addPolygon(geometry as Polygon);
+			break;
+		case GeometryType.POLYHEDRALSURFACE:
+		case GeometryType.TIN:
+			for (const polygon of (geometry as PolyhedralSurface).polygons) {
+				this.addPolygon(polygon);
+			}
+			break;
+		case GeometryType.MULTIPOINT:
+		case GeometryType.MULTILINESTRING:
+		case GeometryType.MULTIPOLYGON:
+		case GeometryType.MULTICURVE:
+		case GeometryType.MULTISURFACE:
+		case GeometryType.GEOMETRYCOLLECTION:
+			for (const member of (geometry as GeometryCollection<Geometry>).geometries) {
+				this.addGeometry(member);
+			}
+			break;
+		default:
+			throw new SFException("Geometry Type not supported for relating: " + geometryType);
+		}
+	}
+
+	/**
+	 * Add a line component, or a point component when a single distinct point
+	 * @param points line points without repeated points
+	 */
+	private addLine(points: Point[]): void {
+		if (points.length === 1) {
+			this.points.push(points[0]);
+		} else if (points.length > 1) {
+			this.lines.push(points);
+			for (let i = 0; i < points.length - 1; i++) {
+				this.segments.push(new RelateSegment(this, points[i], points[i + 1], false, false));
+			}
+		}
+	}
+
+	/**
+	 * Add a polygon component, or the line of a collapsed exterior ring
+	 * @param polygon polygon
+	 */
+	private addPolygon(polygon: Polygon): void {
+		const rings: Point[][] = [];
+		for (const ring of polygon.rings) {
+			const points = RelateGeometry.getPoints(ring);
+			if (points.length > 0 && !RelateGeometry.isEqual(points[0], points[points.length - 1])) {
+				points.push(points[0]);
+			}
+			if (points.length >= 4) {
+				rings.push(points);
+			} else if (rings.length === 0) {
+				this.addLine(points.length > 1 ? points.slice(0, points.length - 1) : points);
+				break;
+			}
+		}
+		if (rings.length > 0) {
+			this.polygons.push(rings);
+			rings.forEach((points, index) => {
+				// Interior is left of counter clockwise exterior rings and clockwise holes
+				const interiorLeft = (index === 0) === (RelateGeometry.getSignedArea(points) > 0);
+				for (let i = 0; i < points.length - 1; i++) {
+					this.segments.push(new RelateSegment(this, points[i], points[i + 1], true, interiorLeft));
+				}
+			});
+		}
+	}
+
+	/**
+	 * Get the non empty line string points without repeated points
+	 * @param lineString line string
+	 * @return points
+	 */
+	private static getPoints(lineString: LineString): Point[] {
+		return lineString.points.filter(point => !point.isEmpty())
+			.filter((point, index, points) => index === 0 || !RelateGeometry.isEqual(point, points[index - 1]));
+	}
+
+	/**
+	 * Determine if the point is on the line points
+	 * @param point point
+	 * @param points line points
+	 * @return true if on the line
+	 */
+	private static onPoints(point: Point, points: Point[]): boolean {
+		let onPoints = false;
+		for (let i = 0; i < points.length - 1 && !onPoints; i++) {
+			onPoints = SegmentIntersector.onSegment(points[i], points[i + 1], point);
+		}
+		return onPoints;
+	}
+
+	/**
+	 * Get the signed area of the closed ring points, positive when counter
+	 * clockwise
+	 * @param points ring points
+	 * @return signed area
+	 */
+	private static getSignedArea(points: Point[]): number {
+		let area = 0;
+		for (let i = 0; i < points.length - 1; i++) {
+			area += (points[i].x - points[0].x) * (points[i + 1].y - points[0].y)
+				- (points[i + 1].x - points[0].x) * (points[i].y - points[0].y);
+		}
+		return area / 2;
+	}
+
+	/**
+	 * Determine if the points are equal in x and y
+	 * @param point1 first point
+	 * @param point2 second point
+	 * @return true if equal
+	 */
+	private static isEqual(point1: Point, point2: Point): boolean {
+		return point1.x === point2.x && point1.y === point2.y;
+	}
+
+	/**
+	 * Get the x and y key of the point
+	 * @param point point
+	 * @return point key
+	 */
+	private static getKey(point: Point): string {
+		return point.x + "," + point.y;
+	}
+
+}
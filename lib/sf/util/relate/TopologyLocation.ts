@@ -0,0 +1,21 @@
+/**
+ * Topological location of a point relative to a geometry
+ */
+export enum TopologyLocation {
+
+	/**
+	 * Geometry interior
+	 */
+	INTERIOR,
+
+	/**
+	 * Geometry boundary
+	 */
+	BOUNDARY,
+
+	/**
+	 * Geometry exterior
+	 */
+	EXTERIOR
+
+}
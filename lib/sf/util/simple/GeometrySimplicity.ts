@@ -0,0 +1,211 @@
+import {
+	SFException,
+	GeometryType,
+	Geometry,
+	Point,
+	MultiPoint,
+	Curve,
+	CurveLinearizer,
+	GeometryCollection,
+	PolyhedralSurface,
+	SegmentIntersector,
+	SegmentSweep,
+	SweepSegment
+} from "../../internal";
+
+/**
+ * OGC simplicity tests. Curves are simple when they do not pass through the
+ * same point twice, other than a closed start and end point. Multi curves are
+ * simple when each curve is simple and the curves only touch at their
+ * boundary (non closed end) points. Surfaces are simple when their rings are
+ * simple, multi points when no point repeats, and geometry collections when
+ * each member is simple. Curves are linearized before testing and segment
+ * pairs are found with a {@link SegmentSweep}.
+ */
+export class GeometrySimplicity {
+
+	/**
+	 * Determine if the geometry is simple
+	 * @param geometry geometry
+	 * @return true if simple
+	 */
+	public static isSimple(geometry: Geometry): boolean {
+		let simple: boolean;
+		const geometryType = geometry.geometryType;
+		switch (geometryType) {
+		case GeometryType.POINT:
+			simple = true;
+			break;
+		case GeometryType.MULTIPOINT:
+			simple = GeometrySimplicity.isSimpleMultiPoint(geometry as MultiPoint);
+			break;
+		case GeometryType.LINESTRING:
+		case GeometryType.CIRCULARSTRING:
+		case GeometryType.COMPOUNDCURVE:
+			simple = GeometrySimplicity.isSimpleCurves([geometry as Curve]);
+			break;
+		case GeometryType.MULTILINESTRING:
+		case GeometryType.MULTICURVE:
+			simple = GeometrySimplicity.isSimpleCurves((geometry as GeometryCollection<Curve>).geometries);
+			break;
+		case GeometryType.POLYGON:
+		case GeometryType.TRIANGLE:
+		case GeometryType.CURVEPOLYGON:
+			simple = GeometrySimplicity.isSimpleSurface(geometry);
+			break;
+		case GeometryType.MULTIPOLYGON:
+		case GeometryType.MULTISURFACE:
+			simple = (geometry as GeometryCollection<Geometry>).geometries.every(
+				surface => GeometrySimplicity.isSimpleSurface(surface));
+			break;
+		case GeometryType.POLYHEDRALSURFACE:
+		case GeometryType.TIN:
+			simple = (geometry as PolyhedralSurface).polygons.every(
+				polygon => GeometrySimplicity.isSimpleSurface(polygon));
+			break;
+		case GeometryType.GEOMETRYCOLLECTION:
+			simple = (geometry as GeometryCollection<Geometry>).geometries.every(
+				member => GeometrySimplicity.isSimple(member));
+			break;
+		default:
+			throw new SFException("Geometry Type not supported for simplicity: " + geometryType);
+		}
+		return simple;
+	}
+
+	/**
+	 * Determine if the multi point is simple, having no repeated points
+	 * @param multiPoint multi point
+	 * @return true if simple
+	 */
+	public static isSimpleMultiPoint(multiPoint: MultiPoint): boolean {
+		const coordinates = new Set<string>();
+		let simple = true;
+		for (const point of multiPoint.points) {
+			if (!point.isEmpty()) {
+				const key = point.x + "," + point.y;
+				if (coordinates.has(key)) {
+					simple = false;
+					break;
+				}
+				coordinates.add(key);
+			}
+		}
+		return simple;
+	}
+
+	/**
+	 * Determine if the surface is simple, having simple rings
+	 * @param surface polygon, triangle or curve polygon
+	 * @return true if simple
+	 */
+	public static isSimpleSurface(surface: Geometry): boolean {
+		const polygon = new CurveLinearizer().linearizeSurface(surface);
+		return polygon.rings.every(ring => GeometrySimplicity.isSimpleCurves([ring]));
+	}
+
+	/**
+	 * Determine if the curves are simple, each curve being simple and only
+	 * touching other curves at boundary points
+	 * @param curves curves
+	 * @return true if simple
+	 */
+	public static isSimpleCurves(curves: Curve[]): boolean {
+		const linearizer = new CurveLinearizer();
+		const lines = curves.map(curve => GeometrySimplicity.getLinePoints(linearizer.linearizeCurve(curve).points));
+
+		return SegmentSweep.find(lines,
+			(segment1, segment2) => GeometrySimplicity.getNonSimpleIntersection(lines, segment1, segment2)) == null;
+	}
+
+	/**
+	 * Get the intersection of the two segments if other than where simplicity
+	 * allows
+	 * @param lines line points
+	 * @param segment1 first segment
+	 * @param segment2 second segment
+	 * @return non simple intersection or null
+	 */
+	private static getNonSimpleIntersection(lines: Point[][], segment1: SweepSegment, segment2: SweepSegment): Point {
+		let nonSimple: boolean;
+		const intersection = SegmentIntersector.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+		if (intersection == null) {
+			nonSimple = false;
+		} else if (segment1.line === segment2.line) {
+			if (GeometrySimplicity.isAdjacent(lines[segment1.line], segment1, segment2)) {
+				// Adjacent segments share a point, intersecting elsewhere only when folding back
+				nonSimple = SegmentIntersector.overlaps(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+			} else {
+				nonSimple = true;
+			}
+		} else {
+			nonSimple = SegmentIntersector.overlaps(segment1.point1, segment1.point2, segment2.point1, segment2.point2)
+				|| !(GeometrySimplicity.isBoundary(lines[segment1.line], intersection)
+					&& GeometrySimplicity.isBoundary(lines[segment2.line], intersection));
+		}
+		return nonSimple ? intersection : null;
+	}
+
+	/**
+	 * Determine if two segments of the same line are adjacent, sharing a
+	 * point in the line or the closing point of a closed line
+	 * @param points line points
+	 * @param segment1 first segment
+	 * @param segment2 second segment
+	 * @return true if adjacent
+	 */
+	public static isAdjacent(points: Point[], segment1: SweepSegment, segment2: SweepSegment): boolean {
+		const first = Math.min(segment1.index, segment2.index);
+		const second = Math.max(segment1.index, segment2.index);
+		return second === first + 1
+			|| (first === 0 && second === points.length - 2 && GeometrySimplicity.isClosed(points));
+	}
+
+	/**
+	 * Get the line points without empty and consecutive repeated points
+	 * @param points points
+	 * @return line points
+	 */
+	public static getLinePoints(points: Point[]): Point[] {
+		const linePoints: Point[] = [];
+		for (const point of points) {
+			if (!point.isEmpty() && (linePoints.length === 0
+				|| !GeometrySimplicity.equals2D(linePoints[linePoints.length - 1], point))) {
+				linePoints.push(point);
+			}
+		}
+		return linePoints;
+	}
+
+	/**
+	 * Determine if the line points are closed
+	 * @param points line points
+	 * @return true if closed
+	 */
+	public static isClosed(points: Point[]): boolean {
+		return points.length > 2 && GeometrySimplicity.equals2D(points[0], points[points.length - 1]);
+	}
+
+	/**
+	 * Determine if the point is a boundary point of the line, a start or end
+	 * point of a non closed line
+	 * @param points line points
+	 * @param point point
+	 * @return true if a boundary point
+	 */
+	private static isBoundary(points: Point[], point: Point): boolean {
+		return !GeometrySimplicity.isClosed(points) && (GeometrySimplicity.equals2D(points[0], point)
+			|| GeometrySimplicity.equals2D(points[points.length - 1], point));
+	}
+
+	/**
+	 * Determine if the points have equal x and y coordinates
+	 * @param point1 point 1
+	 * @param point2 point 2
+	 * @return true if equal
+	 */
+	private static equals2D(point1: Point, point2: Point): boolean {
+		return point1.x === point2.x && point1.y === point2.y;
+	}
+
+}
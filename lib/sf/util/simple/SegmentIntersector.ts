@@ -0,0 +1,136 @@
+import { Point, GeometryUtils } from "../../internal";
+
+/**
+ * Line segment intersection tests from the orientation of the segment end
+ * points
+ */
+export class SegmentIntersector {
+
+	/**
+	 * Get the orientation of the third point relative to the directed line of
+	 * the first two points
+	 * @param point1 line start point
+	 * @param point2 line end point
+	 * @param point point
+	 * @return 1 if counter clockwise (left), -1 if clockwise (right), 0 if
+	 *         collinear
+	 */
+	public static orientation(point1: Point, point2: Point, point: Point): number {
+		const cross = (point2.x - point1.x) * (point.y - point1.y) - (point2.y - point1.y) * (point.x - point1.x);
+		return Math.sign(cross);
+	}
+
+	/**
+	 * Determine if a point collinear with the segment is within the segment
+	 * bounds
+	 * @param point1 segment start point
+	 * @param point2 segment end point
+	 * @param point collinear point
+	 * @return true if on the segment
+	 */
+	public static withinSegment(point1: Point, point2: Point, point: Point): boolean {
+		return point.x >= Math.min(point1.x, point2.x) && point.x <= Math.max(point1.x, point2.x)
+			&& point.y >= Math.min(point1.y, point2.y) && point.y <= Math.max(point1.y, point2.y);
+	}
+
+	/**
+	 * Determine if a point is on the segment
+	 * @param point1 segment start point
+	 * @param point2 segment end point
+	 * @param point point
+	 * @return true if on the segment
+	 */
+	public static onSegment(point1: Point, point2: Point, point: Point): boolean {
+		return SegmentIntersector.orientation(point1, point2, point) === 0
+			&& SegmentIntersector.withinSegment(point1, point2, point);
+	}
+
+	/**
+	 * Determine if two segments intersect, including touching end points
+	 * @param line1Point1 first point of the first segment
+	 * @param line1Point2 second point of the first segment
+	 * @param line2Point1 first point of the second segment
+	 * @param line2Point2 second point of the second segment
+	 * @return true if the segments intersect
+	 */
+	public static intersects(line1Point1: Point, line1Point2: Point, line2Point1: Point, line2Point2: Point): boolean {
+		const orientation1 = SegmentIntersector.orientation(line1Point1, line1Point2, line2Point1);
+		const orientation2 = SegmentIntersector.orientation(line1Point1, line1Point2, line2Point2);
+		const orientation3 = SegmentIntersector.orientation(line2Point1, line2Point2, line1Point1);
+		const orientation4 = SegmentIntersector.orientation(line2Point1, line2Point2, line1Point2);
+
+		// Crossing, or an end point of one segment collinear with and within the other
+		return (orientation1 !== orientation2 && orientation3 !== orientation4)
+			|| (orientation1 === 0 && SegmentIntersector.withinSegment(line1Point1, line1Point2, line2Point1))
+			|| (orientation2 === 0 && SegmentIntersector.withinSegment(line1Point1, line1Point2, line2Point2))
+			|| (orientation3 === 0 && SegmentIntersector.withinSegment(line2Point1, line2Point2, line1Point1))
+			|| (orientation4 === 0 && SegmentIntersector.withinSegment(line2Point1, line2Point2, line1Point2));
+	}
+
+	/**
+	 * Determine if two segments properly cross, intersecting at a single
+	 * point interior to both segments
+	 * @param line1Point1 first point of the first segment
+	 * @param line1Point2 second point of the first segment
+	 * @param line2Point1 first point of the second segment
+	 * @param line2Point2 second point of the second segment
+	 * @return true if the segments cross
+	 */
+	public static crosses(line1Point1: Point, line1Point2: Point, line2Point1: Point, line2Point2: Point): boolean {
+		const orientation1 = SegmentIntersector.orientation(line1Point1, line1Point2, line2Point1);
+		const orientation2 = SegmentIntersector.orientation(line1Point1, line1Point2, line2Point2);
+		const orientation3 = SegmentIntersector.orientation(line2Point1, line2Point2, line1Point1);
+		const orientation4 = SegmentIntersector.orientation(line2Point1, line2Point2, line1Point2);
+		return orientation1 * orientation2 < 0 && orientation3 * orientation4 < 0;
+	}
+
+	/**
+	 * Determine if two segments are collinear and overlap in more than a
+	 * single point
+	 * @param line1Point1 first point of the first segment
+	 * @param line1Point2 second point of the first segment
+	 * @param line2Point1 first point of the second segment
+	 * @param line2Point2 second point of the second segment
+	 * @return true if the segments overlap
+	 */
+	public static overlaps(line1Point1: Point, line1Point2: Point, line2Point1: Point, line2Point2: Point): boolean {
+		let overlaps = false;
+		if (SegmentIntersector.orientation(line1Point1, line1Point2, line2Point1) === 0
+			&& SegmentIntersector.orientation(line1Point1, line1Point2, line2Point2) === 0) {
+			// Project onto the dominant axis of the first segment
+			const xAxis = Math.abs(line1Point2.x - line1Point1.x) >= Math.abs(line1Point2.y - line1Point1.y);
+			const value = (point: Point): number => xAxis ? point.x : point.y;
+			const min = Math.max(Math.min(value(line1Point1), value(line1Point2)), Math.min(value(line2Point1), value(line2Point2)));
+			const max = Math.min(Math.max(value(line1Point1), value(line1Point2)), Math.max(value(line2Point1), value(line2Point2)));
+			overlaps = min < max;
+		}
+		return overlaps;
+	}
+
+	/**
+	 * Get an intersection point of two segments. A crossing is calculated
+	 * with {@link GeometryUtils#intersection}, otherwise a touching end point
+	 * is returned.
+	 * @param line1Point1 first point of the first segment
+	 * @param line1Point2 second point of the first segment
+	 * @param line2Point1 first point of the second segment
+	 * @param line2Point2 second point of the second segment
+	 * @return intersection point or null if no intersection
+	 */
+	public static intersection(line1Point1: Point, line1Point2: Point, line2Point1: Point, line2Point2: Point): Point {
+		let intersection: Point = null;
+		if (SegmentIntersector.onSegment(line2Point1, line2Point2, line1Point1)) {
+			intersection = line1Point1;
+		} else if (SegmentIntersector.onSegment(line2Point1, line2Point2, line1Point2)) {
+			intersection = line1Point2;
+		} else if (SegmentIntersector.onSegment(line1Point1, line1Point2, line2Point1)) {
+			intersection = line2Point1;
+		} else if (SegmentIntersector.onSegment(line1Point1, line1Point2, line2Point2)) {
+			intersection = line2Point2;
+		} else if (SegmentIntersector.intersects(line1Point1, line1Point2, line2Point1, line2Point2)) {
+			intersection = GeometryUtils.intersection(line1Point1, line1Point2, line2Point1, line2Point2);
+		}
+		return intersection;
+	}
+
+}
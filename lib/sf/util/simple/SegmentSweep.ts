@@ -0,0 +1,232 @@
+import { Point } from "../../internal";
+
+/**
+ * Line segment of a swept line with its bounds
+ */
+export class SweepSegment {
+
+	/**
+	 * Segment start point
+	 */
+	readonly point1: Point;
+
+	/**
+	 * Segment end point
+	 */
+	readonly point2: Point;
+
+	/**
+	 * Index of the line containing the segment
+	 */
+	readonly line: number;
+
+	/**
+	 * Index of the segment within the line
+	 */
+	readonly index: number;
+
+	readonly minX: number;
+	readonly maxX: number;
+	readonly minY: number;
+	readonly maxY: number;
+
+	/**
+	 * Constructor
+	 * @param point1 segment start point
+	 * @param point2 segment end point
+	 * @param line line index
+	 * @param index segment index within the line
+	 */
+	constructor(point1: Point, point2: Point, line: number, index: number) {
+		this.point1 = point1;
+		this.point2 = point2;
+		this.line = line;
+		this.index = index;
+		this.minX = Math.min(point1.x, point2.x);
+		this.maxX = Math.max(point1.x, point2.x);
+		this.minY = Math.min(point1.y, point2.y);
+		this.maxY = Math.max(point1.y, point2.y);
+	}
+
+}
+
+/**
+ * Node of a packed R-tree of segment bounds
+ */
+class SweepNode {
+
+	minX = Number.MAX_VALUE;
+	maxX = -Number.MAX_VALUE;
+	minY = Number.MAX_VALUE;
+	maxY = -Number.MAX_VALUE;
+
+	/**
+	 * Child nodes of a branch node
+	 */
+	readonly children: SweepNode[] = [];
+
+	/**
+	 * Segment indices of a leaf node
+	 */
+	readonly segments: number[] = [];
+
+	/**
+	 * Expand the node bounds to include the bounds
+	 * @param bounds segment or node bounds
+	 */
+	expand(bounds: SweepSegment | SweepNode): void {
+		this.minX = Math.min(this.minX, bounds.minX);
+		this.maxX = Math.max(this.maxX, bounds.maxX);
+		this.minY = Math.min(this.minY, bounds.minY);
+		this.maxY = Math.max(this.maxY, bounds.maxY);
+	}
+
+}
+
+/**
+ * Sweep line search over the segments of one or more lines. Segments are
+ * ordered by minimum x and only pairs with overlapping bounds are tested,
+ * found with a sort tile recursive packed R-tree of the segment bounds so
+ * that segments with overlapping x ranges and disjoint y ranges are never
+ * visited.
+ */
+export class SegmentSweep {
+
+	/**
+	 * Maximum number of entries in an R-tree node
+	 */
+	private static readonly NODE_CAPACITY = 16;
+
+	/**
+	 * Find the location of the first segment pair accepted by the test
+	 * @param lines line points
+	 * @param test segment pair test returning a location or null
+	 * @return location or null
+	 */
+	public static find(lines: Point[][], test: (segment1: SweepSegment, segment2: SweepSegment) => Point): Point {
+		const locations = SegmentSweep.search(lines, test, false);
+		return locations.length > 0 ? locations[0] : null;
+	}
+
+	/**
+	 * Find the locations of all segment pairs accepted by the test
+	 * @param lines line points
+	 * @param test segment pair test returning a location or null
+	 * @return locations
+	 */
+	public static findAll(lines: Point[][], test: (segment1: SweepSegment, segment2: SweepSegment) => Point): Point[] {
+		return SegmentSweep.search(lines, test, true);
+	}
+
+	/**
+	 * Search the segment pairs
+	 * @param lines line points
+	 * @param test segment pair test returning a location or null
+	 * @param all true to find all locations, false to stop at the first
+	 * @return locations
+	 */
+	private static search(lines: Point[][], test: (segment1: SweepSegment, segment2: SweepSegment) => Point,
+		all: boolean): Point[] {
+		const segments: SweepSegment[] = [];
+		lines.forEach((points, line) => {
+			for (let i = 0; i < points.length - 1; i++) {
+				segments.push(new SweepSegment(points[i], points[i + 1], line, i));
+			}
+		});
+		segments.sort((segment1, segment2) => segment1.minX - segment2.minX);
+
+		const root = SegmentSweep.buildTree(segments);
+
+		const locations: Point[] = [];
+		for (let i = 0; i < segments.length && (all || locations.length === 0); i++) {
+			const segment1 = segments[i];
+			for (const j of SegmentSweep.query(root, segments, i)) {
+				const location = test(segment1, segments[j]);
+				if (location != null) {
+					locations.push(location);
+					if (!all) {
+						break;
+					}
+				}
+			}
+		}
+		return locations;
+	}
+
+	/**
+	 * Build a sort tile recursive packed R-tree of the segments
+	 * @param segments segments
+	 * @return root node
+	 */
+	private static buildTree(segments: SweepSegment[]): SweepNode {
+		let nodes = SegmentSweep.pack(segments.map((_, index) => index), index => segments[index],
+			(node, index) => node.segments.push(index));
+		while (nodes.length > 1) {
+			nodes = SegmentSweep.pack(nodes, node => node, (node, child) => node.children.push(child));
+		}
+		return nodes.length > 0 ? nodes[0] : new SweepNode();
+	}
+
+	/**
+	 * Pack entries into nodes, sorting into vertical slices by x center and
+	 * then into nodes by y center within each slice
+	 * @param entries segment indices or nodes
+	 * @param bounds get the bounds of an entry
+	 * @param add add an entry to a node
+	 * @return nodes
+	 */
+	private static pack<T>(entries: T[], bounds: (entry: T) => SweepSegment | SweepNode,
+		add: (node: SweepNode, entry: T) => void): SweepNode[] {
+		const capacity = SegmentSweep.NODE_CAPACITY;
+		const sliceSize = capacity * Math.ceil(Math.sqrt(Math.ceil(entries.length / capacity)));
+		const centerX = (entry: T): number => bounds(entry).minX + bounds(entry).maxX;
+		const centerY = (entry: T): number => bounds(entry).minY + bounds(entry).maxY;
+
+		const nodes: SweepNode[] = [];
+		const sorted = [...entries].sort((entry1, entry2) => centerX(entry1) - centerX(entry2));
+		for (let i = 0; i < sorted.length; i += sliceSize) {
+			const slice = sorted.slice(i, i + sliceSize).sort((entry1, entry2) => centerY(entry1) - centerY(entry2));
+			for (let j = 0; j < slice.length; j += capacity) {
+				const node = new SweepNode();
+				for (const entry of slice.slice(j, j + capacity)) {
+					add(node, entry);
+					node.expand(bounds(entry));
+				}
+				nodes.push(node);
+			}
+		}
+		return nodes;
+	}
+
+	/**
+	 * Query the R-tree for the segments after the segment with overlapping
+	 * bounds
+	 * @param root root node
+	 * @param segments segments ordered by minimum x
+	 * @param index segment index
+	 * @return ordered segment indices
+	 */
+	private static query(root: SweepNode, segments: SweepSegment[], index: number): number[] {
+		const segment = segments[index];
+		const overlaps = (bounds: SweepSegment | SweepNode): boolean => bounds.minX <= segment.maxX
+			&& bounds.maxX >= segment.minX && bounds.minY <= segment.maxY && bounds.maxY >= segment.minY;
+
+		const indices: number[] = [];
+		const stack = [root];
+		while (stack.length > 0) {
+			const node = stack.pop();
+			if (overlaps(node)) {
+				for (const child of node.children) {
+					stack.push(child);
+				}
+				for (const other of node.segments) {
+					if (other > index && overlaps(segments[other])) {
+						indices.push(other);
+					}
+				}
+			}
+		}
+		return indices.sort((index1, index2) => index1 - index2);
+	}
+
+}
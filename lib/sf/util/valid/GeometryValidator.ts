@@ -0,0 +1,413 @@
+import {
+	SFException,
+	GeometryType,
+	Geometry,
+	Point,
+	LineString,
+	Polygon,
+	MultiPolygon,
+	PolyhedralSurface,
+	GeometryUtils,
+	GeometrySimplicity,
+	SegmentIntersector,
+	SegmentSweep,
+	SweepSegment,
+	ValidationIssue,
+	ValidationReason
+} from "../../internal";
+
+/**
+ * Point where a polygon ring touches another ring of the same polygon
+ */
+class RingTouch {
+
+	readonly line: number;
+	readonly member: number;
+	readonly point: Point;
+	readonly node: string;
+
+	constructor(line: number, member: number, point: Point) {
+		this.line = line;
+		this.member = member;
+		this.point = point;
+		this.node = member + ":" + point.x + "," + point.y;
+	}
+
+}
+
+/**
+ * OGC validity checks of polygonal geometries. Rings must have finite
+ * coordinates, at least three distinct points and be closed. Rings may not
+ * cross or touch themselves, and rings of a polygon may only touch at points
+ * that leave the interior connected. Holes must be within the exterior ring
+ * and not within other holes, and multi polygon members may only touch at
+ * points without nesting. Polyhedral surface patches with z values are not
+ * planar in x and y, and are only checked for their ring structure.
+ */
+export class GeometryValidator {
+
+	/**
+	 * Determine if the geometry is valid
+	 * @param geometry polygon, triangle, multi polygon, polyhedral surface or
+	 *            TIN
+	 * @return true if valid
+	 */
+	public static isValid(geometry: Geometry): boolean {
+		return GeometryValidator.validate(geometry).length === 0;
+	}
+
+	/**
+	 * Validate the geometry
+	 * @param geometry polygon, triangle, multi polygon, polyhedral surface or
+	 *            TIN
+	 * @return validation issues, empty when valid
+	 */
+	public static validate(geometry: Geometry): ValidationIssue[] {
+		const issues: ValidationIssue[] = [];
+		const geometryType = geometry.geometryType;
+		switch (geometryType) {
+		case GeometryType.POLYGON:
+		case GeometryType.TRIANGLE:
+			GeometryValidator.validatePolygons([geometry as Polygon], issues);
+			break;
+		case GeometryType.MULTIPOLYGON:
+			GeometryValidator.validatePolygons((geometry as MultiPolygon).polygons, issues);
+			break;
+		case GeometryType.POLYHEDRALSURFACE:
+		case GeometryType.TIN:
+			for (const polygon of (geometry as PolyhedralSurface).polygons) {
+				if (polygon.hasZ) {
+					GeometryValidator.validateRings(polygon, false, issues);
+				} else {
+					GeometryValidator.validatePolygons([polygon], issues);
+				}
+			}
+			break;
+		default:
+			throw new SFException("Geometry Type not supported for validation: " + geometryType);
+		}
+		return issues;
+	}
+
+	/**
+	 * Validate the polygons as members of a multi polygon
+	 * @param polygons polygons
+	 * @param issues validation issues
+	 */
+	private static validatePolygons(polygons: Polygon[], issues: ValidationIssue[]): void {
+		const lines: Point[][] = [];
+		const lineMembers: number[] = [];
+		const polygonRings = polygons.map((polygon, member) => {
+			const rings = GeometryValidator.validateRings(polygon, true, issues);
+			for (const ring of rings) {
+				if (ring != null) {
+					lines.push(ring);
+					lineMembers.push(member);
+				}
+			}
+			return rings;
+		});
+
+		// Report each reason and location once, as when several segments touch at a vertex
+		const reported = new Set<string>();
+		const touches = new Map<string, RingTouch>();
+		const intersectingMembers = new Set<number>();
+		SegmentSweep.findAll(lines, (segment1, segment2) => {
+			const issue = GeometryValidator.getIntersectionIssue(lines, lineMembers, segment1, segment2);
+			if (issue != null) {
+				if (issue.reason !== ValidationReason.OVERLAPPING_POLYGONS) {
+					intersectingMembers.add(lineMembers[segment1.line]);
+				}
+				const key = issue.reason + "," + issue.location.x + "," + issue.location.y;
+				if (!reported.has(key)) {
+					reported.add(key);
+					issues.push(issue);
+				}
+			} else {
+				GeometryValidator.addTouches(lineMembers, segment1, segment2, touches);
+			}
+			return issue != null ? issue.location : null;
+		});
+
+		for (const rings of polygonRings) {
+			GeometryValidator.validateHoles(rings, issues);
+		}
+		GeometryValidator.validateConnectedInteriors(touches, intersectingMembers, issues);
+		GeometryValidator.validateNesting(polygonRings, issues);
+	}
+
+	/**
+	 * Validate the ring structure of the polygon
+	 * @param polygon polygon
+	 * @param planar true to treat points repeated in x and y as repeated,
+	 *            false to also compare z values
+	 * @param issues validation issues
+	 * @return closed ring points without repeated points, null for rings
+	 *         with issues
+	 */
+	private static validateRings(polygon: Polygon, planar: boolean, issues: ValidationIssue[]): Point[][] {
+		const rings = polygon.rings.map(ring => GeometryValidator.validateRing(ring, planar, issues));
+
+		if (polygon.geometryType === GeometryType.TRIANGLE) {
+			if (polygon.numRings() > 1) {
+				issues.push(new ValidationIssue(ValidationReason.INVALID_TRIANGLE,
+					GeometryValidator.getLocation(polygon.rings[1].points)));
+			} else if (rings.length > 0 && rings[0] != null && rings[0].length !== 4) {
+				issues.push(new ValidationIssue(ValidationReason.INVALID_TRIANGLE, rings[0][0]));
+			}
+		}
+
+		return rings;
+	}
+
+	/**
+	 * Validate the ring structure
+	 * @param ring ring
+	 * @param planar true to treat points repeated in x and y as repeated,
+	 *            false to also compare z values
+	 * @param issues validation issues
+	 * @return closed ring points without repeated points, null if the ring
+	 *         has issues
+	 */
+	private static validateRing(ring: LineString, planar: boolean, issues: ValidationIssue[]): Point[] {
+		let points: Point[] = null;
+		const invalid = ring.points.find(point => !Number.isFinite(point.x) || !Number.isFinite(point.y));
+		if (invalid !== undefined) {
+			issues.push(new ValidationIssue(ValidationReason.INVALID_COORDINATE, invalid));
+		} else {
+			const linePoints = planar ? GeometrySimplicity.getLinePoints(ring.points)
+				: ring.points.filter((point, index, points) => index === 0 || point.x !== points[index - 1].x
+					|| point.y !== points[index - 1].y || point.z !== points[index - 1].z);
+			const closed = GeometryUtils.closedPolygonRing(ring)
+				&& (!ring.hasZ || ring.startPoint().z === ring.endPoint().z);
+			const distinct = closed ? linePoints.length - 1 : linePoints.length;
+			if (distinct < 3) {
+				issues.push(new ValidationIssue(ValidationReason.TOO_FEW_POINTS, GeometryValidator.getLocation(linePoints)));
+			} else if (!closed) {
+				issues.push(new ValidationIssue(ValidationReason.UNCLOSED_RING, ring.endPoint()));
+			} else {
+				points = linePoints;
+			}
+		}
+		return points;
+	}
+
+	/**
+	 * Get the issue of two intersecting ring segments
+	 * @param lines ring points
+	 * @param lineMembers multi polygon member index of each ring
+	 * @param segment1 first segment
+	 * @param segment2 second segment
+	 * @return validation issue or null
+	 */
+	private static getIntersectionIssue(lines: Point[][], lineMembers: number[],
+		segment1: SweepSegment, segment2: SweepSegment): ValidationIssue {
+		let issue: ValidationIssue = null;
+		if (segment1.line === segment2.line) {
+			const points = lines[segment1.line];
+			if (GeometrySimplicity.isAdjacent(points, segment1, segment2)) {
+				if (SegmentIntersector.overlaps(segment1.point1, segment1.point2, segment2.point1, segment2.point2)) {
+					const index = Math.max(segment1.index, segment2.index);
+					const vertex = index === Math.min(segment1.index, segment2.index) + 1 ? points[index] : points[0];
+					issue = new ValidationIssue(ValidationReason.SPIKE, vertex);
+				}
+			} else {
+				const intersection = SegmentIntersector.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+				if (intersection != null) {
+					issue = new ValidationIssue(ValidationReason.SELF_INTERSECTION, intersection);
+				}
+			}
+		} else {
+			let intersection: Point = null;
+			if (SegmentIntersector.overlaps(segment1.point1, segment1.point2, segment2.point1, segment2.point2)) {
+				intersection = SegmentIntersector.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+			} else if (SegmentIntersector.crosses(segment1.point1, segment1.point2, segment2.point1, segment2.point2)) {
+				intersection = GeometryUtils.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+			}
+			if (intersection != null) {
+				const reason = lineMembers[segment1.line] === lineMembers[segment2.line]
+					? ValidationReason.RING_INTERSECTION : ValidationReason.OVERLAPPING_POLYGONS;
+				issue = new ValidationIssue(reason, intersection);
+			}
+		}
+		return issue;
+	}
+
+	/**
+	 * Add the touch point of two segments of different rings of the same
+	 * multi polygon member
+	 * @param lineMembers multi polygon member index of each ring
+	 * @param segment1 first segment
+	 * @param segment2 second segment
+	 * @param touches ring touches by ring and touch point
+	 */
+	private static addTouches(lineMembers: number[], segment1: SweepSegment, segment2: SweepSegment,
+		touches: Map<string, RingTouch>): void {
+		const member = lineMembers[segment1.line];
+		if (segment1.line !== segment2.line && member === lineMembers[segment2.line]) {
+			const point = SegmentIntersector.intersection(segment1.point1, segment1.point2, segment2.point1, segment2.point2);
+			if (point != null) {
+				for (const line of [segment1.line, segment2.line]) {
+					const touch = new RingTouch(line, member, point);
+					const key = line + "@" + touch.node;
+					if (!touches.has(key)) {
+						touches.set(key, touch);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Validate the polygon interiors are connected. Rings and their touch
+	 * points form a graph, in which a cycle encloses part of the interior,
+	 * as with a hole touching the exterior ring at two points. Members with
+	 * intersecting rings are already invalid and not checked.
+	 * @param touches ring touches by ring and touch point
+	 * @param intersectingMembers multi polygon members with intersecting rings
+	 * @param issues validation issues
+	 */
+	private static validateConnectedInteriors(touches: Map<string, RingTouch>, intersectingMembers: Set<number>,
+		issues: ValidationIssue[]): void {
+		const parents = new Map<string, string>();
+		for (const touch of touches.values()) {
+			if (!intersectingMembers.has(touch.member)) {
+				const ringRoot = GeometryValidator.getRoot(parents, String(touch.line));
+				const pointRoot = GeometryValidator.getRoot(parents, touch.node);
+				if (ringRoot === pointRoot) {
+					issues.push(new ValidationIssue(ValidationReason.DISCONNECTED_INTERIOR, touch.point));
+				} else {
+					parents.set(ringRoot, pointRoot);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Get the root node of the connected graph nodes containing the node
+	 * @param parents parent node of each joined node
+	 * @param node node
+	 * @return root node
+	 */
+	private static getRoot(parents: Map<string, string>, node: string): string {
+		let root = node;
+		while (parents.has(root)) {
+			root = parents.get(root);
+		}
+		return root;
+	}
+
+	/**
+	 * Validate the polygon holes are within the exterior ring and not within
+	 * other holes
+	 * @param rings ring points, null for rings with issues
+	 * @param issues validation issues
+	 */
+	private static validateHoles(rings: Point[][], issues: ValidationIssue[]): void {
+		const shell = rings.length > 0 ? rings[0] : null;
+		for (let i = 1; i < rings.length; i++) {
+			const hole = rings[i];
+			if (hole != null) {
+				const outside = shell != null ? GeometryValidator.getVertex(hole, shell, false) : null;
+				if (outside != null) {
+					issues.push(new ValidationIssue(ValidationReason.HOLE_OUTSIDE_SHELL, outside));
+				}
+				for (let j = 1; j < rings.length; j++) {
+					if (j !== i && rings[j] != null) {
+						const nested = GeometryValidator.getNestedVertex(hole, rings[j]);
+						if (nested != null) {
+							issues.push(new ValidationIssue(ValidationReason.NESTED_HOLES, nested));
+						}
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Validate multi polygon members are not within other members, other than
+	 * within their holes
+	 * @param polygonRings ring points of each member, null for rings with
+	 *            issues
+	 * @param issues validation issues
+	 */
+	private static validateNesting(polygonRings: Point[][][], issues: ValidationIssue[]): void {
+		for (let i = 0; i < polygonRings.length; i++) {
+			const shell = polygonRings[i].length > 0 ? polygonRings[i][0] : null;
+			if (shell != null) {
+				for (let j = 0; j < polygonRings.length; j++) {
+					const container = polygonRings[j];
+					if (j !== i && container.length > 0 && container[0] != null) {
+						const nested = GeometryValidator.getNestedVertex(shell, container[0]);
+						if (nested != null && !container.slice(1).some(
+							hole => hole != null && GeometryUtils.pointInPolygonRingPoints(nested, hole))) {
+							issues.push(new ValidationIssue(ValidationReason.NESTED_POLYGONS, nested));
+						}
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Get a vertex of the ring within the container ring when every vertex
+	 * is within or on the container
+	 * @param ring ring points
+	 * @param container container ring points
+	 * @return interior vertex or null if not nested
+	 */
+	private static getNestedVertex(ring: Point[], container: Point[]): Point {
+		let vertex: Point = null;
+		if (GeometryValidator.getVertex(ring, container, false) == null) {
+			vertex = GeometryValidator.getVertex(ring, container, true);
+		}
+		return vertex;
+	}
+
+	/**
+	 * Get the first vertex of the ring not on the container ring boundary that
+	 * is inside or outside the container
+	 * @param ring ring points
+	 * @param container container ring points
+	 * @param inside true for an inside vertex, false for outside
+	 * @return vertex or null
+	 */
+	private static getVertex(ring: Point[], container: Point[], inside: boolean): Point {
+		let vertex: Point = null;
+		for (const point of ring) {
+			if (!GeometryValidator.onBoundary(point, container)
+				&& GeometryUtils.pointInPolygonRingPoints(point, container) === inside) {
+				vertex = point;
+				break;
+			}
+		}
+		return vertex;
+	}
+
+	/**
+	 * Determine if the point is on the ring boundary
+	 * @param point point
+	 * @param ring ring points
+	 * @return true if on the boundary
+	 */
+	private static onBoundary(point: Point, ring: Point[]): boolean {
+		let onBoundary = false;
+		for (let i = 0; i < ring.length - 1; i++) {
+			if (SegmentIntersector.onSegment(ring[i], ring[i + 1], point)) {
+				onBoundary = true;
+				break;
+			}
+		}
+		return onBoundary;
+	}
+
+	/**
+	 * Get the issue location for ring points
+	 * @param points ring points
+	 * @return first point, or an empty point if no points
+	 */
+	private static getLocation(points: Point[]): Point {
+		return points.length > 0 ? points[0] : Point.createEmpty();
+	}
+
+}
@@ -0,0 +1,44 @@
+import { Point, ValidationReason } from "../../internal";
+
+/**
+ * Geometry validation issue with the reason and location
+ */
+export class ValidationIssue {
+
+	/**
+	 * Reason the geometry is not valid
+	 */
+	private readonly _reason: ValidationReason;
+
+	/**
+	 * Location of the issue
+	 */
+	private readonly _location: Point;
+
+	/**
+	 * Constructor
+	 * @param reason validation reason
+	 * @param location location of the issue
+	 */
+	public constructor(reason: ValidationReason, location: Point) {
+		this._reason = reason;
+		this._location = location;
+	}
+
+	/**
+	 * Get the validation reason
+	 * @return validation reason
+	 */
+	public get reason(): ValidationReason {
+		return this._reason;
+	}
+
+	/**
+	 * Get the location of the issue
+	 * @return location
+	 */
+	public get location(): Point {
+		return this._location;
+	}
+
+}
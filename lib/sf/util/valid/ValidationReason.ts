@@ -0,0 +1,66 @@
+/**
+ * Reason a geometry is not valid
+ */
+export enum ValidationReason {
+
+	/**
+	 * Coordinate that is not a finite number
+	 */
+	INVALID_COORDINATE,
+
+	/**
+	 * Ring with fewer than three distinct points
+	 */
+	TOO_FEW_POINTS,
+
+	/**
+	 * Ring with a last point not equal to the first point
+	 */
+	UNCLOSED_RING,
+
+	/**
+	 * Ring that doubles back on itself at a point
+	 */
+	SPIKE,
+
+	/**
+	 * Ring that crosses or touches itself
+	 */
+	SELF_INTERSECTION,
+
+	/**
+	 * Rings of a polygon that cross or overlap
+	 */
+	RING_INTERSECTION,
+
+	/**
+	 * Polygon hole outside of the exterior ring
+	 */
+	HOLE_OUTSIDE_SHELL,
+
+	/**
+	 * Polygon hole inside of another hole
+	 */
+	NESTED_HOLES,
+
+	/**
+	 * Polygon with an interior split into parts by rings touching at points
+	 */
+	DISCONNECTED_INTERIOR,
+
+	/**
+	 * Multi polygon members with crossing or overlapping boundaries
+	 */
+	OVERLAPPING_POLYGONS,
+
+	/**
+	 * Multi polygon member inside of another member
+	 */
+	NESTED_POLYGONS,
+
+	/**
+	 * Triangle with holes or other than three distinct points
+	 */
+	INVALID_TRIANGLE
+
+}
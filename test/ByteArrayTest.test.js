@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { ByteReader } from '../lib/ByteReader';
+import { ByteWriter } from '../lib/ByteWriter';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { GeoPackageGeometryData } from '../lib/GeoPackageGeometryData';
+import { TWKBGeometryReader } from '../lib/TWKBGeometryReader';
+import { TWKBGeometryWriter } from '../lib/TWKBGeometryWriter';
+import { Point } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Create a random geometry of a random type
+ * @return geometry
+ */
+function createGeometry() {
+  const hasZ = global.coinFlip();
+  const hasM = global.coinFlip();
+  switch (Math.floor(Math.random() * 7)) {
+    case 0:
+      return global.createPoint(hasZ, hasM);
+    case 1:
+      return global.createLineString(hasZ, hasM);
+    case 2:
+      return global.createPolygon(hasZ, hasM);
+    case 3:
+      return global.createMultiPoint(hasZ, hasM);
+    case 4:
+      return global.createMultiLineString(hasZ, hasM);
+    case 5:
+      return global.createMultiPolygon(hasZ, hasM);
+    default:
+      return global.createGeometryCollection(hasZ, hasM);
+  }
+}
+
+describe('Byte Array Tests', function () {
+
+  it('test Buffer callers', function () {
+    const bytes = GeometryWriter.writeGeometry(new Point(1.0, 2.0));
+    expect(Buffer.isBuffer(bytes)).toBe(true);
+    expect(bytes.toString('hex')).toEqual('00000000013ff00000000000004000000000000000');
+    expect(GeometryReader.readGeometry(Buffer.from(bytes)).equals(new Point(1.0, 2.0))).toBe(true);
+  });
+
+  it('test byte reader and writer', function () {
+    for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+      const writer = new ByteWriter(1, byteOrder, true);
+      writer.writeUInt8(255);
+      writer.writeInt8(-2);
+      writer.writeUInt16(65534);
+      writer.writeInt16(-3);
+      writer.writeUInt32(4294967294);
+      writer.writeInt32(-4);
+      writer.writeFloat(1.5);
+      writer.writeDouble(-2.25);
+      const arrayBuffer = writer.getArrayBuffer();
+      expect(arrayBuffer).toBeInstanceOf(ArrayBuffer);
+      expect(arrayBuffer.byteLength).toEqual(26);
+
+      // Read from a view offset into a larger array buffer
+      const bytes = new Uint8Array(arrayBuffer.byteLength + 3);
+      bytes.set(new Uint8Array(arrayBuffer), 3);
+      for (const input of [arrayBuffer, bytes.subarray(3)]) {
+        const reader = new ByteReader(input, byteOrder);
+        expect(reader.readUInt8()).toEqual(255);
+        expect(reader.readInt8()).toEqual(-2);
+        expect(reader.readUInt16()).toEqual(65534);
+        expect(reader.readInt16()).toEqual(-3);
+        expect(reader.readUInt32()).toEqual(4294967294);
+        expect(reader.readInt32()).toEqual(-4);
+        expect(reader.readFloat()).toEqual(1.5);
+        expect(reader.readDouble()).toEqual(-2.25);
+        expect(() => reader.readByte()).toThrow(RangeError);
+      }
+    }
+
+    expect(() => new ByteWriter(1).writeInt(1)).toThrow(RangeError);
+
+    // Out of range values are not wrapped
+    const writer = new ByteWriter(8);
+    expect(() => writer.writeUInt8(256)).toThrow(RangeError);
+    expect(() => writer.writeUInt16(-1)).toThrow(RangeError);
+    expect(() => writer.writeUInt32(4294967296)).toThrow(RangeError);
+    expect(() => writer.writeInt(-1)).toThrow(RangeError);
+    expect(() => writer.writeInt8(128)).toThrow(RangeError);
+    expect(() => writer.writeInt16(-32769)).toThrow(RangeError);
+    expect(() => writer.writeInt32(2147483648)).toThrow(RangeError);
+    expect(writer.position).toEqual(0);
+  });
+
+  describe('without Buffer', function () {
+
+    let NodeBuffer;
+
+    beforeAll(function () {
+      NodeBuffer = globalThis.Buffer;
+      delete globalThis.Buffer;
+    });
+
+    afterAll(function () {
+      globalThis.Buffer = NodeBuffer;
+    });
+
+    it('test write', function () {
+      expect(typeof Buffer).toEqual('undefined');
+      const bytes = GeometryWriter.writeGeometry(new Point(1.0, 2.0));
+      expect(bytes.constructor).toBe(Uint8Array);
+      global.compareByteArrays(global.hexToBytes('00000000013FF00000000000004000000000000000'), bytes);
+      const arrayBuffer = GeometryWriter.writeGeometryToArrayBuffer(new Point(1.0, 2.0), ByteOrder.LITTLE_ENDIAN);
+      expect(arrayBuffer).toBeInstanceOf(ArrayBuffer);
+      expect(global.bytesToHex(new Uint8Array(arrayBuffer))).toEqual('0101000000000000000000F03F0000000000000040');
+    });
+
+    it('test geometries', function () {
+      for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+        const geometry = createGeometry();
+
+        const bytes = GeometryWriter.writeGeometry(geometry, ByteOrder.LITTLE_ENDIAN);
+        global.compareGeometries(geometry, GeometryReader.readGeometry(bytes));
+        global.compareGeometries(geometry, GeometryReader.readGeometry(GeometryWriter.writeGeometryToArrayBuffer(geometry)));
+
+        const ewkb = GeometryReader.readEWKBGeometry(GeometryWriter.writeEWKBGeometry(geometry, 4326));
+        expect(ewkb.srid).toEqual(4326);
+        global.compareGeometries(geometry, ewkb.geometry);
+
+        const geoPackage = GeoPackageGeometryData.readGeometryData(GeoPackageGeometryData.writeGeometry(geometry, 4326));
+        expect(geoPackage.srsId).toEqual(4326);
+        global.compareGeometries(geometry, geoPackage.geometry);
+
+        const twkb = TWKBGeometryWriter.writeGeometry(geometry, 7, 7, 7);
+        expect(TWKBGeometryReader.readGeometry(twkb).geometryType).toEqual(geometry.geometryType);
+      }
+    });
+
+  });
+
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { CoordinateTransforms } from '../lib/CoordinateTransforms';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { GeometryUtils, LineString, MultiPoint, Point } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+describe('Coordinate Transform Tests', function () {
+
+  it('test web mercator', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const geometry = global.createGeometryCollection(global.coinFlip(), global.coinFlip());
+      const bytes = GeometryWriter.writeGeometry(geometry, ByteOrder.BIG_ENDIAN);
+
+      // Transformed while reading
+      const meters = GeometryReader.readGeometryWithTransform(bytes, CoordinateTransforms.DEGREES_TO_METERS);
+      global.compareGeometries(GeometryUtils.degreesToMeters(geometry), meters);
+
+      // Transformed while writing, leaving the geometry unmodified
+      const copy = geometry.copy();
+      const degreesBytes = GeometryWriter.writeGeometryWithTransform(meters, CoordinateTransforms.METERS_TO_DEGREES);
+      global.compareByteArrays(GeometryWriter.writeGeometry(GeometryUtils.metersToDegrees(meters), ByteOrder.BIG_ENDIAN),
+        degreesBytes);
+      global.compareGeometries(GeometryUtils.degreesToMeters(copy), meters);
+    }
+  });
+
+  it('test affine and axis swap', function () {
+    const lineString = new LineString(true, true);
+    lineString.addPoint(new Point(1.0, 2.0, 3.0, 4.0));
+    lineString.addPoint(new Point(-5.0, 6.0, 7.0, 8.0));
+    const bytes = GeometryWriter.writeGeometry(lineString, ByteOrder.LITTLE_ENDIAN);
+
+    const swapped = GeometryReader.readGeometryWithTransform(bytes, CoordinateTransforms.SWAP_AXES);
+    expect(swapped.points[0]).toEqual(new Point(2.0, 1.0, 3.0, 4.0));
+    expect(swapped.points[1]).toEqual(new Point(6.0, -5.0, 7.0, 8.0));
+
+    const affine = CoordinateTransforms.affine(2.0, 0.0, 0.0, 3.0, 10.0, 20.0);
+    const scaled = GeometryReader.readGeometryWithTransform(bytes, affine);
+    expect(scaled.points[0]).toEqual(new Point(12.0, 26.0, 3.0, 4.0));
+    expect(scaled.points[1]).toEqual(new Point(0.0, 38.0, 7.0, 8.0));
+
+    const composed = CoordinateTransforms.compose(CoordinateTransforms.SWAP_AXES, affine,
+      (x, y, z, m) => [x, y, z * 10.0, m]);
+    const geometryWriter = new GeometryWriter(null, ByteOrder.BIG_ENDIAN);
+    expect(geometryWriter.getTransform()).toBeNull();
+    geometryWriter.setTransform(composed);
+    expect(geometryWriter.getTransform()).toBe(composed);
+    geometryWriter.write(lineString);
+    const written = GeometryReader.readGeometry(geometryWriter.getBuffer());
+    expect(written.points[0]).toEqual(new Point(14.0, 23.0, 30.0, 4.0));
+    expect(written.points[1]).toEqual(new Point(22.0, 5.0, 70.0, 8.0));
+    expect(lineString.points[0]).toEqual(new Point(1.0, 2.0, 3.0, 4.0));
+  });
+
+  it('test empty points', function () {
+    const multiPoint = new MultiPoint(false, false);
+    multiPoint.addPoint(Point.createEmpty());
+    multiPoint.addPoint(new Point(1.0, 2.0));
+    const bytes = GeometryWriter.writeGeometryWithTransform(multiPoint, CoordinateTransforms.SWAP_AXES);
+
+    const geometryReader = new GeometryReader(bytes);
+    expect(geometryReader.getTransform()).toBeNull();
+    geometryReader.setTransform(CoordinateTransforms.affine(1.0, 0.0, 0.0, 1.0, 5.0, 5.0));
+    const result = geometryReader.read();
+    expect(result.points[0].isEmpty()).toBe(true);
+    expect(result.points[1]).toEqual(new Point(7.0, 6.0));
+  });
+
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { ByteWriter } from '../lib/ByteWriter';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import {
+  CircularString, CompoundCurve, CurveLinearizer, CurvePolygon, ExtendedGeometryCollection, GeometryCollection,
+  GeometryType, LineString, Point, SFException
+} from '../lib/sf/internal';
+
+/**
+ * Create a counter clockwise quarter circle of radius 1 around the origin
+ * @return circular string
+ */
+function createQuarterCircle() {
+  const circularString = new CircularString(false, false);
+  circularString.addPoint(new Point(1.0, 0.0));
+  circularString.addPoint(new Point(Math.SQRT1_2, Math.SQRT1_2));
+  circularString.addPoint(new Point(0.0, 1.0));
+  return circularString;
+}
+
+/**
+ * Create a circle curve polygon of radius 1 around the origin
+ * @return curve polygon
+ */
+function createCircle() {
+  const circle = new CircularString(false, false);
+  circle.addPoint(new Point(1.0, 0.0));
+  circle.addPoint(new Point(-1.0, 0.0));
+  circle.addPoint(new Point(1.0, 0.0));
+  const curvePolygon = new CurvePolygon(false, false);
+  curvePolygon.addRing(circle);
+  return curvePolygon;
+}
+
+/**
+ * Get the largest distance between the line string segments and the unit
+ * circle they approximate
+ * @param lineString line string
+ * @return maximum deviation
+ */
+function maxDeviation(lineString) {
+  let deviation = 0;
+  for (let i = 0; i < lineString.numPoints() - 1; i++) {
+    const point1 = lineString.getPoint(i);
+    const point2 = lineString.getPoint(i + 1);
+    deviation = Math.max(deviation, 1.0 - Math.hypot((point1.x + point2.x) / 2, (point1.y + point2.y) / 2));
+  }
+  return deviation;
+}
+
+describe('Curve Linearizer Tests', function () {
+
+  it('test segments per quadrant', function () {
+    const linearizer = new CurveLinearizer();
+    expect(linearizer.segmentsPerQuadrant).toEqual(CurveLinearizer.DEFAULT_SEGMENTS_PER_QUADRANT);
+    expect(linearizer.maxSegmentAngle).toBeNull();
+    expect(linearizer.maxDeviation).toBeNull();
+
+    let lineString = linearizer.linearize(createQuarterCircle());
+    expect(lineString.geometryType).toEqual(GeometryType.LINESTRING);
+    expect(lineString.numPoints()).toEqual(CurveLinearizer.DEFAULT_SEGMENTS_PER_QUADRANT + 1);
+
+    linearizer.segmentsPerQuadrant = 3;
+    lineString = linearizer.linearize(createQuarterCircle());
+    expect(lineString.numPoints()).toEqual(4);
+    expect(lineString.startPoint()).toEqual(new Point(1.0, 0.0));
+    expect(lineString.endPoint()).toEqual(new Point(0.0, 1.0));
+    for (const point of lineString.points) {
+      expect(Math.hypot(point.x, point.y)).toBeCloseTo(1.0, 12);
+    }
+
+    expect(() => linearizer.segmentsPerQuadrant = 0).toThrow(SFException);
+  });
+
+  it('test max segment angle', function () {
+    const linearizer = new CurveLinearizer();
+    linearizer.maxSegmentAngle = 10;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(10);
+
+    // Exact multiples of the angle
+    linearizer.maxSegmentAngle = 22.5;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(5);
+    linearizer.maxSegmentAngle = 90;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(2);
+
+    // Full circles keep an area
+    linearizer.maxSegmentAngle = 360;
+    expect(linearizer.linearize(createCircle()).getExteriorRing().numPoints()).toEqual(4);
+
+    linearizer.maxSegmentAngle = null;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(CurveLinearizer.DEFAULT_SEGMENTS_PER_QUADRANT + 1);
+
+    expect(() => linearizer.maxSegmentAngle = 0).toThrow(SFException);
+    expect(() => linearizer.maxSegmentAngle = -10).toThrow(SFException);
+    expect(() => linearizer.maxSegmentAngle = NaN).toThrow(SFException);
+  });
+
+  it('test max deviation', function () {
+    const linearizer = new CurveLinearizer();
+    for (const deviation of [0.1, 0.01, 0.001, 0.0001]) {
+      linearizer.maxDeviation = deviation;
+      const lineString = linearizer.linearize(createQuarterCircle());
+      const expected = Math.ceil((Math.PI / 2) / (2 * Math.acos(1 - deviation)));
+      expect(lineString.numPoints()).toEqual(expected + 1);
+      expect(maxDeviation(lineString)).toBeLessThanOrEqual(deviation);
+
+      // One less segment would exceed the deviation
+      if (expected > 1) {
+        const angle = (Math.PI / 2) / (expected - 1);
+        expect(1 - Math.cos(angle / 2)).toBeGreaterThan(deviation);
+      }
+    }
+
+    // The larger segment count of both tolerances
+    linearizer.maxDeviation = 0.01;
+    linearizer.maxSegmentAngle = 10;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(10);
+    linearizer.maxSegmentAngle = 45;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(7);
+
+    // Deviations beyond the radius
+    linearizer.maxSegmentAngle = null;
+    linearizer.maxDeviation = 2;
+    expect(linearizer.linearize(createQuarterCircle()).numPoints()).toEqual(2);
+    expect(linearizer.linearize(createCircle()).getExteriorRing().numPoints()).toEqual(4);
+
+    expect(() => linearizer.maxDeviation = 0).toThrow(SFException);
+  });
+
+  it('test curve geometries', function () {
+    const linearizer = new CurveLinearizer();
+    linearizer.maxSegmentAngle = 15;
+
+    const compoundCurve = new CompoundCurve(false, false);
+    compoundCurve.addLineString(createQuarterCircle());
+    const lineString = new LineString(false, false);
+    lineString.addPoint(new Point(0.0, 1.0));
+    lineString.addPoint(new Point(0.0, 0.0));
+    lineString.addPoint(new Point(1.0, 0.0));
+    compoundCurve.addLineString(lineString);
+    const linearized = linearizer.linearize(compoundCurve);
+    expect(linearized.geometryType).toEqual(GeometryType.LINESTRING);
+    expect(linearized.numPoints()).toEqual(9);
+    expect(linearized.isClosed()).toBe(true);
+
+    const curvePolygon = new CurvePolygon(false, false);
+    curvePolygon.addRing(compoundCurve);
+    const polygon = linearizer.linearize(curvePolygon);
+    expect(polygon.geometryType).toEqual(GeometryType.POLYGON);
+    expect(polygon.getExteriorRing().numPoints()).toEqual(9);
+    expect(polygon.getArea()).toBeCloseTo(3 * Math.sin(Math.PI / 12), 12);
+
+    const multiCurve = new ExtendedGeometryCollection(new GeometryCollection(false, false));
+    multiCurve.addGeometry(createQuarterCircle());
+    multiCurve.addGeometry(compoundCurve);
+    multiCurve.geometryType = GeometryType.MULTICURVE;
+    const multiLineString = linearizer.linearize(multiCurve);
+    expect(multiLineString.geometryType).toEqual(GeometryType.MULTILINESTRING);
+    expect(multiLineString.numLineStrings()).toEqual(2);
+    expect(multiLineString.getLineString(0).numPoints()).toEqual(7);
+
+    const multiSurface = new ExtendedGeometryCollection(new GeometryCollection(false, false));
+    multiSurface.addGeometry(curvePolygon);
+    multiSurface.addGeometry(createCircle());
+    multiSurface.geometryType = GeometryType.MULTISURFACE;
+    const multiPolygon = linearizer.linearize(multiSurface);
+    expect(multiPolygon.geometryType).toEqual(GeometryType.MULTIPOLYGON);
+    expect(multiPolygon.numPolygons()).toEqual(2);
+    expect(multiPolygon.getPolygon(1).getExteriorRing().numPoints()).toEqual(25);
+  });
+
+  it('test write linearized', function () {
+    const linearizer = new CurveLinearizer();
+    linearizer.maxDeviation = 0.001;
+    const curvePolygon = createCircle();
+    const linearized = linearizer.linearize(curvePolygon);
+    const expected = GeometryWriter.writeGeometry(linearized, ByteOrder.BIG_ENDIAN);
+
+    const bytes = GeometryWriter.writeGeometryLinearized(curvePolygon, linearizer);
+    global.compareByteArrays(expected, bytes);
+    global.compareGeometries(linearized, GeometryReader.readGeometry(bytes));
+
+    const writer = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(linearized), ByteOrder.LITTLE_ENDIAN));
+    expect(writer.getLinearizer()).toBeNull();
+    writer.setLinearizer(linearizer);
+    expect(writer.getLinearizer()).toBe(linearizer);
+    writer.write(curvePolygon);
+    global.compareByteArrays(GeometryWriter.writeGeometry(linearized, ByteOrder.LITTLE_ENDIAN), writer.getBuffer());
+
+    // Geometries without curves are written as is
+    const polygon = global.createPolygon(global.coinFlip(), global.coinFlip());
+    global.compareByteArrays(GeometryWriter.writeGeometry(polygon, ByteOrder.BIG_ENDIAN),
+      GeometryWriter.writeGeometryLinearized(polygon));
+
+    // Curves are written by default
+    expect(GeometryReader.readGeometry(GeometryWriter.writeGeometry(curvePolygon, ByteOrder.BIG_ENDIAN)).geometryType)
+      .toEqual(GeometryType.CURVEPOLYGON);
+  });
+
+});
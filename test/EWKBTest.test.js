@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { ByteReader } from '../lib/ByteReader';
+import { GeometryCodes } from '../lib/GeometryCodes';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { GeometryType, MultiPoint, Point } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Write the geometry as EWKB in both byte orders, read it back and compare
+ * @param geometry geometry
+ * @param srid SRID
+ */
+function ewkbGeometryTester(geometry, srid) {
+  for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+    const bytes = GeometryWriter.writeEWKBGeometry(geometry, srid, byteOrder);
+    expect(bytes.length).toEqual(GeometryWriter.getEWKBGeometryByteLength(geometry, srid));
+
+    const geometryTypeInfo = GeometryReader.readGeometryType(new ByteReader(bytes));
+    expect(geometryTypeInfo.srid).toEqual(srid);
+    expect(geometryTypeInfo.hasZ).toEqual(geometry.hasZ);
+    expect(geometryTypeInfo.hasM).toEqual(geometry.hasM);
+
+    const ewkbGeometry = GeometryReader.readEWKBGeometry(bytes);
+    expect(ewkbGeometry.srid).toEqual(srid);
+    expect(ewkbGeometry.hasSRID).toEqual(srid != null);
+    global.compareGeometries(geometry, ewkbGeometry.geometry);
+
+    // The ISO reader path reads the same geometry, ignoring the SRID
+    global.compareGeometries(geometry, GeometryReader.readGeometry(bytes));
+  }
+}
+
+describe('EWKB Tests', function () {
+
+  it('test read PostGIS EWKB', function () {
+    // SELECT ST_AsEWKB('SRID=4326;POINT(1 2)')
+    const point = GeometryReader.readEWKBGeometry(global.hexToBytes('0101000020E6100000000000000000F03F0000000000000040'));
+    expect(point.srid).toEqual(4326);
+    expect(point.geometry.equals(new Point(1.0, 2.0))).toBe(true);
+
+    // SELECT ST_AsEWKB('SRID=4326;POINT(1 2 3)')
+    const pointZ = GeometryReader.readEWKBGeometry(global.hexToBytes('01010000A0E6100000000000000000F03F00000000000000400000000000000840'));
+    expect(pointZ.srid).toEqual(4326);
+    expect(pointZ.geometry.equals(new Point(1.0, 2.0, 3.0))).toBe(true);
+
+    // SELECT ST_AsEWKB('SRID=3857;POINTM(1 2 4)')
+    const pointM = GeometryReader.readEWKBGeometry(global.hexToBytes('0101000060110F0000000000000000F03F00000000000000400000000000001040'));
+    expect(pointM.srid).toEqual(3857);
+    expect(pointM.geometry.hasZ).toBe(false);
+    expect(pointM.geometry.hasM).toBe(true);
+    expect(pointM.geometry.m).toEqual(4.0);
+
+    // SELECT ST_AsEWKB('POINT(1 2 3 4)')
+    const pointZM = GeometryReader.readEWKBGeometry(global.hexToBytes('01010000C0000000000000F03F000000000000004000000000000008400000000000001040'));
+    expect(pointZM.srid).toBeUndefined();
+    expect(pointZM.hasSRID).toBe(false);
+    expect(pointZM.geometry.equals(new Point(1.0, 2.0, 3.0, 4.0))).toBe(true);
+  });
+
+  it('test write PostGIS EWKB', function () {
+    const bytes = GeometryWriter.writeEWKBGeometry(new Point(1.0, 2.0), 4326, ByteOrder.LITTLE_ENDIAN);
+    expect(global.bytesToHex(bytes)).toEqual('0101000020E6100000000000000000F03F0000000000000040');
+
+    const bytesZM = GeometryWriter.writeEWKBGeometry(new Point(1.0, 2.0, 3.0, 4.0), undefined, ByteOrder.LITTLE_ENDIAN);
+    expect(global.bytesToHex(bytesZM)).toEqual('01010000C0000000000000F03F000000000000004000000000000008400000000000001040');
+  });
+
+  it('test nested geometries carry no SRID', function () {
+    const multiPoint = new MultiPoint(true, false);
+    multiPoint.addPoint(new Point(1.0, 2.0, 3.0));
+    multiPoint.addPoint(new Point(4.0, 5.0, 6.0));
+
+    const bytes = GeometryWriter.writeEWKBGeometry(multiPoint, 4326, ByteOrder.BIG_ENDIAN);
+
+    const reader = new ByteReader(bytes);
+    const geometryTypeInfo = GeometryReader.readGeometryType(reader);
+    expect(geometryTypeInfo.geometryType).toEqual(GeometryType.MULTIPOINT);
+    expect(geometryTypeInfo.srid).toEqual(4326);
+    expect(reader.readInt()).toEqual(2);
+    const pointTypeInfo = GeometryReader.readGeometryType(reader);
+    expect(pointTypeInfo.geometryType).toEqual(GeometryType.POINT);
+    expect(pointTypeInfo.hasSRID).toBe(false);
+    expect(pointTypeInfo.hasZ).toBe(true);
+
+    const code = GeometryCodes.getEWKBCode(multiPoint.getPoint(0));
+    expect(code).toEqual(GeometryCodes.getCodeForGeometryType(GeometryType.POINT) + GeometryCodes.EWKB_Z);
+
+    ewkbGeometryTester(multiPoint, 4326);
+  });
+
+  it('test round trip', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const hasZ = global.coinFlip();
+      const hasM = global.coinFlip();
+      const srid = global.coinFlip() ? 4326 : undefined;
+      ewkbGeometryTester(global.createPoint(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createLineString(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createPolygon(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createMultiPoint(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createMultiLineString(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createMultiPolygon(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createGeometryCollection(hasZ, hasM), srid);
+      ewkbGeometryTester(global.createCurvePolygon(hasZ, hasM), srid);
+    }
+  });
+
+});
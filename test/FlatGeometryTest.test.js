@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { FlatGeometry } from '../lib/FlatGeometry';
+import { FlatGeometryReader } from '../lib/FlatGeometryReader';
+import { FlatGeometryWriter } from '../lib/FlatGeometryWriter';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import {
+  GeometryType,
+  LineString,
+  MultiLineString,
+  Point,
+  Polygon,
+  SFException
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Flatten the points, rings and parts of a geometry into arrays
+ * @param geometry geometry
+ * @return coordinates, ring offsets and part offsets
+ */
+function flatten(geometry) {
+  const coordinates = [];
+  const ringOffsets = [];
+  const partOffsets = [];
+  const addPoints = points => {
+    for (const point of points) {
+      coordinates.push(point.x, point.y);
+      if (geometry.hasZ) {
+        coordinates.push(point.z);
+      }
+      if (geometry.hasM) {
+        coordinates.push(point.m);
+      }
+    }
+  };
+  const stride = 2 + (geometry.hasZ ? 1 : 0) + (geometry.hasM ? 1 : 0);
+  const addRings = polygon => {
+    for (const ring of polygon.rings) {
+      ringOffsets.push(coordinates.length / stride);
+      addPoints(ring.points);
+    }
+  };
+  switch (geometry.geometryType) {
+    case GeometryType.POINT:
+      addPoints([geometry]);
+      break;
+    case GeometryType.LINESTRING:
+    case GeometryType.MULTIPOINT:
+      addPoints(geometry.points);
+      break;
+    case GeometryType.POLYGON:
+      addRings(geometry);
+      ringOffsets.push(coordinates.length / stride);
+      break;
+    case GeometryType.MULTILINESTRING:
+      for (const lineString of geometry.lineStrings) {
+        partOffsets.push(coordinates.length / stride);
+        addPoints(lineString.points);
+      }
+      partOffsets.push(coordinates.length / stride);
+      break;
+    case GeometryType.MULTIPOLYGON:
+      for (const polygon of geometry.polygons) {
+        partOffsets.push(ringOffsets.length);
+        addRings(polygon);
+      }
+      partOffsets.push(ringOffsets.length);
+      ringOffsets.push(coordinates.length / stride);
+      break;
+  }
+  return { coordinates: coordinates, ringOffsets: ringOffsets, partOffsets: partOffsets };
+}
+
+/**
+ * Read the geometry bytes as a flat geometry, compare to the geometry and
+ * write back to the same bytes
+ * @param geometry geometry
+ */
+function flatGeometryTester(geometry) {
+  for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+    const bytes = GeometryWriter.writeGeometry(geometry, byteOrder);
+    const flatGeometry = FlatGeometryReader.readGeometry(bytes);
+
+    expect(flatGeometry.geometryType).toEqual(geometry.geometryType);
+    expect(flatGeometry.hasZ).toEqual(geometry.hasZ);
+    expect(flatGeometry.hasM).toEqual(geometry.hasM);
+    expect(flatGeometry.stride).toEqual(2 + (geometry.hasZ ? 1 : 0) + (geometry.hasM ? 1 : 0));
+
+    const expected = flatten(geometry);
+    expect(flatGeometry.coordinates).toBeInstanceOf(Float64Array);
+    expect(Array.from(flatGeometry.coordinates)).toEqual(expected.coordinates);
+    expect(flatGeometry.ringOffsets != null ? Array.from(flatGeometry.ringOffsets) : []).toEqual(expected.ringOffsets);
+    expect(flatGeometry.partOffsets != null ? Array.from(flatGeometry.partOffsets) : []).toEqual(expected.partOffsets);
+
+    expect(FlatGeometryWriter.getGeometryByteLength(flatGeometry)).toEqual(bytes.length);
+    global.compareByteArrays(bytes, FlatGeometryWriter.writeGeometry(flatGeometry, byteOrder));
+  }
+}
+
+describe('Flat Geometry Tests', function () {
+
+  it('test polygon layout', function () {
+    const polygon = new Polygon(false, true);
+    for (const offset of [0.0, 1.0]) {
+      const ring = new LineString(false, true);
+      ring.addPoint(new Point(false, true, offset, offset));
+      ring.addPoint(new Point(false, true, offset + 1.0, offset));
+      ring.addPoint(new Point(false, true, offset, offset + 1.0));
+      ring.addPoint(new Point(false, true, offset, offset));
+      ring.points.forEach((point, index) => point.m = index);
+      polygon.addRing(ring);
+    }
+
+    const flatGeometry = FlatGeometryReader.readGeometry(GeometryWriter.writeGeometry(polygon));
+    expect(flatGeometry.stride).toEqual(3);
+    expect(flatGeometry.numPoints()).toEqual(8);
+    expect(flatGeometry.numRings()).toEqual(2);
+    expect(flatGeometry.numParts()).toEqual(0);
+    expect(Array.from(flatGeometry.ringOffsets)).toEqual([0, 4, 8]);
+    expect(flatGeometry.partOffsets).toBeNull();
+    expect(Array.from(flatGeometry.coordinates.subarray(12, 15))).toEqual([1.0, 1.0, 0.0]);
+  });
+
+  it('test write', function () {
+    const coordinates = new Float64Array([0, 0, 1, 1, 2, 2, 10, 10, 11, 11]);
+    const multiLineString = new FlatGeometry(GeometryType.MULTILINESTRING, false, false, coordinates,
+      null, new Uint32Array([0, 3, 5]));
+    expect(multiLineString.numParts()).toEqual(2);
+    const bytes = FlatGeometryWriter.writeGeometry(multiLineString, ByteOrder.LITTLE_ENDIAN);
+
+    const expected = new MultiLineString(false, false);
+    for (const [start, end] of [[0, 3], [3, 5]]) {
+      const lineString = new LineString(false, false);
+      for (let i = start; i < end; i++) {
+        lineString.addPoint(new Point(coordinates[i * 2], coordinates[i * 2 + 1]));
+      }
+      expected.addLineString(lineString);
+    }
+    global.compareByteArrays(GeometryWriter.writeGeometry(expected, ByteOrder.LITTLE_ENDIAN), bytes);
+  });
+
+  it('test geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      flatGeometryTester(global.createPoint(global.coinFlip(), global.coinFlip()));
+      flatGeometryTester(global.createLineString(global.coinFlip(), global.coinFlip()));
+      flatGeometryTester(global.createPolygon(global.coinFlip(), global.coinFlip()));
+      flatGeometryTester(global.createMultiPoint(global.coinFlip(), global.coinFlip()));
+      flatGeometryTester(global.createMultiLineString(global.coinFlip(), global.coinFlip()));
+      flatGeometryTester(global.createMultiPolygon(global.coinFlip(), global.coinFlip()));
+    }
+  });
+
+  it('test invalid', function () {
+    expect(() => FlatGeometryReader.readGeometry(GeometryWriter.writeGeometry(global.createGeometryCollection(false, false))))
+      .toThrow(SFException);
+    expect(() => FlatGeometryReader.readGeometry(GeometryWriter.writeGeometry(global.createCompoundCurve(false, false))))
+      .toThrow(SFException);
+
+    // Multi line string Z with a 2D line string member
+    expect(() => FlatGeometryReader.readGeometry(global.hexToBytes(
+      '00000003ED00000001000000000200000000'))).toThrow('Expected: LINESTRING Z, Actual: LINESTRING');
+
+    // Truncated point coordinates
+    expect(() => FlatGeometryReader.readGeometry(global.hexToBytes('000000000200000002'))).toThrow(SFException);
+    expect(() => FlatGeometryReader.readGeometry(global.hexToBytes('00000000013FF0000000000000'))).toThrow(SFException);
+
+    // Missing and oversized counts
+    expect(() => FlatGeometryReader.readGeometry(global.hexToBytes('0000000002'))).toThrow(SFException);
+    expect(() => FlatGeometryReader.readGeometry(global.hexToBytes('0000000003FFFFFFFF'))).toThrow(SFException);
+    expect(() => FlatGeometryReader.readGeometry(global.hexToBytes('0000000004FFFFFFFF'))).toThrow(SFException);
+
+    expect(() => new FlatGeometry(GeometryType.LINESTRING, true, false, new Float64Array(4))).toThrow(SFException);
+    expect(() => new FlatGeometry(GeometryType.POLYGON, false, false, new Float64Array(4))).toThrow(SFException);
+    expect(() => new FlatGeometry(GeometryType.GEOMETRYCOLLECTION, false, false, new Float64Array(0))).toThrow(SFException);
+    const badOffsets = new FlatGeometry(GeometryType.POLYGON, false, false, new Float64Array(8), new Uint32Array([0, 5]));
+    expect(() => FlatGeometryWriter.writeGeometry(badOffsets)).toThrow(SFException);
+  });
+
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeoArrowArray } from '../lib/GeoArrowArray';
+import { GeoArrowConverter } from '../lib/GeoArrowConverter';
+import { GeoArrowCoordinateLayout } from '../lib/GeoArrowCoordinateLayout';
+import { GeoArrowEncoding } from '../lib/GeoArrowEncoding';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import {
+  LineString,
+  MultiPoint,
+  Point,
+  Polygon,
+  SFException
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 5;
+
+/**
+ * Convert the geometries to each encoding layout and back
+ * @param geometries geometries with the same type and dimensions
+ * @param encoding expected encoding
+ */
+function geoArrowTester(geometries, encoding) {
+  for (const coordinateLayout of [GeoArrowCoordinateLayout.SEPARATED, GeoArrowCoordinateLayout.INTERLEAVED]) {
+    const array = GeoArrowConverter.writeGeometries(geometries, undefined, coordinateLayout);
+    expect(array.encoding).toEqual(encoding);
+    expect(array.length).toEqual(geometries.length);
+    expect(array.hasZ).toEqual(geometries[0].hasZ);
+    expect(array.hasM).toEqual(geometries[0].hasM);
+    expect(array.coordinates.length).toEqual(coordinateLayout === GeoArrowCoordinateLayout.SEPARATED ? array.dimensions : 1);
+    expect(array.offsets.length).toEqual(GeoArrowEncoding.getOffsetsDepth(encoding));
+
+    const geometries2 = GeoArrowConverter.readGeometries(array);
+    expect(geometries2.length).toEqual(geometries.length);
+    for (let i = 0; i < geometries.length; i++) {
+      global.compareGeometries(geometries[i], geometries2[i]);
+    }
+  }
+
+  const bytes = geometries.map(geometry => GeometryWriter.writeGeometry(geometry, ByteOrder.LITTLE_ENDIAN));
+  const wkbArray = GeoArrowConverter.writeGeometries(bytes, GeoArrowEncoding.WKB);
+  expect(wkbArray.extensionName).toEqual('geoarrow.wkb');
+  const bytes2 = GeoArrowConverter.readWKB(wkbArray);
+  for (let i = 0; i < bytes.length; i++) {
+    global.compareByteArrays(bytes[i], bytes2[i]);
+  }
+
+  const nativeBytes = GeoArrowConverter.readWKB(GeoArrowConverter.writeGeometries(bytes), ByteOrder.LITTLE_ENDIAN);
+  for (let i = 0; i < bytes.length; i++) {
+    global.compareByteArrays(bytes[i], nativeBytes[i]);
+  }
+}
+
+/**
+ * Create geometries with the same type and dimensions
+ * @param create geometry creation function
+ * @return geometries
+ */
+function createGeometries(create) {
+  const hasZ = global.coinFlip();
+  const hasM = global.coinFlip();
+  const geometries = [];
+  for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+    geometries.push(create(hasZ, hasM));
+  }
+  return geometries;
+}
+
+describe('GeoArrow Tests', function () {
+
+  it('test geometries', function () {
+    geoArrowTester(createGeometries(global.createPoint), GeoArrowEncoding.POINT);
+    geoArrowTester(createGeometries(global.createLineString), GeoArrowEncoding.LINESTRING);
+    geoArrowTester(createGeometries(global.createPolygon), GeoArrowEncoding.POLYGON);
+    geoArrowTester(createGeometries(global.createMultiPoint), GeoArrowEncoding.MULTIPOINT);
+    geoArrowTester(createGeometries(global.createMultiLineString), GeoArrowEncoding.MULTILINESTRING);
+    geoArrowTester(createGeometries(global.createMultiPolygon), GeoArrowEncoding.MULTIPOLYGON);
+  });
+
+  it('test layout', function () {
+    const polygon = new Polygon(true, true);
+    for (const offset of [0.0, 1.0]) {
+      const ring = new LineString(true, true);
+      ring.addPoint(new Point(offset, offset, 5.0, 10.0));
+      ring.addPoint(new Point(offset + 1.0, offset, 6.0, 11.0));
+      ring.addPoint(new Point(offset, offset + 1.0, 7.0, 12.0));
+      ring.addPoint(new Point(offset, offset, 5.0, 10.0));
+      polygon.addRing(ring);
+    }
+    const lineString = new LineString(true, true);
+    lineString.addPoint(new Point(20.0, 21.0, 22.0, 23.0));
+    lineString.addPoint(new Point(24.0, 25.0, 26.0, 27.0));
+    lineString.addPoint(new Point(28.0, 29.0, 30.0, 31.0));
+    lineString.addPoint(new Point(20.0, 21.0, 22.0, 23.0));
+    const polygon2 = new Polygon(true, true);
+    polygon2.addRing(lineString);
+
+    const separated = GeoArrowConverter.writeGeometries([polygon, null, polygon2], GeoArrowEncoding.POLYGON);
+    expect(separated.extensionName).toEqual('geoarrow.polygon');
+    expect(Array.from(separated.offsets[0])).toEqual([0, 2, 2, 3]);
+    expect(Array.from(separated.offsets[1])).toEqual([0, 4, 8, 12]);
+    expect(separated.coordinates.length).toEqual(4);
+    expect(Array.from(separated.coordinates[0].subarray(4, 8))).toEqual([1.0, 2.0, 1.0, 1.0]);
+    expect(Array.from(separated.coordinates[3].subarray(8))).toEqual([23.0, 27.0, 31.0, 23.0]);
+    expect(Array.from(separated.validity)).toEqual([0b101]);
+    expect(separated.isValid(0)).toBe(true);
+    expect(separated.isValid(1)).toBe(false);
+
+    const converter = new GeoArrowConverter();
+    converter.setCoordinateLayout(GeoArrowCoordinateLayout.INTERLEAVED);
+    const interleaved = converter.write([polygon, null, polygon2], GeoArrowEncoding.POLYGON);
+    expect(interleaved.coordinates.length).toEqual(1);
+    expect(Array.from(interleaved.coordinates[0].subarray(32, 36))).toEqual([20.0, 21.0, 22.0, 23.0]);
+
+    const geometries = converter.read(interleaved);
+    global.compareGeometries(polygon, geometries[0]);
+    expect(geometries[1]).toBeNull();
+    global.compareGeometries(polygon2, geometries[2]);
+    expect(converter.readWKB(interleaved)[1]).toBeNull();
+  });
+
+  it('test encodings', function () {
+    const point = global.createPoint(false, false);
+    const multiPoint = global.createMultiPoint(false, false);
+    const lineString = global.createLineString(false, false);
+
+    const promoted = GeoArrowConverter.writeGeometries([point, multiPoint]);
+    expect(promoted.encoding).toEqual(GeoArrowEncoding.MULTIPOINT);
+    const geometries = GeoArrowConverter.readGeometries(promoted);
+    global.compareGeometries(new MultiPoint([point]), geometries[0]);
+    global.compareGeometries(multiPoint, geometries[1]);
+
+    expect(GeoArrowConverter.writeGeometries([point, lineString]).encoding).toEqual(GeoArrowEncoding.WKB);
+    expect(GeoArrowConverter.writeGeometries([global.createGeometryCollection(false, false)]).encoding)
+      .toEqual(GeoArrowEncoding.WKB);
+    expect(() => GeoArrowConverter.writeGeometries([point, lineString], GeoArrowEncoding.POINT)).toThrow(SFException);
+    expect(() => GeoArrowConverter.writeGeometries([multiPoint], GeoArrowEncoding.POINT)).toThrow(SFException);
+
+    // Missing dimensions are filled with NaN
+    const mixed = GeoArrowConverter.writeGeometries([point, global.createPoint(true, false)]);
+    expect(mixed.hasZ).toBe(true);
+    expect(mixed.coordinates[2][0]).toBeNaN();
+
+    // WKB column of well-known bytes and geometries with a null
+    const wkb = GeoArrowConverter.writeGeometries([GeometryWriter.writeGeometry(point), null, lineString], GeoArrowEncoding.WKB);
+    expect(wkb.length).toEqual(3);
+    expect(wkb.offsets[0][2]).toEqual(wkb.offsets[0][1]);
+    expect(wkb.data.length).toEqual(wkb.offsets[0][3]);
+    const wkbGeometries = GeoArrowConverter.readGeometries(wkb);
+    global.compareGeometries(point, wkbGeometries[0]);
+    expect(wkbGeometries[1]).toBeNull();
+    global.compareGeometries(lineString, wkbGeometries[2]);
+
+    expect(() => GeoArrowArray.createWKB(new Uint8Array(0), new Int32Array([0]), null)).not.toThrow();
+    expect(() => GeoArrowArray.createNative(GeoArrowEncoding.LINESTRING, 1, false, false,
+      GeoArrowCoordinateLayout.SEPARATED, [new Float64Array(0), new Float64Array(0)], [])).toThrow(SFException);
+  });
+
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { GeoJSONConverter } from '../lib/GeoJSONConverter';
+import { GeoJSONCurvePolicy } from '../lib/GeoJSONCurvePolicy';
+import { GeoJSONFeature } from '../lib/GeoJSONFeature';
+import {
+  CircularString,
+  CompoundCurve,
+  CurvePolygon,
+  ExtendedGeometryCollection,
+  GeometryType,
+  LineString,
+  Point,
+  SFException
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Convert the geometry to GeoJSON, through a JSON string, and back and compare
+ * @param geometry geometry
+ */
+function geoJSONGeometryTester(geometry) {
+  const converter = new GeoJSONConverter();
+  converter.setIncludeM(true);
+  const geoJSON = converter.write(geometry);
+  const geoJSONGeometry = converter.read(JSON.stringify(geoJSON));
+  global.compareGeometries(geometry, geoJSONGeometry);
+  expect(converter.write(geoJSONGeometry)).toEqual(geoJSON);
+}
+
+/**
+ * Create a circular string half circle from (0, 0) through (1, 1) to (2, 0)
+ * @return circular string
+ */
+function createHalfCircle() {
+  const circularString = new CircularString(false, false);
+  circularString.addPoint(new Point(0.0, 0.0));
+  circularString.addPoint(new Point(1.0, 1.0));
+  circularString.addPoint(new Point(2.0, 0.0));
+  return circularString;
+}
+
+describe('GeoJSON Tests', function () {
+
+  it('test write', function () {
+    expect(GeoJSONConverter.writeGeometry(new Point(1.0, 2.0))).toEqual({ type: 'Point', coordinates: [1, 2] });
+    expect(GeoJSONConverter.writeGeometry(new Point(1.0, 2.0, 3.0))).toEqual({ type: 'Point', coordinates: [1, 2, 3] });
+    expect(GeoJSONConverter.writeGeometry(new Point(1.0, 2.0, 3.0, 4.0))).toEqual({ type: 'Point', coordinates: [1, 2, 3] });
+    expect(GeoJSONConverter.writeGeometry(new Point(false, false, NaN, NaN))).toEqual({ type: 'Point', coordinates: [] });
+
+    const lineString = new LineString(false, false);
+    lineString.addPoint(new Point(1.0, 2.0));
+    lineString.addPoint(new Point(3.0, 4.0));
+    expect(GeoJSONConverter.writeGeometry(lineString)).toEqual({ type: 'LineString', coordinates: [[1, 2], [3, 4]] });
+  });
+
+  it('test read', function () {
+    const point = GeoJSONConverter.readGeometry('{"type": "Point", "coordinates": [1, 2, 3]}');
+    expect(point.equals(new Point(1.0, 2.0, 3.0))).toBe(true);
+
+    // Extra position values are ignored unless M is included
+    const pointM = GeoJSONConverter.readGeometry({ type: 'Point', coordinates: [1, 2, 3, 4] });
+    expect(pointM.hasZ).toBe(true);
+    expect(pointM.hasM).toBe(false);
+
+    const empty = GeoJSONConverter.readGeometry({ type: 'Point', coordinates: [] });
+    expect(empty.x).toBeNaN();
+
+    const multiPolygon = GeoJSONConverter.readGeometry({
+      type: 'MultiPolygon',
+      coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[2, 2], [3, 2], [3, 3], [2, 2]]]]
+    });
+    expect(multiPolygon.geometryType).toEqual(GeometryType.MULTIPOLYGON);
+    expect(multiPolygon.numPolygons()).toEqual(2);
+
+    for (const geoJSON of [
+      { type: 'Curve', coordinates: [] },
+      { type: 'Point', coordinates: [1] },
+      { type: 'Point', coordinates: ['1', '2'] },
+      { type: 'LineString', coordinates: [1, 2] },
+      { type: 'GeometryCollection' },
+      'null'
+    ]) {
+      expect(() => GeoJSONConverter.readGeometry(geoJSON)).toThrow(SFException);
+    }
+
+    // Positions of mixed dimensions
+    for (const geoJSON of [
+      '{"type":"LineString","coordinates":[[0,0],[1,1,5]]}',
+      { type: 'MultiPoint', coordinates: [[0, 0, 1], [1, 1]] },
+      { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 0]], [[1, 1, 1], [2, 1, 1], [2, 2, 1], [1, 1, 1]]] },
+      { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [0, 0] }, { type: 'Point', coordinates: [1, 1, 1] }] }
+    ]) {
+      expect(() => GeoJSONConverter.readGeometry(geoJSON)).toThrow('Mixed GeoJSON position dimensions');
+    }
+    const lineStringZ = GeoJSONConverter.readGeometry({ type: 'LineString', coordinates: [[0, 0, 1], [1, 1, 5]] });
+    expect(lineStringZ.hasZ).toBe(true);
+    global.compareGeometries(lineStringZ, GeometryReader.readGeometry(GeometryWriter.writeGeometry(lineStringZ)));
+  });
+
+  it('test include M', function () {
+    const converter = new GeoJSONConverter();
+    expect(converter.isIncludeM()).toBe(false);
+    converter.setIncludeM(true);
+
+    const point = new Point(false, true, 1.0, 2.0);
+    point.m = 4.0;
+    const geoJSON = converter.write(point);
+    expect(geoJSON).toEqual({ type: 'Point', coordinates: [1, 2, null, 4] });
+    const pointM = converter.read(geoJSON);
+    expect(pointM.hasZ).toBe(false);
+    expect(pointM.hasM).toBe(true);
+    expect(pointM.m).toEqual(4.0);
+
+    expect(converter.write(new Point(1.0, 2.0, 3.0, 4.0))).toEqual({ type: 'Point', coordinates: [1, 2, 3, 4] });
+  });
+
+  it('test geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      geoJSONGeometryTester(global.createPoint(global.coinFlip(), global.coinFlip()));
+      geoJSONGeometryTester(global.createLineString(global.coinFlip(), global.coinFlip()));
+      geoJSONGeometryTester(global.createPolygon(global.coinFlip(), global.coinFlip()));
+      geoJSONGeometryTester(global.createMultiPoint(global.coinFlip(), global.coinFlip()));
+      geoJSONGeometryTester(global.createMultiLineString(global.coinFlip(), global.coinFlip()));
+      geoJSONGeometryTester(global.createMultiPolygon(global.coinFlip(), global.coinFlip()));
+      geoJSONGeometryTester(global.createGeometryCollection(global.coinFlip(), global.coinFlip()));
+    }
+  });
+
+  it('test curves', function () {
+    const converter = new GeoJSONConverter();
+    expect(converter.getCurvePolicy()).toEqual(GeoJSONCurvePolicy.LINEARIZE);
+
+    const geoJSON = converter.write(createHalfCircle());
+    expect(geoJSON.type).toEqual('LineString');
+    const segments = 2 * converter.getLinearizer().segmentsPerQuadrant;
+    expect(geoJSON.coordinates.length).toEqual(segments + 1);
+    expect(geoJSON.coordinates[0]).toEqual([0, 0]);
+    expect(geoJSON.coordinates[segments]).toEqual([2, 0]);
+    for (const position of geoJSON.coordinates) {
+      expect(Math.hypot(position[0] - 1.0, position[1])).toBeCloseTo(1.0, 12);
+      expect(position[1]).toBeGreaterThanOrEqual(-1e-12);
+    }
+
+    const compoundCurve = new CompoundCurve(false, false);
+    compoundCurve.addLineString(createHalfCircle());
+    const lineString = new LineString(false, false);
+    lineString.addPoint(new Point(2.0, 0.0));
+    lineString.addPoint(new Point(0.0, 0.0));
+    compoundCurve.addLineString(lineString);
+    const curvePolygon = new CurvePolygon(false, false);
+    curvePolygon.addRing(compoundCurve);
+    const polygon = converter.write(curvePolygon);
+    expect(polygon.type).toEqual('Polygon');
+    expect(polygon.coordinates[0].length).toEqual(segments + 2);
+    expect(polygon.coordinates[0][segments + 1]).toEqual([0, 0]);
+
+    const multiCurve = new ExtendedGeometryCollection(global.createMultiCurve());
+    multiCurve.geometryType = GeometryType.MULTICURVE;
+    expect(converter.write(multiCurve).type).toEqual('MultiLineString');
+    const multiSurface = new ExtendedGeometryCollection(global.createMultiSurface());
+    multiSurface.geometryType = GeometryType.MULTISURFACE;
+    expect(converter.write(multiSurface).type).toEqual('MultiPolygon');
+
+    // Geometry collections containing curves are linearized per member
+    const geometryCollection = converter.write(global.createMultiCurve());
+    expect(geometryCollection.type).toEqual('GeometryCollection');
+    for (const member of geometryCollection.geometries) {
+      expect(member.type).toEqual('LineString');
+    }
+
+    converter.setCurvePolicy(GeoJSONCurvePolicy.REJECT);
+    expect(() => converter.write(createHalfCircle())).toThrow(SFException);
+    expect(() => converter.write(curvePolygon)).toThrow(SFException);
+  });
+
+  it('test features', function () {
+    const converter = new GeoJSONConverter();
+    const features = [
+      new GeoJSONFeature(new Point(1.0, 2.0), { name: 'one' }, 1),
+      new GeoJSONFeature(null, null, 'two'),
+      new GeoJSONFeature(global.createPolygon(false, false))
+    ];
+
+    const geoJSON = converter.writeFeatureCollection(features);
+    expect(geoJSON.type).toEqual('FeatureCollection');
+    expect(geoJSON.features[0]).toEqual({
+      type: 'Feature', id: 1, geometry: { type: 'Point', coordinates: [1, 2] }, properties: { name: 'one' }
+    });
+    expect(geoJSON.features[1]).toEqual({ type: 'Feature', id: 'two', geometry: null, properties: null });
+    expect('id' in geoJSON.features[2]).toBe(false);
+
+    const readFeatures = converter.readFeatureCollection(JSON.stringify(geoJSON));
+    expect(readFeatures.length).toEqual(features.length);
+    for (let i = 0; i < features.length; i++) {
+      expect(readFeatures[i].id).toEqual(features[i].id);
+      expect(readFeatures[i].properties).toEqual(features[i].properties);
+      if (features[i].geometry != null) {
+        global.compareGeometries(features[i].geometry, readFeatures[i].geometry);
+      } else {
+        expect(readFeatures[i].geometry).toBeNull();
+      }
+    }
+
+    expect(() => converter.readFeature(geoJSON)).toThrow(SFException);
+    expect(() => converter.readFeatureCollection(geoJSON.features[0])).toThrow(SFException);
+  });
+
+});
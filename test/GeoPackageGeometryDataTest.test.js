@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeoPackageGeometryData } from '../lib/GeoPackageGeometryData';
+import { GeoPackageGeometryHeader } from '../lib/GeoPackageGeometryHeader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { GeometryCollection, LineString, Point, SFException, TIN, Triangle } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Write the geometry as a GeoPackage geometry in both byte orders, read it
+ * back and compare
+ * @param geometry geometry
+ */
+function geoPackageGeometryTester(geometry) {
+  for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+    const bytes = GeoPackageGeometryData.writeGeometry(geometry, 4326, byteOrder);
+
+    const header = GeoPackageGeometryData.readHeader(bytes);
+    expect(header.version).toEqual(GeoPackageGeometryData.VERSION);
+    expect(header.byteOrder).toEqual(byteOrder);
+    expect(header.srsId).toEqual(4326);
+    expect(header.empty).toEqual(geometry.isEmpty());
+    expect(header.byteLength).toEqual(bytes.length - GeometryWriter.getGeometryByteLength(geometry));
+    if (!geometry.isEmpty()) {
+      global.compareEnvelopes(geometry.getEnvelope(), header.envelope);
+    }
+
+    const geometryData = GeoPackageGeometryData.readGeometryData(bytes);
+    expect(geometryData.srsId).toEqual(4326);
+    global.compareGeometries(geometry, geometryData.geometry);
+
+    // The WKB follows the header
+    global.compareByteArrays(GeometryWriter.writeGeometry(geometry, byteOrder), bytes.subarray(header.byteLength));
+  }
+}
+
+describe('GeoPackage Geometry Data Tests', function () {
+
+  it('test read header', function () {
+    // SRS 4326, little endian, no envelope, POINT(1 2)
+    const bytes = global.hexToBytes('47500001E61000000101000000000000000000F03F0000000000000040');
+
+    const header = GeoPackageGeometryData.readHeader(bytes);
+    expect(header.byteOrder).toEqual(ByteOrder.LITTLE_ENDIAN);
+    expect(header.srsId).toEqual(4326);
+    expect(header.extended).toBe(false);
+    expect(header.empty).toBe(false);
+    expect(header.envelopeIndicator).toEqual(0);
+    expect(header.envelope).toBeNull();
+    expect(header.byteLength).toEqual(8);
+
+    const geometry = GeoPackageGeometryData.readGeometry(bytes);
+    expect(geometry.equals(new Point(1.0, 2.0))).toBe(true);
+
+    global.compareByteArrays(bytes, GeoPackageGeometryData.writeGeometry(new Point(1.0, 2.0), 4326, ByteOrder.LITTLE_ENDIAN, 0));
+  });
+
+  it('test envelope', function () {
+    const lineString = new LineString(true, true);
+    lineString.addPoint(new Point(1.0, 2.0, 3.0, 4.0));
+    lineString.addPoint(new Point(-1.0, 5.0, -3.0, 8.0));
+
+    for (const envelopeIndicator of [0, 1, 2, 3, 4]) {
+      const bytes = GeoPackageGeometryData.writeGeometry(lineString, 3857, ByteOrder.BIG_ENDIAN, envelopeIndicator);
+      const header = GeoPackageGeometryData.readHeader(bytes);
+      expect(header.envelopeIndicator).toEqual(envelopeIndicator);
+      expect(header.byteLength).toEqual(GeoPackageGeometryHeader.getByteLength(envelopeIndicator));
+      if (envelopeIndicator === 0) {
+        expect(header.envelope).toBeNull();
+      } else {
+        expect(header.envelope.minX).toEqual(-1.0);
+        expect(header.envelope.maxX).toEqual(1.0);
+        expect(header.envelope.minY).toEqual(2.0);
+        expect(header.envelope.maxY).toEqual(5.0);
+        expect(header.envelope.hasZ).toEqual(envelopeIndicator === 2 || envelopeIndicator === 4);
+        expect(header.envelope.hasM).toEqual(envelopeIndicator === 3 || envelopeIndicator === 4);
+        if (header.envelope.hasZ) {
+          expect(header.envelope.minZ).toEqual(-3.0);
+          expect(header.envelope.maxZ).toEqual(3.0);
+        }
+        if (header.envelope.hasM) {
+          expect(header.envelope.minM).toEqual(4.0);
+          expect(header.envelope.maxM).toEqual(8.0);
+        }
+      }
+    }
+
+    expect(() => GeoPackageGeometryData.writeGeometry(lineString, 3857, ByteOrder.BIG_ENDIAN, 5)).toThrow(SFException);
+  });
+
+  it('test empty and extended flags', function () {
+    const empty = GeoPackageGeometryData.writeGeometry(new GeometryCollection(false, false), 4326);
+    const emptyHeader = GeoPackageGeometryData.readHeader(empty);
+    expect(emptyHeader.empty).toBe(true);
+    expect(emptyHeader.envelopeIndicator).toEqual(0);
+    expect(GeoPackageGeometryData.readGeometry(empty).isEmpty()).toBe(true);
+
+    // Polyhedral surfaces, TINs and triangles are standard GeoPackage geometry types
+    const collection = new GeometryCollection(false, false);
+    collection.addGeometry(new Point(1.0, 2.0));
+    const triangle = new Triangle(global.createLineString(false, false, true));
+    collection.addGeometry(triangle);
+    const tin = new TIN();
+    tin.addPolygon(triangle);
+    for (const geometry of [collection, triangle, tin]) {
+      const header = GeoPackageGeometryData.readHeader(GeoPackageGeometryData.writeGeometry(geometry, 4326));
+      expect(header.extended).toBe(false);
+      expect(header.extensionCode).toBeNull();
+    }
+  });
+
+  it('test extension code', function () {
+    // SRS 4326, extended, little endian, no envelope, extension code "TEST", POINT(1 2)
+    const bytes = global.hexToBytes('47500021E6100000544553540101000000000000000000F03F0000000000000040');
+    const header = GeoPackageGeometryData.readHeader(bytes);
+    expect(header.extended).toBe(true);
+    expect(header.extensionCode).toEqual('TEST');
+    expect(header.byteLength).toEqual(12);
+    expect(GeoPackageGeometryData.readGeometry(bytes).equals(new Point(1.0, 2.0))).toBe(true);
+    global.compareByteArrays(bytes,
+      GeoPackageGeometryData.writeGeometry(new Point(1.0, 2.0), 4326, ByteOrder.LITTLE_ENDIAN, 0, 'TEST'));
+
+    // Extension code following an envelope
+    const lineString = global.createLineString(true, false);
+    const extended = GeoPackageGeometryData.writeGeometry(lineString, 4326, ByteOrder.BIG_ENDIAN, undefined, 'NGA1');
+    const extendedHeader = GeoPackageGeometryData.readHeader(extended);
+    expect(extendedHeader.extensionCode).toEqual('NGA1');
+    expect(extendedHeader.byteLength).toEqual(GeoPackageGeometryHeader.getByteLength(2, true));
+    expect(extended.length).toEqual(extendedHeader.byteLength + GeometryWriter.getGeometryByteLength(lineString));
+    global.compareEnvelopes(lineString.getEnvelope(), extendedHeader.envelope);
+    global.compareGeometries(lineString, GeoPackageGeometryData.readGeometry(extended));
+
+    expect(() => GeoPackageGeometryData.writeGeometry(lineString, 4326, ByteOrder.BIG_ENDIAN, undefined, 'NGA')).toThrow(SFException);
+    expect(() => GeoPackageGeometryData.writeGeometry(lineString, 4326, ByteOrder.BIG_ENDIAN, undefined, 'NG\u0100A'))
+      .toThrow(SFException);
+  });
+
+  it('test invalid header', function () {
+    expect(() => GeoPackageGeometryData.readHeader(global.hexToBytes('47510001E6100000'))).toThrow(SFException);
+    expect(() => GeoPackageGeometryData.readHeader(global.hexToBytes('47500101E6100000'))).toThrow(SFException);
+    expect(() => GeoPackageGeometryData.readHeader(global.hexToBytes('4750000AE6100000'))).toThrow(SFException);
+  });
+
+  it('test round trip', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const hasZ = global.coinFlip();
+      const hasM = global.coinFlip();
+      geoPackageGeometryTester(global.createPoint(hasZ, hasM));
+      geoPackageGeometryTester(global.createLineString(hasZ, hasM));
+      geoPackageGeometryTester(global.createPolygon(hasZ, hasM));
+      geoPackageGeometryTester(global.createMultiPoint(hasZ, hasM));
+      geoPackageGeometryTester(global.createMultiLineString(hasZ, hasM));
+      geoPackageGeometryTester(global.createMultiPolygon(hasZ, hasM));
+      geoPackageGeometryTester(global.createGeometryCollection(hasZ, hasM));
+      geoPackageGeometryTester(global.createCompoundCurve(hasZ, hasM));
+    }
+  });
+
+});
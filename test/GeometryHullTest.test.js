@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import {
+  CircularString, GeometryEnvelopeBuilder, GeometryHull, GeometryType, GeometryUtils, LineString, MultiPoint, Point,
+  Polygon, SFException
+} from '../lib/sf/internal';
+
+/**
+ * Test the geometry is a closed polygon with the expected number of distinct
+ * points and area, and that it writes and reads back
+ * @param geometry geometry
+ * @param points expected number of distinct ring points
+ * @param area expected area
+ */
+function polygonTester(geometry, points, area) {
+  expect(geometry.geometryType).toEqual(GeometryType.POLYGON);
+  expect(geometry.numRings()).toEqual(1);
+  const ring = geometry.getExteriorRing();
+  expect(ring.numPoints()).toEqual(points + 1);
+  expect(ring.isClosed()).toBe(true);
+  expect(geometry.getArea()).toBeCloseTo(area, 10);
+  expect(GeometryUtils.isValid(geometry)).toBe(true);
+
+  const bytes = GeometryWriter.writeGeometry(geometry, ByteOrder.BIG_ENDIAN);
+  global.compareGeometries(geometry, GeometryReader.readGeometry(bytes));
+}
+
+/**
+ * Determine if the convex counter clockwise polygon contains the point,
+ * allowing for rounding of points on the polygon edges
+ * @param polygon convex polygon
+ * @param point point
+ * @return true if contained
+ */
+function containsPoint(polygon, point) {
+  const points = polygon.getExteriorRing().points;
+  for (let i = 0; i < points.length - 1; i++) {
+    const point1 = points[i];
+    const point2 = points[i + 1];
+    const cross = (point2.x - point1.x) * (point.y - point1.y) - (point2.y - point1.y) * (point.x - point1.x);
+    if (cross / GeometryUtils.distance(point1, point2) < -0.000000001) {
+      return false;
+    }
+  }
+  return true;
+}
+
+describe('Geometry Hull Tests', function () {
+
+  it('test convex hull', function () {
+    // Interior and edge points are not hull vertices
+    const square = global.buildMultiPoint([[0, 0], [2, 0], [1, 0], [2, 2], [0, 2], [1, 1], [0.5, 1.5]]);
+    const hull = GeometryUtils.convexHull(square);
+    polygonTester(hull, 4, 4);
+    expect(GeometryUtils.equals(hull, square.getEnvelope().buildGeometry())).toBe(true);
+
+    // Concave polygon
+    const polygon = new Polygon(false, false);
+    const ring = new LineString(false, false);
+    for (const [x, y] of [[0, 0], [4, 0], [4, 4], [2, 1], [0, 4], [0, 0]]) {
+      ring.addPoint(new Point(x, y));
+    }
+    polygon.addRing(ring);
+    polygonTester(GeometryHull.convexHull(polygon), 4, 16);
+
+    // Curves are linearized
+    const semicircle = new CircularString(false, false);
+    semicircle.addPoint(new Point(1, 0));
+    semicircle.addPoint(new Point(0, 1));
+    semicircle.addPoint(new Point(-1, 0));
+    const curveHull = GeometryHull.convexHull(semicircle);
+    expect(curveHull.geometryType).toEqual(GeometryType.POLYGON);
+    expect(curveHull.getArea()).toBeCloseTo(Math.PI / 2, 2);
+    expect(curveHull.getArea()).toBeLessThan(Math.PI / 2);
+  });
+
+  it('test convex hull degenerate', function () {
+    expect(GeometryHull.convexHull(new MultiPoint(false, false))).toBeNull();
+    expect(GeometryHull.convexHull(new LineString(false, false))).toBeNull();
+
+    const point = GeometryHull.convexHull(global.buildMultiPoint([[1, 2], [1, 2]]));
+    expect(point.geometryType).toEqual(GeometryType.POINT);
+    global.compareGeometries(point, new Point(1, 2));
+
+    const line = GeometryHull.convexHull(global.buildMultiPoint([[1, 1], [3, 3], [0, 0], [2, 2]]));
+    expect(line.geometryType).toEqual(GeometryType.LINESTRING);
+    expect(line.numPoints()).toEqual(2);
+    global.compareGeometries(line.startPoint(), new Point(0, 0));
+    global.compareGeometries(line.endPoint(), new Point(3, 3));
+
+    // Z and M values are not kept
+    const hull = GeometryHull.convexHull(global.createPolygon(true, true));
+    expect(hull.hasZ).toBe(false);
+    expect(hull.hasM).toBe(false);
+  });
+
+  it('test minimum rectangle', function () {
+    // Rotated square is tighter than its envelope
+    const diamond = global.buildMultiPoint([[1, 0], [2, 1], [1, 2], [0, 1]]);
+    const rectangle = GeometryUtils.minimumRectangle(diamond);
+    polygonTester(rectangle, 4, 2);
+    expect(GeometryEnvelopeBuilder.buildEnvelope(diamond).buildGeometry().getArea()).toEqual(4);
+
+    // Rotated rectangle of 4 by 1
+    const angle = Math.PI / 6;
+    const corners = [[0, 0], [4, 0], [4, 1], [0, 1], [2, 0.5]].map(([x, y]) =>
+      [x * Math.cos(angle) - y * Math.sin(angle), x * Math.sin(angle) + y * Math.cos(angle)]);
+    polygonTester(GeometryHull.minimumRectangle(global.buildMultiPoint(corners)), 4, 4);
+
+    // Axis aligned points match the envelope
+    polygonTester(GeometryHull.minimumRectangle(global.buildMultiPoint([[0, 0], [3, 0], [3, 2], [1, 1]])), 4, 6);
+
+    const line = GeometryHull.minimumRectangle(global.buildMultiPoint([[0, 0], [1, 1], [2, 2]]));
+    expect(line.geometryType).toEqual(GeometryType.LINESTRING);
+    expect(GeometryHull.minimumRectangle(new Point(1, 1)).geometryType).toEqual(GeometryType.POINT);
+    expect(GeometryHull.minimumRectangle(new Polygon(false, false))).toBeNull();
+  });
+
+  it('test minimum bounding circle', function () {
+    // Circle through the farthest two points
+    const circle = GeometryUtils.minimumBoundingCircle(global.buildMultiPoint([[0, 0], [2, 0], [1, 0.5]]), 4);
+    polygonTester(circle, 4, 4);
+    expect(GeometryUtils.contains(circle, global.buildMultiPoint([[0, 0], [2, 0], [1, 0.5]]))).toBe(true);
+    expect(circle.getCentroid().x).toBeCloseTo(1, 12);
+    expect(circle.getCentroid().y).toBeCloseTo(0, 12);
+
+    // Circle through three points of an equilateral triangle
+    const triangle = global.buildMultiPoint([[0, 0], [2, 0], [1, Math.sqrt(3)]]);
+    const segments = GeometryHull.DEFAULT_CIRCLE_SEGMENTS;
+    const radius = 2 / Math.sqrt(3);
+    polygonTester(GeometryHull.minimumBoundingCircle(triangle), segments,
+      segments * radius * radius * Math.tan(Math.PI / segments));
+
+    expect(GeometryHull.minimumBoundingCircle(new Point(1, 1)).geometryType).toEqual(GeometryType.POINT);
+    expect(GeometryHull.minimumBoundingCircle(new MultiPoint(false, false))).toBeNull();
+    expect(() => GeometryHull.minimumBoundingCircle(triangle, 2)).toThrow(SFException);
+    expect(() => GeometryUtils.minimumBoundingCircle(triangle, 4.5)).toThrow(SFException);
+  });
+
+  it('test random points', function () {
+    for (let i = 0; i < 10; i++) {
+      const multiPoint = new MultiPoint(false, false);
+      for (let j = 0; j < 50; j++) {
+        multiPoint.addPoint(global.createPoint(false, false));
+      }
+
+      const hull = GeometryHull.convexHull(multiPoint);
+      expect(GeometryUtils.intersects(hull, multiPoint)).toBe(true);
+      for (const point of multiPoint.points) {
+        expect(containsPoint(hull, point)).toBe(true);
+      }
+
+      const rectangle = GeometryHull.minimumRectangle(multiPoint);
+      expect(rectangle.getArea()).toBeGreaterThanOrEqual(hull.getArea() * (1 - 0.000000001));
+      expect(rectangle.getArea()).toBeLessThanOrEqual(
+        GeometryEnvelopeBuilder.buildEnvelope(multiPoint).buildGeometry().getArea() * (1 + 0.000000001));
+      for (const point of multiPoint.points) {
+        expect(containsPoint(rectangle, point)).toBe(true);
+      }
+
+      const circle = GeometryHull.minimumBoundingCircle(multiPoint);
+      for (const point of multiPoint.points) {
+        expect(containsPoint(circle, point)).toBe(true);
+      }
+    }
+  });
+
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeometryInspector } from '../lib/GeometryInspector';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { WKTGeometryReader } from '../lib/WKTGeometryReader';
+import {
+  ExtendedGeometryCollection,
+  GeometryType,
+  LineString,
+  Point,
+  Polygon,
+  SFException
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Count the points and rings of a geometry
+ * @param geometry geometry
+ * @return points and rings
+ */
+function count(geometry) {
+  let points = 0;
+  let rings = 0;
+  switch (geometry.geometryType) {
+    case GeometryType.POINT:
+      points = isNaN(geometry.x) && isNaN(geometry.y) ? 0 : 1;
+      break;
+    case GeometryType.LINESTRING:
+    case GeometryType.CIRCULARSTRING:
+      points = geometry.numPoints();
+      break;
+    case GeometryType.POLYGON:
+    case GeometryType.TRIANGLE:
+      rings = geometry.numRings();
+      for (const ring of geometry.rings) {
+        points += ring.numPoints();
+      }
+      break;
+    default: {
+      let members = geometry.geometries || geometry.lineStrings || geometry.polygons;
+      if (geometry.geometryType === GeometryType.CURVEPOLYGON) {
+        members = geometry.rings;
+        rings = members.length;
+      }
+      for (const member of members) {
+        const memberCount = count(member);
+        points += memberCount.points;
+        rings += memberCount.rings;
+      }
+    }
+  }
+  return { points: points, rings: rings };
+}
+
+/**
+ * Inspect the geometry bytes and compare the summary to the read geometry
+ * @param geometry geometry
+ */
+function geometryInspectorTester(geometry) {
+  const bytes = GeometryWriter.writeGeometry(geometry, global.coinFlip() ? ByteOrder.BIG_ENDIAN : ByteOrder.LITTLE_ENDIAN);
+  const summary = GeometryInspector.inspectGeometry(bytes);
+  const readGeometry = GeometryReader.readGeometry(bytes);
+
+  expect(summary.geometryType).toEqual(geometry.geometryType);
+  expect(summary.geometryTypeInfo.hasZ).toEqual(geometry.hasZ);
+  expect(summary.geometryTypeInfo.hasM).toEqual(geometry.hasM);
+  expect(summary.byteOffset).toEqual(0);
+  expect(summary.byteLength).toEqual(bytes.length);
+  const expected = count(readGeometry);
+  expect(summary.numPoints).toEqual(expected.points);
+  expect(summary.numRings).toEqual(expected.rings);
+  global.compareEnvelopes(readGeometry.getEnvelope(), summary.envelope);
+
+  let childOffset = summary.byteOffset + 9;
+  for (const child of summary.children) {
+    expect(child.byteOffset).toEqual(childOffset);
+    childOffset += child.byteLength;
+  }
+  if (summary.numParts > 0) {
+    expect(childOffset).toEqual(summary.byteLength);
+  }
+}
+
+describe('Geometry Inspector Tests', function () {
+
+  it('test polygon', function () {
+    const polygon = new Polygon(true, false);
+    const ring = new LineString(true, false);
+    ring.addPoint(new Point(0.0, 0.0, 5.0));
+    ring.addPoint(new Point(10.0, 0.0, -1.0));
+    ring.addPoint(new Point(10.0, 20.0, 2.0));
+    ring.addPoint(new Point(0.0, 0.0, 5.0));
+    polygon.addRing(ring);
+
+    const summary = GeometryInspector.inspectGeometry(GeometryWriter.writeGeometry(polygon));
+    expect(summary.geometryType).toEqual(GeometryType.POLYGON);
+    expect(summary.numRings).toEqual(1);
+    expect(summary.numPoints).toEqual(4);
+    expect(summary.numParts).toEqual(0);
+    expect(summary.children.length).toEqual(0);
+    expect(summary.byteLength).toEqual(GeometryWriter.getGeometryByteLength(polygon));
+    expect(summary.envelope.minX).toEqual(0.0);
+    expect(summary.envelope.maxX).toEqual(10.0);
+    expect(summary.envelope.maxY).toEqual(20.0);
+    expect(summary.envelope.minZ).toEqual(-1.0);
+    expect(summary.envelope.maxZ).toEqual(5.0);
+    expect(summary.envelope.hasM).toBe(false);
+  });
+
+  it('test large polygon', function () {
+    const polygon = new Polygon(false, false);
+    const ring = new LineString(false, false);
+    const numPoints = 100000;
+    for (let i = 0; i < numPoints; i++) {
+      const angle = 2 * Math.PI * i / numPoints;
+      ring.addPoint(new Point(Math.cos(angle), Math.sin(angle)));
+    }
+    ring.addPoint(new Point(1.0, 0.0));
+    polygon.addRing(ring);
+    const bytes = GeometryWriter.writeGeometry(polygon);
+
+    // Inspection reads no points or geometries
+    const readPoint = vi.spyOn(GeometryReader.prototype, 'readPoint');
+    const read = vi.spyOn(GeometryReader.prototype, 'read');
+    try {
+      const summary = GeometryInspector.inspectGeometry(bytes);
+      expect(summary.numPoints).toEqual(numPoints + 1);
+      expect(readPoint).not.toHaveBeenCalled();
+      expect(read).not.toHaveBeenCalled();
+      GeometryReader.readGeometry(bytes);
+      expect(readPoint).toHaveBeenCalledTimes(numPoints + 1);
+    } finally {
+      readPoint.mockRestore();
+      read.mockRestore();
+    }
+
+    // Fastest of several runs, so a single slow run does not fail the comparison
+    const time = (operation) => {
+      let fastest = Number.MAX_VALUE;
+      for (let i = 0; i < 5; i++) {
+        const start = performance.now();
+        operation();
+        fastest = Math.min(fastest, performance.now() - start);
+      }
+      return fastest;
+    };
+    const inspectTime = time(() => GeometryInspector.inspectGeometry(bytes));
+    const readTime = time(() => GeometryReader.readGeometry(bytes));
+    expect(inspectTime).toBeLessThan(readTime / 2);
+  });
+
+  it('test empty', function () {
+    const summary = GeometryInspector.inspectGeometry(GeometryWriter.writeGeometry(new Point(true, false, NaN, NaN)));
+    expect(summary.isEmpty()).toBe(true);
+    expect(summary.envelope).toBeNull();
+
+    const lineString = GeometryInspector.inspectGeometry(global.hexToBytes('000000000200000000'));
+    expect(lineString.isEmpty()).toBe(true);
+    expect(lineString.envelope).toBeNull();
+
+    // Empty point z and m values are outside the bounds
+    const multiPoint = WKTGeometryReader.readGeometry('MULTIPOINT ZM (EMPTY, (1 2 3 7), (4 5 6 8))');
+    const envelope = GeometryInspector.inspectGeometry(GeometryWriter.writeGeometry(multiPoint)).envelope;
+    expect(envelope.minZ).toEqual(3);
+    expect(envelope.maxZ).toEqual(6);
+    expect(envelope.minM).toEqual(7);
+    expect(envelope.maxM).toEqual(8);
+    global.compareEnvelopes(multiPoint.getEnvelope(), envelope);
+  });
+
+  it('test geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      geometryInspectorTester(global.createPoint(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createLineString(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createPolygon(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createMultiPoint(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createMultiLineString(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createMultiPolygon(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createGeometryCollection(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createCompoundCurve(global.coinFlip(), global.coinFlip()));
+      geometryInspectorTester(global.createCurvePolygon(global.coinFlip(), global.coinFlip()));
+    }
+  });
+
+  it('test multi surface', function () {
+    const multiSurface = new ExtendedGeometryCollection(global.createMultiSurface());
+    const bytes = GeometryWriter.writeGeometry(multiSurface);
+    const summary = GeometryInspector.inspectGeometry(bytes);
+    expect(summary.geometryType).toEqual(GeometryType.MULTISURFACE);
+    expect(summary.numParts).toEqual(multiSurface.numGeometries());
+    expect(summary.numRings).toEqual(count(multiSurface).rings);
+    global.compareEnvelopes(GeometryReader.readGeometry(bytes).getEnvelope(), summary.envelope);
+  });
+
+  it('test invalid', function () {
+    expect(() => GeometryInspector.inspectGeometry(global.hexToBytes('0000000000'))).toThrow(SFException);
+    expect(() => GeometryInspector.inspectGeometry(global.hexToBytes('0000000002000000020000'))).toThrow(RangeError);
+  });
+
+});
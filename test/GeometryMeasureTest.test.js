@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import {
+  CircularString, CompoundCurve, CurvePolygon, GeometryCollection, GeometryUtils, MultiLineString, MultiPolygon,
+  Point, Polygon, TIN, Triangle
+} from '../lib/sf/internal';
+
+/**
+ * WGS84 ellipsoid surface area in square meters
+ */
+const WGS84_SURFACE_AREA = 510065621724088.5;
+
+/**
+ * Convert degrees, minutes and seconds to decimal degrees
+ * @param degrees degrees
+ * @param minutes minutes
+ * @param seconds seconds
+ * @return decimal degrees
+ */
+function toDegrees(degrees, minutes, seconds) {
+  return Math.sign(degrees) * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+}
+
+describe('Geometry Measure Tests', function () {
+
+  it('test planar lines and polygons', function () {
+    expect(new Point(1, 2).getLength()).toEqual(0);
+    expect(new Point(1, 2).getArea()).toEqual(0);
+
+    const lineString = global.buildLineString([[0, 0], [3, 4], [3, 10]]);
+    expect(lineString.getLength()).toEqual(11);
+    expect(lineString.getArea()).toEqual(0);
+    expect(lineString.getPerimeter()).toEqual(0);
+
+    const multiLineString = new MultiLineString(false, false);
+    multiLineString.addLineString(lineString);
+    multiLineString.addLineString(global.buildLineString([[0, 0], [-1, 0]]));
+    expect(GeometryUtils.getLength(multiLineString)).toEqual(12);
+
+    // Clockwise shell and counter clockwise hole
+    const polygon = new Polygon(global.buildLineString([[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]));
+    polygon.addRing(global.buildLineString([[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]]));
+    expect(polygon.getArea()).toEqual(96);
+    expect(polygon.getPerimeter()).toEqual(48);
+    expect(polygon.getLength()).toEqual(0);
+
+    const multiPolygon = new MultiPolygon(false, false);
+    multiPolygon.addPolygon(polygon);
+    multiPolygon.addPolygon(new Polygon(global.buildLineString([[20, 0], [23, 0], [20, 4], [20, 0]])));
+    expect(GeometryUtils.getArea(multiPolygon)).toEqual(102);
+    expect(GeometryUtils.getPerimeter(multiPolygon)).toEqual(60);
+
+    // Large coordinates
+    const offset = new Polygon(
+      global.buildLineString([[1e7, 1e7], [1e7 + 1, 1e7], [1e7 + 1, 1e7 + 1], [1e7, 1e7 + 1], [1e7, 1e7]]));
+    expect(offset.getArea()).toEqual(1);
+
+    const geometryCollection = new GeometryCollection(false, false);
+    geometryCollection.addGeometry(new Point(5, 5));
+    geometryCollection.addGeometry(lineString);
+    geometryCollection.addGeometry(multiPolygon);
+    expect(geometryCollection.getArea()).toEqual(102);
+    expect(geometryCollection.getLength()).toEqual(11);
+    expect(geometryCollection.getPerimeter()).toEqual(60);
+  });
+
+  it('test planar triangles', function () {
+    const tin = new TIN(false, false);
+    tin.addPolygon(new Triangle(global.buildLineString([[0, 0], [2, 0], [0, 2], [0, 0]])));
+    tin.addPolygon(new Triangle(global.buildLineString([[2, 0], [2, 2], [0, 2], [2, 0]])));
+    expect(tin.polygons[0].getArea()).toEqual(2);
+    expect(tin.getArea()).toEqual(4);
+    expect(tin.getPerimeter()).toBeCloseTo(8 + 4 * Math.SQRT2, 12);
+  });
+
+  it('test planar curves', function () {
+    // Full circle of radius 2
+    const circle = global.buildLineString([[0, 0], [4, 0], [0, 0]], CircularString);
+    expect(circle.getLength()).toBeCloseTo(4 * Math.PI, 12);
+    const circlePolygon = new CurvePolygon(false, false);
+    circlePolygon.addRing(circle);
+    expect(circlePolygon.getArea()).toBeCloseTo(4 * Math.PI, 12);
+    expect(circlePolygon.getPerimeter()).toBeCloseTo(4 * Math.PI, 12);
+
+    // Inscribed polygons approach the arc measurements from below
+    const inscribed = [];
+    for (let i = 0; i < 64; i++) {
+      const angle = Math.PI + 2 * Math.PI * i / 64;
+      inscribed.push([2 + 2 * Math.cos(angle), 2 * Math.sin(angle)]);
+    }
+    inscribed.push(inscribed[0]);
+    const inscribedPolygon = global.buildPolygon([inscribed]);
+    expect(inscribedPolygon.getArea()).toBeLessThan(circlePolygon.getArea());
+    expect(inscribedPolygon.getArea()).toBeCloseTo(circlePolygon.getArea(), 1);
+
+    // Clockwise upper half circle closed along the diameter
+    const semicircle = new CompoundCurve(false, false);
+    semicircle.addLineString(global.buildLineString([[-1, 0], [0, 1], [1, 0]], CircularString));
+    semicircle.addLineString(global.buildLineString([[1, 0], [-1, 0]]));
+    expect(semicircle.getLength()).toBeCloseTo(Math.PI + 2, 12);
+    const semicirclePolygon = new CurvePolygon(false, false);
+    semicirclePolygon.addRing(semicircle);
+    expect(semicirclePolygon.getArea()).toBeCloseTo(Math.PI / 2, 12);
+
+    // Arcs of more than a half circle, and a straight circular string
+    const majorArc = global.buildLineString([[0, 1], [-1, 0], [0, -1], [1, 0], [0, 1]], CircularString);
+    expect(majorArc.getLength()).toBeCloseTo(2 * Math.PI, 12);
+    expect(global.buildLineString([[0, 0], [1, 1], [3, 3]], CircularString).getLength()).toBeCloseTo(3 * Math.SQRT2, 12);
+    const reflex = global.buildLineString([[1, 0], [0, -1], [0, 1]], CircularString);
+    expect(reflex.getLength()).toBeCloseTo(1.5 * Math.PI, 12);
+    const reflexRing = new CompoundCurve(false, false);
+    reflexRing.addLineString(reflex);
+    reflexRing.addLineString(global.buildLineString([[0, 1], [0, 0], [1, 0]]));
+    const reflexPolygon = new CurvePolygon(false, false);
+    reflexPolygon.addRing(reflexRing);
+    expect(reflexPolygon.getArea()).toBeCloseTo(0.75 * Math.PI, 12);
+
+    // Circle with a square hole
+    circlePolygon.addRing(global.buildLineString([[1, -0.5], [2, -0.5], [2, 0.5], [1, 0.5], [1, -0.5]]));
+    expect(circlePolygon.getArea()).toBeCloseTo(4 * Math.PI - 1, 12);
+    expect(circlePolygon.getPerimeter()).toBeCloseTo(4 * Math.PI + 4, 12);
+  });
+
+  it('test geodesic distances', function () {
+    // Flinders Peak to Buninyong, Vincenty (1975)
+    const flindersPeak = new Point(toDegrees(144, 25, 29.5244), toDegrees(-37, 57, 3.7203));
+    const buninyong = new Point(toDegrees(143, 55, 35.3839), toDegrees(-37, 39, 10.1561));
+    expect(GeometryUtils.geodesicDistance(flindersPeak, buninyong)).toBeCloseTo(54972.271, 3);
+    expect(GeometryUtils.geodesicDistance(buninyong, flindersPeak)).toBeCloseTo(54972.271, 3);
+
+    // Equator degree and quarter meridian
+    expect(GeometryUtils.geodesicDistance(new Point(0, 0), new Point(1, 0))).toBeCloseTo(6378137.0 * Math.PI / 180, 6);
+    expect(GeometryUtils.geodesicDistance(new Point(179.5, 0), new Point(-179.5, 0))).toBeCloseTo(6378137.0 * Math.PI / 180, 6);
+    expect(GeometryUtils.geodesicDistance(new Point(0, 0), new Point(0, 90))).toBeCloseTo(10001965.729, 3);
+    expect(GeometryUtils.geodesicDistance(new Point(10, 20), new Point(10, 20))).toEqual(0);
+
+    // Antipodal and nearly antipodal points, GeographicLib reference values
+    const halfMeridian = 20003931.45863;
+    expect(GeometryUtils.geodesicDistance(new Point(0, 0), new Point(180, 0))).toBeCloseTo(halfMeridian, 4);
+    expect(GeometryUtils.geodesicDistance(new Point(0, -89), new Point(180, 89))).toBeCloseTo(halfMeridian, 4);
+    expect(GeometryUtils.geodesicDistance(new Point(0, 0.1), new Point(180, -0.1))).toBeCloseTo(halfMeridian, 4);
+    expect(GeometryUtils.geodesicDistance(new Point(0, 0), new Point(179.7, 0))).toBeCloseTo(19995624.88996, 4);
+    expect(GeometryUtils.geodesicDistance(new Point(0, 0), new Point(179.5, 0.5))).toBeCloseTo(19936288.57897, 4);
+    expect(GeometryUtils.geodesicDistance(new Point(0, 1), new Point(179, -1))).toBeCloseTo(19926195.53016, 4);
+    expect(GeometryUtils.getGeodesicLength(global.buildLineString([[0, 0], [180, 0]]))).toBeCloseTo(halfMeridian, 4);
+
+    const lineString = global.buildLineString([[0, 0], [1, 0], [1, 1]]);
+    expect(GeometryUtils.getGeodesicLength(lineString)).toBeCloseTo(GeometryUtils.geodesicDistance(new Point(0, 0), new Point(1, 0))
+      + GeometryUtils.geodesicDistance(new Point(1, 0), new Point(1, 1)), 6);
+    const polygon = new Polygon(global.buildLineString([[0, 0], [1, 0], [1, 1], [0, 0]]));
+    expect(GeometryUtils.getGeodesicLength(polygon)).toEqual(0);
+  });
+
+  it('test geodesic areas', function () {
+    // Ellipsoid octant bounded by the equator and two meridians
+    const octant = new Polygon(global.buildLineString([[0, 0], [90, 0], [0, 90], [0, 0]]));
+    expect(Math.abs(GeometryUtils.getGeodesicArea(octant) / (WGS84_SURFACE_AREA / 8) - 1)).toBeLessThan(1e-12);
+    expect(GeometryUtils.getGeodesicPerimeter(octant)).toBeCloseTo(6378137.0 * Math.PI / 2 + 2 * 10001965.729, 2);
+
+    // Octant across the antimeridian, clockwise
+    const antimeridian = new Polygon(global.buildLineString([[135, 0], [135, 90], [-135, 0], [135, 0]]));
+    expect(Math.abs(GeometryUtils.getGeodesicArea(antimeridian) / (WGS84_SURFACE_AREA / 8) - 1)).toBeLessThan(1e-12);
+
+    // Degree cells shrink towards the poles
+    const equatorCell = new Polygon(global.buildLineString([[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]));
+    const northernCell = new Polygon(global.buildLineString([[0, 60], [1, 60], [1, 61], [0, 61], [0, 60]]));
+    const equatorArea = GeometryUtils.getGeodesicArea(equatorCell);
+    expect(equatorArea).toBeGreaterThan(1.23e10);
+    expect(equatorArea).toBeLessThan(1.24e10);
+    expect(GeometryUtils.getGeodesicArea(northernCell)).toBeLessThan(equatorArea * 0.5);
+
+    const multiPolygon = new MultiPolygon(false, false);
+    const withHole = new Polygon(global.buildLineString([[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]));
+    withHole.addRing(global.buildLineString([[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]));
+    multiPolygon.addPolygon(withHole);
+    multiPolygon.addPolygon(equatorCell);
+    expect(GeometryUtils.getGeodesicArea(multiPolygon)).toBeCloseTo(GeometryUtils.getGeodesicArea(
+      new Polygon(global.buildLineString([[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]))), 2);
+    expect(GeometryUtils.getGeodesicArea(new Point(1, 1))).toEqual(0);
+  });
+
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { EnvelopeReadFilter } from '../lib/EnvelopeReadFilter';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryReaderLimits } from '../lib/GeometryReaderLimits';
+import { GeometryTypeReadFilter } from '../lib/GeometryTypeReadFilter';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { PointCountReadFilter } from '../lib/PointCountReadFilter';
+import { WKBLimitException } from '../lib/WKBLimitException';
+import { WKTGeometryReader } from '../lib/WKTGeometryReader';
+import {
+  GeometryCollection, GeometryEnvelope, GeometryType, MultiLineString, MultiPoint, MultiPolygon, Point
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Read the bytes in both byte orders with the read filter in strict mode,
+ * verifying the skipped bytes are fully consumed
+ * @param geometry geometry
+ * @param readFilter read filter
+ * @return read geometry
+ */
+function readFilterTester(geometry, readFilter) {
+  let result;
+  for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+    const geometryReader = new GeometryReader(GeometryWriter.writeGeometry(geometry, byteOrder));
+    expect(geometryReader.getReadFilter()).toBeNull();
+    geometryReader.setReadFilter(readFilter);
+    expect(geometryReader.getReadFilter()).toBe(readFilter);
+    geometryReader.setStrict(true);
+    result = geometryReader.read();
+    expect(geometryReader.getByteReader().position).toEqual(GeometryWriter.getGeometryByteLength(geometry));
+  }
+  return result;
+}
+
+/**
+ * Expect a limit exception reading the bytes with the limits and read filter
+ * @param bytes well-known bytes
+ * @param limits reader limits
+ * @param readFilter read filter
+ * @param limit expected limit name
+ */
+function limitFilterTester(bytes, limits, readFilter, limit) {
+  const geometryReader = new GeometryReader(bytes);
+  geometryReader.setLimits(limits);
+  geometryReader.setReadFilter(readFilter);
+  try {
+    geometryReader.read();
+    expect.fail('Expected a limit exception');
+  } catch (e) {
+    expect(e).toBeInstanceOf(WKBLimitException);
+    expect(e.limit).toEqual(limit);
+  }
+}
+
+describe('Geometry Read Filter Tests', function () {
+
+  it('test type filter', function () {
+    const geometryCollection = new GeometryCollection(false, false);
+    geometryCollection.addGeometry(new Point(1.0, 2.0));
+    geometryCollection.addGeometry(global.createLineString(false, false));
+    geometryCollection.addGeometry(global.createPolygon(false, false));
+
+    const readFilter = new GeometryTypeReadFilter([GeometryType.LINESTRING]);
+    expect(readFilter.isExcluded(GeometryType.LINESTRING)).toBe(true);
+    expect(readFilter.isExcluded(GeometryType.POINT)).toBe(false);
+    const result = readFilterTester(geometryCollection, readFilter);
+    expect(result.numGeometries()).toEqual(2);
+    global.compareGeometries(geometryCollection.geometries[0], result.geometries[0]);
+    global.compareGeometries(geometryCollection.geometries[2], result.geometries[1]);
+
+    readFilter.exclude(GeometryType.GEOMETRYCOLLECTION);
+    expect(readFilter.getExcludedTypes()).toEqual([GeometryType.LINESTRING, GeometryType.GEOMETRYCOLLECTION]);
+    expect(readFilterTester(geometryCollection, readFilter)).toBeNull();
+    expect(GeometryReader.readGeometryWithReadFilter(GeometryWriter.writeGeometry(geometryCollection), readFilter)).toBeNull();
+  });
+
+  it('test envelope filter', function () {
+    const multiPoint = new MultiPoint(false, false);
+    multiPoint.addPoint(new Point(1.0, 1.0));
+    multiPoint.addPoint(new Point(20.0, 20.0));
+    multiPoint.addPoint(Point.createEmpty());
+    multiPoint.addPoint(new Point(10.0, 5.0));
+
+    const readFilter = new EnvelopeReadFilter(new GeometryEnvelope(0.0, 0.0, 10.0, 10.0));
+    const result = readFilterTester(multiPoint, readFilter);
+    expect(result.numPoints()).toEqual(2);
+    global.compareGeometries(multiPoint.points[0], result.points[0]);
+    global.compareGeometries(multiPoint.points[3], result.points[1]);
+
+    readFilter.setEnvelope(new GeometryEnvelope(30.0, 30.0, 40.0, 40.0));
+    expect(readFilter.getEnvelope().minX).toEqual(30.0);
+    expect(readFilterTester(multiPoint, readFilter)).toBeNull();
+  });
+
+  it('test point count filter', function () {
+    const multiPolygon = new MultiPolygon(false, false);
+    multiPolygon.addPolygon(global.buildPolygon([[[0, 0], [1, 0], [0, 1], [0, 0]]]));
+    multiPolygon.addPolygon(global.buildPolygon([[[0, 0], [3, 0], [3, 1], [2, 1], [2, 2], [1, 2], [1, 3], [0, 3],
+      [0, 1], [0, 0]]]));
+    multiPolygon.addPolygon(global.buildSquare(0, 0, 1));
+
+    const readFilter = new PointCountReadFilter(5);
+    expect(readFilter.getMinPoints()).toEqual(5);
+    const result = readFilterTester(multiPolygon, readFilter);
+    expect(result.numPolygons()).toEqual(2);
+    global.compareGeometries(multiPolygon.polygons[1], result.polygons[0]);
+    global.compareGeometries(multiPolygon.polygons[2], result.polygons[1]);
+
+    readFilter.setMinPoints(20);
+    expect(readFilterTester(multiPolygon, readFilter)).toBeNull();
+  });
+
+  it('test geometry parts', function () {
+    // Curve polygon rings are read with their polygon
+    const curvePolygon = WKTGeometryReader.readGeometry(
+      'CURVEPOLYGON((0 0,100 0,100 100,0 100,0 0),(80 80,90 80,90 90,80 90,80 80))');
+    const envelopeFilter = new EnvelopeReadFilter(new GeometryEnvelope(0.0, 0.0, 10.0, 10.0));
+    global.compareGeometries(curvePolygon, readFilterTester(curvePolygon, envelopeFilter));
+
+    // Compound curve segments are read with their curve
+    const compoundCurve = WKTGeometryReader.readGeometry('COMPOUNDCURVE((0 0,10 0),CIRCULARSTRING(10 0,15 5,20 0),(20 0,30 0))');
+    global.compareGeometries(compoundCurve, readFilterTester(compoundCurve, new PointCountReadFilter(3)));
+    global.compareGeometries(compoundCurve,
+      readFilterTester(compoundCurve, new GeometryTypeReadFilter([GeometryType.CIRCULARSTRING])));
+    expect(readFilterTester(compoundCurve, new PointCountReadFilter(10))).toBeNull();
+
+    // Multi curve members are filtered as whole curves
+    const multiCurve = WKTGeometryReader.readGeometry(
+      'MULTICURVE(COMPOUNDCURVE((0 0,10 0),CIRCULARSTRING(10 0,15 5,20 0)),(50 50,60 60),CIRCULARSTRING(0 0,1 1,2 0))');
+    const result = readFilterTester(multiCurve, new GeometryTypeReadFilter([GeometryType.CIRCULARSTRING]));
+    expect(result.numGeometries()).toEqual(2);
+    global.compareGeometries(multiCurve.geometries[0], result.geometries[0]);
+    global.compareGeometries(multiCurve.geometries[1], result.geometries[1]);
+    const envelopeResult = readFilterTester(multiCurve, new EnvelopeReadFilter(new GeometryEnvelope(0.0, 0.0, 20.0, 20.0)));
+    expect(envelopeResult.numGeometries()).toEqual(2);
+    global.compareGeometries(multiCurve.geometries[0], envelopeResult.geometries[0]);
+    global.compareGeometries(multiCurve.geometries[2], envelopeResult.geometries[1]);
+  });
+
+  it('test geometries', function () {
+    const readFilter = new GeometryTypeReadFilter([GeometryType.LINESTRING, GeometryType.POINT]);
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const hasZ = global.coinFlip();
+      const hasM = global.coinFlip();
+      const geometryCollection = global.createGeometryCollection(hasZ, hasM);
+
+      // Members of excluded types are skipped, including within multi geometries
+      const expected = new GeometryCollection(hasZ, hasM);
+      for (const geometry of geometryCollection.geometries) {
+        if (geometry.geometryType === GeometryType.MULTIPOINT) {
+          expected.addGeometry(new MultiPoint(hasZ, hasM));
+        } else if (geometry.geometryType === GeometryType.MULTILINESTRING) {
+          expected.addGeometry(new MultiLineString(hasZ, hasM));
+        } else if (!readFilter.isExcluded(geometry.geometryType)) {
+          expected.addGeometry(geometry);
+        }
+      }
+
+      global.compareGeometries(expected, readFilterTester(geometryCollection, readFilter));
+    }
+  });
+
+  it('test limits', function () {
+    // Skipped, inspected and read geometries are all within the limits
+    const readFilters = [
+      { filterType: () => false },
+      { filterType: () => true },
+      { filterSummary: () => false },
+      { filterSummary: () => true }
+    ];
+
+    // Nested deeper than the call stack
+    const nested = global.hexToBytes('000000000700000001'.repeat(199999) + '000000000700000000');
+    const depthLimits = new GeometryReaderLimits();
+    depthLimits.setMaxDepth(10);
+
+    const geometryCollection = new GeometryCollection(false, false);
+    geometryCollection.addGeometry(global.buildLineString([[0, 0], [1, 1], [2, 2]]));
+    geometryCollection.addGeometry(global.buildMultiPoint([[0, 0], [1, 1], [2, 2]]));
+    const bytes = GeometryWriter.writeGeometry(geometryCollection);
+    const pointLimits = new GeometryReaderLimits();
+    pointLimits.setMaxPoints(5);
+    const partLimits = new GeometryReaderLimits();
+    partLimits.setMaxParts(2);
+
+    for (const readFilter of readFilters) {
+      limitFilterTester(nested, depthLimits, readFilter, 'maxDepth');
+      limitFilterTester(bytes, pointLimits, readFilter, 'maxPoints');
+      limitFilterTester(bytes, partLimits, readFilter, 'maxParts');
+    }
+
+    // Skipped members count towards the points of the top level geometry
+    const readFilter = new GeometryTypeReadFilter([GeometryType.LINESTRING]);
+    limitFilterTester(bytes, pointLimits, readFilter, 'maxPoints');
+    pointLimits.setMaxPoints(6);
+    const geometryReader = new GeometryReader(bytes);
+    geometryReader.setLimits(pointLimits);
+    geometryReader.setReadFilter(readFilter);
+    expect(geometryReader.read().numGeometries()).toEqual(1);
+  });
+
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryReaderLimits } from '../lib/GeometryReaderLimits';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { WKBFormatException } from '../lib/WKBFormatException';
+import { WKBLimitException } from '../lib/WKBLimitException';
+import { SFException } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Expect a limit exception reading the bytes
+ * @param bytes well-known bytes
+ * @param limits reader limits
+ * @param limit expected limit name
+ * @param actual expected actual value
+ * @param offset expected byte offset
+ * @param path expected nesting path
+ */
+function limitErrorTester(bytes, limits, limit, actual, offset, path) {
+  try {
+    GeometryReader.readGeometryWithLimits(bytes, limits);
+    expect.fail('Expected a limit exception');
+  } catch (e) {
+    expect(e).toBeInstanceOf(WKBLimitException);
+    expect(e).toBeInstanceOf(SFException);
+    expect(e.limit).toEqual(limit);
+    expect(e.actual).toEqual(actual);
+    expect(e.offset).toEqual(offset);
+    expect(e.path).toEqual(path);
+  }
+}
+
+/**
+ * Create geometry collections nested to the depth, the innermost empty
+ * @param depth nesting depth
+ * @return well-known bytes
+ */
+function createNestedCollections(depth) {
+  let hex = '';
+  for (let i = 1; i < depth; i++) {
+    hex += '000000000700000001';
+  }
+  hex += '000000000700000000';
+  return global.hexToBytes(hex);
+}
+
+describe('Geometry Reader Limits Tests', function () {
+
+  it('test within limits', function () {
+    const limits = new GeometryReaderLimits(10, 1000000, 1000, 10000000);
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const geometry = global.createGeometryCollection(global.coinFlip(), global.coinFlip());
+      const bytes = GeometryWriter.writeGeometry(geometry);
+      global.compareGeometries(geometry, GeometryReader.readGeometryWithLimits(bytes, limits));
+    }
+
+    const geometryReader = new GeometryReader(createNestedCollections(3));
+    expect(geometryReader.getLimits()).toBeNull();
+    geometryReader.setLimits(new GeometryReaderLimits(3));
+    expect(geometryReader.getLimits().getMaxDepth()).toEqual(3);
+    expect(geometryReader.getLimits().getMaxPoints()).toEqual(Infinity);
+    expect(geometryReader.read().numGeometries()).toEqual(1);
+  });
+
+  it('test depth', function () {
+    const limits = new GeometryReaderLimits();
+    limits.setMaxDepth(4);
+    limitErrorTester(createNestedCollections(5), limits, 'maxDepth', 5, 36, 'GeometryCollection[0][0][0][0]');
+
+    // Bounded before exhausting the stack
+    limits.setMaxDepth(64);
+    limitErrorTester(createNestedCollections(100000), limits, 'maxDepth', 65, 64 * 9, 'GeometryCollection' + '[0]'.repeat(64));
+  });
+
+  it('test points', function () {
+    const limits = new GeometryReaderLimits();
+    limits.setMaxPoints(9);
+    const lineString = global.createLineString(false, false);
+    while (lineString.numPoints() < 10) {
+      lineString.addPoint(global.createPoint(false, false));
+    }
+    limitErrorTester(GeometryWriter.writeGeometry(lineString), limits, 'maxPoints', lineString.numPoints(), 9, 'LineString');
+
+    const multiPoint = global.createMultiPoint(false, false);
+    limits.setMaxPoints(multiPoint.numPoints() - 1);
+    limitErrorTester(GeometryWriter.writeGeometry(multiPoint), limits, 'maxPoints', multiPoint.numPoints(),
+      9 + multiPoint.numPoints() * 21 - 16, 'MultiPoint[' + (multiPoint.numPoints() - 1) + ']');
+  });
+
+  it('test parts and byte length', function () {
+    const multiPolygon = global.createMultiPolygon(false, false);
+    while (multiPolygon.numPolygons() < 3) {
+      multiPolygon.addPolygon(global.createPolygon(false, false));
+    }
+    const bytes = GeometryWriter.writeGeometry(multiPolygon);
+
+    const limits = new GeometryReaderLimits();
+    limits.setMaxParts(2);
+    limitErrorTester(bytes, limits, 'maxParts', multiPolygon.numPolygons(), 5, 'MultiPolygon');
+
+    limits.setMaxParts(Infinity);
+    limits.setMaxByteLength(bytes.length - 1);
+    limitErrorTester(bytes, limits, 'maxByteLength', bytes.length, 0, '');
+  });
+
+  it('test counts', function () {
+    // Counts beyond the remaining bytes fail before allocating
+    const limits = new GeometryReaderLimits();
+    for (const hex of ['00000000027FFFFFFF', '00000000037FFFFFFF', '00000000077FFFFFFF']) {
+      expect(() => GeometryReader.readGeometryWithLimits(global.hexToBytes(hex), limits)).toThrow(WKBFormatException);
+    }
+  });
+
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import {
+  CircularString, CurvePolygon, GeometryCollection, GeometryUtils, IntersectionMatrix, MultiLineString, MultiPoint,
+  MultiPolygon, Point, Polygon, SFException, TopologyLocation
+} from '../lib/sf/internal';
+
+/**
+ * Relate the geometries in both orders, comparing the intersection matrix
+ * @param geometry1 first geometry
+ * @param geometry2 second geometry
+ * @param expected expected matrix string
+ */
+function relateTester(geometry1, geometry2, expected) {
+  const matrix = GeometryUtils.relate(geometry1, geometry2);
+  expect(matrix.toString()).toEqual(expected);
+  expect(GeometryUtils.relate(geometry2, geometry1).toString()).toEqual(matrix.transpose().toString());
+  expect(GeometryUtils.relatePattern(geometry1, geometry2, expected)).toBe(true);
+}
+
+/**
+ * Test the predicates of the geometries against the expected true predicates
+ * @param geometry1 first geometry
+ * @param geometry2 second geometry
+ * @param expected names of the expected true predicates
+ */
+function predicateTester(geometry1, geometry2, expected) {
+  const predicates = ['intersects', 'disjoint', 'contains', 'within', 'touches', 'crosses', 'overlaps', 'equals'];
+  const actual = predicates.filter(predicate => GeometryUtils[predicate](geometry1, geometry2));
+  expect(actual).toEqual(predicates.filter(predicate => expected.includes(predicate)));
+}
+
+describe('Geometry Relate Tests', function () {
+
+  it('test intersection matrix', function () {
+    const matrix = new IntersectionMatrix('FF2FF1212');
+    expect(matrix.get(TopologyLocation.INTERIOR, TopologyLocation.EXTERIOR)).toEqual(2);
+    expect(matrix.get(TopologyLocation.INTERIOR, TopologyLocation.INTERIOR)).toEqual(IntersectionMatrix.FALSE);
+    expect(matrix.matches('FF*FF****')).toBe(true);
+    expect(matrix.matches('ff*ff****')).toBe(true);
+    expect(matrix.matches('T********')).toBe(false);
+    expect(matrix.matches('**2**1**2')).toBe(true);
+    expect(matrix.matches('**1******')).toBe(false);
+    expect(matrix.transpose().toString()).toEqual('FF2FF1212');
+    expect(new IntersectionMatrix('F01FF0102').transpose().toString()).toEqual('FF10F0102');
+
+    matrix.setAtLeast(TopologyLocation.INTERIOR, TopologyLocation.INTERIOR, 1);
+    matrix.setAtLeast(TopologyLocation.INTERIOR, TopologyLocation.INTERIOR, 0);
+    expect(matrix.toString()).toEqual('1F2FF1212');
+    expect(new IntersectionMatrix().toString()).toEqual('FFFFFFFFF');
+
+    expect(() => matrix.matches('FF*FF***')).toThrow(SFException);
+    expect(() => matrix.matches('FF*FF***X')).toThrow(SFException);
+    expect(() => new IntersectionMatrix('FF*FF1212')).toThrow(SFException);
+  });
+
+  it('test points', function () {
+    const point = new Point(1, 1);
+    relateTester(point, new Point(1, 1), '0FFFFFFF2');
+    relateTester(point, new Point(2, 1), 'FF0FFF0F2');
+    predicateTester(point, new Point(1, 1), ['intersects', 'contains', 'within', 'equals']);
+    predicateTester(point, new Point(2, 1), ['disjoint']);
+
+    const multiPoint = new MultiPoint(false, false);
+    multiPoint.addPoint(new Point(1, 1));
+    multiPoint.addPoint(new Point(2, 2));
+    relateTester(multiPoint, point, '0F0FFFFF2');
+    predicateTester(multiPoint, point, ['intersects', 'contains']);
+
+    const line = global.buildLineString([[0, 0], [2, 2]]);
+    relateTester(point, line, '0FFFFF102');
+    relateTester(new Point(0, 0), line, 'F0FFFF102');
+    predicateTester(point, line, ['intersects', 'within']);
+    predicateTester(new Point(0, 0), line, ['intersects', 'touches']);
+    predicateTester(multiPoint, line, ['intersects', 'within']);
+    multiPoint.addPoint(new Point(3, 0));
+    predicateTester(multiPoint, line, ['intersects', 'crosses']);
+
+    const polygon = global.buildPolygon([[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+      [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]]);
+    relateTester(new Point(0.5, 0.5), polygon, '0FFFFF212');
+    relateTester(new Point(2, 0), polygon, 'F0FFFF212');
+    relateTester(new Point(2, 1), polygon, 'F0FFFF212');
+    relateTester(new Point(2, 2), polygon, 'FF0FFF212');
+    relateTester(new Point(5, 5), polygon, 'FF0FFF212');
+    predicateTester(polygon, new Point(0.5, 0.5), ['intersects', 'contains']);
+    predicateTester(polygon, new Point(2, 1), ['intersects', 'touches']);
+    predicateTester(polygon, new Point(2, 2), ['disjoint']);
+  });
+
+  it('test lines', function () {
+    const line = global.buildLineString([[0, 0], [2, 2]]);
+    relateTester(line, global.buildLineString([[0, 2], [2, 0]]), '0F1FF0102');
+    predicateTester(line, global.buildLineString([[0, 2], [2, 0]]), ['intersects', 'crosses']);
+
+    relateTester(global.buildLineString([[0, 0], [2, 0]]), global.buildLineString([[1, 0], [3, 0]]), '1010F0102');
+    predicateTester(global.buildLineString([[0, 0], [2, 0]]), global.buildLineString([[1, 0], [3, 0]]),
+      ['intersects', 'overlaps']);
+
+    relateTester(line, global.buildLineString([[2, 2], [3, 0]]), 'FF1F00102');
+    predicateTester(line, global.buildLineString([[2, 2], [3, 0]]), ['intersects', 'touches']);
+
+    // End point touching an interior
+    relateTester(line, global.buildLineString([[1, 1], [2, 0]]), 'F01FF0102');
+    predicateTester(line, global.buildLineString([[1, 1], [2, 0]]), ['intersects', 'touches']);
+
+    // Sub line, and equal lines with different vertices
+    relateTester(global.buildLineString([[0, 0], [3, 0]]), global.buildLineString([[1, 0], [2, 0]]), '101FF0FF2');
+    predicateTester(global.buildLineString([[0, 0], [3, 0]]), global.buildLineString([[1, 0], [2, 0]]),
+      ['intersects', 'contains']);
+    relateTester(line, global.buildLineString([[2, 2], [1, 1], [1, 1], [0, 0]]), '1FFF0FFF2');
+    predicateTester(line, global.buildLineString([[2, 2], [1, 1], [0, 0]]), ['intersects', 'contains', 'within', 'equals']);
+
+    // Closed lines have no boundary
+    const ring = global.buildLineString([[0, 0], [2, 0], [2, 2], [0, 0]]);
+    relateTester(ring, global.buildLineString([[1, 0], [1, -1]]), 'F01FFF102');
+
+    // Mod-2 boundary of multi line strings
+    const multiLineString = new MultiLineString(false, false);
+    multiLineString.addLineString(global.buildLineString([[0, 0], [1, 1]]));
+    multiLineString.addLineString(global.buildLineString([[1, 1], [2, 2]]));
+    relateTester(multiLineString, line, '1FFF0FFF2');
+    expect(GeometryUtils.equals(multiLineString, line)).toBe(true);
+    relateTester(multiLineString, new Point(1, 1), '0F1FF0FF2');
+  });
+
+  it('test lines and polygons', function () {
+    const square = global.buildSquare(0, 0, 4);
+    relateTester(global.buildLineString([[1, 1], [3, 3]]), square, '1FF0FF212');
+    relateTester(global.buildLineString([[2, 2], [6, 2]]), square, '1010F0212');
+    relateTester(global.buildLineString([[0, 0], [4, 0]]), square, 'F1FF0F212');
+    relateTester(global.buildLineString([[-1, -1], [0, 0], [1, 1]]), square, '1010F0212');
+    relateTester(global.buildLineString([[5, 0], [5, 4]]), square, 'FF1FF0212');
+
+    predicateTester(global.buildLineString([[1, 1], [3, 3]]), square, ['intersects', 'within']);
+    predicateTester(global.buildLineString([[2, 2], [6, 2]]), square, ['intersects', 'crosses']);
+    predicateTester(global.buildLineString([[0, 0], [4, 0]]), square, ['intersects', 'touches']);
+    predicateTester(square, global.buildLineString([[0, 0], [4, 0]]), ['intersects', 'touches']);
+    predicateTester(global.buildLineString([[5, 0], [5, 4]]), square, ['disjoint']);
+
+    // Line spanning a hole
+    const withHole = global.buildPolygon([[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+      [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]]);
+    relateTester(global.buildLineString([[0.5, 2], [3.5, 2]]), withHole, '1010FF212');
+    predicateTester(global.buildLineString([[0.5, 2], [3.5, 2]]), withHole, ['intersects', 'crosses']);
+    predicateTester(global.buildLineString([[0.5, 0.5], [3.5, 0.5]]), withHole, ['intersects', 'within']);
+  });
+
+  it('test polygons', function () {
+    const square = global.buildSquare(0, 0, 2);
+    relateTester(square, global.buildSquare(1, 1, 2), '212101212');
+    relateTester(square, global.buildSquare(2, 0, 2), 'FF2F11212');
+    relateTester(square, global.buildSquare(2, 2, 2), 'FF2F01212');
+    relateTester(square, global.buildSquare(3, 3, 2), 'FF2FF1212');
+    relateTester(global.buildSquare(0, 0, 4), global.buildSquare(1, 1, 2), '212FF1FF2');
+    relateTester(global.buildSquare(0, 0, 4), global.buildSquare(0, 0, 2), '212F11FF2');
+
+    predicateTester(square, global.buildSquare(1, 1, 2), ['intersects', 'overlaps']);
+    predicateTester(square, global.buildSquare(2, 0, 2), ['intersects', 'touches']);
+    predicateTester(square, global.buildSquare(2, 2, 2), ['intersects', 'touches']);
+    predicateTester(square, global.buildSquare(3, 3, 2), ['disjoint']);
+    predicateTester(global.buildSquare(0, 0, 4), global.buildSquare(0, 0, 2), ['intersects', 'contains']);
+    predicateTester(global.buildSquare(0, 0, 2), global.buildSquare(0, 0, 4), ['intersects', 'within']);
+
+    // Equal with a different start vertex, orientation and extra vertices
+    const equal = global.buildPolygon([[[2, 2], [0, 2], [0, 1], [0, 0], [2, 0], [2, 2]]]);
+    relateTester(square, equal, '2FFF1FFF2');
+    predicateTester(square, equal, ['intersects', 'contains', 'within', 'equals']);
+
+    // Polygon within a hole, touching the hole and filling the hole
+    const withHole = global.buildPolygon([[[0, 0], [6, 0], [6, 6], [0, 6], [0, 0]],
+      [[1, 1], [5, 1], [5, 5], [1, 5], [1, 1]]]);
+    relateTester(withHole, global.buildSquare(2, 2, 2), 'FF2FF1212');
+    relateTester(withHole, global.buildSquare(1, 1, 2), 'FF2F11212');
+    relateTester(withHole, global.buildSquare(1, 1, 4), 'FF2F112F2');
+    relateTester(withHole, global.buildSquare(0, 0, 2), '212111212');
+    predicateTester(withHole, global.buildSquare(1, 1, 4), ['intersects', 'touches']);
+  });
+
+  it('test collections', function () {
+    const multiPolygon = new MultiPolygon(false, false);
+    multiPolygon.addPolygon(global.buildSquare(0, 0, 2));
+    multiPolygon.addPolygon(global.buildSquare(4, 0, 2));
+    relateTester(multiPolygon, global.buildSquare(1, 0, 1), '212F11FF2');
+    relateTester(multiPolygon, global.buildLineString([[1, 1], [5, 1]]), '1020F11F2');
+    predicateTester(multiPolygon, global.buildLineString([[1, 1], [5, 1]]), ['intersects', 'crosses']);
+    predicateTester(multiPolygon, global.buildSquare(0.5, 0.5, 1), ['intersects', 'contains']);
+    predicateTester(multiPolygon, global.buildSquare(2.5, 0.5, 1), ['disjoint']);
+
+    // Adjacent polygons are equal to their union
+    const adjacent = new MultiPolygon(false, false);
+    adjacent.addPolygon(global.buildSquare(0, 0, 1));
+    adjacent.addPolygon(global.buildPolygon([[[1, 0], [2, 0], [2, 1], [1, 1], [1, 0]]]));
+    relateTester(adjacent, global.buildPolygon([[[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]]]), '2FFF1FFF2');
+
+    const geometryCollection = new GeometryCollection(false, false);
+    geometryCollection.addGeometry(global.buildSquare(0, 0, 2));
+    geometryCollection.addGeometry(global.buildLineString([[2, 1], [4, 1]]));
+    geometryCollection.addGeometry(new Point(5, 5));
+    relateTester(geometryCollection, global.buildLineString([[1, 1], [3, 1]]), '1020F1FF2');
+    predicateTester(geometryCollection, new Point(5, 5), ['intersects', 'contains']);
+    predicateTester(geometryCollection, global.buildLineString([[1, 1], [4, 1]]), ['intersects', 'contains']);
+  });
+
+  it('test curves', function () {
+    const circle = new CircularString(false, false);
+    circle.addPoint(new Point(0, 0));
+    circle.addPoint(new Point(4, 0));
+    circle.addPoint(new Point(0, 0));
+    const curvePolygon = new CurvePolygon(false, false);
+    curvePolygon.addRing(circle);
+    predicateTester(curvePolygon, new Point(2, 1.9), ['intersects', 'contains']);
+    predicateTester(curvePolygon, new Point(3.9, 1.9), ['disjoint']);
+    predicateTester(curvePolygon, global.buildLineString([[2, 0], [2, 4]]), ['intersects', 'crosses']);
+  });
+
+  it('test empty and envelopes', function () {
+    const empty = new Polygon(false, false);
+    const square = global.buildSquare(0, 0, 2);
+    relateTester(empty, square, 'FFFFFF212');
+    relateTester(Point.createEmpty(), global.buildLineString([[0, 0], [1, 1]]), 'FFFFFF102');
+    predicateTester(empty, square, ['disjoint']);
+    expect(GeometryUtils.equals(empty, new MultiPoint(false, false))).toBe(true);
+
+    // Overlapping envelopes without intersecting
+    relateTester(global.buildLineString([[0, 0], [4, 4]]), global.buildLineString([[0, 1], [1, 2], [3, 4]]), 'FF1FF0102');
+    predicateTester(global.buildLineString([[0, 0], [4, 4]]), global.buildLineString([[0, 1], [1, 2], [3, 4]]),
+      ['disjoint']);
+  });
+
+});
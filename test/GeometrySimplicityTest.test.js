@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import {
+  CircularString, CompoundCurve, CurvePolygon, GeometryCollection, GeometryUtils, LineString, MultiLineString,
+  MultiPoint, MultiPolygon, Point, Polygon
+} from '../lib/sf/internal';
+
+/**
+ * Test the simplicity of the geometry and its copy
+ * @param geometry geometry
+ * @param simple expected simplicity
+ */
+function simplicityTester(geometry, simple) {
+  expect(geometry.isSimple()).toBe(simple);
+  expect(GeometryUtils.isSimple(geometry.copy())).toBe(simple);
+}
+
+describe('Geometry Simplicity Tests', function () {
+
+  it('test line strings', function () {
+    simplicityTester(new LineString(false, false), true);
+    simplicityTester(global.buildLineString([[0, 0]]), true);
+    simplicityTester(global.buildLineString([[0, 0], [1, 1]]), true);
+    simplicityTester(global.buildLineString([[0, 0], [1, 1], [2, 0], [3, 1]]), true);
+    simplicityTester(global.buildLineString([[0, 0], [0, 0], [1, 1], [1, 1], [2, 0]]), true);
+
+    // Crossing
+    simplicityTester(global.buildLineString([[0, 0], [2, 2], [2, 0], [0, 2]]), false);
+    // Touching an interior point at a vertex
+    simplicityTester(global.buildLineString([[0, 0], [4, 0], [4, 2], [2, 0]]), false);
+    // Touching the start point at a non end point
+    simplicityTester(global.buildLineString([[0, 0], [2, 0], [2, 2], [0, 0], [-1, -1]]), false);
+    // Backtracking along the previous segment
+    simplicityTester(global.buildLineString([[0, 0], [2, 0], [1, 0]]), false);
+    // Overlapping a non adjacent segment
+    simplicityTester(global.buildLineString([[0, 0], [4, 0], [4, 1], [1, 1], [1, 0], [3, 0]]), false);
+    // Revisiting a vertex
+    simplicityTester(global.buildLineString([[0, 0], [1, 1], [2, 0], [1, 1], [1, 3]]), false);
+  });
+
+  it('test rings', function () {
+    simplicityTester(global.buildLineString([[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]), true);
+    // Bow tie
+    simplicityTester(global.buildLineString([[0, 0], [2, 2], [2, 0], [0, 2], [0, 0]]), false);
+    // Touching itself at a vertex
+    simplicityTester(global.buildLineString([[0, 0], [4, 0], [2, 2], [3, 4], [2, 2], [1, 4], [0, 0]]), false);
+    // Touching an edge
+    simplicityTester(global.buildLineString([[0, 0], [4, 0], [4, 4], [2, 0.0], [0, 4], [0, 0]]), false);
+    // Collapsed
+    simplicityTester(global.buildLineString([[0, 0], [2, 0], [0, 0]]), false);
+  });
+
+  it('test polygons', function () {
+    const polygon = new Polygon(global.buildLineString([[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]));
+    polygon.addRing(global.buildLineString([[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]]));
+    simplicityTester(polygon, true);
+    simplicityTester(new Polygon(false, false), true);
+
+    polygon.addRing(global.buildLineString([[6, 6], [8, 8], [8, 6], [6, 8], [6, 6]]));
+    simplicityTester(polygon, false);
+
+    const multiPolygon = new MultiPolygon(false, false);
+    multiPolygon.addPolygon(new Polygon(global.buildLineString([[0, 0], [1, 0], [1, 1], [0, 0]])));
+    simplicityTester(multiPolygon, true);
+    multiPolygon.addPolygon(polygon);
+    simplicityTester(multiPolygon, false);
+  });
+
+  it('test multi line strings', function () {
+    const multiLineString = new MultiLineString(false, false);
+    multiLineString.addLineString(global.buildLineString([[0, 0], [2, 0]]));
+    multiLineString.addLineString(global.buildLineString([[2, 0], [2, 2]]));
+    multiLineString.addLineString(global.buildLineString([[0, 1], [1, 1]]));
+    simplicityTester(multiLineString, true);
+
+    // Endpoint touching an interior point
+    const touching = new MultiLineString(multiLineString);
+    touching.addLineString(global.buildLineString([[1, 0], [1, -1]]));
+    simplicityTester(touching, false);
+
+    // Crossing
+    const crossing = new MultiLineString(multiLineString);
+    crossing.addLineString(global.buildLineString([[3, 1], [1, 1.5]]));
+    simplicityTester(crossing, false);
+
+    // Overlapping
+    const overlapping = new MultiLineString(multiLineString);
+    overlapping.addLineString(global.buildLineString([[1, 0], [3, 0]]));
+    simplicityTester(overlapping, false);
+
+    // Touching a closed line
+    const closed = new MultiLineString(multiLineString);
+    closed.addLineString(global.buildLineString([[0, 1], [0, 3], [-1, 3], [0, 1]]));
+    simplicityTester(closed, false);
+
+    // Non simple component
+    const nonSimple = new MultiLineString(false, false);
+    nonSimple.addLineString(global.buildLineString([[0, 0], [2, 2], [2, 0], [0, 2]]));
+    simplicityTester(nonSimple, false);
+  });
+
+  it('test multi points', function () {
+    const multiPoint = new MultiPoint(false, false);
+    multiPoint.addPoint(new Point(0, 0));
+    multiPoint.addPoint(new Point(1, 0));
+    multiPoint.addPoint(Point.createEmpty());
+    multiPoint.addPoint(new Point(true, false, 0, 1));
+    simplicityTester(multiPoint, true);
+    multiPoint.addPoint(new Point(1, 0, 5));
+    simplicityTester(multiPoint, false);
+  });
+
+  it('test curves', function () {
+    const circularString = global.buildLineString([[0, 0], [1, 1], [2, 0]], CircularString);
+    simplicityTester(circularString, true);
+    simplicityTester(global.buildLineString([[0, 0], [1, 1], [2, 0], [1, -1], [0, 0]], CircularString), true);
+
+    const compoundCurve = new CompoundCurve(false, false);
+    compoundCurve.addLineString(circularString);
+    compoundCurve.addLineString(global.buildLineString([[2, 0], [0, 0]]));
+    simplicityTester(compoundCurve, true);
+    compoundCurve.addLineString(global.buildLineString([[0, 0], [1, 2]]));
+    simplicityTester(compoundCurve, false);
+
+    const curvePolygon = new CurvePolygon(false, false);
+    curvePolygon.addRing(global.buildLineString([[-2, 0], [0, 2], [2, 0], [0, -2], [-2, 0]], CircularString));
+    simplicityTester(curvePolygon, true);
+    curvePolygon.addRing(global.buildLineString([[-1, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]));
+    simplicityTester(curvePolygon, false);
+  });
+
+  it('test geometry collections', function () {
+    const geometryCollection = new GeometryCollection(false, false);
+    geometryCollection.addGeometry(new Point(0, 0));
+    geometryCollection.addGeometry(new Point(0, 0));
+    geometryCollection.addGeometry(global.buildLineString([[0, 0], [1, 1]]));
+    geometryCollection.addGeometry(global.buildLineString([[0, 1], [1, 0]]));
+    simplicityTester(geometryCollection, true);
+    geometryCollection.addGeometry(global.buildLineString([[0, 0], [2, 2], [2, 0], [0, 2]]));
+    simplicityTester(geometryCollection, false);
+  });
+
+  it('test large ring', function () {
+    // Zigzag with every segment spanning the same x range, the worst case
+    // for a sweep without a y ordering of the segments
+    const numPoints = 50000;
+    const ring = new LineString(false, false);
+    for (let i = 0; i < numPoints; i++) {
+      ring.addPoint(new Point(i % 2 === 0 ? 0 : 1000, i));
+    }
+    ring.addPoint(new Point(-1, numPoints - 1));
+    ring.addPoint(new Point(-1, 0));
+    ring.addPoint(ring.points[0]);
+    simplicityTester(ring, true);
+    expect(GeometryUtils.isValid(new Polygon(ring))).toBe(true);
+
+    // Cross the following segment
+    const middle = numPoints / 2 + 1;
+    ring.points[middle] = new Point(500, middle + 2);
+    simplicityTester(ring, false);
+    expect(GeometryUtils.isValid(new Polygon(ring))).toBe(false);
+  });
+
+});
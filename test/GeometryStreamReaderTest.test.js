@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'stream';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { ByteWriter } from '../lib/ByteWriter';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { GeometryStreamReader } from '../lib/GeometryStreamReader';
+import { FiniteFilterType, Point, PointFiniteFilter, SFException } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Create random geometries of random types
+ * @return geometries
+ */
+function createGeometries() {
+  const geometries = [];
+  for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+    const hasZ = global.coinFlip();
+    const hasM = global.coinFlip();
+    switch (i % 4) {
+      case 0:
+        geometries.push(global.createPoint(hasZ, hasM));
+        break;
+      case 1:
+        geometries.push(global.createLineString(hasZ, hasM));
+        break;
+      case 2:
+        geometries.push(global.createMultiPolygon(hasZ, hasM));
+        break;
+      default:
+        geometries.push(global.createGeometryCollection(hasZ, hasM));
+    }
+  }
+  return geometries;
+}
+
+/**
+ * Write the geometries as concatenated or length prefixed records
+ * @param geometries geometries
+ * @param lengthByteOrder length prefix byte order, undefined for concatenated
+ * @return bytes and the offset of each geometry
+ */
+function writeRecords(geometries, lengthByteOrder = undefined) {
+  const writer = new ByteWriter(1, ByteOrder.BIG_ENDIAN, true);
+  const offsets = [];
+  for (const geometry of geometries) {
+    const bytes = GeometryWriter.writeGeometry(geometry, global.coinFlip() ? ByteOrder.BIG_ENDIAN : ByteOrder.LITTLE_ENDIAN);
+    if (lengthByteOrder !== undefined) {
+      writer.setByteOrder(lengthByteOrder);
+      writer.writeUInt32(bytes.length);
+    }
+    offsets.push(writer.position);
+    writer.writeBuffer(bytes);
+  }
+  return { bytes: writer.getBuffer(), offsets: offsets };
+}
+
+/**
+ * Split the bytes into chunks of random sizes, up to the max size
+ * @param bytes bytes
+ * @param maxSize max chunk size
+ * @return chunks
+ */
+function split(bytes, maxSize) {
+  const chunks = [];
+  let position = 0;
+  while (position < bytes.length) {
+    const size = 1 + Math.floor(Math.random() * maxSize);
+    chunks.push(bytes.slice(position, position + size));
+    position += size;
+  }
+  return chunks;
+}
+
+/**
+ * Async iterable of the chunks
+ * @param chunks chunks
+ */
+async function* asyncChunks(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+/**
+ * Read all records from the stream reader
+ * @param records async iterable of records
+ * @return records
+ */
+async function readAll(records) {
+  const all = [];
+  for await (const record of records) {
+    all.push(record);
+  }
+  return all;
+}
+
+/**
+ * Compare the read records to the written geometries
+ * @param records read records
+ * @param geometries written geometries
+ * @param offsets written offsets
+ */
+function compareRecords(records, geometries, offsets) {
+  expect(records.length).toEqual(geometries.length);
+  for (let i = 0; i < geometries.length; i++) {
+    global.compareGeometries(geometries[i], records[i].geometry);
+    expect(records[i].offset).toEqual(offsets[i]);
+    expect(records[i].byteLength).toEqual(GeometryWriter.getGeometryByteLength(geometries[i]));
+  }
+}
+
+describe('Geometry Stream Reader Tests', function () {
+
+  it('test concatenated', async function () {
+    const geometries = createGeometries();
+    const { bytes, offsets } = writeRecords(geometries);
+    for (const maxSize of [1, 7, 64, bytes.length]) {
+      const records = await readAll(GeometryStreamReader.readGeometries(asyncChunks(split(bytes, maxSize))));
+      compareRecords(records, geometries, offsets);
+    }
+
+    // Synchronous iterables of ArrayBuffer chunks
+    const arrayBuffers = split(bytes, 32).map(chunk => chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.length));
+    compareRecords(await readAll(GeometryStreamReader.readGeometries(arrayBuffers)), geometries, offsets);
+  });
+
+  it('test length prefixed', async function () {
+    const geometries = createGeometries();
+    for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+      const { bytes, offsets } = writeRecords(geometries, byteOrder);
+      const reader = new GeometryStreamReader();
+      reader.setLengthPrefixed(true);
+      reader.setLengthByteOrder(byteOrder);
+      for (const maxSize of [1, 5, 100]) {
+        compareRecords(await readAll(reader.read(asyncChunks(split(bytes, maxSize)))), geometries, offsets);
+      }
+    }
+  });
+
+  it('test readable stream', async function () {
+    const geometries = createGeometries();
+    const { bytes, offsets } = writeRecords(geometries);
+    const stream = Readable.from(split(bytes, 16).map(chunk => Buffer.from(chunk)));
+    compareRecords(await readAll(GeometryStreamReader.readGeometries(stream)), geometries, offsets);
+  });
+
+  it('test filter and SRID', async function () {
+    const finite = new Point(1.0, 2.0);
+    const infinite = new Point(Infinity, 2.0);
+    const bytes = [
+      GeometryWriter.writeEWKBGeometry(finite, 4326),
+      GeometryWriter.writeGeometry(infinite),
+      GeometryWriter.writeGeometry(finite)
+    ];
+    const records = await readAll(GeometryStreamReader.readGeometries(bytes, new PointFiniteFilter(FiniteFilterType.FINITE)));
+    expect(records.length).toEqual(2);
+    expect(records[0].srid).toEqual(4326);
+    expect(records[0].geometry.equals(finite)).toBe(true);
+    expect(records[1].srid).toBeUndefined();
+    expect(records[1].offset).toEqual(bytes[0].length + bytes[1].length);
+  });
+
+  it('test invalid', async function () {
+    const bytes = GeometryWriter.writeGeometry(new Point(1.0, 2.0));
+    const concatenated = new Uint8Array(bytes.length * 2 - 3);
+    concatenated.set(bytes);
+    concatenated.set(bytes.subarray(0, bytes.length - 3), bytes.length);
+    await expect(readAll(GeometryStreamReader.readGeometries(split(concatenated, 4))))
+      .rejects.toThrow('Truncated well-known bytes record at offset 21');
+
+    const reader = new GeometryStreamReader();
+    reader.setLengthPrefixed(true);
+    const prefixed = new Uint8Array(bytes.length + 4);
+    prefixed.set(bytes, 4);
+    prefixed[3] = bytes.length + 1;
+    await expect(readAll(reader.read([prefixed]))).rejects.toThrow(SFException);
+    prefixed[3] = bytes.length - 1;
+    await expect(readAll(reader.read([prefixed]))).rejects.toThrow(SFException);
+
+    const unknownType = global.hexToBytes('00000003E7');
+    await expect(readAll(GeometryStreamReader.readGeometries([unknownType]))).rejects.toThrow(SFException);
+  });
+
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import {
+  GeometryUtils, LineString, MultiPolygon, Point, Polygon, PolyhedralSurface, SFException, TIN, Triangle,
+  ValidationReason
+} from '../lib/sf/internal';
+
+/**
+ * Validate the geometry, comparing the issue reasons and locations
+ * @param geometry geometry
+ * @param expected expected issues as reason, x and y
+ */
+function validationTester(geometry, expected) {
+  const issues = GeometryUtils.validate(geometry);
+  const actual = issues.map(issue => ValidationReason[issue.reason] + ' ' + issue.location.x + ' ' + issue.location.y);
+  expect(actual.sort()).toEqual(expected.map(([reason, x, y]) => ValidationReason[reason] + ' ' + x + ' ' + y).sort());
+  expect(GeometryUtils.isValid(geometry)).toBe(expected.length === 0);
+}
+
+const SQUARE = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+
+describe('Geometry Validator Tests', function () {
+
+  it('test rings', function () {
+    validationTester(new Polygon(false, false), []);
+    validationTester(global.buildPolygon([SQUARE]), []);
+
+    validationTester(global.buildPolygon([[[0, 0], [10, 0], [10, 10], [0, 10]]]),
+      [[ValidationReason.UNCLOSED_RING, 0, 10]]);
+    validationTester(global.buildPolygon([[[0, 0], [10, 0], [0, 0]]]), [[ValidationReason.TOO_FEW_POINTS, 0, 0]]);
+    validationTester(global.buildPolygon([[[0, 0], [10, 0], [10, 0], [0, 0], [0, 0]]]),
+      [[ValidationReason.TOO_FEW_POINTS, 0, 0]]);
+    validationTester(global.buildPolygon([SQUARE, []]), [[ValidationReason.TOO_FEW_POINTS, NaN, NaN]]);
+    validationTester(global.buildPolygon([[[0, 0], [10, 0], [Infinity, 10], [0, 0]]]),
+      [[ValidationReason.INVALID_COORDINATE, Infinity, 10]]);
+
+    // Only the x and y closing coordinates are required, along with z when present
+    const ring = new LineString(true, false);
+    ring.addPoint(new Point(0, 0, 1));
+    ring.addPoint(new Point(10, 0, 1));
+    ring.addPoint(new Point(10, 10, 1));
+    ring.addPoint(new Point(0, 0, 2));
+    validationTester(new Polygon(ring), [[ValidationReason.UNCLOSED_RING, 0, 0]]);
+    ring.points[3].z = 1;
+    validationTester(new Polygon(ring), []);
+  });
+
+  it('test self intersections', function () {
+    // Bow tie
+    validationTester(global.buildPolygon([[[0, 0], [10, 10], [10, 0], [0, 10], [0, 0]]]),
+      [[ValidationReason.SELF_INTERSECTION, 5, 5]]);
+    // Touching itself at a vertex
+    validationTester(global.buildPolygon([[[0, 0], [10, 0], [5, 5], [10, 10], [0, 10], [5, 5], [0, 0]]]),
+      [[ValidationReason.SELF_INTERSECTION, 5, 5]]);
+    // Spikes, also passing through the spike base twice
+    validationTester(global.buildPolygon([[[0, 0], [10, 0], [10, 5], [15, 5], [10, 5], [10, 10], [0, 10], [0, 0]]]),
+      [[ValidationReason.SPIKE, 15, 5], [ValidationReason.SELF_INTERSECTION, 10, 5]]);
+    validationTester(global.buildPolygon([[[0, 0], [-5, 0], [0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]),
+      [[ValidationReason.SPIKE, -5, 0], [ValidationReason.SELF_INTERSECTION, 0, 0]]);
+  });
+
+  it('test holes', function () {
+    const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+    validationTester(global.buildPolygon([SQUARE, hole]), []);
+    // Hole touching the shell at a point
+    validationTester(global.buildPolygon([SQUARE, [[0, 5], [5, 2], [5, 8], [0, 5]]]), []);
+
+    validationTester(global.buildPolygon([SQUARE, [[12, 2], [14, 2], [14, 4], [12, 2]]]),
+      [[ValidationReason.HOLE_OUTSIDE_SHELL, 12, 2]]);
+    validationTester(global.buildPolygon([SQUARE, [[8, 2], [12, 2], [12, 4], [8, 2]]]), [
+      [ValidationReason.RING_INTERSECTION, 10, 3], [ValidationReason.RING_INTERSECTION, 10, 2],
+      [ValidationReason.HOLE_OUTSIDE_SHELL, 12, 2]]);
+    // Hole sharing a shell edge
+    validationTester(global.buildPolygon([SQUARE, [[2, 0], [4, 0], [4, 2], [2, 0]]]),
+      [[ValidationReason.RING_INTERSECTION, 2, 0]]);
+
+    // Overlapping and nested holes
+    validationTester(global.buildPolygon([SQUARE, hole, [[3, 3], [6, 3], [6, 6], [3, 3]]]),
+      [[ValidationReason.RING_INTERSECTION, 4, 3]]);
+    validationTester(global.buildPolygon([SQUARE, [[1, 1], [9, 1], [9, 9], [1, 9], [1, 1]], hole]),
+      [[ValidationReason.NESTED_HOLES, 2, 2]]);
+
+    // Holes touching each other at a point
+    const triangle1 = [[2, 2], [5, 2], [3.5, 4], [2, 2]];
+    const triangle2 = [[5, 2], [8, 2], [6.5, 4], [5, 2]];
+    validationTester(global.buildPolygon([SQUARE, triangle1, triangle2]), []);
+
+    // Rings touching at points that enclose part of the interior
+    validationTester(global.buildPolygon([[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+      [[0, 2], [2, 1], [4, 2], [2, 3], [0, 2]]]), [[ValidationReason.DISCONNECTED_INTERIOR, 4, 2]]);
+    validationTester(global.buildPolygon([SQUARE, triangle1, triangle2, [[3.5, 4], [6.5, 4], [5, 6], [3.5, 4]]]),
+      [[ValidationReason.DISCONNECTED_INTERIOR, 6.5, 4]]);
+  });
+
+  it('test multi polygons', function () {
+    const multiPolygon = new MultiPolygon(false, false);
+    multiPolygon.addPolygon(global.buildPolygon([SQUARE, [[2, 2], [8, 2], [8, 8], [2, 8], [2, 2]]]));
+    // Island within the hole
+    multiPolygon.addPolygon(global.buildPolygon([[[4, 4], [6, 4], [6, 6], [4, 4]]]));
+    // Touching at a point
+    multiPolygon.addPolygon(global.buildPolygon([[[10, 10], [20, 10], [20, 20], [10, 10]]]));
+    validationTester(multiPolygon, []);
+
+    const nested = new MultiPolygon(multiPolygon);
+    nested.addPolygon(global.buildPolygon([[[0.5, 0.5], [1.5, 0.5], [1.5, 1.5], [0.5, 0.5]]]));
+    validationTester(nested, [[ValidationReason.NESTED_POLYGONS, 0.5, 0.5]]);
+
+    const overlapping = new MultiPolygon(multiPolygon);
+    overlapping.addPolygon(global.buildPolygon([[[-5, 5], [5, -5], [5, 5], [-5, 5]]]));
+    validationTester(overlapping, [
+      [ValidationReason.OVERLAPPING_POLYGONS, 5, 0], [ValidationReason.OVERLAPPING_POLYGONS, 5, 2],
+      [ValidationReason.OVERLAPPING_POLYGONS, 5, 4], [ValidationReason.OVERLAPPING_POLYGONS, 2, 5],
+      [ValidationReason.OVERLAPPING_POLYGONS, 0, 5]]);
+
+    const sharedEdge = new MultiPolygon(multiPolygon);
+    sharedEdge.addPolygon(global.buildPolygon([[[10, 0], [20, 0], [10, 5], [10, 0]]]));
+    validationTester(sharedEdge, [[ValidationReason.OVERLAPPING_POLYGONS, 10, 0]]);
+
+    const invalidMember = new MultiPolygon(multiPolygon);
+    invalidMember.addPolygon(global.buildPolygon([[[30, 30], [40, 40], [40, 30], [30, 40], [30, 30]]]));
+    validationTester(invalidMember, [[ValidationReason.SELF_INTERSECTION, 35, 35]]);
+  });
+
+  it('test triangles', function () {
+    validationTester(global.buildPolygon([[[0, 0], [1, 0], [0, 1], [0, 0]]], Triangle), []);
+    validationTester(global.buildPolygon([[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]], Triangle),
+      [[ValidationReason.INVALID_TRIANGLE, 0, 0]]);
+    validationTester(global.buildPolygon([[[0, 0], [4, 0], [0, 4], [0, 0]], [[1, 1], [2, 1], [1, 2], [1, 1]]], Triangle),
+      [[ValidationReason.INVALID_TRIANGLE, 1, 1]]);
+    validationTester(global.buildPolygon([[[0, 0], [2, 0], [1, 0], [0, 0]]], Triangle),
+      [[ValidationReason.SPIKE, 2, 0], [ValidationReason.SPIKE, 0, 0]]);
+
+    const tin = new TIN(false, false);
+    tin.addPolygon(global.buildPolygon([[[0, 0], [1, 0], [0, 1], [0, 0]]], Triangle));
+    tin.addPolygon(global.buildPolygon([[[1, 0], [1, 1], [0, 1], [1, 0]]], Triangle));
+    validationTester(tin, []);
+    tin.addPolygon(global.buildPolygon([[[1, 0], [2, 0], [2, 1], [1, 1]]], Triangle));
+    validationTester(tin, [[ValidationReason.UNCLOSED_RING, 1, 1]]);
+  });
+
+  it('test polyhedral surfaces', function () {
+    // Unit cube, with vertical faces that are degenerate in x and y
+    const polyhedralSurface = new PolyhedralSurface(true, false);
+    const faces = [
+      [[0, 0, 0], [0, 1, 0], [1, 1, 0], [1, 0, 0], [0, 0, 0]],
+      [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1], [0, 0, 0]],
+      [[0, 0, 0], [0, 0, 1], [0, 1, 1], [0, 1, 0], [0, 0, 0]],
+      [[1, 1, 1], [1, 0, 1], [1, 0, 0], [1, 1, 0], [1, 1, 1]],
+      [[1, 1, 1], [1, 1, 0], [0, 1, 0], [0, 1, 1], [1, 1, 1]],
+      [[1, 1, 1], [0, 1, 1], [0, 0, 1], [1, 0, 1], [1, 1, 1]]];
+    for (const face of faces) {
+      const ring = new LineString(true, false);
+      for (const [x, y, z] of face) {
+        ring.addPoint(new Point(x, y, z));
+      }
+      polyhedralSurface.addPolygon(new Polygon(ring));
+    }
+    validationTester(polyhedralSurface, []);
+    polyhedralSurface.polygons[5].rings[0].points[4].z = 0;
+    validationTester(polyhedralSurface, [[ValidationReason.UNCLOSED_RING, 1, 1]]);
+
+    const planar = new PolyhedralSurface(false, false);
+    planar.addPolygon(global.buildPolygon([SQUARE]));
+    planar.addPolygon(global.buildPolygon([[[0, 0], [10, 10], [10, 0], [0, 10], [0, 0]]]));
+    validationTester(planar, [[ValidationReason.SELF_INTERSECTION, 5, 5]]);
+  });
+
+  it('test unsupported types', function () {
+    expect(() => GeometryUtils.validate(new Point(1, 2))).toThrow(SFException);
+    expect(() => GeometryUtils.isValid(global.createLineString(false, false))).toThrow(SFException);
+  });
+
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { HexUtils } from '../lib/HexUtils';
+import { Point, SFException } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Expect a hex conversion failure with the message
+ * @param hex hex string
+ * @param message expected message
+ */
+function hexErrorTester(hex, message) {
+  try {
+    GeometryReader.readGeometryFromHex(hex);
+    expect.fail('Expected a hex exception: ' + hex);
+  } catch (e) {
+    expect(e).toBeInstanceOf(SFException);
+    expect(e.message).toEqual(message);
+  }
+}
+
+describe('Hex Tests', function () {
+
+  it('test hex utils', function () {
+    const bytes = new Uint8Array([0, 1, 127, 128, 171, 255]);
+    expect(HexUtils.fromBytes(bytes)).toEqual('00017F80ABFF');
+    expect(HexUtils.fromBytes(bytes, false)).toEqual('00017f80abff');
+    expect(HexUtils.fromBytes(bytes.buffer)).toEqual('00017F80ABFF');
+    for (const hex of ['00017F80ABFF', '00017f80abff', '\\x00017f80ABff', '0x00017F80ABFF']) {
+      global.compareByteArrays(bytes, HexUtils.toBytes(hex));
+    }
+    expect(HexUtils.toBytes('').length).toEqual(0);
+    expect(HexUtils.toBytes('\\x').length).toEqual(0);
+  });
+
+  it('test read', function () {
+    const point = new Point(1.0, 2.0);
+    const pointZ = new Point(1.0, 2.0, 3.0);
+
+    // OGC, ISO, 2.5D extended and EWKB dimension encodings in both byte orders
+    expect(GeometryReader.readGeometryFromHex('0101000000000000000000F03F0000000000000040').equals(point)).toBe(true);
+    expect(GeometryReader.readGeometryFromHex('\\x00000000013ff00000000000004000000000000000').equals(point)).toBe(true);
+    expect(GeometryReader.readGeometryFromHex('01E9030000000000000000F03F00000000000000400000000000000840').equals(pointZ)).toBe(true);
+    expect(GeometryReader.readGeometryFromHex('00800000013FF000000000000040000000000000004008000000000000').equals(pointZ)).toBe(true);
+    expect(GeometryReader.readGeometryFromHex('0101000080000000000000F03F00000000000000400000000000000840').equals(pointZ)).toBe(true);
+
+    const ewkb = GeometryReader.readEWKBGeometryFromHex('\\x0101000020e6100000000000000000f03f0000000000000040');
+    expect(ewkb.srid).toEqual(4326);
+    expect(ewkb.geometry.equals(point)).toBe(true);
+  });
+
+  it('test write', function () {
+    const point = new Point(1.0, 2.0);
+    expect(GeometryWriter.writeGeometryToHex(point)).toEqual('00000000013FF00000000000004000000000000000');
+    expect(GeometryWriter.writeGeometryToHex(point, ByteOrder.LITTLE_ENDIAN, false)).toEqual('0101000000000000000000f03f0000000000000040');
+    expect(GeometryWriter.writeEWKBGeometryToHex(point, 4326, ByteOrder.LITTLE_ENDIAN))
+      .toEqual('0101000020E6100000000000000000F03F0000000000000040');
+  });
+
+  it('test invalid hex', function () {
+    hexErrorTester('01010000G0', "Invalid hex character 'G' at index 8");
+    hexErrorTester('\\x0101 000', "Invalid hex character ' ' at index 6");
+    hexErrorTester('0x1z', "Invalid hex character 'z' at index 3");
+    hexErrorTester('010100000', 'Hex string has an odd number of digits: 9');
+  });
+
+  it('test geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      for (const geometry of [
+        global.createPoint(global.coinFlip(), global.coinFlip()),
+        global.createLineString(global.coinFlip(), global.coinFlip()),
+        global.createMultiPolygon(global.coinFlip(), global.coinFlip()),
+        global.createGeometryCollection(global.coinFlip(), global.coinFlip())
+      ]) {
+        for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+          const upperCase = global.coinFlip();
+          const hex = GeometryWriter.writeGeometryToHex(geometry, byteOrder, upperCase);
+          expect(hex).toEqual(upperCase ? hex.toUpperCase() : hex.toLowerCase());
+          global.compareGeometries(geometry, GeometryReader.readGeometryFromHex(hex));
+          global.compareGeometries(geometry, GeometryReader.readGeometryFromHex('\\x' + hex));
+        }
+      }
+    }
+  });
+
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import {
+  GeometryType, GeometryUtils, MultiPolygon, OverlayOperation, Point, Polygon, PolygonOverlay, SFException
+} from '../lib/sf/internal';
+
+/**
+ * Overlay the geometries, testing the result is a valid and writable multi
+ * polygon with the expected area and polygon count
+ * @param geometry1 first geometry
+ * @param geometry2 second geometry
+ * @param operation overlay operation
+ * @param area expected area
+ * @param polygons expected number of polygons
+ * @return result
+ */
+function overlayTester(geometry1, geometry2, operation, area, polygons) {
+  const result = GeometryUtils.overlay(geometry1, geometry2, operation);
+  expect(result.geometryType).toEqual(GeometryType.MULTIPOLYGON);
+  expect(result.getArea()).toBeCloseTo(area, 12);
+  expect(result.numPolygons()).toEqual(polygons);
+  expect(GeometryUtils.validate(result)).toEqual([]);
+
+  const bytes = GeometryWriter.writeGeometry(result, ByteOrder.BIG_ENDIAN);
+  global.compareGeometries(result, GeometryReader.readGeometry(bytes));
+  return result;
+}
+
+describe('Polygon Overlay Tests', function () {
+
+  it('test overlapping polygons', function () {
+    const square1 = global.buildSquare(0, 0, 2);
+    const square2 = global.buildSquare(1, 1, 2);
+    const union = overlayTester(square1, square2, OverlayOperation.UNION, 7, 1);
+    expect(union.getPolygon(0).getExteriorRing().numPoints()).toEqual(9);
+    const intersection = overlayTester(square1, square2, OverlayOperation.INTERSECTION, 1, 1);
+    expect(GeometryUtils.equals(intersection, global.buildSquare(1, 1, 1))).toBe(true);
+    overlayTester(square1, square2, OverlayOperation.DIFFERENCE, 3, 1);
+    overlayTester(square2, square1, OverlayOperation.DIFFERENCE, 3, 1);
+    overlayTester(square1, square2, OverlayOperation.SYMMETRIC_DIFFERENCE, 6, 2);
+
+    // Crossing edges away from vertices
+    const diamond = global.buildPolygon([[[0.5, 1], [2, -0.5], [3.5, 1], [2, 2.5], [0.5, 1]]]);
+    const diamondIntersection = overlayTester(square1, diamond, OverlayOperation.INTERSECTION, 2, 1);
+    expect(GeometryUtils.equals(diamondIntersection,
+      global.buildPolygon([[[1.5, 0], [2, 0], [2, 2], [1.5, 2], [0.5, 1], [1.5, 0]]]))).toBe(true);
+    overlayTester(square1, diamond, OverlayOperation.UNION, 6.5, 1);
+    overlayTester(square1, diamond, OverlayOperation.DIFFERENCE, 2, 1);
+    overlayTester(diamond, square1, OverlayOperation.DIFFERENCE, 2.5, 1);
+
+    expect(GeometryUtils.equals(PolygonOverlay.union(square1, square2), PolygonOverlay.union(square2, square1))).toBe(true);
+    expect(PolygonOverlay.intersection(square1, square2).getArea()).toEqual(1);
+    expect(PolygonOverlay.difference(square1, square2).getArea()).toEqual(3);
+    expect(PolygonOverlay.symmetricDifference(square1, square2).getArea()).toEqual(6);
+  });
+
+  it('test shared edges', function () {
+    // Adjacent polygons merge with the shared edge dissolved
+    const square1 = global.buildSquare(0, 0, 1);
+    const square2 = global.buildSquare(1, 0, 1);
+    const union = overlayTester(square1, square2, OverlayOperation.UNION, 2, 1);
+    expect(union.getPolygon(0).getExteriorRing().numPoints()).toEqual(5);
+    expect(GeometryUtils.equals(union, global.buildPolygon([[[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]]]))).toBe(true);
+    overlayTester(square1, square2, OverlayOperation.INTERSECTION, 0, 0);
+    const difference = overlayTester(square1, square2, OverlayOperation.DIFFERENCE, 1, 1);
+    expect(GeometryUtils.equals(difference, square1)).toBe(true);
+
+    // Partially shared edge
+    const offset = global.buildSquare(1, 0.5, 1);
+    overlayTester(square1, offset, OverlayOperation.UNION, 2, 1);
+    overlayTester(square1, offset, OverlayOperation.SYMMETRIC_DIFFERENCE, 2, 1);
+
+    // Equal polygons with different vertices
+    const equal = global.buildPolygon([[[0, 0], [0, 1], [1, 1], [1, 0.5], [1, 0], [0, 0]]]);
+    overlayTester(square1, equal, OverlayOperation.UNION, 1, 1);
+    overlayTester(square1, equal, OverlayOperation.INTERSECTION, 1, 1);
+    overlayTester(square1, equal, OverlayOperation.DIFFERENCE, 0, 0);
+    overlayTester(square1, equal, OverlayOperation.SYMMETRIC_DIFFERENCE, 0, 0);
+
+    // Adjacent multi polygon members are dissolved
+    const multiPolygon = new MultiPolygon(false, false);
+    multiPolygon.addPolygon(square1);
+    multiPolygon.addPolygon(square2);
+    overlayTester(multiPolygon, global.buildSquare(0, 1, 2), OverlayOperation.UNION, 6, 1);
+  });
+
+  it('test touching vertices', function () {
+    const square1 = global.buildSquare(0, 0, 1);
+    const square2 = global.buildSquare(1, 1, 1);
+    const union = overlayTester(square1, square2, OverlayOperation.UNION, 2, 2);
+    for (const polygon of union.polygons) {
+      expect(polygon.getExteriorRing().numPoints()).toEqual(5);
+    }
+    overlayTester(square1, square2, OverlayOperation.INTERSECTION, 0, 0);
+    overlayTester(square1, square2, OverlayOperation.DIFFERENCE, 1, 1);
+
+    // Vertex touching an edge
+    const triangle = global.buildPolygon([[[0.5, 1], [1, 2], [0, 2], [0.5, 1]]]);
+    overlayTester(square1, triangle, OverlayOperation.UNION, 1.5, 2);
+    overlayTester(square1, triangle, OverlayOperation.INTERSECTION, 0, 0);
+
+    // Removing a triangle touching the exterior at a vertex leaves a hole touching the shell
+    const square = global.buildSquare(0, 0, 4);
+    const inner = global.buildPolygon([[[2, 0], [3, 1], [1, 1], [2, 0]]]);
+    const difference = overlayTester(square, inner, OverlayOperation.DIFFERENCE, 15, 1);
+    expect(difference.getPolygon(0).numRings()).toEqual(2);
+  });
+
+  it('test holes', function () {
+    const withHole = global.buildPolygon([[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+      [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]]);
+    expect(withHole.getArea()).toEqual(12);
+
+    // Filling the hole
+    const filled = overlayTester(withHole, global.buildSquare(1, 1, 2), OverlayOperation.UNION, 16, 1);
+    expect(filled.getPolygon(0).numRings()).toEqual(1);
+    overlayTester(withHole, global.buildSquare(1, 1, 2), OverlayOperation.INTERSECTION, 0, 0);
+
+    // Island within the hole
+    const island = overlayTester(withHole, global.buildSquare(1.5, 1.5, 1), OverlayOperation.UNION, 13, 2);
+    expect(island.polygons.map(polygon => polygon.numRings()).sort()).toEqual([1, 2]);
+
+    // Overlapping the hole and the exterior
+    overlayTester(withHole, global.buildSquare(2, 2, 4), OverlayOperation.INTERSECTION, 3, 1);
+    overlayTester(withHole, global.buildSquare(2, 2, 4), OverlayOperation.UNION, 12 + 16 - 3, 1);
+    const difference = overlayTester(withHole, global.buildSquare(2, 2, 4), OverlayOperation.DIFFERENCE, 9, 1);
+    expect(difference.getPolygon(0).numRings()).toEqual(1);
+
+    // Cutting a hole
+    const cut = overlayTester(global.buildSquare(0, 0, 4), global.buildSquare(1, 1, 2), OverlayOperation.DIFFERENCE, 12, 1);
+    expect(GeometryUtils.equals(cut, withHole)).toBe(true);
+    expect(cut.getPolygon(0).numRings()).toEqual(2);
+
+    // Intersecting holes
+    const withHole2 = global.buildPolygon([[[2, 2], [6, 2], [6, 6], [2, 6], [2, 2]],
+      [[2.5, 2.5], [3.5, 2.5], [3.5, 3.5], [2.5, 3.5], [2.5, 2.5]]]);
+    overlayTester(withHole, withHole2, OverlayOperation.INTERSECTION, 4 - 1 - 0.75, 1);
+  });
+
+  it('test multi polygons and empty geometries', function () {
+    const multiPolygon1 = new MultiPolygon(false, false);
+    multiPolygon1.addPolygon(global.buildSquare(0, 0, 2));
+    multiPolygon1.addPolygon(global.buildSquare(4, 0, 2));
+    const multiPolygon2 = new MultiPolygon(false, false);
+    multiPolygon2.addPolygon(global.buildSquare(1, 1, 4));
+    multiPolygon2.addPolygon(global.buildSquare(10, 10, 1));
+    overlayTester(multiPolygon1, multiPolygon2, OverlayOperation.INTERSECTION, 2, 2);
+    overlayTester(multiPolygon1, multiPolygon2, OverlayOperation.UNION, 8 + 17 - 2, 2);
+    overlayTester(multiPolygon1, multiPolygon2, OverlayOperation.DIFFERENCE, 6, 2);
+
+    const empty = new Polygon(false, false);
+    const square = global.buildSquare(0, 0, 2);
+    overlayTester(square, empty, OverlayOperation.UNION, 4, 1);
+    overlayTester(empty, square, OverlayOperation.UNION, 4, 1);
+    overlayTester(square, empty, OverlayOperation.INTERSECTION, 0, 0);
+    overlayTester(square, new MultiPolygon(false, false), OverlayOperation.DIFFERENCE, 4, 1);
+    overlayTester(empty, empty, OverlayOperation.UNION, 0, 0);
+
+    // Clockwise input rings
+    const clockwise = global.buildPolygon([[[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]]]);
+    overlayTester(clockwise, global.buildSquare(1, 0, 2), OverlayOperation.UNION, 6, 1);
+  });
+
+  it('test unsupported geometries', function () {
+    const square = global.buildSquare(0, 0, 2);
+    expect(() => GeometryUtils.overlay(square, new Point(1, 1), OverlayOperation.UNION)).toThrow(SFException);
+    expect(() => PolygonOverlay.union(global.createLineString(false, false), square)).toThrow(SFException);
+  });
+
+});
@@ -6,7 +6,7 @@ import WKBTestUtils from "./WKBTestUtils";
 
 describe('README Tests', function () {
 	const GEOMETRY = new Point(1.0, 1.0);
-	const BYTES = Buffer.from(new Uint8Array([0, 0, 0, 0, 1, 63, -16, 0, 0, 0, 0, 0, 0, 63, -16, 0, 0, 0, 0, 0, 0]));
+	const BYTES = new Uint8Array([0, 0, 0, 0, 1, 63, -16, 0, 0, 0, 0, 0, 0, 63, -16, 0, 0, 0, 0, 0, 0]);
 
 	function testRead(buffer) {
 		// let bytes = ...
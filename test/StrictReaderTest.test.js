@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { WKBFormatException } from '../lib/WKBFormatException';
+import {
+  MultiPolygon,
+  Point,
+  SFException
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Expect a strict read failure
+ * @param bytes well-known bytes
+ * @param offset expected byte offset
+ * @param path expected nesting path
+ * @param expected expected value
+ * @param actual actual value
+ * @return format exception
+ */
+function strictErrorTester(bytes, offset, path, expected, actual) {
+  try {
+    GeometryReader.readGeometryStrict(bytes);
+    expect.fail('Expected a format exception');
+  } catch (e) {
+    expect(e).toBeInstanceOf(WKBFormatException);
+    expect(e).toBeInstanceOf(SFException);
+    expect(e.offset).toEqual(offset);
+    expect(e.path).toEqual(path);
+    expect(e.expected).toEqual(expected);
+    expect(e.actual).toEqual(actual);
+    return e;
+  }
+}
+
+describe('Strict Reader Tests', function () {
+
+  it('test valid geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const geometry = global.createGeometryCollection(global.coinFlip(), global.coinFlip());
+      for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+        const bytes = GeometryWriter.writeGeometry(geometry, byteOrder);
+        global.compareGeometries(geometry, GeometryReader.readGeometryStrict(bytes));
+      }
+    }
+
+    const geometryReader = new GeometryReader(GeometryWriter.writeGeometry(global.createCompoundCurve(true, true)));
+    expect(geometryReader.isStrict()).toBe(false);
+    geometryReader.setStrict(true);
+    expect(geometryReader.isStrict()).toBe(true);
+    expect(geometryReader.read()).not.toBeNull();
+  });
+
+  it('test truncated', function () {
+    const multiPolygon = new MultiPolygon(false, false);
+    for (let i = 0; i < 4; i++) {
+      multiPolygon.addPolygon(global.buildPolygon([Array.from({ length: 5 + i }, (_, j) => [j, j * 2]),
+        Array.from({ length: 20 }, (_, j) => [j, j * 2])]));
+    }
+    const bytes = GeometryWriter.writeGeometry(multiPolygon);
+
+    // Cut within point 17 of ring 1 of polygon 3
+    let offset = 9;
+    for (let i = 0; i < 3; i++) {
+      offset += GeometryWriter.getGeometryByteLength(multiPolygon.polygons[i]);
+    }
+    offset += 9 + 4 + 8 * 16 + 4 + 17 * 16;
+    const error = strictErrorTester(bytes.subarray(0, offset + 3), offset, 'MultiPolygon[3].ring[1].point[17]',
+      '16 bytes', '3 bytes');
+    expect(error.message).toEqual('Truncated point at offset ' + offset
+      + ' (MultiPolygon[3].ring[1].point[17]). Expected: 16 bytes, Actual: 3 bytes');
+
+    // Non strict reads fail with a range error
+    expect(() => GeometryReader.readGeometry(bytes.subarray(0, offset + 3))).toThrow(RangeError);
+
+    strictErrorTester(bytes.subarray(0, 3), 0, '', '5 bytes', '3 bytes');
+    strictErrorTester(bytes.subarray(0, 11), 5, 'MultiPolygon', 'at most 0', '4');
+
+    // Point and ring counts beyond the bytes
+    strictErrorTester(global.hexToBytes('0000000002FFFFFFFF'), 9, 'LineString.point[0]', '16 bytes', '0 bytes');
+    strictErrorTester(global.hexToBytes('000000000300000002'), 5, 'Polygon', 'at most 0', '2');
+  });
+
+  it('test corrupt', function () {
+    const point = GeometryWriter.writeGeometry(new Point(1.0, 2.0));
+
+    const badByteOrder = Uint8Array.from(point);
+    badByteOrder[0] = 2;
+    const error = strictErrorTester(badByteOrder, 0, '', '0 or 1', '2');
+    expect(error.message).toEqual('Invalid byte order at offset 0. Expected: 0 or 1, Actual: 2');
+
+    strictErrorTester(global.hexToBytes('0000000063'), 1, '', 'a well-known geometry type code', '99');
+    strictErrorTester(global.hexToBytes('0000001389'), 1, '', 'a well-known geometry type code', '5001');
+    strictErrorTester(global.hexToBytes('000000000D00000000'), 1, '', 'an instantiable geometry type', 'CURVE');
+
+    const trailing = new Uint8Array(point.length + 2);
+    trailing.set(point);
+    strictErrorTester(trailing, point.length, 'Point', '0 bytes', '2 bytes');
+    global.compareGeometries(new Point(1.0, 2.0), GeometryReader.readGeometry(trailing));
+
+    // Multi line string Z with a 2D line string member
+    strictErrorTester(global.hexToBytes('00000003ED00000001000000000200000000'), 10, 'MultiLineString[0]', 'XYZ', 'XY');
+
+    // Geometry collection member 1 with an invalid byte order
+    const collection = GeometryWriter.writeGeometry(global.createGeometryCollection(false, false));
+    const polygon = global.buildPolygon([[[0, 0], [1, 2], [2, 4], [3, 6]], [[0, 0], [1, 2], [2, 4], [3, 6]]]);
+    const corrupt = global.hexToBytes('000000000700000002' + global.bytesToHex(collection)
+      + global.bytesToHex(GeometryWriter.writeGeometry(polygon)));
+    corrupt[9 + collection.length] = 7;
+    strictErrorTester(corrupt, 9 + collection.length, 'GeometryCollection[1]', '0 or 1', '7');
+  });
+
+});
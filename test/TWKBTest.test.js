@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteReader } from '../lib/ByteReader';
+import { ByteWriter } from '../lib/ByteWriter';
+import { TWKBCodes } from '../lib/TWKBCodes';
+import { TWKBGeometryReader } from '../lib/TWKBGeometryReader';
+import { TWKBGeometryWriter } from '../lib/TWKBGeometryWriter';
+import {
+  GeometryType,
+  LineString,
+  MultiPoint,
+  Point,
+  SFException
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Round the geometry coordinates in place to the values representable at
+ * the precisions
+ * @param geometry geometry
+ * @param precision xy precision
+ * @param zPrecision z precision
+ * @param mPrecision m precision
+ */
+function roundGeometry(geometry, precision, zPrecision, mPrecision) {
+  // Adding zero normalizes negative zero, which is not encoded
+  const round = (value, p) => Math.round(value * TWKBCodes.getScale(p)) / TWKBCodes.getScale(p) + 0;
+  switch (geometry.geometryType) {
+    case GeometryType.POINT:
+      geometry.x = round(geometry.x, precision);
+      geometry.y = round(geometry.y, precision);
+      if (geometry.hasZ) {
+        geometry.z = round(geometry.z, zPrecision);
+      }
+      if (geometry.hasM) {
+        geometry.m = round(geometry.m, mPrecision);
+      }
+      break;
+    case GeometryType.LINESTRING:
+      new Set(geometry.points).forEach(point => roundGeometry(point, precision, zPrecision, mPrecision));
+      break;
+    case GeometryType.POLYGON:
+      geometry.rings.forEach(ring => roundGeometry(ring, precision, zPrecision, mPrecision));
+      break;
+    default:
+      geometry.geometries.forEach(subGeometry => roundGeometry(subGeometry, precision, zPrecision, mPrecision));
+  }
+  return geometry;
+}
+
+/**
+ * Test writing the geometry to TWKB and reading it back
+ * @param geometry geometry
+ */
+function twkbGeometryTester(geometry) {
+  const precision = Math.floor(Math.random() * 8);
+  const zPrecision = Math.floor(Math.random() * 8);
+  const mPrecision = Math.floor(Math.random() * 8);
+  roundGeometry(geometry, precision, zPrecision, mPrecision);
+
+  const writer = new TWKBGeometryWriter();
+  writer.setPrecision(precision);
+  writer.setZPrecision(zPrecision);
+  writer.setMPrecision(mPrecision);
+  writer.setIncludeBoundingBox(global.coinFlip());
+  writer.setIncludeSize(global.coinFlip());
+  writer.write(geometry);
+  const bytes = writer.getBuffer();
+
+  const twkbGeometry = TWKBGeometryReader.readTWKBGeometry(bytes);
+  global.compareGeometries(geometry, twkbGeometry.geometry);
+  if (writer.isIncludeBoundingBox()) {
+    global.compareEnvelopes(geometry.getEnvelope(), twkbGeometry.envelope);
+  } else {
+    expect(twkbGeometry.envelope).toBeUndefined();
+  }
+}
+
+describe('TWKB Tests', function () {
+
+  it('test varint', function () {
+    const values = [0, 1, 127, 128, 300, 2147483647, 2147483648, 4294967296, 180 * 10000000 * 2, Math.pow(2, 52)];
+    const writer = new ByteWriter(1, undefined, true);
+    for (const value of values) {
+      writer.writeVarInt(value);
+      writer.writeSVarInt(value);
+      writer.writeSVarInt(0 - value);
+    }
+    const reader = new ByteReader(writer.getBuffer());
+    for (const value of values) {
+      expect(reader.readVarInt()).toEqual(value);
+      expect(reader.readSVarInt()).toEqual(value);
+      expect(reader.readSVarInt()).toEqual(0 - value);
+    }
+    expect(() => reader.readVarInt()).toThrow(RangeError);
+
+    // Truncated within a varint
+    expect(() => new ByteReader(new Uint8Array([0x80, 0x80])).readVarInt()).toThrow(RangeError);
+  });
+
+  it('test PostGIS TWKB', function () {
+    // SELECT ST_AsTWKB('POINT(1 2)'::geometry)
+    const point = global.hexToBytes('01000204');
+    expect(TWKBGeometryReader.readGeometry(point).equals(new Point(1.0, 2.0))).toBe(true);
+    global.compareByteArrays(point, TWKBGeometryWriter.writeGeometry(new Point(1.0, 2.0)));
+
+    // SELECT ST_AsTWKB('LINESTRING(1 1, 5 5)'::geometry)
+    const lineStringBytes = global.hexToBytes('02000202020808');
+    const lineString = new LineString(false, false);
+    lineString.addPoint(new Point(1.0, 1.0));
+    lineString.addPoint(new Point(5.0, 5.0));
+    global.compareGeometries(lineString, TWKBGeometryReader.readGeometry(lineStringBytes));
+    global.compareByteArrays(lineStringBytes, TWKBGeometryWriter.writeGeometry(lineString));
+
+    // SELECT ST_AsTWKB('POINT(1.12345 2.1)'::geometry, 2)
+    const precisionPoint = TWKBGeometryReader.readGeometry(global.hexToBytes('4100E001A403'));
+    expect(precisionPoint.x).toEqual(1.12);
+    expect(precisionPoint.y).toEqual(2.1);
+    global.compareByteArrays(global.hexToBytes('4100E001A403'), TWKBGeometryWriter.writeGeometry(new Point(1.12345, 2.1), 2));
+
+    // SELECT ST_AsTWKB('LINESTRING EMPTY'::geometry)
+    const empty = TWKBGeometryReader.readGeometry(global.hexToBytes('0210'));
+    expect(empty.geometryType).toEqual(GeometryType.LINESTRING);
+    expect(empty.isEmpty()).toBe(true);
+  });
+
+  it('test negative precision', function () {
+    const bytes = TWKBGeometryWriter.writeGeometry(new Point(123456.0, -98765.0), -2);
+    const point = TWKBGeometryReader.readGeometry(bytes);
+    expect(point.x).toEqual(123500.0);
+    expect(point.y).toEqual(-98800.0);
+    expect(() => TWKBGeometryWriter.writeGeometry(point, 8)).toThrow(SFException);
+    expect(() => TWKBGeometryWriter.writeGeometry(point, 0, 8)).toThrow(SFException);
+
+    // Multiples of the precision power of ten round trip exactly
+    for (let precision = TWKBCodes.MIN_PRECISION; precision < 0; precision++) {
+      const factor = Math.pow(10, -precision);
+      const lineString = global.buildLineString([[-41 * factor, 37 * factor], [-4 * factor, 50 * factor]]);
+      const writer = new TWKBGeometryWriter();
+      writer.setPrecision(precision);
+      writer.setIncludeBoundingBox(true);
+      writer.write(lineString);
+      const twkbGeometry = TWKBGeometryReader.readTWKBGeometry(writer.getBuffer());
+      global.compareGeometries(lineString, twkbGeometry.geometry);
+      global.compareEnvelopes(lineString.getEnvelope(), twkbGeometry.envelope);
+    }
+  });
+
+  it('test id list', function () {
+    const multiPoint = roundGeometry(global.createMultiPoint(false, false), 5, 0, 0);
+    const ids = multiPoint.points.map((point, index) => index * 100 - 50);
+
+    const writer = new TWKBGeometryWriter();
+    writer.setPrecision(5);
+    writer.setIncludeSize(true);
+    writer.write(multiPoint, ids);
+
+    const twkbGeometry = TWKBGeometryReader.readTWKBGeometry(writer.getBuffer());
+    expect(twkbGeometry.ids).toEqual(ids);
+    global.compareGeometries(multiPoint, twkbGeometry.geometry);
+
+    expect(TWKBGeometryReader.readTWKBGeometry(TWKBGeometryWriter.writeGeometry(multiPoint, 5)).ids).toBeUndefined();
+    expect(() => new TWKBGeometryWriter().write(multiPoint, ids.concat([1]))).toThrow(SFException);
+    expect(() => new TWKBGeometryWriter().write(new Point(1.0, 2.0), [1])).toThrow(SFException);
+  });
+
+  it('test empty', function () {
+    const emptyPoint = TWKBGeometryReader.readGeometry(TWKBGeometryWriter.writeGeometry(new Point(NaN, NaN)));
+    expect(emptyPoint.x).toBeNaN();
+    expect(emptyPoint.y).toBeNaN();
+
+    const emptyMultiPoint = TWKBGeometryReader.readGeometry(TWKBGeometryWriter.writeGeometry(new MultiPoint(true, false)));
+    expect(emptyMultiPoint.geometryType).toEqual(GeometryType.MULTIPOINT);
+    expect(emptyMultiPoint.hasZ).toBe(true);
+    expect(emptyMultiPoint.isEmpty()).toBe(true);
+
+    // Empty members and non-finite values can not be encoded
+    const multiPoint = new MultiPoint(false, false);
+    multiPoint.addPoint(new Point(1.0, 2.0));
+    multiPoint.addPoint(new Point(NaN, NaN));
+    expect(() => TWKBGeometryWriter.writeGeometry(multiPoint)).toThrow(SFException);
+    expect(() => TWKBGeometryWriter.writeGeometry(multiPoint, 5)).toThrow(SFException);
+    const lineString = new LineString(false, false);
+    lineString.addPoint(new Point(0.0, 0.0));
+    lineString.addPoint(new Point(Infinity, 1.0));
+    expect(() => TWKBGeometryWriter.writeGeometry(lineString)).toThrow(SFException);
+  });
+
+  it('test unsupported', function () {
+    expect(() => TWKBGeometryWriter.writeGeometry(global.createCompoundCurve(false, false))).toThrow(SFException);
+    expect(() => TWKBGeometryWriter.writeGeometry(global.createCurvePolygon(false, false))).toThrow(SFException);
+  });
+
+  it('test round trip', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const hasZ = global.coinFlip();
+      const hasM = global.coinFlip();
+      twkbGeometryTester(global.createPoint(hasZ, hasM));
+      twkbGeometryTester(global.createLineString(hasZ, hasM));
+      twkbGeometryTester(global.createPolygon(hasZ, hasM));
+      twkbGeometryTester(global.createMultiPoint(hasZ, hasM));
+      twkbGeometryTester(global.createMultiLineString(hasZ, hasM));
+      twkbGeometryTester(global.createMultiPolygon(hasZ, hasM));
+      twkbGeometryTester(global.createGeometryCollection(hasZ, hasM));
+    }
+  });
+
+});
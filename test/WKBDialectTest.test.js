@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { ByteWriter } from '../lib/ByteWriter';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { WKBDialect } from '../lib/WKBDialect';
+import { WKBDimensionPolicy } from '../lib/WKBDimensionPolicy';
+import { LineString, Point, SFException } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Write the geometry in each dialect dropping unsupported dimensions, and
+ * read it back with the dimensions of the dialect
+ * @param geometry geometry
+ */
+function dialectTester(geometry) {
+  for (const dialect of [WKBDialect.ISO, WKBDialect.EXTENDED, WKBDialect.OGC, WKBDialect.EWKB]) {
+    const bytes = GeometryWriter.writeGeometry(geometry, ByteOrder.LITTLE_ENDIAN, dialect, WKBDimensionPolicy.DROP);
+    expect(bytes.length).toEqual(GeometryWriter.getGeometryByteLength(geometry, dialect));
+
+    const geometry2 = GeometryReader.readGeometry(bytes);
+    expect(geometry2.geometryType).toEqual(geometry.geometryType);
+    expect(geometry2.hasZ).toEqual(geometry.hasZ && dialect !== WKBDialect.OGC);
+    expect(geometry2.hasM).toEqual(geometry.hasM && (dialect === WKBDialect.ISO || dialect === WKBDialect.EWKB));
+    if (geometry2.hasZ === geometry.hasZ && geometry2.hasM === geometry.hasM) {
+      global.compareGeometries(geometry, geometry2);
+    }
+  }
+}
+
+describe('WKB Dialect Tests', function () {
+
+  it('test type codes', function () {
+    const point = new Point(1.0, 2.0, 3.0);
+    expect(global.bytesToHex(GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN).subarray(0, 5)))
+      .toEqual('00000003E9');
+    expect(global.bytesToHex(GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN, WKBDialect.EXTENDED).subarray(0, 5)))
+      .toEqual('0080000001');
+    expect(global.bytesToHex(GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN, WKBDialect.EWKB).subarray(0, 5)))
+      .toEqual('0080000001');
+
+    const lineString = new LineString(false, true);
+    lineString.addPoint(new Point(false, true, 1.0, 2.0));
+    lineString.points[0].m = 3.0;
+    expect(GeometryWriter.writeGeometry(lineString, ByteOrder.BIG_ENDIAN, WKBDialect.EWKB))
+      .toEqual(GeometryWriter.writeEWKBGeometry(lineString));
+
+    const ogc = GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN, WKBDialect.OGC, WKBDimensionPolicy.DROP);
+    expect(global.bytesToHex(ogc)).toEqual('0000000001' + '3FF0000000000000' + '4000000000000000');
+  });
+
+  it('test dimension policy', function () {
+    const point = new Point(1.0, 2.0, 3.0, 4.0);
+    expect(() => GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN, WKBDialect.EXTENDED))
+      .toThrow('The EXTENDED WKB dialect can not represent M values. Geometry Type: POINT');
+    expect(() => GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN, WKBDialect.OGC))
+      .toThrow('The OGC WKB dialect can not represent Z values. Geometry Type: POINT');
+    expect(() => GeometryWriter.writeGeometry(global.createMultiPolygon(false, true), ByteOrder.BIG_ENDIAN,
+      WKBDialect.EXTENDED)).toThrow(SFException);
+
+    const extended = GeometryReader.readGeometry(GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN,
+      WKBDialect.EXTENDED, WKBDimensionPolicy.DROP));
+    global.compareGeometries(new Point(1.0, 2.0, 3.0), extended);
+
+    const geometryWriter = new GeometryWriter(new ByteWriter(GeometryWriter.getGeometryByteLength(point, WKBDialect.OGC)));
+    expect(geometryWriter.getDialect()).toEqual(WKBDialect.ISO);
+    expect(geometryWriter.getDimensionPolicy()).toEqual(WKBDimensionPolicy.FAIL);
+    geometryWriter.setDialect(WKBDialect.OGC);
+    geometryWriter.setDimensionPolicy(WKBDimensionPolicy.DROP);
+    geometryWriter.write(point);
+    global.compareGeometries(new Point(1.0, 2.0), GeometryReader.readGeometry(geometryWriter.getBuffer()));
+
+    geometryWriter.setEWKB(true);
+    expect(geometryWriter.getDialect()).toEqual(WKBDialect.EWKB);
+    expect(geometryWriter.isEWKB()).toBe(true);
+    geometryWriter.setEWKB(false);
+    expect(geometryWriter.getDialect()).toEqual(WKBDialect.ISO);
+  });
+
+  it('test geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      dialectTester(global.createPoint(true, true));
+      dialectTester(global.createLineString(true, global.coinFlip()));
+      dialectTester(global.createPolygon(global.coinFlip(), true));
+      dialectTester(global.createMultiPolygon(global.coinFlip(), global.coinFlip()));
+      dialectTester(global.createGeometryCollection(true, true));
+      dialectTester(global.createCurvePolygon(global.coinFlip(), global.coinFlip()));
+    }
+  });
+
+});
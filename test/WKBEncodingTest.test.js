@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { ByteOrder } from '../lib/ByteOrder';
+import { ByteWriter } from '../lib/ByteWriter';
+import { GeometryCodes } from '../lib/GeometryCodes';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { WKBDialect } from '../lib/WKBDialect';
+import { WKBDimensionPolicy } from '../lib/WKBDimensionPolicy';
+import { Point } from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Read the bytes preserving the encoding and write them back byte for byte
+ * @param bytes well-known bytes
+ * @return geometry reader
+ */
+function roundTripTester(bytes) {
+  const geometryReader = new GeometryReader(bytes);
+  expect(geometryReader.isPreserveEncoding()).toBe(false);
+  geometryReader.setPreserveEncoding(true);
+  expect(geometryReader.isPreserveEncoding()).toBe(true);
+  const geometry = geometryReader.read();
+
+  const bytes2 = GeometryWriter.writeGeometryWithEncodings(geometry, geometryReader.getEncodings());
+  global.compareByteArrays(bytes, bytes2);
+  global.compareGeometries(geometry, GeometryReader.readGeometry(bytes2));
+  return geometryReader;
+}
+
+/**
+ * Write the geometry collection with each child geometry in a random byte
+ * order and dialect
+ * @param geometryCollection geometry collection
+ * @return well-known bytes
+ */
+function writeMixed(geometryCollection) {
+  const header = new ByteWriter(9);
+  header.writeUInt8(ByteOrder.BIG_ENDIAN);
+  header.writeInt(GeometryCodes.getCode(geometryCollection));
+  header.writeInt(geometryCollection.numGeometries());
+  const parts = [header.getBuffer()];
+  for (const geometry of geometryCollection.geometries) {
+    const byteOrder = global.coinFlip() ? ByteOrder.BIG_ENDIAN : ByteOrder.LITTLE_ENDIAN;
+    parts.push(GeometryWriter.writeGeometry(geometry, byteOrder, global.coinFlip() ? WKBDialect.ISO : WKBDialect.EWKB));
+  }
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+describe('WKB Encoding Tests', function () {
+
+  it('test byte orders', function () {
+    // Big endian multi point of a little endian and a big endian point
+    const hex = '000000000400000002'
+      + '0101000000000000000000F03F0000000000000040'
+      + '000000000140080000000000004010000000000000';
+    const bytes = global.hexToBytes(hex);
+    const geometryReader = roundTripTester(bytes);
+
+    const multiPoint = GeometryReader.readGeometry(bytes);
+    expect(global.bytesToHex(GeometryWriter.writeGeometry(multiPoint, ByteOrder.BIG_ENDIAN))).not.toEqual(hex);
+
+    const geometryReader2 = new GeometryReader(bytes);
+    geometryReader2.setPreserveEncoding(true);
+    const multiPoint2 = geometryReader2.read();
+    const encodings = geometryReader2.getEncodings();
+    expect(encodings.get(multiPoint2).byteOrder).toEqual(ByteOrder.BIG_ENDIAN);
+    expect(encodings.get(multiPoint2.points[0]).byteOrder).toEqual(ByteOrder.LITTLE_ENDIAN);
+    expect(encodings.get(multiPoint2.points[1]).byteOrder).toEqual(ByteOrder.BIG_ENDIAN);
+    expect(encodings.get(multiPoint)).toBeUndefined();
+    expect(geometryReader.getEncodings()).not.toBe(encodings);
+
+    geometryReader2.setPreserveEncoding(false);
+    expect(geometryReader2.getEncodings()).toBeNull();
+  });
+
+  it('test type codes', function () {
+    // Little endian 2.5D collection of a big endian 2.5D line string and a
+    // little endian ISO point
+    const hex = '0107000080' + '02000000'
+      + '0080000002' + '00000001' + '3FF0000000000000' + '4000000000000000' + '4008000000000000'
+      + '01E9030000' + '000000000000F03F' + '0000000000000040' + '0000000000000840';
+    const bytes = global.hexToBytes(hex);
+    const geometryReader = roundTripTester(bytes);
+
+    const geometryCollection = GeometryReader.readGeometry(bytes);
+    expect(global.bytesToHex(GeometryWriter.writeGeometry(geometryCollection, ByteOrder.LITTLE_ENDIAN).subarray(0, 5)))
+      .toEqual('01EF030000');
+
+    // Dimensions the dialect drops fall back to the dialect codes, keeping the byte orders
+    geometryReader.getByteReader().position = 0;
+    const geometryCollection2 = geometryReader.read();
+    const geometryWriter = new GeometryWriter(null);
+    geometryWriter.setEncodings(geometryReader.getEncodings());
+    expect(geometryWriter.getEncodings()).toBe(geometryReader.getEncodings());
+    geometryWriter.setDialect(WKBDialect.OGC);
+    geometryWriter.setDimensionPolicy(WKBDimensionPolicy.DROP);
+    geometryWriter.write(geometryCollection2);
+    expect(global.bytesToHex(geometryWriter.getBuffer())).toEqual('0107000000' + '02000000'
+      + '0000000002' + '00000001' + '3FF0000000000000' + '4000000000000000'
+      + '0101000000' + '000000000000F03F' + '0000000000000040');
+  });
+
+  it('test EWKB', function () {
+    const point = new Point(false, true, 1.0, 2.0);
+    point.m = 3.0;
+    roundTripTester(GeometryWriter.writeEWKBGeometry(point, 4326, ByteOrder.LITTLE_ENDIAN));
+
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      roundTripTester(GeometryWriter.writeEWKBGeometry(global.createPolygon(global.coinFlip(), global.coinFlip()), 3857));
+    }
+  });
+
+  it('test geometries', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      roundTripTester(writeMixed(global.createGeometryCollection(global.coinFlip(), global.coinFlip())));
+    }
+  });
+
+});
@@ -3,11 +3,13 @@ import WKBTestUtils from './WKBTestUtils';
 import { ByteOrder } from '../lib/ByteOrder'
 import { GeometryWriter } from '../lib/GeometryWriter'
 import {
+  CircularString,
   CompoundCurve,
+  CurvePolygon,
   ExtendedGeometryCollection,
-  FiniteFilterType, GeometryCollection,
-  GeometryType, LineString, MultiPolygon, Point,
-  PointFiniteFilter, Polygon
+  FiniteFilterType, GeometryCollection, GeometryEnvelopeBuilder, GeometryPrinter,
+  GeometryType, LineString, MultiLineString, MultiPoint, MultiPolygon, Point,
+  PointFiniteFilter, Polygon, PolyhedralSurface, TIN, Triangle
 } from '../lib/sf/internal'
 import { GeometryReader } from '../lib/GeometryReader'
 import { GeometryCodes } from '../lib/GeometryCodes'
@@ -60,7 +62,7 @@ function geometryTester(geometry, compareGeometry) {
  * @return byte array
  */
 function hexStringToBuffer(hex) {
-  return Buffer.from(hex, 'hex');
+  return global.hexToBytes(hex);
 }
 
 /**
@@ -148,6 +150,25 @@ function _testFiniteFilter(bytes, filter) {
 
 }
 
+/**
+ * Test the empty geometry writing to and reading from bytes in both byte
+ * orders
+ * @param geometry empty geometry
+ */
+function emptyGeometryTester(geometry) {
+  expect(geometry.isEmpty()).toBe(true);
+  for (const byteOrder of [ByteOrder.BIG_ENDIAN, ByteOrder.LITTLE_ENDIAN]) {
+    const bytes = GeometryWriter.writeGeometry(geometry, byteOrder);
+    expect(bytes.length).toEqual(GeometryWriter.getGeometryByteLength(geometry));
+    const geometry2 = GeometryReader.readGeometry(bytes);
+    global.compareGeometries(geometry, geometry2);
+    expect(geometry2.isEmpty()).toBe(true);
+    expect(geometry2.equals(geometry)).toBe(true);
+    global.compareByteArrays(bytes, GeometryWriter.writeGeometry(geometry2, byteOrder));
+  }
+  expect(GeometryEnvelopeBuilder.buildEnvelope(geometry)).toBeNull();
+}
+
 describe('WKB Tests', function () {
   it('test point', function () {
     for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
@@ -202,7 +223,7 @@ describe('WKB Tests', function () {
 
     // Test a pre-created WKB saved as the abstract MultiCurve type with LineStrings
 
-    const bytes = Buffer.from(new Uint8Array([ 0, 0, 0, 0, 11, 0, 0, 0, 2, 0, 0, 0, 0, 2,
+    const bytes = new Uint8Array([ 0, 0, 0, 0, 11, 0, 0, 0, 2, 0, 0, 0, 0, 2,
       0, 0, 0, 3, 64, 50, -29, -55, -6, 126, -15, 120, -64, 65, -124,
       -86, -46, -62, -60, 94, -64, 66, -31, -40, 124, -2, -47, -5,
       -64, 82, -13, -22, 8, -38, 6, 111, 64, 81, 58, 88, 78, -15, 82,
@@ -218,7 +239,7 @@ describe('WKB Tests', function () {
       -26, 64, 102, -110, 64, 92, 63, -14, -103, 99, -67, 63, -64, 65,
       -48, 84, -37, -111, -55, -25, -64, 101, -10, -62, -115, 104,
       -125, 28, -64, 66, 5, 108, -56, -59, 69, -36, -64, 83, 33, -36,
-      -86, 106, -84, -16, 64, 70, 30, -104, -50, -57, 15, -7]));
+      -86, 106, -84, -16, 64, 70, 30, -104, -50, -57, 15, -7]);
 
     expect(GeometryCodes.getCodeForGeometryType(GeometryType.MULTICURVE)).toEqual(bytes[4]);
 
@@ -257,14 +278,14 @@ describe('WKB Tests', function () {
 
     // Test a pre-created WKB saved as the abstract MultiCurve type with a CompoundCurve
 
-    const bytes = Buffer.from(new Uint8Array([0, 0, 0, 0, 11, 0, 0, 0, 1, 0, 0, 0, 0, 9,
+    const bytes = new Uint8Array([0, 0, 0, 0, 11, 0, 0, 0, 1, 0, 0, 0, 0, 9,
       0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 0, 0, 3, 65, 74, 85, 13, 0, -60,
       -101, -90, 65, 84, -23, 84, 60, -35, 47, 27, 65, 74, 85, 12,
       -28, -68, 106, 127, 65, 84, -23, 84, 123, 83, -9, -49, 65, 74,
       85, 8, -1, 92, 40, -10, 65, 84, -23, 83, -81, -99, -78, 45, 0,
       0, 0, 0, 2, 0, 0, 0, 2, 65, 74, 85, 8, -1, 92, 40, -10, 65, 84,
       -23, 83, -81, -99, -78, 45, 65, 74, 85, 13, 0, -60, -101, -90,
-    65, 84, -23, 84, 60, -35, 47, 27 ]));
+    65, 84, -23, 84, 60, -35, 47, 27 ]);
 
     expect(GeometryCodes.getCodeForGeometryType(GeometryType.MULTICURVE)).toEqual(bytes[4]);
 
@@ -538,4 +559,55 @@ describe('WKB Tests', function () {
     testFiniteFilter(polygon3);
     testFiniteFilter(polygon4);
   });
+
+  it('test empty geometries', function () {
+    for (const hasZ of [false, true]) {
+      for (const hasM of [false, true]) {
+        emptyGeometryTester(Point.createEmpty(hasZ, hasM));
+        emptyGeometryTester(new LineString(hasZ, hasM));
+        emptyGeometryTester(new Polygon(hasZ, hasM));
+        emptyGeometryTester(new MultiPoint(hasZ, hasM));
+        emptyGeometryTester(new MultiLineString(hasZ, hasM));
+        emptyGeometryTester(new MultiPolygon(hasZ, hasM));
+        emptyGeometryTester(new GeometryCollection(hasZ, hasM));
+        emptyGeometryTester(new CircularString(hasZ, hasM));
+        emptyGeometryTester(new CompoundCurve(hasZ, hasM));
+        emptyGeometryTester(new CurvePolygon(hasZ, hasM));
+        emptyGeometryTester(new PolyhedralSurface(hasZ, hasM));
+        emptyGeometryTester(new TIN(hasZ, hasM));
+        emptyGeometryTester(new Triangle(hasZ, hasM));
+      }
+    }
+
+    // Point EMPTY is NaN coordinates
+    const point = Point.createEmpty(true, false);
+    expect(global.bytesToHex(GeometryWriter.writeGeometry(point, ByteOrder.BIG_ENDIAN)))
+      .toEqual('00000003E9' + '7FF8000000000000'.repeat(3));
+    expect(new Point(NaN, NaN).isEmpty()).toBe(true);
+    expect(new Point(NaN, 1.0).isEmpty()).toBe(false);
+    expect(GeometryPrinter.getGeometryString(point)).toEqual('Empty');
+
+    // Empty points and collections within collections
+    const multiPoint = new MultiPoint(false, false);
+    multiPoint.addPoint(Point.createEmpty());
+    multiPoint.addPoint(new Point(1.0, 2.0));
+    const geometryCollection = new GeometryCollection(false, false);
+    geometryCollection.addGeometry(Point.createEmpty());
+    geometryCollection.addGeometry(new GeometryCollection(false, false));
+    geometryCollection.addGeometry(new LineString(false, false));
+    geometryCollection.addGeometry(multiPoint);
+    const bytes = GeometryWriter.writeGeometry(geometryCollection, ByteOrder.LITTLE_ENDIAN);
+    expect(bytes.length).toEqual(GeometryWriter.getGeometryByteLength(geometryCollection));
+    const geometryCollection2 = GeometryReader.readGeometry(bytes);
+    global.compareGeometries(geometryCollection, geometryCollection2);
+    expect(geometryCollection2.geometries[0].isEmpty()).toBe(true);
+    expect(geometryCollection2.geometries[1].isEmpty()).toBe(true);
+    expect(geometryCollection2.geometries[3].points[0].isEmpty()).toBe(true);
+
+    const envelope = GeometryEnvelopeBuilder.buildEnvelope(geometryCollection2);
+    expect(envelope.minX).toEqual(1.0);
+    expect(envelope.maxX).toEqual(1.0);
+    expect(envelope.minY).toEqual(2.0);
+    expect(envelope.maxY).toEqual(2.0);
+  });
 });
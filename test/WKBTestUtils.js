@@ -5,6 +5,7 @@ import { ByteReader } from '../lib/ByteReader';
 import { GeometryReader } from '../lib/GeometryReader';
 import { GeometryCodes } from '../lib/GeometryCodes';
 import { GeometryWriter } from '../lib/GeometryWriter';
+import { HexUtils } from '../lib/HexUtils';
 
 const module = {
 	exports: {}
@@ -296,7 +297,7 @@ global.compareTriangle = module.exports.compareTriangle = function(expected, act
  * @return true if equal
  */
 global.equalByteArrays = module.exports.equalByteArrays = function(expected, actual) {
-	return Buffer.compare(expected, actual) === 0;
+	return expected.length === actual.length && expected.every((value, index) => value === actual[index]);
 }
 
 /**
@@ -524,6 +525,59 @@ global.createMultiSurface = module.exports.createMultiSurface = function() {
 	return multiSurface;
 }
 
+/**
+ * Build a line string from x and y coordinate pairs
+ * @param coordinates x and y coordinate pairs
+ * @param type line string type
+ * @return line string
+ */
+global.buildLineString = module.exports.buildLineString = function(coordinates, type = LineString) {
+	const lineString = new type(false, false);
+	for (const [x, y] of coordinates) {
+		lineString.addPoint(new Point(x, y));
+	}
+	return lineString;
+}
+
+/**
+ * Build a polygon from rings of x and y coordinate pairs
+ * @param rings exterior ring followed by holes
+ * @param type polygon type
+ * @return polygon
+ */
+global.buildPolygon = module.exports.buildPolygon = function(rings, type = Polygon) {
+	const polygon = new type(false, false);
+	for (const ring of rings) {
+		polygon.addRing(global.buildLineString(ring));
+	}
+	return polygon;
+}
+
+/**
+ * Build a square polygon
+ * @param minX minimum x
+ * @param minY minimum y
+ * @param size side length
+ * @return polygon
+ */
+global.buildSquare = module.exports.buildSquare = function(minX, minY, size) {
+	return global.buildPolygon([[[minX, minY], [minX + size, minY], [minX + size, minY + size], [minX, minY + size],
+		[minX, minY]]]);
+}
+
+/**
+ * Build a multi point from x and y coordinate pairs
+ * @param coordinates x and y coordinate pairs
+ * @return multi point
+ */
+global.buildMultiPoint = module.exports.buildMultiPoint = function(coordinates) {
+	const multiPoint = new MultiPoint(false, false);
+	for (const [x, y] of coordinates) {
+		multiPoint.addPoint(new Point(x, y));
+	}
+	return multiPoint;
+}
+
 /**
  * Randomly return true or false
  * @return true or false
@@ -572,7 +626,7 @@ global.compareByteGeometries = module.exports.compareByteGeometries = function(e
  *
  * @param geometry geometry
  * @param byteOrder byte order
- * @return Buffer
+ * @return bytes
  */
 global.writeBuffer = module.exports.writeBuffer = function(geometry, byteOrder = ByteOrder.BIG_ENDIAN) {
 	return GeometryWriter.writeGeometry(geometry, byteOrder);
@@ -611,5 +665,23 @@ global.readGeometry = module.exports.readGeoemtry = function(bytes, byteOrder) {
  * @param actual actual bytes
  */
 global.compareByteArrays = module.exports.compareByteArrays = function(expected, actual) {
-	expect(Buffer.compare(expected, actual)).toBe(0);
+	expect(Array.from(actual)).toEqual(Array.from(expected));
+}
+
+/**
+ * Convert a hex string to bytes without depending on Buffer
+ * @param hex hex string
+ * @return bytes
+ */
+global.hexToBytes = module.exports.hexToBytes = function(hex) {
+	return HexUtils.toBytes(hex);
+}
+
+/**
+ * Convert bytes to an upper case hex string without depending on Buffer
+ * @param bytes bytes
+ * @return hex string
+ */
+global.bytesToHex = module.exports.bytesToHex = function(bytes) {
+	return HexUtils.fromBytes(bytes);
 }
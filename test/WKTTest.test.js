@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import WKBTestUtils from './WKBTestUtils';
+import { GeometryReader } from '../lib/GeometryReader';
+import { GeometryWriter } from '../lib/GeometryWriter';
+import { WKTGeometryReader } from '../lib/WKTGeometryReader';
+import { WKTGeometryWriter } from '../lib/WKTGeometryWriter';
+import { WKTParseException } from '../lib/WKTParseException';
+import {
+  ExtendedGeometryCollection,
+  GeometryType,
+  LineString,
+  Point,
+  Polygon,
+  PolyhedralSurface,
+  TIN,
+  Triangle
+} from '../lib/sf/internal';
+
+const GEOMETRIES_PER_TEST = 10;
+
+/**
+ * Write the geometry to WKT, read it back and compare, both directly and
+ * through WKB
+ * @param geometry geometry
+ */
+function wktGeometryTester(geometry) {
+  const text = WKTGeometryWriter.writeGeometry(geometry);
+  const wktGeometry = WKTGeometryReader.readGeometry(text);
+  expect(wktGeometry.geometryType).toEqual(geometry.geometryType);
+  global.compareGeometries(geometry, wktGeometry);
+  global.compareByteArrays(GeometryWriter.writeGeometry(geometry), GeometryWriter.writeGeometry(wktGeometry));
+  expect(WKTGeometryWriter.writeGeometry(wktGeometry)).toEqual(text);
+}
+
+/**
+ * Read the text and verify it writes back as the expected text
+ * @param text well-known text
+ * @param expected expected written text
+ * @return geometry
+ */
+function wktTextTester(text, expected = text) {
+  const geometry = WKTGeometryReader.readGeometry(text);
+  expect(WKTGeometryWriter.writeGeometry(geometry)).toEqual(expected);
+  return geometry;
+}
+
+/**
+ * Expect a parse failure at the position
+ * @param text well-known text
+ * @param position expected error position
+ */
+function parseErrorTester(text, position) {
+  try {
+    WKTGeometryReader.readGeometry(text);
+    expect.fail('Expected a parse exception: ' + text);
+  } catch (e) {
+    expect(e).toBeInstanceOf(WKTParseException);
+    expect(e.position).toEqual(position);
+  }
+}
+
+describe('WKT Tests', function () {
+
+  it('test points', function () {
+    expect(wktTextTester('POINT (1 2)').equals(new Point(1.0, 2.0))).toBe(true);
+    expect(wktTextTester('POINT Z (1 2 3)').equals(new Point(1.0, 2.0, 3.0))).toBe(true);
+    expect(wktTextTester('POINT ZM (1 2 3 4)').equals(new Point(1.0, 2.0, 3.0, 4.0))).toBe(true);
+    const pointM = wktTextTester('POINT M (1 2 4)');
+    expect(pointM.hasZ).toBe(false);
+    expect(pointM.hasM).toBe(true);
+    expect(pointM.m).toEqual(4.0);
+
+    // Untagged dimensions are determined by the coordinates
+    wktTextTester('point(1 2 3)', 'POINT Z (1 2 3)');
+    wktTextTester('POINT(1 2 3 4)', 'POINT ZM (1 2 3 4)');
+    wktTextTester('  POINT  ( -1.5e-3\t+2.25E2 )  ', 'POINT (-0.0015 225)');
+
+    const empty = wktTextTester('POINT EMPTY');
+    expect(empty.x).toBeNaN();
+    wktTextTester('POINT Z EMPTY');
+  });
+
+  it('test empty', function () {
+    for (const name of ['LINESTRING', 'POLYGON', 'MULTIPOINT', 'MULTILINESTRING', 'MULTIPOLYGON', 'GEOMETRYCOLLECTION',
+      'CIRCULARSTRING', 'COMPOUNDCURVE', 'CURVEPOLYGON', 'MULTICURVE', 'MULTISURFACE', 'POLYHEDRALSURFACE', 'TIN', 'TRIANGLE']) {
+      const geometry = wktTextTester(name + ' EMPTY');
+      expect(GeometryType.nameFromType(geometry.geometryType)).toEqual(name);
+      expect(geometry.isEmpty()).toBe(true);
+      wktTextTester(name + ' ZM EMPTY');
+    }
+  });
+
+  it('test text forms', function () {
+    wktTextTester('MULTIPOINT (1 2, 3 4)', 'MULTIPOINT ((1 2), (3 4))');
+    wktTextTester('MULTIPOINT ((1 2), EMPTY)');
+    wktTextTester('POLYGON Z ((0 0 1, 1 0 1, 1 1 1, 0 0 1), (0.2 0.2 1, 0.4 0.2 1, 0.2 0.4 1, 0.2 0.2 1))');
+    wktTextTester('GEOMETRYCOLLECTION (POINT Z (1 2 3), LINESTRING EMPTY, POLYGON ((0 0, 1 0, 1 1, 0 0)))',
+      'GEOMETRYCOLLECTION Z (POINT Z (1 2 3), LINESTRING EMPTY, POLYGON ((0 0, 1 0, 1 1, 0 0)))');
+    wktTextTester('COMPOUNDCURVE ((0 0, 1 1), CIRCULARSTRING (1 1, 2 0, 3 1))');
+    wktTextTester('CURVEPOLYGON (CIRCULARSTRING (0 0, 4 0, 4 4, 0 4, 0 0), (1 1, 3 3, 3 1, 1 1), COMPOUNDCURVE ((2 2, 3 2), CIRCULARSTRING (3 2, 2.5 3, 2 2)))');
+    wktTextTester('MULTISURFACE (CURVEPOLYGON (CIRCULARSTRING (0 0, 4 0, 4 4, 0 4, 0 0)), ((10 10, 14 12, 11 10, 10 10)))');
+    wktTextTester('TIN Z (((0 0 0, 0 0 1, 0 1 0, 0 0 0)), ((0 0 0, 0 1 0, 1 1 0, 0 0 0)))');
+    wktTextTester('TRIANGLE ((0 0, 0 9, 9 0, 0 0))');
+
+    const multiCurve = wktTextTester('MULTICURVE ((0 0, 5 5), CIRCULARSTRING (4 0, 4 4, 8 4))');
+    expect(multiCurve).toBeInstanceOf(ExtendedGeometryCollection);
+    expect(multiCurve.geometryType).toEqual(GeometryType.MULTICURVE);
+    expect(multiCurve.geometries[1].geometryType).toEqual(GeometryType.CIRCULARSTRING);
+
+    const tin = WKTGeometryReader.readGeometry('TIN (((0 0, 0 1, 1 0, 0 0)))');
+    expect(tin.polygons[0]).toBeInstanceOf(Triangle);
+  });
+
+  it('test parse errors', function () {
+    parseErrorTester('', 0);
+    parseErrorTester('POINTS (1 2)', 0);
+    parseErrorTester('POINT (1)', 8);
+    parseErrorTester('POINT Z (1 2)', 9);
+    parseErrorTester('POINT (1 2', 10);
+    parseErrorTester('LINESTRING (1 2, x 4)', 17);
+    parseErrorTester('POINT (1 2) extra', 12);
+    parseErrorTester('COMPOUNDCURVE (POINT (1 2))', 15);
+    expect(() => WKTGeometryReader.readGeometry('LINESTRING (1 2,')).toThrow(/position 16/);
+  });
+
+  it('test round trip', function () {
+    for (let i = 0; i < GEOMETRIES_PER_TEST; i++) {
+      const hasZ = global.coinFlip();
+      const hasM = global.coinFlip();
+      wktGeometryTester(global.createPoint(hasZ, hasM));
+      wktGeometryTester(global.createLineString(hasZ, hasM));
+      wktGeometryTester(global.createPolygon(hasZ, hasM));
+      wktGeometryTester(global.createMultiPoint(hasZ, hasM));
+      wktGeometryTester(global.createMultiLineString(hasZ, hasM));
+      wktGeometryTester(global.createMultiPolygon(hasZ, hasM));
+      wktGeometryTester(global.createGeometryCollection(hasZ, hasM));
+      wktGeometryTester(global.createCompoundCurve(hasZ, hasM));
+      wktGeometryTester(global.createCurvePolygon(hasZ, hasM));
+
+      const polyhedralSurface = new PolyhedralSurface(hasZ, hasM);
+      const tin = new TIN(hasZ, hasM);
+      for (let j = 0; j < 3; j++) {
+        const polygon = new Polygon(hasZ, hasM);
+        polygon.addRing(global.createLineString(hasZ, hasM, true));
+        polyhedralSurface.addPolygon(polygon);
+        tin.addPolygon(new Triangle(global.createLineString(hasZ, hasM, true)));
+      }
+      wktGeometryTester(polyhedralSurface);
+      wktGeometryTester(tin);
+    }
+  });
+
+  it('test WKB fixture', function () {
+    // Compound curve WKB converted to WKT and back
+    const compoundCurve = global.createCompoundCurve(true, false);
+    const bytes = GeometryWriter.writeGeometry(compoundCurve);
+    const text = WKTGeometryWriter.writeGeometry(GeometryReader.readGeometry(bytes));
+    expect(text.startsWith('COMPOUNDCURVE Z ((')).toBe(true);
+    global.compareByteArrays(bytes, GeometryWriter.writeGeometry(WKTGeometryReader.readGeometry(text)));
+  });
+
+});